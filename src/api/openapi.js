@@ -0,0 +1,357 @@
+// OpenAPI 3.1 description of /api/v1, served at /api/v1/openapi.json.
+// Keep it in step with the routes in ./v1.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const single = (schema) => ({
+  type: 'object',
+  required: ['data'],
+  properties: { data: schema }
+});
+
+const list = (schema) => ({
+  type: 'object',
+  required: ['data', 'pagination'],
+  properties: {
+    data: { type: 'array', items: schema },
+    pagination: ref('Pagination')
+  }
+});
+
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [
+  status,
+  { $ref: `#/components/responses/${{
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    422: 'ValidationFailed',
+    429: 'TooManyRequests'
+  }[status]}` }
+]));
+
+const pageParams = [
+  { $ref: '#/components/parameters/Cursor' },
+  { $ref: '#/components/parameters/Limit' }
+];
+
+const letterId = { name: 'id', in: 'path', required: true, schema: { type: 'integer' } };
+const mosaicSlug = { name: 'slug', in: 'path', required: true, schema: { type: 'string' } };
+
+const operation = (scope, summary, spec) => ({
+  summary,
+  security: [{ personalAccessToken: [scope] }],
+  ...spec,
+  responses: { ...spec.responses, ...errors(401, 403) }
+});
+
+function buildOpenApiDocument({ scopes = {} } = {}) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'slocial.org API',
+      version: '1.0.0',
+      description: [
+        'Read and write slocial.org on behalf of a user.',
+        'Create a personal access token on your profile page and send it as `Authorization: Bearer <token>`.',
+        'Lists are cursor-paginated: pass `pagination.next_cursor` back as `?cursor=` until it is null.',
+        'Errors always look like `{ "error": { "code", "message", "details" } }`.'
+      ].join('\n\n')
+    },
+    servers: [{ url: '/api/v1' }],
+    paths: {
+      '/me': {
+        get: operation('read', 'Your profile', {
+          responses: { 200: json('Profile', single(ref('Profile'))) }
+        }),
+        patch: operation('profile:write', 'Update your bio and avatar', {
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: ref('ProfileUpdate') } }
+          },
+          responses: { 200: json('Updated profile', single(ref('Profile'))), ...errors(422) }
+        })
+      },
+      '/me/reading-status': {
+        get: operation('read', 'Letters you marked read, skipped, reading or saved for later', {
+          parameters: [
+            { name: 'status', in: 'query', schema: ref('ReadingStatusValue') },
+            ...pageParams
+          ],
+          responses: { 200: json('Reading status entries, most recently updated first', list(ref('ReadingStatusEntry'))), ...errors(400) }
+        })
+      },
+      '/letters': {
+        get: operation('read', 'Published letters you can see, newest first', {
+          parameters: [
+            { name: 'mosaic', in: 'query', description: 'Only letters in this mosaic (slug)', schema: { type: 'string' } },
+            ...pageParams
+          ],
+          responses: { 200: json('Letters', list(ref('Letter'))), ...errors(400, 404) }
+        }),
+        post: operation('letters:write', 'Write a letter. It steeps for 12 hours before publishing.', {
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: ref('LetterInput') } }
+          },
+          responses: { 201: json('The steeping letter', single(ref('Letter'))), ...errors(422, 429) }
+        })
+      },
+      '/letters/{id}': {
+        get: operation('read', 'A letter', {
+          parameters: [letterId],
+          responses: { 200: json('Letter', single(ref('Letter'))), ...errors(404) }
+        })
+      },
+      '/letters/{id}/comments': {
+        get: operation('read', 'Comments on a letter, oldest first', {
+          parameters: [letterId, ...pageParams],
+          responses: { 200: json('Comments', list(ref('Comment'))), ...errors(400, 404) }
+        }),
+        post: operation('comments:write', 'Comment on a letter (one comment per person per letter)', {
+          parameters: [letterId],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['body'], properties: { body: { type: 'string', maxLength: 2000 } } }
+              }
+            }
+          },
+          responses: { 201: json('Comment', single(ref('Comment'))), ...errors(404, 409, 422) }
+        })
+      },
+      '/letters/{id}/resonate': {
+        put: operation('resonates:write', 'Resonate with a letter', {
+          parameters: [letterId],
+          responses: { 200: json('Resonance', single(ref('Resonance'))), ...errors(404, 409) }
+        }),
+        delete: operation('resonates:write', 'Take back a resonate', {
+          parameters: [letterId],
+          responses: { 200: json('Resonance', single(ref('Resonance'))), ...errors(404, 409) }
+        })
+      },
+      '/letters/{id}/reading-status': {
+        put: operation('reading:write', 'Set your reading status for a letter', {
+          parameters: [letterId],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['status'], properties: { status: ref('ReadingStatusValue') } }
+              }
+            }
+          },
+          responses: { 200: json('Reading status', single(ref('ReadingStatus'))), ...errors(404, 409, 422) }
+        }),
+        delete: operation('reading:write', 'Clear your reading status for a letter', {
+          parameters: [letterId],
+          responses: { 200: json('Reading status', single(ref('ReadingStatus'))), ...errors(404) }
+        })
+      },
+      '/mosaics': {
+        get: operation('read', 'All mosaics', {
+          parameters: pageParams,
+          responses: { 200: json('Mosaics', list(ref('Mosaic'))), ...errors(400) }
+        })
+      },
+      '/mosaics/{slug}': {
+        get: operation('read', 'A mosaic', {
+          parameters: [mosaicSlug],
+          responses: { 200: json('Mosaic', single(ref('Mosaic'))), ...errors(404) }
+        })
+      },
+      '/mosaics/{slug}/letters': {
+        get: operation('read', 'Published letters in a mosaic you have access to, newest first', {
+          parameters: [mosaicSlug, ...pageParams],
+          responses: { 200: json('Letters', list(ref('Letter'))), ...errors(400, 404) }
+        })
+      }
+    },
+    components: {
+      securitySchemes: {
+        personalAccessToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: `Personal access token from /profile. Scopes: ${Object.entries(scopes).map(([scope, text]) => `\`${scope}\` (${text})`).join('; ')}.`
+        }
+      },
+      parameters: {
+        Cursor: {
+          name: 'cursor',
+          in: 'query',
+          description: 'next_cursor from the previous page',
+          schema: { type: 'string' }
+        },
+        Limit: {
+          name: 'limit',
+          in: 'query',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        }
+      },
+      responses: {
+        BadRequest: json('Malformed parameter or cursor', ref('Error')),
+        Unauthorized: json('Missing, invalid, expired or revoked token', ref('Error')),
+        Forbidden: json('Token lacks a scope, account suspended or email unconfirmed, or no access to the mosaic', ref('Error')),
+        NotFound: json('No such resource, or you cannot see it', ref('Error')),
+        Conflict: json('The letter is still steeping, or the action was already taken', ref('Error')),
+        ValidationFailed: json('Invalid fields; see details', ref('Error')),
+        TooManyRequests: json('Posting limit reached; see the Retry-After header', ref('Error'))
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', examples: ['not_found', 'insufficient_scope', 'validation_failed'] },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { field: { type: 'string' }, message: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: { next_cursor: { type: ['string', 'null'] } }
+        },
+        Author: {
+          type: 'object',
+          properties: { id: { type: 'integer' }, handle: { type: 'string' } }
+        },
+        MosaicRef: {
+          type: 'object',
+          properties: { id: { type: 'integer' }, name: { type: 'string' }, slug: { type: 'string' } }
+        },
+        Letter: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            body: { type: 'string', description: 'Markdown source' },
+            format: { type: 'string' },
+            author: ref('Author'),
+            created_at: { type: 'string', format: 'date-time' },
+            publish_at: { type: 'string', format: 'date-time' },
+            published: { type: 'boolean', description: 'False while the letter is still steeping' },
+            mosaics: { type: 'array', items: ref('MosaicRef') },
+            resonated: { type: 'boolean' },
+            reading_status: { oneOf: [ref('ReadingStatusValue'), { type: 'null' }] }
+          }
+        },
+        LetterInput: {
+          type: 'object',
+          required: ['title', 'body'],
+          properties: {
+            title: { type: 'string', maxLength: 120 },
+            body: { type: 'string', description: 'Markdown' },
+            mosaic_ids: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'Mosaics that require approval hold the letter until one of their owners approves it'
+            }
+          }
+        },
+        Comment: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            letter_id: { type: 'integer' },
+            body: { type: 'string' },
+            author: ref('Author'),
+            created_at: { type: 'string' },
+            edited_at: { type: ['string', 'null'] },
+            publish_at: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: ['steeping', 'published'],
+              description: 'Steeping comments are only listed for their commenter until publish_at'
+            },
+            reply: {
+              type: ['object', 'null'],
+              description: "The letter author's one reply",
+              properties: {
+                id: { type: 'integer' },
+                body: { type: 'string' },
+                author: ref('Author'),
+                created_at: { type: 'string' },
+                edited_at: { type: ['string', 'null'] }
+              }
+            }
+          }
+        },
+        Resonance: {
+          type: 'object',
+          properties: { letter_id: { type: 'integer' }, resonated: { type: 'boolean' } }
+        },
+        ReadingStatusValue: { type: 'string', enum: ['read', 'skip', 'later', 'reading'] },
+        ReadingStatus: {
+          type: 'object',
+          properties: {
+            letter_id: { type: 'integer' },
+            status: { oneOf: [ref('ReadingStatusValue'), { type: 'null' }] },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ReadingStatusEntry: {
+          type: 'object',
+          properties: {
+            status: ref('ReadingStatusValue'),
+            updated_at: { type: 'string', format: 'date-time' },
+            letter: ref('Letter')
+          }
+        },
+        Mosaic: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            slug: { type: 'string' },
+            short_description: { type: ['string', 'null'] },
+            long_description: { type: ['string', 'null'] },
+            has_access: { type: 'boolean' },
+            following: { type: 'boolean' }
+          }
+        },
+        Profile: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            handle: { type: 'string' },
+            email: { type: 'string' },
+            bio: { type: ['string', 'null'] },
+            avatar_url: { type: ['string', 'null'] },
+            email_verified: { type: 'boolean' },
+            created_at: { type: 'string' }
+          }
+        },
+        ProfileUpdate: {
+          type: 'object',
+          properties: {
+            bio: { type: ['string', 'null'], maxLength: 500 },
+            avatar_url: { type: ['string', 'null'], format: 'uri' }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+};
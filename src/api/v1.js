@@ -0,0 +1,655 @@
+// Versioned JSON API for third-party clients, mounted at /api/v1.
+//
+// Requests authenticate with a personal access token from /profile
+// ("Authorization: Bearer slc_..."), never with the session cookie, so the
+// API is exempt from CSRF checks. Every response uses the same envelope:
+//
+//   { "data": ... }                                  single resource
+//   { "data": [...], "pagination": { "next_cursor" } } lists
+//   { "error": { "code", "message", "details"? } }   failures
+//
+// Lists are keyset-paginated: pass next_cursor back as ?cursor= to continue.
+// The OpenAPI description lives in ./openapi and is served at /api/v1/openapi.json.
+
+const express = require('express');
+const dayjs = require('dayjs');
+const apiTokens = require('../services/apiTokens');
+const notifications = require('../services/notifications');
+const eventTracker = require('../services/eventTracker');
+const { getActiveSuspension } = require('../services/suspensions');
+const { canUserViewLetter, canUserUseTag, letterVisibilityFilter } = require('../services/visibility');
+const { schedulePublish, scheduleCommentPublish } = require('../services/jobs');
+const postingQuota = require('../services/postingQuota');
+const comments = require('../services/comments');
+const submissions = require('../services/submissions');
+const { placeLetter } = require('../services/mosaicModeration');
+const { publishedLetterCondition } = require('../services/feed');
+const { STEEP_HOURS } = require('../services/steep');
+const { detectOptionalColumns } = require('../db/schema');
+const { buildOpenApiDocument } = require('./openapi');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const READING_STATUSES = ['read', 'skip', 'later', 'reading'];
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function sendError(res, status, code, message, details) {
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer realm="slocial"');
+  res.status(status).json({ error: details ? { code, message, details } : { code, message } });
+}
+
+// Error envelope for anything thrown under /api/v1, including body parser
+// failures, which server.js routes here before its HTML error handler
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.code, err.message, err.details);
+  }
+  if (err && err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+  }
+  if (err && err.type === 'entity.too.large') {
+    return sendError(res, 413, 'payload_too_large', 'The request body is too large');
+  }
+  console.error('API error:', err);
+  sendError(res, 500, 'internal_error', 'Something went wrong on our side');
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, length) {
+  if (cursor === undefined || cursor === '') return null;
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === length) return values;
+  } catch (e) {
+    // Fall through to the error below
+  }
+  throw new ApiError(400, 'invalid_cursor', 'The cursor is malformed; pass back next_cursor from a previous page');
+}
+
+function pageSize(req) {
+  if (req.query.limit === undefined) return DEFAULT_PAGE_SIZE;
+  const limit = Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, 'invalid_parameter', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, [
+      { field: 'limit', message: `Must be between 1 and ${MAX_PAGE_SIZE}` }
+    ]);
+  }
+  return limit;
+}
+
+// Walk rows in keyset order, keeping the ones accept() allows, until a page is
+// full. fetch(after, count) returns up to count rows strictly after the key
+// `after` (null for the first page); key(row) gives a row's position.
+function paginate({ fetch, key, accept = () => true, after, limit }) {
+  const items = [];
+  const batch = limit + 1;
+  let position = after;
+
+  while (items.length <= limit) {
+    const rows = fetch(position, batch);
+    for (const row of rows) {
+      position = key(row);
+      if (accept(row)) {
+        items.push(row);
+        if (items.length > limit) break;
+      }
+    }
+    if (rows.length < batch) break;
+  }
+
+  const page = items.slice(0, limit);
+  return {
+    items: page,
+    nextCursor: items.length > limit ? encodeCursor(key(page[page.length - 1])) : null
+  };
+}
+
+function sendList(res, items, nextCursor) {
+  res.json({ data: items, pagination: { next_cursor: nextCursor } });
+}
+
+function validationError(details) {
+  return new ApiError(422, 'validation_failed', 'Some fields are invalid', details);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function buildApiRouter(db, { scheduler, commentSteepHours = comments.DEFAULT_STEEP_HOURS } = {}) {
+  const router = express.Router();
+
+  // Optional columns are added by inline migrations in server.js
+  const columns = detectOptionalColumns(db);
+  const { hasDraftColumn, hasApprovalColumn, hasFormatColumn } = columns;
+
+  const publishedCondition = publishedLetterCondition(columns);
+
+  // Tokens are for third-party clients, so any origin may call the API
+  router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') return res.status(204).end();
+    next();
+  });
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument({ scopes: apiTokens.SCOPES }));
+  });
+
+  function authenticate(req, res, next) {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      throw new ApiError(401, 'unauthorized', 'Send a personal access token as "Authorization: Bearer <token>"');
+    }
+    const auth = apiTokens.authenticateApiToken(db, match[1]);
+    if (!auth) {
+      throw new ApiError(401, 'invalid_token', 'The access token is invalid, expired or revoked');
+    }
+    if (getActiveSuspension(db, auth.userId)) {
+      throw new ApiError(403, 'account_suspended', 'This account is suspended');
+    }
+    req.apiUser = db.prepare('SELECT * FROM users WHERE id = ?').get(auth.userId);
+    req.apiToken = auth;
+    next();
+  }
+
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.apiToken.scopes.includes(scope)) {
+        throw new ApiError(403, 'insufficient_scope', `This token lacks the "${scope}" scope`);
+      }
+      next();
+    };
+  }
+
+  // Mirrors requireVerifiedEmail on the site: local accounts confirm their email before writing
+  function requireVerifiedEmail(req, res, next) {
+    const user = req.apiUser;
+    if (!user.oauth_provider && 'email_verified_at' in user && !user.email_verified_at) {
+      throw new ApiError(403, 'email_unverified', 'Confirm your email address before writing');
+    }
+    next();
+  }
+
+  router.use(authenticate);
+
+  function loadMosaics(letterIds) {
+    const byLetter = new Map(letterIds.map(id => [id, []]));
+    if (letterIds.length === 0) return byLetter;
+    const rows = db.prepare(`
+      SELECT lt.letter_id, t.id, t.name, t.slug
+      FROM letter_tags lt
+      JOIN tags t ON t.id = lt.tag_id
+      WHERE lt.letter_id IN (${letterIds.map(() => '?').join(', ')}) AND t.is_active = 1
+      ORDER BY t.name
+    `).all(...letterIds);
+    for (const row of rows) {
+      byLetter.get(row.letter_id).push({ id: row.id, name: row.name, slug: row.slug });
+    }
+    return byLetter;
+  }
+
+  function serializeLetters(rows) {
+    const mosaics = loadMosaics(rows.map(row => row.id));
+    const now = dayjs().toISOString();
+    return rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      body: row.body,
+      format: row.format || 'standard',
+      author: { id: row.author_id, handle: row.handle },
+      created_at: row.created_at,
+      publish_at: row.publish_at,
+      published: row.is_published === 1 && row.publish_at <= now,
+      mosaics: mosaics.get(row.id),
+      resonated: Boolean(row.did_resonate),
+      reading_status: row.reading_status || null
+    }));
+  }
+
+  function letterRow(id, userId) {
+    return db.prepare(`
+      SELECT l.*, u.handle,
+        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
+        rs.status AS reading_status
+      FROM letters l
+      JOIN users u ON u.id = l.author_id
+      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
+      WHERE l.id = @id ${hasDraftColumn ? 'AND l.is_draft = 0' : ''}
+    `).get({ id, uid: userId });
+  }
+
+  // A letter the caller may read: published and visible to them, or their own
+  function readableLetter(req) {
+    const id = Number(req.params.id);
+    const userId = req.apiUser.id;
+    const row = Number.isInteger(id) ? letterRow(id, userId) : null;
+    if (!row || !canUserViewLetter(db, userId, id)) {
+      throw new ApiError(404, 'not_found', 'Letter not found');
+    }
+    const published = row.is_published === 1 && row.publish_at <= dayjs().toISOString();
+    if (!published && row.author_id !== userId) {
+      throw new ApiError(404, 'not_found', 'Letter not found');
+    }
+    return { row, published };
+  }
+
+  // Interactions (comments, resonates, reading status) need a published letter
+  function publishedLetter(req) {
+    const letter = readableLetter(req);
+    if (!letter.published) {
+      throw new ApiError(409, 'not_published', 'This letter is still steeping');
+    }
+    return letter.row;
+  }
+
+  function listLetters(req, { tagId = null } = {}) {
+    const userId = req.apiUser.id;
+    const now = dayjs().toISOString();
+    const visibility = letterVisibilityFilter(userId);
+    const statement = db.prepare(`
+      SELECT l.*, u.handle,
+        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
+        rs.status AS reading_status
+      FROM letters l
+      JOIN users u ON u.id = l.author_id
+      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
+      WHERE ${publishedCondition}
+        AND ${visibility.sql}
+        ${tagId ? 'AND EXISTS (SELECT 1 FROM letter_tags lt WHERE lt.letter_id = l.id AND lt.tag_id = @tagId)' : ''}
+        AND (@afterAt IS NULL OR l.publish_at < @afterAt OR (l.publish_at = @afterAt AND l.id < @afterId))
+      ORDER BY l.publish_at DESC, l.id DESC
+      LIMIT @count
+    `);
+
+    return paginate({
+      fetch: (after, count) => statement.all({
+        ...visibility.params,
+        uid: userId,
+        now,
+        tagId,
+        afterAt: after ? after[0] : null,
+        afterId: after ? after[1] : null,
+        count
+      }),
+      key: row => [row.publish_at, row.id],
+      after: decodeCursor(req.query.cursor, 2),
+      limit: pageSize(req)
+    });
+  }
+
+  function findMosaic(slug) {
+    const tag = db.prepare('SELECT * FROM tags WHERE slug = ? AND is_active = 1').get(slug);
+    if (!tag) throw new ApiError(404, 'not_found', 'Mosaic not found');
+    return tag;
+  }
+
+  function serializeMosaic(tag, userId) {
+    return {
+      id: tag.id,
+      name: tag.name,
+      slug: tag.slug,
+      short_description: tag.short_description || tag.description || null,
+      long_description: tag.long_description || null,
+      has_access: canUserUseTag(db, userId, tag.id),
+      following: Boolean(db.prepare('SELECT 1 FROM tag_followers WHERE tag_id = ? AND user_id = ?').get(tag.id, userId))
+    };
+  }
+
+  function serializeComment(row) {
+    return {
+      id: row.id,
+      letter_id: row.letter_id,
+      body: row.body,
+      author: { id: row.author_id, handle: row.handle },
+      created_at: row.created_at,
+      edited_at: row.edited_at || null,
+      publish_at: row.publish_at || row.created_at,
+      status: row.is_published === 0 ? 'steeping' : 'published',
+      reply: row.reply_id ? {
+        id: row.reply_id,
+        body: row.reply_body,
+        author: { id: row.reply_author_id, handle: row.reply_handle },
+        created_at: row.reply_created_at,
+        edited_at: row.reply_edited_at || null
+      } : null
+    };
+  }
+
+  // Comments with the letter author's reply flattened in for serializeComment
+  const COMMENT_COLUMNS = `
+    c.*, u.handle,
+    r.id AS reply_id, r.body AS reply_body, r.author_id AS reply_author_id, ru.handle AS reply_handle,
+    r.created_at AS reply_created_at, r.edited_at AS reply_edited_at
+  `;
+  const COMMENT_JOINS = `
+    JOIN users u ON u.id = c.author_id
+    LEFT JOIN comment_replies r ON r.comment_id = c.id
+    LEFT JOIN users ru ON ru.id = r.author_id
+  `;
+
+  // The comment rules live in services/comments; map their codes onto the envelope
+  function commentApiError(error) {
+    if (!(error instanceof comments.CommentError)) return error;
+    if (error.code === 'invalid') return validationError([{ field: 'body', message: error.message }]);
+    const status = { not_found: 404, forbidden: 403 }[error.code] || 409;
+    return new ApiError(status, error.code, error.message);
+  }
+
+  function serializeProfile(user) {
+    return {
+      id: user.id,
+      handle: user.handle,
+      email: user.email,
+      bio: user.bio || null,
+      avatar_url: user.avatar_url || null,
+      email_verified: Boolean(user.oauth_provider || user.email_verified_at),
+      created_at: user.created_at
+    };
+  }
+
+  // Profile
+
+  router.get('/me', requireScope('read'), (req, res) => {
+    res.json({ data: serializeProfile(req.apiUser) });
+  });
+
+  router.patch('/me', requireScope('profile:write'), (req, res) => {
+    const input = req.body || {};
+    const details = [];
+    if (input.bio !== undefined && input.bio !== null && (typeof input.bio !== 'string' || input.bio.length > 500)) {
+      details.push({ field: 'bio', message: 'Bio must be a string under 500 characters' });
+    }
+    if (input.avatar_url !== undefined && input.avatar_url !== null && input.avatar_url !== '' && !isHttpUrl(input.avatar_url)) {
+      details.push({ field: 'avatar_url', message: 'Avatar must be a valid URL' });
+    }
+    if (details.length) throw validationError(details);
+
+    const user = req.apiUser;
+    const bio = input.bio !== undefined ? input.bio || null : user.bio;
+    const avatarUrl = input.avatar_url !== undefined ? input.avatar_url || null : user.avatar_url;
+    db.prepare('UPDATE users SET bio = ?, avatar_url = ? WHERE id = ?').run(bio, avatarUrl, user.id);
+
+    res.json({ data: serializeProfile(db.prepare('SELECT * FROM users WHERE id = ?').get(user.id)) });
+  });
+
+  router.get('/me/reading-status', requireScope('read'), (req, res) => {
+    const userId = req.apiUser.id;
+    const status = req.query.status;
+    if (status !== undefined && !READING_STATUSES.includes(status)) {
+      throw new ApiError(400, 'invalid_parameter', `status must be one of ${READING_STATUSES.join(', ')}`);
+    }
+
+    const statement = db.prepare(`
+      SELECT rs.id AS status_id, rs.status AS reading_status, rs.updated_at AS status_updated_at,
+        l.*, u.handle,
+        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate
+      FROM reading_status rs
+      JOIN letters l ON l.id = rs.letter_id
+      JOIN users u ON u.id = l.author_id
+      WHERE rs.user_id = @uid
+        ${status ? 'AND rs.status = @status' : ''}
+        AND (@afterAt IS NULL OR rs.updated_at < @afterAt OR (rs.updated_at = @afterAt AND rs.id < @afterId))
+      ORDER BY rs.updated_at DESC, rs.id DESC
+      LIMIT @count
+    `);
+
+    const { items, nextCursor } = paginate({
+      fetch: (after, count) => statement.all({
+        uid: userId,
+        status: status || null,
+        afterAt: after ? after[0] : null,
+        afterId: after ? after[1] : null,
+        count
+      }),
+      key: row => [row.status_updated_at, row.status_id],
+      accept: row => canUserViewLetter(db, userId, row.id),
+      after: decodeCursor(req.query.cursor, 2),
+      limit: pageSize(req)
+    });
+
+    const letters = serializeLetters(items);
+    sendList(res, items.map((row, index) => ({
+      status: row.reading_status,
+      updated_at: row.status_updated_at,
+      letter: letters[index]
+    })), nextCursor);
+  });
+
+  // Letters
+
+  router.get('/letters', requireScope('read'), (req, res) => {
+    let tagId = null;
+    if (req.query.mosaic) {
+      const tag = findMosaic(String(req.query.mosaic));
+      if (!canUserUseTag(db, req.apiUser.id, tag.id)) {
+        throw new ApiError(403, 'forbidden', 'You need access to this mosaic to read its letters');
+      }
+      tagId = tag.id;
+    }
+    const { items, nextCursor } = listLetters(req, { tagId });
+    sendList(res, serializeLetters(items), nextCursor);
+  });
+
+  router.get('/letters/:id', requireScope('read'), (req, res) => {
+    const { row } = readableLetter(req);
+    res.json({ data: serializeLetters([row])[0] });
+  });
+
+  router.post('/letters', requireScope('letters:write'), requireVerifiedEmail, (req, res) => {
+    const user = req.apiUser;
+    const input = req.body || {};
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    const body = typeof input.body === 'string' ? input.body : '';
+    const mosaicIds = input.mosaic_ids === undefined ? [] : input.mosaic_ids;
+
+    const details = [];
+    if (!title || title.length > 120) details.push({ field: 'title', message: 'Title must be 1-120 characters' });
+    if (!body || body.length > 5000000) details.push({ field: 'body', message: 'Body must not be empty' });
+    if (!Array.isArray(mosaicIds) || !mosaicIds.every(Number.isInteger)) {
+      details.push({ field: 'mosaic_ids', message: 'mosaic_ids must be an array of mosaic ids' });
+    } else {
+      for (const tagId of mosaicIds) {
+        const tag = db.prepare('SELECT id FROM tags WHERE id = ? AND is_active = 1').get(tagId);
+        if (!tag || !canUserUseTag(db, user.id, tagId)) {
+          details.push({ field: 'mosaic_ids', message: `You can't post to mosaic ${tagId}` });
+        }
+      }
+    }
+    if (details.length) throw validationError(details);
+
+    const quota = postingQuota.checkQuota(db, { userId: user.id, tagIds: mosaicIds });
+    if (!quota.allowed) {
+      res.set('Retry-After', String(Math.max(1, dayjs(quota.nextSlotAt).diff(dayjs(), 'second'))));
+      throw new ApiError(429, 'posting_limit', postingQuota.limitMessage(quota), [
+        { field: 'created_at', message: `You can write again after ${quota.nextSlotAt}` }
+      ]);
+    }
+
+    const now = dayjs();
+    const publishAt = now.add(STEEP_HOURS, 'hour').toISOString();
+    const needsApproval = hasApprovalColumn && user.is_slocialite === 1;
+    const columns = ['author_id', 'title', 'body', 'publish_at', 'created_at', 'is_published'];
+    const values = [user.id, title, body, publishAt, now.toISOString(), 0];
+    if (hasFormatColumn) {
+      columns.push('format');
+      values.push('standard');
+    }
+    if (needsApproval) {
+      columns.push('approval_status');
+      values.push('pending');
+    }
+
+    const letterId = db.transaction(() => {
+      const id = db.prepare(`
+        INSERT INTO letters (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      `).run(...values).lastInsertRowid;
+      for (const tagId of mosaicIds) placeLetter(db, { letterId: id, tagId, userId: user.id, now: now.toDate() });
+      if (needsApproval) submissions.openRound(db, { letterId: id, now: now.toDate() });
+      return id;
+    })();
+
+    schedulePublish(scheduler, letterId, publishAt);
+    eventTracker.track('letter_create', {
+      userId: user.id,
+      letterId,
+      metadata: { title: title.slice(0, 50), wordCount: body.split(/\s+/).length, needsApproval, via: 'api' }
+    });
+
+    res.status(201).json({ data: serializeLetters([letterRow(letterId, user.id)])[0] });
+  });
+
+  // Comments
+
+  router.get('/letters/:id/comments', requireScope('read'), (req, res) => {
+    const { row: letter } = readableLetter(req);
+    const statement = db.prepare(`
+      SELECT ${COMMENT_COLUMNS} FROM comments c
+      ${COMMENT_JOINS}
+      WHERE c.letter_id = @letterId AND c.id > @afterId
+        AND (c.is_published = 1 OR c.author_id = @viewerId)
+      ORDER BY c.id
+      LIMIT @count
+    `);
+    const { items, nextCursor } = paginate({
+      fetch: (after, count) => statement.all({ letterId: letter.id, afterId: after ? after[0] : 0, count, viewerId: req.apiUser.id }),
+      key: row => [row.id],
+      after: decodeCursor(req.query.cursor, 1),
+      limit: pageSize(req)
+    });
+    sendList(res, items.map(serializeComment), nextCursor);
+  });
+
+  router.post('/letters/:id/comments', requireScope('comments:write'), requireVerifiedEmail, (req, res) => {
+    const letter = publishedLetter(req);
+    const userId = req.apiUser.id;
+    let result;
+    try {
+      result = comments.addComment(db, { letterId: letter.id, userId, body: req.body?.body, steepHours: commentSteepHours });
+    } catch (error) {
+      throw commentApiError(error);
+    }
+    const { commentId, publishAt, published } = result;
+    if (!published) scheduleCommentPublish(scheduler, commentId, publishAt);
+    const comment = db.prepare(`SELECT ${COMMENT_COLUMNS} FROM comments c ${COMMENT_JOINS} WHERE c.id = ?`).get(commentId);
+    eventTracker.track('comment', {
+      userId,
+      letterId: letter.id,
+      metadata: { commentId, length: comment.body.length, steeping: !published, via: 'api' }
+    });
+
+    res.status(201).json({ data: serializeComment(comment) });
+  });
+
+  // Resonates
+
+  router.put('/letters/:id/resonate', requireScope('resonates:write'), (req, res) => {
+    const letter = publishedLetter(req);
+    const userId = req.apiUser.id;
+    const info = db.prepare('INSERT OR IGNORE INTO resonates (letter_id, user_id) VALUES (?, ?)').run(letter.id, userId);
+    if (info.changes) {
+      notifications.notify(db, { userId: letter.author_id, type: 'resonate', actorId: userId, letterId: letter.id });
+      eventTracker.track('resonate', { userId, letterId: letter.id, metadata: { action: 'add', via: 'api' } });
+    }
+    res.json({ data: { letter_id: letter.id, resonated: true } });
+  });
+
+  router.delete('/letters/:id/resonate', requireScope('resonates:write'), (req, res) => {
+    const letter = publishedLetter(req);
+    const userId = req.apiUser.id;
+    const info = db.prepare('DELETE FROM resonates WHERE letter_id = ? AND user_id = ?').run(letter.id, userId);
+    if (info.changes) {
+      notifications.retract(db, { userId: letter.author_id, type: 'resonate', actorId: userId, letterId: letter.id });
+    }
+    res.json({ data: { letter_id: letter.id, resonated: false } });
+  });
+
+  // Reading status
+
+  router.put('/letters/:id/reading-status', requireScope('reading:write'), (req, res) => {
+    const letter = publishedLetter(req);
+    const status = req.body?.status;
+    if (!READING_STATUSES.includes(status)) {
+      throw validationError([{ field: 'status', message: `Must be one of ${READING_STATUSES.join(', ')}` }]);
+    }
+
+    const userId = req.apiUser.id;
+    const now = dayjs().toISOString();
+    db.prepare(`
+      INSERT INTO reading_status (user_id, letter_id, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, letter_id)
+      DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at
+    `).run(userId, letter.id, status, now, now);
+    eventTracker.track('reading_status', { userId, letterId: letter.id, metadata: { status, via: 'api' } });
+
+    res.json({ data: { letter_id: letter.id, status, updated_at: now } });
+  });
+
+  router.delete('/letters/:id/reading-status', requireScope('reading:write'), (req, res) => {
+    const letter = readableLetter(req).row;
+    db.prepare('DELETE FROM reading_status WHERE user_id = ? AND letter_id = ?').run(req.apiUser.id, letter.id);
+    res.json({ data: { letter_id: letter.id, status: null } });
+  });
+
+  // Mosaics
+
+  router.get('/mosaics', requireScope('read'), (req, res) => {
+    const statement = db.prepare(`
+      SELECT * FROM tags WHERE is_active = 1 AND id > @afterId ORDER BY id LIMIT @count
+    `);
+    const { items, nextCursor } = paginate({
+      fetch: (after, count) => statement.all({ afterId: after ? after[0] : 0, count }),
+      key: row => [row.id],
+      after: decodeCursor(req.query.cursor, 1),
+      limit: pageSize(req)
+    });
+    sendList(res, items.map(tag => serializeMosaic(tag, req.apiUser.id)), nextCursor);
+  });
+
+  router.get('/mosaics/:slug', requireScope('read'), (req, res) => {
+    res.json({ data: serializeMosaic(findMosaic(req.params.slug), req.apiUser.id) });
+  });
+
+  router.get('/mosaics/:slug/letters', requireScope('read'), (req, res) => {
+    const tag = findMosaic(req.params.slug);
+    if (!canUserUseTag(db, req.apiUser.id, tag.id)) {
+      throw new ApiError(403, 'forbidden', 'You need access to this mosaic to read its letters');
+    }
+    const { items, nextCursor } = listLetters(req, { tagId: tag.id });
+    sendList(res, serializeLetters(items), nextCursor);
+  });
+
+  router.use((req, res) => {
+    sendError(res, 404, 'not_found', `No API endpoint for ${req.method} ${req.baseUrl}${req.path}`);
+  });
+
+  router.use(errorHandler);
+
+  return router;
+}
+
+module.exports = {
+  buildApiRouter,
+  errorHandler,
+  ApiError,
+};
@@ -4,9 +4,19 @@ const AppleStrategy = require('passport-apple');
 const Database = require('better-sqlite3');
 const jwt = require('jsonwebtoken');
 const path = require('path');
+const { getActiveSuspension, describeSuspension } = require('../services/suspensions');
 
 const dbFile = process.env.SQLITE_FILE || path.join(__dirname, '../db/slocial.db');
 
+// Suspended accounts fail authentication; routes read suspendedUserId to show the appeal page
+function rejectIfSuspended(db, user, done) {
+  const suspension = getActiveSuspension(db, user.id);
+  if (!suspension) return false;
+  db.close();
+  done(null, false, { message: describeSuspension(suspension), suspendedUserId: user.id });
+  return true;
+}
+
 // Serialize user for session
 passport.serializeUser((user, done) => {
   done(null, user.id);
@@ -93,6 +103,7 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
         }
       }
       
+      if (rejectIfSuspended(db, user, done)) return;
       db.close();
       return done(null, user);
     } catch (error) {
@@ -211,6 +222,7 @@ if (process.env.APPLE_SERVICE_ID && process.env.APPLE_TEAM_ID && process.env.APP
           .get('apple', String(appleId));
         if (existingUser) {
           console.log('Found existing Apple user by ID:', existingUser.email);
+          if (rejectIfSuspended(db, existingUser, done)) return;
           db.close();
           return done(null, existingUser);
         }
@@ -273,6 +285,7 @@ if (process.env.APPLE_SERVICE_ID && process.env.APPLE_TEAM_ID && process.env.APP
         }
       }
       
+      if (rejectIfSuspended(db, user, done)) return;
       db.close();
       return done(null, user);
     } catch (error) {
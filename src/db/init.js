@@ -17,6 +17,10 @@ function initializeDatabase() {
       oauth_provider TEXT,
       oauth_id TEXT,
       is_admin INTEGER NOT NULL DEFAULT 0,
+      email_verified_at TEXT,
+      password_changed_at TEXT,
+      session_version INTEGER NOT NULL DEFAULT 0,
+      timezone TEXT,
       created_at TEXT NOT NULL DEFAULT (datetime('now')),
       UNIQUE(oauth_provider, oauth_id)
     );
@@ -41,6 +45,9 @@ function initializeDatabase() {
       author_id INTEGER NOT NULL,
       body TEXT NOT NULL,
       created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      edited_at TEXT,
+      publish_at TEXT,
+      is_published INTEGER NOT NULL DEFAULT 1,
       UNIQUE(letter_id, author_id),
       FOREIGN KEY(letter_id) REFERENCES letters(id),
       FOREIGN KEY(author_id) REFERENCES users(id)
@@ -130,16 +137,32 @@ function initializeDatabase() {
       requested_at TEXT NOT NULL DEFAULT (datetime('now')),
       responded_at TEXT,
       responded_by INTEGER,
+      invited_by INTEGER,
       FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (responded_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
       UNIQUE(channel_id, user_id)
     );
     
+    CREATE TABLE IF NOT EXISTS channel_letters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel_id INTEGER NOT NULL,
+      letter_id INTEGER NOT NULL,
+      added_by INTEGER NOT NULL,
+      added_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
+      FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE,
+      FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(channel_id, letter_id)
+    );
+    
     CREATE INDEX IF NOT EXISTS idx_channels_approved ON channels(is_approved, created_at DESC);
     CREATE INDEX IF NOT EXISTS idx_channel_members_user ON channel_members(user_id);
     CREATE INDEX IF NOT EXISTS idx_channel_members_channel ON channel_members(channel_id);
     CREATE INDEX IF NOT EXISTS idx_channel_invites_status ON channel_invites(status, requested_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_channel_letters_channel ON channel_letters(channel_id, added_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_channel_letters_letter ON channel_letters(letter_id);
     
     CREATE TABLE IF NOT EXISTS sorts (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -186,6 +209,7 @@ function initializeDatabase() {
       is_public INTEGER NOT NULL DEFAULT 1,
       is_active INTEGER NOT NULL DEFAULT 1,
       auto_approve INTEGER NOT NULL DEFAULT 0,
+      requires_approval INTEGER NOT NULL DEFAULT 0,
       usage_count INTEGER NOT NULL DEFAULT 0,
       created_at TEXT NOT NULL DEFAULT (datetime('now')),
       updated_at TEXT NOT NULL DEFAULT (datetime('now')),
@@ -223,9 +247,12 @@ function initializeDatabase() {
       tag_id INTEGER NOT NULL,
       added_by INTEGER NOT NULL,
       added_at TEXT NOT NULL DEFAULT (datetime('now')),
+      pinned_at TEXT,
+      pinned_by INTEGER,
       FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE,
       FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
       FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (pinned_by) REFERENCES users(id) ON DELETE SET NULL,
       UNIQUE(letter_id, tag_id)
     );
     
@@ -306,11 +333,367 @@ function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_tag_access_requests_user ON tag_access_requests(user_id);
     CREATE INDEX IF NOT EXISTS idx_tag_access_requests_status ON tag_access_requests(status);
     CREATE INDEX IF NOT EXISTS idx_tag_access_requests_date ON tag_access_requests(requested_at DESC);
+    
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      payload TEXT,
+      run_at TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'running', 'completed', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      interval_ms INTEGER,
+      unique_key TEXT UNIQUE,
+      last_error TEXT,
+      locked_at TEXT,
+      completed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(status, run_at);
+    
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER,
+      name TEXT NOT NULL,
+      attempt INTEGER NOT NULL DEFAULT 1,
+      status TEXT NOT NULL CHECK(status IN ('succeeded', 'failed')),
+      error TEXT,
+      result TEXT,
+      started_at TEXT NOT NULL,
+      finished_at TEXT NOT NULL,
+      FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE SET NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_id);
+    CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(started_at DESC);
+    
+    CREATE TABLE IF NOT EXISTS request_nonces (
+      nonce TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_request_nonces_created ON request_nonces(created_at);
+    
+    CREATE TABLE IF NOT EXISTS user_suspensions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      suspended_by INTEGER,
+      suspended_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT,
+      appeal_note TEXT,
+      appealed_at TEXT,
+      lifted_at TEXT,
+      lifted_by INTEGER,
+      lift_reason TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (suspended_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (lifted_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_user_suspensions_user ON user_suspensions(user_id, lifted_at);
+
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      actor_id INTEGER,
+      letter_id INTEGER,
+      tag_id INTEGER,
+      data TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      delivered_at TEXT,
+      read_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, delivered_at, read_at);
+
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      PRIMARY KEY (user_id, type),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, purpose);
+
+    CREATE TABLE IF NOT EXISTS email_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      to_address TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      html TEXT NOT NULL,
+      text TEXT NOT NULL,
+      template TEXT,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      last_error TEXT,
+      message_id TEXT,
+      send_after TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      sent_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, send_after);
+
+    CREATE TABLE IF NOT EXISTS digests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      period_start TEXT NOT NULL,
+      period_end TEXT NOT NULL,
+      letter_ids TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      emailed_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_digests_user ON digests(user_id, period_end DESC);
+
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT,
+      revoked_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+    CREATE TABLE IF NOT EXISTS letter_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      letter_id INTEGER NOT NULL,
+      revision_number INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      tags TEXT NOT NULL DEFAULT '[]',
+      publish_at TEXT NOT NULL,
+      edited_by INTEGER,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE,
+      FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(letter_id, revision_number)
+    );
+
+    CREATE TABLE IF NOT EXISTS letter_tombstones (
+      letter_id INTEGER PRIMARY KEY,
+      author_id INTEGER NOT NULL,
+      published_at TEXT,
+      deleted_by INTEGER,
+      deleted_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS draft_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      letter_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      saved_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_draft_snapshots_letter ON draft_snapshots(letter_id, id DESC);
+
+    CREATE TABLE IF NOT EXISTS comment_replies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      comment_id INTEGER NOT NULL UNIQUE,
+      author_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      edited_at TEXT,
+      FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Either a role's quota or a mosaic's; max_letters NULL means no limit
+    CREATE TABLE IF NOT EXISTS posting_quotas (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      role TEXT UNIQUE,
+      tag_id INTEGER UNIQUE,
+      window_hours INTEGER NOT NULL,
+      max_letters INTEGER,
+      updated_by INTEGER,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      CHECK ((role IS NULL) != (tag_id IS NULL)),
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- One row per trip a letter makes through review: what the author sent
+    -- and, once an admin decides, the decision and reason
+    CREATE TABLE IF NOT EXISTS letter_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      letter_id INTEGER NOT NULL,
+      round INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      submitted_at TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+      reviewer_id INTEGER,
+      reason TEXT,
+      reviewed_at TEXT,
+      FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(letter_id, round)
+    );
+
+    -- Letters tagged into a mosaic that requires approval wait here until one of
+    -- its owners lets them in (a letter_tags row) or declines them
+    CREATE TABLE IF NOT EXISTS letter_tag_approvals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      letter_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      submitted_by INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+      reviewed_by INTEGER,
+      reviewed_at TEXT,
+      reason TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+      FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(letter_id, tag_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_letter_tag_approvals_tag ON letter_tag_approvals(tag_id, status);
+
+    -- Reader reports on a letter or comment. No foreign key to the target so
+    -- the report (and its audit trail) outlives a deleted letter or comment.
+    CREATE TABLE IF NOT EXISTS reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      target_type TEXT NOT NULL CHECK (target_type IN ('letter', 'comment')),
+      target_id INTEGER NOT NULL,
+      letter_id INTEGER NOT NULL,
+      reporter_id INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      details TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'reviewing', 'actioned', 'dismissed')),
+      resolved_by INTEGER,
+      resolved_at TEXT,
+      resolution_note TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(target_type, target_id, reporter_id),
+      FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+
+    -- Audit log of everything admins and mosaic owners do; target_type is
+    -- letter, comment, user, channel, sort, quota or tag
+    CREATE TABLE IF NOT EXISTS moderation_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER,
+      action TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id INTEGER,
+      reason TEXT,
+      details TEXT,
+      report_id INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_moderation_actions_created ON moderation_actions(created_at);
+    CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(target_type, target_id);
   `);
 
+  initializeSearchIndex(db);
+
   return db;
 }
 
+// FTS5 indexes for /search. They are external-content tables kept in sync by
+// triggers; a freshly created index is rebuilt from the existing rows.
+function initializeSearchIndex(db) {
+  const existing = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'letters_fts'").get();
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS letters_fts USING fts5(
+      title, body, content='letters', content_rowid='id', tokenize='porter unicode61'
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS comments_fts USING fts5(
+      body, content='comments', content_rowid='id', tokenize='porter unicode61'
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS tags_fts USING fts5(
+      name, description, short_description, long_description,
+      content='tags', content_rowid='id', tokenize='porter unicode61'
+    );
+    
+    CREATE TRIGGER IF NOT EXISTS letters_fts_insert AFTER INSERT ON letters BEGIN
+      INSERT INTO letters_fts(rowid, title, body) VALUES (new.id, new.title, new.body);
+    END;
+    CREATE TRIGGER IF NOT EXISTS letters_fts_delete AFTER DELETE ON letters BEGIN
+      INSERT INTO letters_fts(letters_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+    END;
+    CREATE TRIGGER IF NOT EXISTS letters_fts_update AFTER UPDATE OF title, body ON letters BEGIN
+      INSERT INTO letters_fts(letters_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+      INSERT INTO letters_fts(rowid, title, body) VALUES (new.id, new.title, new.body);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS comments_fts_insert AFTER INSERT ON comments BEGIN
+      INSERT INTO comments_fts(rowid, body) VALUES (new.id, new.body);
+    END;
+    CREATE TRIGGER IF NOT EXISTS comments_fts_delete AFTER DELETE ON comments BEGIN
+      INSERT INTO comments_fts(comments_fts, rowid, body) VALUES ('delete', old.id, old.body);
+    END;
+    CREATE TRIGGER IF NOT EXISTS comments_fts_update AFTER UPDATE OF body ON comments BEGIN
+      INSERT INTO comments_fts(comments_fts, rowid, body) VALUES ('delete', old.id, old.body);
+      INSERT INTO comments_fts(rowid, body) VALUES (new.id, new.body);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS tags_fts_insert AFTER INSERT ON tags BEGIN
+      INSERT INTO tags_fts(rowid, name, description, short_description, long_description)
+      VALUES (new.id, new.name, new.description, new.short_description, new.long_description);
+    END;
+    CREATE TRIGGER IF NOT EXISTS tags_fts_delete AFTER DELETE ON tags BEGIN
+      INSERT INTO tags_fts(tags_fts, rowid, name, description, short_description, long_description)
+      VALUES ('delete', old.id, old.name, old.description, old.short_description, old.long_description);
+    END;
+    CREATE TRIGGER IF NOT EXISTS tags_fts_update AFTER UPDATE OF name, description, short_description, long_description ON tags BEGIN
+      INSERT INTO tags_fts(tags_fts, rowid, name, description, short_description, long_description)
+      VALUES ('delete', old.id, old.name, old.description, old.short_description, old.long_description);
+      INSERT INTO tags_fts(rowid, name, description, short_description, long_description)
+      VALUES (new.id, new.name, new.description, new.short_description, new.long_description);
+    END;
+  `);
+
+  if (!existing) {
+    db.exec(`
+      INSERT INTO letters_fts(letters_fts) VALUES ('rebuild');
+      INSERT INTO comments_fts(comments_fts) VALUES ('rebuild');
+      INSERT INTO tags_fts(tags_fts) VALUES ('rebuild');
+    `);
+  }
+}
+
 module.exports = {
   initializeDatabase,
 };
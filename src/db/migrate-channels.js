@@ -0,0 +1,35 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+// Invites and join requests share channel_invites; invited_by tells them apart
+const columns = db.prepare("PRAGMA table_info(channel_invites)").all();
+const hasInvitedBy = columns.some(col => col.name === 'invited_by');
+
+if (columns.length > 0 && !hasInvitedBy) {
+  console.log('Adding invited_by column to channel_invites table...');
+  db.prepare('ALTER TABLE channel_invites ADD COLUMN invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL').run();
+}
+
+// Letters posted into a channel
+db.exec(`
+  CREATE TABLE IF NOT EXISTS channel_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel_id INTEGER NOT NULL,
+    letter_id INTEGER NOT NULL,
+    added_by INTEGER NOT NULL,
+    added_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
+    FOREIGN KEY (letter_id) REFERENCES letters(id) ON DELETE CASCADE,
+    FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(channel_id, letter_id)
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_channel_letters_channel ON channel_letters(channel_id, added_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_channel_letters_letter ON channel_letters(letter_id);
+`);
+
+console.log('Channels migration complete!');
+db.close();
@@ -0,0 +1,17 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+const columns = db.prepare("PRAGMA table_info(comments)").all();
+const hasEditedAt = columns.some(col => col.name === 'edited_at');
+
+// Set when a comment is reworded during its edit window
+if (columns.length > 0 && !hasEditedAt) {
+  console.log('Adding edited_at column to comments table...');
+  db.prepare('ALTER TABLE comments ADD COLUMN edited_at TEXT').run();
+}
+
+console.log('Comment edits migration complete!');
+db.close();
@@ -0,0 +1,21 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+const columns = db.prepare("PRAGMA table_info(comments)").all();
+
+// Comments steep before they are shown; the ones already posted stay published
+if (columns.length > 0 && !columns.some(col => col.name === 'publish_at')) {
+  console.log('Adding publish_at column to comments table...');
+  db.prepare('ALTER TABLE comments ADD COLUMN publish_at TEXT').run();
+  db.prepare('UPDATE comments SET publish_at = created_at').run();
+}
+if (columns.length > 0 && !columns.some(col => col.name === 'is_published')) {
+  console.log('Adding is_published column to comments table...');
+  db.prepare('ALTER TABLE comments ADD COLUMN is_published INTEGER NOT NULL DEFAULT 1').run();
+}
+
+console.log('Comment steep migration complete!');
+db.close();
@@ -0,0 +1,20 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+const columns = db.prepare("PRAGMA table_info(users)").all();
+const hasVerifiedAt = columns.some(col => col.name === 'email_verified_at');
+
+if (columns.length > 0 && !hasVerifiedAt) {
+  console.log('Adding email_verified_at column to users table...');
+  db.prepare('ALTER TABLE users ADD COLUMN email_verified_at TEXT').run();
+
+  // Accounts created before verification existed are grandfathered in
+  const info = db.prepare('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL').run();
+  console.log(`Marked ${info.changes} existing users as verified`);
+}
+
+console.log('Email verification migration complete!');
+db.close();
@@ -0,0 +1,34 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const { convertLegacyDrafts } = require('../services/drafts');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+const columns = db.prepare("PRAGMA table_info(letters)").all();
+
+// This runs on every boot but must convert only once: a letter written later
+// can carry the legacy draft signature without being a draft. A marker row
+// records that the conversion has happened.
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS data_migrations (
+    name TEXT PRIMARY KEY,
+    ran_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`).run();
+const alreadyRan = db.prepare("SELECT 1 FROM data_migrations WHERE name = 'legacy-drafts'").get();
+
+// Drafts used to be unpublished letters with a far-future publish_at. Run
+// after migrate-drafts.js, which adds is_draft and last_saved_at.
+if (alreadyRan) {
+  console.log('Legacy drafts were already converted');
+} else if (columns.some(col => col.name === 'is_draft') && columns.some(col => col.name === 'last_saved_at')) {
+  db.transaction(() => {
+    const { converted, unpublished } = convertLegacyDrafts(db);
+    db.prepare("INSERT INTO data_migrations (name) VALUES ('legacy-drafts')").run();
+    console.log(`Moved ${converted} legacy drafts onto is_draft, pulled back ${unpublished} published drafts`);
+  })();
+}
+
+console.log('Legacy draft migration complete!');
+db.close();
@@ -0,0 +1,25 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+// Mosaic owners can pin letters and make letters wait for their approval
+const tagColumns = db.prepare("PRAGMA table_info(tags)").all();
+if (tagColumns.length > 0 && !tagColumns.some(col => col.name === 'requires_approval')) {
+  console.log('Adding requires_approval column to tags table...');
+  db.prepare('ALTER TABLE tags ADD COLUMN requires_approval INTEGER NOT NULL DEFAULT 0').run();
+}
+
+const letterTagColumns = db.prepare("PRAGMA table_info(letter_tags)").all();
+if (letterTagColumns.length > 0 && !letterTagColumns.some(col => col.name === 'pinned_at')) {
+  console.log('Adding pinned_at column to letter_tags table...');
+  db.prepare('ALTER TABLE letter_tags ADD COLUMN pinned_at TEXT').run();
+}
+if (letterTagColumns.length > 0 && !letterTagColumns.some(col => col.name === 'pinned_by')) {
+  console.log('Adding pinned_by column to letter_tags table...');
+  db.prepare('ALTER TABLE letter_tags ADD COLUMN pinned_by INTEGER REFERENCES users(id) ON DELETE SET NULL').run();
+}
+
+console.log('Mosaic moderation migration complete!');
+db.close();
@@ -0,0 +1,23 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+const columns = db.prepare("PRAGMA table_info(users)").all();
+const hasPasswordChangedAt = columns.some(col => col.name === 'password_changed_at');
+const hasSessionVersion = columns.some(col => col.name === 'session_version');
+
+if (columns.length > 0 && !hasPasswordChangedAt) {
+  console.log('Adding password_changed_at column to users table...');
+  db.prepare('ALTER TABLE users ADD COLUMN password_changed_at TEXT').run();
+}
+
+// Bumped on password changes; sessions holding an older version are signed out
+if (columns.length > 0 && !hasSessionVersion) {
+  console.log('Adding session_version column to users table...');
+  db.prepare('ALTER TABLE users ADD COLUMN session_version INTEGER NOT NULL DEFAULT 0').run();
+}
+
+console.log('Passwords migration complete!');
+db.close();
@@ -0,0 +1,57 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+console.log('Running suspensions migration...');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS user_suspensions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    suspended_by INTEGER,
+    suspended_at TEXT NOT NULL DEFAULT (datetime('now')),
+    expires_at TEXT,
+    appeal_note TEXT,
+    appealed_at TEXT,
+    lifted_at TEXT,
+    lifted_by INTEGER,
+    lift_reason TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (suspended_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (lifted_by) REFERENCES users(id) ON DELETE SET NULL
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_user_suspensions_user ON user_suspensions(user_id, lifted_at);
+`);
+
+// Legacy bans appended "_banned_<timestamp>" to the email. Turn them into
+// permanent suspensions and restore the original address when it is free.
+const banned = db.prepare("SELECT id, email FROM users WHERE email LIKE '%\\_banned\\_%' ESCAPE '\\'").all();
+
+const convert = db.transaction(() => {
+  for (const user of banned) {
+    const match = user.email.match(/^(.*)_banned_(\d+)$/);
+    if (!match) continue;
+    
+    const [, originalEmail, bannedAt] = match;
+    const taken = db.prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(originalEmail, user.id);
+    if (!taken) {
+      db.prepare('UPDATE users SET email = ? WHERE id = ?').run(originalEmail, user.id);
+    }
+    
+    db.prepare(`
+      INSERT INTO user_suspensions (user_id, reason, suspended_at)
+      VALUES (?, 'Banned before suspensions were tracked', ?)
+    `).run(user.id, new Date(Number(bannedAt)).toISOString());
+    
+    console.log(`✓ Converted legacy ban for user ${user.id}`);
+  }
+});
+
+convert();
+
+console.log('Suspensions migration complete!');
+db.close();
@@ -0,0 +1,17 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const dbFile = process.env.SQLITE_FILE || path.join(__dirname, 'slocial.db');
+const db = new Database(dbFile);
+
+const columns = db.prepare("PRAGMA table_info(users)").all();
+const hasTimezone = columns.some(col => col.name === 'timezone');
+
+// IANA zone name used to show and pick scheduled publish times; NULL means the browser's
+if (columns.length > 0 && !hasTimezone) {
+  console.log('Adding timezone column to users table...');
+  db.prepare('ALTER TABLE users ADD COLUMN timezone TEXT').run();
+}
+
+console.log('Timezone migration complete!');
+db.close();
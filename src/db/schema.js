@@ -0,0 +1,54 @@
+// Optional columns added to letters and users after launch, by
+// migrateOptionalColumns at startup rather than by init.js. Detect them once
+// when the routers are built instead of running PRAGMA table_info on every
+// request; server.js migrates before building.
+
+function columnNames(db, table) {
+  try {
+    return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  } catch (e) {
+    console.error(`Error checking columns of ${table}:`, e);
+    return [];
+  }
+}
+
+function detectOptionalColumns(db) {
+  const letterColumns = columnNames(db, 'letters');
+  const userColumns = columnNames(db, 'users');
+  return {
+    hasDraftColumn: letterColumns.includes('is_draft'),
+    hasApprovalColumn: letterColumns.includes('approval_status'),
+    hasFormatColumn: letterColumns.includes('format'),
+    hasSlocialiteColumn: userColumns.includes('is_slocialite')
+  };
+}
+
+const OPTIONAL_COLUMNS = [
+  ['letters', 'is_draft', 'INTEGER NOT NULL DEFAULT 0'],
+  ['letters', 'last_saved_at', 'TEXT'],
+  ['users', 'is_slocialite', 'INTEGER NOT NULL DEFAULT 0'],
+  ['letters', 'approval_status', "TEXT NOT NULL DEFAULT 'approved' CHECK(approval_status IN ('pending', 'approved', 'rejected'))"],
+  ['letters', 'approved_by', 'INTEGER REFERENCES users(id)'],
+  ['letters', 'approved_at', 'TEXT'],
+  ['letters', 'rejection_reason', 'TEXT'],
+  ['letters', 'format', "TEXT DEFAULT 'standard'"],
+];
+
+// Add whichever optional columns and their indexes are missing. Returns the
+// columns it added as "table.column".
+function migrateOptionalColumns(db) {
+  const added = [];
+  for (const [table, column, definition] of OPTIONAL_COLUMNS) {
+    if (columnNames(db, table).includes(column)) continue;
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    added.push(`${table}.${column}`);
+  }
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_letters_drafts ON letters(author_id, is_draft, created_at DESC)').run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_letters_moderation ON letters(approval_status, created_at DESC)').run();
+  return added;
+}
+
+module.exports = {
+  detectOptionalColumns,
+  migrateOptionalColumns,
+};
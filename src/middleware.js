@@ -3,6 +3,7 @@ const morgan = require('morgan');
 const csrf = require('csurf');
 const express = require('express');
 const cookieParser = require('cookie-parser');
+const { getActiveSuspension } = require('./services/suspensions');
 
 function baseMiddleware(app) {
   app.use(helmet({
@@ -19,9 +20,50 @@ function csrfProtection() {
   return csrf();
 }
 
+// Ends live sessions of suspended accounts. The user id is kept in
+// session.suspendedUserId so /suspended can explain why and accept an appeal.
+function suspensionGuard(db) {
+  return (req, res, next) => {
+    const userId = req.session?.user?.id;
+    if (!userId || !getActiveSuspension(db, userId)) return next();
+
+    delete req.session.user;
+    if (req.session.passport) delete req.session.passport;
+    req.session.suspendedUserId = userId;
+
+    if (req.path.startsWith('/api/') || req.xhr) {
+      return res.status(403).json({ error: 'account_suspended' });
+    }
+    if (req.path === '/suspended') return next();
+    res.redirect('/suspended');
+  };
+}
+
+// Signs out sessions created before the account's last password change. Each
+// login records users.session_version in session.user; a change bumps it.
+function sessionVersionGuard(db) {
+  return (req, res, next) => {
+    const sessionUser = req.session?.user;
+    if (!sessionUser) return next();
+
+    const row = db.prepare('SELECT session_version FROM users WHERE id = ?').get(sessionUser.id);
+    if (row && row.session_version === (sessionUser.session_version || 0)) return next();
+
+    delete req.session.user;
+    if (req.session.passport) delete req.session.passport;
+
+    if (req.path.startsWith('/api/') || req.xhr) {
+      return res.status(401).json({ error: 'session_expired' });
+    }
+    res.redirect('/login?message=' + encodeURIComponent('You were signed out because your password changed. Please sign in again.'));
+  };
+}
+
 module.exports = {
   baseMiddleware,
   csrfProtection,
+  suspensionGuard,
+  sessionVersionGuard,
 };
 
 
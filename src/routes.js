@@ -2,10 +2,34 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const { body, validationResult } = require('express-validator');
 const dayjs = require('dayjs');
+const relativeTime = require('dayjs/plugin/relativeTime');
 const { marked } = require('marked');
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
 const eventTracker = require('./services/eventTracker');
+const { schedulePublish, scheduleCommentPublish, queueEmailDelivery } = require('./services/jobs');
+const { verifySignedRequest } = require('./services/signedRequest');
+const searchService = require('./services/search');
+const suspensions = require('./services/suspensions');
+const notifications = require('./services/notifications');
+const tokens = require('./services/tokens');
+const passwords = require('./services/passwords');
+const visibility = require('./services/visibility');
+const digest = require('./services/digest');
+const apiTokens = require('./services/apiTokens');
+const revisions = require('./services/revisions');
+const letterLifecycle = require('./services/letterLifecycle');
+const drafts = require('./services/drafts');
+const scheduling = require('./services/scheduling');
+const postingQuota = require('./services/postingQuota');
+const comments = require('./services/comments');
+const moderation = require('./services/moderation');
+const submissions = require('./services/submissions');
+const mosaicModeration = require('./services/mosaicModeration');
+const { STEEP_HOURS } = require('./services/steep');
+const { decodeFeedCursor } = require('./services/feedCursor');
+const { createFeed } = require('./services/feed');
+const { detectOptionalColumns } = require('./db/schema');
 const passport = require('passport');
 const multer = require('multer');
 const path = require('path');
@@ -14,6 +38,9 @@ const fs = require('fs');
 const window = new JSDOM('').window;
 const DOMPurify = createDOMPurify(window);
 
+// fromNow() is used when formatting letters for the infinite-scroll API
+dayjs.extend(relativeTime);
+
 // Configure marked
 marked.setOptions({
   breaks: true,
@@ -42,9 +69,17 @@ const tagImageUpload = multer({
   }
 });
 
-function buildRouter(db) {
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const EMAIL_RESEND_INTERVAL_MS = 2 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+function buildRouter(db, { scheduler, mailer, commentSteepHours = comments.DEFAULT_STEEP_HOURS } = {}) {
   const router = express.Router();
 
+  // server.js runs its inline migrations before building the router
+  const columns = detectOptionalColumns(db);
+  const feed = createFeed(db, columns);
+
   function requireAuth(req, res, next) {
     if (!req.session.user) return res.redirect('/login');
     next();
@@ -55,13 +90,59 @@ function buildRouter(db) {
     next();
   }
 
+  // Verification links need a mailer that knows the site's APP_URL. Without
+  // one (local setups, tests) nobody could ever confirm, so nobody is asked to.
+  const canSendEmail = Boolean(mailer && mailer.baseUrl);
+
+  // Local accounts confirm their email before writing; OAuth providers already did
+  function needsEmailVerification(userId) {
+    if (!canSendEmail) return false;
+    try {
+      const row = db.prepare('SELECT email_verified_at, oauth_provider FROM users WHERE id = ?').get(userId);
+      return Boolean(row) && !row.email_verified_at && !row.oauth_provider;
+    } catch (e) {
+      // Column missing until migrate-email-verification has run
+      return false;
+    }
+  }
+
+  function requireVerifiedEmail(req, res, next) {
+    if (!req.session.user) return res.redirect('/login');
+    if (needsEmailVerification(req.session.user.id)) return res.redirect('/verify-email');
+    next();
+  }
+
+  // Queue an email and nudge the scheduler so it goes out right away.
+  // Without a mailer (e.g. in tests) nothing is sent. Templates build their
+  // links from the mailer's baseUrl, so pass paths rather than URLs.
+  async function sendEmail(message) {
+    if (!mailer) return null;
+    const id = await mailer.enqueue(message);
+    queueEmailDelivery(scheduler);
+    return id;
+  }
+
+  async function sendVerificationEmail(user) {
+    const token = tokens.issueToken(db, { userId: user.id, purpose: 'verify_email', ttlMs: EMAIL_VERIFICATION_TTL_MS });
+    return sendEmail({
+      to: user.email,
+      subject: 'Confirm your email for slocial.org',
+      template: 'verify-email',
+      locals: {
+        handle: user.handle,
+        verifyPath: `/verify-email/${token}`,
+        expiresInHours: EMAIL_VERIFICATION_TTL_MS / (60 * 60 * 1000)
+      }
+    });
+  }
+
   // Helper functions for sorts management
   function attachSortsToLetter(letterId, sortIds, userId) {
-    if (!sortIds || sortIds.length === 0) return;
-    
-    // Remove existing sorts for this letter
+    // Remove existing sorts for this letter so unchecking clears them
     db.prepare('DELETE FROM letter_sorts WHERE letter_id = ?').run(letterId);
     
+    if (!sortIds || sortIds.length === 0) return;
+    
     // Add new sorts
     const insertSort = db.prepare(
       'INSERT INTO letter_sorts (letter_id, sort_id, added_by) VALUES (?, ?, ?)'
@@ -93,6 +174,11 @@ function buildRouter(db) {
     `).all();
   }
   
+  function getSortBySlug(slug) {
+    if (!slug) return null;
+    return db.prepare('SELECT * FROM sorts WHERE slug = ?').get(slug) || null;
+  }
+  
   function parseSortIds(sortsParam) {
     if (!sortsParam) return [];
     if (Array.isArray(sortsParam)) {
@@ -104,6 +190,64 @@ function buildRouter(db) {
     return [];
   }
 
+  // Publish times are read in the zone picked on the form, else the author's
+  // profile zone. users.timezone comes from migrate-timezone and may be missing.
+  function authorTimeZone(userId, submitted) {
+    if (scheduling.isValidTimeZone(submitted)) return submitted;
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    return scheduling.isValidTimeZone(user?.timezone) ? user.timezone : null;
+  }
+
+  // Locals for the scheduling control and posting quota banner on compose; a
+  // null timeZone lets the page fall back to the browser's zone
+  function composeLocals(req) {
+    return {
+      timeZones: scheduling.listTimeZones(),
+      timeZone: authorTimeZone(req.session.user.id, req.body?.timezone),
+      postingNotice: postingNotice(req.session.user.id)
+    };
+  }
+
+  // "You can send 1 letter per 24 hours. Your next slot opens ..." for a
+  // refused checkQuota result
+  function quotaMessage(userId, result) {
+    const opensAt = scheduling.formatInTimeZone(result.nextSlotAt, authorTimeZone(userId));
+    return `${postingQuota.limitMessage(result)}. Your next slot opens ${opensAt} (${dayjs(result.nextSlotAt).fromNow()}).`;
+  }
+
+  // Banner for compose and /drafts while the author's own quota is used up
+  function postingNotice(userId) {
+    const result = postingQuota.checkQuota(db, { userId });
+    return result.allowed ? null : quotaMessage(userId, result);
+  }
+
+  // Ids of the existing mosaics named in compose's tags field; tags created
+  // along with the letter can't have a quota yet
+  function requestedTagIds(tagsParam) {
+    let parsed;
+    try {
+      parsed = JSON.parse(tagsParam || '[]');
+    } catch (e) {
+      return [];
+    }
+    if (!Array.isArray(parsed)) return [];
+    const byName = db.prepare('SELECT id FROM tags WHERE name = ? COLLATE NOCASE');
+    return parsed.map(tag => Number(tag.id) || byName.get(String(tag.name))?.id).filter(Boolean);
+  }
+
+  function letterTagIds(letterId) {
+    return db.prepare('SELECT tag_id FROM letter_tags WHERE letter_id = ?').all(letterId).map(row => row.tag_id);
+  }
+
+  // publish_at for the publish_at_local/timezone fields of a form; throws with
+  // a message for the author
+  function publishAtFromForm(req) {
+    return scheduling.choosePublishAt({
+      localTime: req.body.publish_at_local,
+      timeZone: authorTimeZone(req.session.user.id, req.body.timezone) || 'UTC'
+    });
+  }
+
   // Reading log helper function
   function logReadingActivity(userId, letterId, action, additionalData = {}) {
     if (!userId || !letterId) return;
@@ -191,20 +335,7 @@ function buildRouter(db) {
   }
   
   function canUserUseTag(userId, tagId) {
-    // Owners can always use their tags
-    if (isTagOwner(userId, tagId)) return true;
-    
-    // Check if user has explicit permission or if tag has universal permission (user_id = NULL)
-    const permission = db.prepare(`
-      SELECT 1 FROM tag_permissions 
-      WHERE tag_id = ? 
-        AND (user_id = ? OR user_id IS NULL)
-        AND permission_type = 'use'
-        AND (expires_at IS NULL OR expires_at > datetime('now'))
-      LIMIT 1
-    `).get(tagId, userId);
-    
-    return !!permission;
+    return visibility.canUserUseTag(db, userId, tagId);
   }
   
   function canUserEditTag(userId, tagId) {
@@ -547,92 +678,129 @@ function buildRouter(db) {
     return [];
   }
   
-  // Check if a user can view a letter based on tag permissions
-  function canUserViewLetter(userId, letterId) {
-    // Admin can see everything
-    if (userId) {
-      const user = db.prepare('SELECT is_admin FROM users WHERE id = ?').get(userId);
-      if (user && user.is_admin) return true;
-      
-      // Author can see their own letters
-      const letter = db.prepare('SELECT author_id FROM letters WHERE id = ?').get(letterId);
-      if (letter && letter.author_id === userId) return true;
-      
-      // Logged-in users: Check if user has permission to view at least one tag on the letter
-      const hasPermission = db.prepare(`
-        SELECT 1 
-        FROM letter_tags lt
-        JOIN tags t ON lt.tag_id = t.id
-        LEFT JOIN tag_permissions tp ON t.id = tp.tag_id
-        WHERE lt.letter_id = ?
-          AND t.is_active = 1
-          AND (
-            -- Public tags with universal permission
-            (tp.user_id IS NULL AND tp.permission_type = 'use' 
-             AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now')))
-            -- User-specific permission
-            OR (tp.user_id = ? AND tp.permission_type = 'use'
-                AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now')))
-          )
-        LIMIT 1
-      `).get(letterId, userId);
-      
-      return !!hasPermission;
-    } else {
-      // Non-logged-in users can ONLY see letters tagged with "public"
-      const hasPublicTag = db.prepare(`
-        SELECT 1 
-        FROM letter_tags lt
-        JOIN tags t ON lt.tag_id = t.id
-        WHERE lt.letter_id = ?
-          AND t.slug = 'public'
-          AND t.is_active = 1
-        LIMIT 1
-      `).get(letterId);
-      
-      return !!hasPublicTag;
+  // Channel helper functions
+  function isUserAdmin(userId) {
+    if (!userId) return false;
+    const user = db.prepare('SELECT is_admin FROM users WHERE id = ?').get(userId);
+    return !!(user && user.is_admin);
+  }
+  
+  function getChannelRole(userId, channelId) {
+    if (!userId) return null;
+    
+    const membership = db.prepare(`
+      SELECT role FROM channel_members 
+      WHERE channel_id = ? AND user_id = ?
+    `).get(channelId, userId);
+    
+    return membership ? membership.role : null;
+  }
+  
+  function isChannelOwner(userId, channelId) {
+    return getChannelRole(userId, channelId) === 'owner' || isUserAdmin(userId);
+  }
+  
+  function canManageChannel(userId, channelId) {
+    const role = getChannelRole(userId, channelId);
+    return role === 'owner' || role === 'moderator' || isUserAdmin(userId);
+  }
+  
+  function canReadChannel(userId, channel) {
+    if (!userId || !channel) return false;
+    
+    // Members can always read, even before the channel is approved
+    if (getChannelRole(userId, channel.id)) return true;
+    if (isUserAdmin(userId)) return true;
+    
+    return channel.is_approved === 1 && channel.is_public === 1;
+  }
+  
+  function updateChannelMemberCount(channelId) {
+    db.prepare(`
+      UPDATE channels 
+      SET member_count = (SELECT COUNT(*) FROM channel_members WHERE channel_id = ?)
+      WHERE id = ?
+    `).run(channelId, channelId);
+  }
+  
+  function addChannelMember(channelId, userId, role = 'member') {
+    db.prepare(`
+      INSERT INTO channel_members (channel_id, user_id, role)
+      VALUES (?, ?, ?)
+      ON CONFLICT(channel_id, user_id) DO NOTHING
+    `).run(channelId, userId, role);
+    
+    updateChannelMemberCount(channelId);
+  }
+  
+  function removeChannelMember(channelId, userId) {
+    db.prepare('DELETE FROM channel_members WHERE channel_id = ? AND user_id = ?').run(channelId, userId);
+    updateChannelMemberCount(channelId);
+  }
+  
+  function countChannelOwners(channelId) {
+    return db.prepare(`
+      SELECT COUNT(*) as count FROM channel_members 
+      WHERE channel_id = ? AND role = 'owner'
+    `).get(channelId).count;
+  }
+  
+  function getUserChannels(userId) {
+    // Approved channels the user belongs to (the ones they can post into)
+    return db.prepare(`
+      SELECT c.*, cm.role 
+      FROM channels c
+      JOIN channel_members cm ON cm.channel_id = c.id
+      WHERE cm.user_id = ? AND c.is_approved = 1
+      ORDER BY c.name
+    `).all(userId);
+  }
+  
+  function getLetterChannels(letterId) {
+    return db.prepare(`
+      SELECT c.* 
+      FROM channels c
+      JOIN channel_letters cl ON cl.channel_id = c.id
+      WHERE cl.letter_id = ?
+      ORDER BY c.name
+    `).all(letterId);
+  }
+  
+  function attachChannelsToLetter(letterId, channelIds, userId) {
+    // Replace the letter's channels; only channels the author belongs to are kept
+    db.prepare('DELETE FROM channel_letters WHERE letter_id = ?').run(letterId);
+    
+    const insertChannel = db.prepare(`
+      INSERT OR IGNORE INTO channel_letters (channel_id, letter_id, added_by)
+      VALUES (?, ?, ?)
+    `);
+    
+    for (const channelId of channelIds) {
+      const channel = db.prepare('SELECT is_approved FROM channels WHERE id = ?').get(channelId);
+      if (channel && channel.is_approved && getChannelRole(userId, channelId)) {
+        insertChannel.run(channelId, letterId, userId);
+      } else {
+        console.log(`User ${userId} cannot post to channel ${channelId}`);
+      }
     }
   }
   
-  // Generate WHERE clause for tag-based visibility
-  function getTagVisibilityCondition(userId, tableAlias = 'l') {
-    if (!userId) {
-      // Non-logged in users can ONLY see letters tagged with "public"
-      return `
-        EXISTS (
-          SELECT 1 FROM letter_tags lt
-          JOIN tags t ON lt.tag_id = t.id
-          WHERE lt.letter_id = ${tableAlias}.id
-            AND t.slug = 'public'
-            AND t.is_active = 1
-        )
-      `;
+  function parseChannelIds(channelsParam) {
+    if (!channelsParam) return [];
+    if (Array.isArray(channelsParam)) {
+      return channelsParam.filter(id => id && !isNaN(id)).map(id => parseInt(id));
     }
-    
-    // Logged in users can see letters where they have permission to at least one tag
-    return `
-      (
-        ${tableAlias}.author_id = ${userId}  -- User's own letters
-        OR EXISTS (
-          SELECT 1 FROM users WHERE id = ${userId} AND is_admin = 1
-        )  -- Admin can see all
-        OR EXISTS (
-          SELECT 1 FROM letter_tags lt
-          JOIN tags t ON lt.tag_id = t.id
-          LEFT JOIN tag_permissions tp ON t.id = tp.tag_id
-          WHERE lt.letter_id = ${tableAlias}.id
-            AND t.is_active = 1
-            AND (
-              (tp.user_id IS NULL AND tp.permission_type = 'use' 
-               AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now')))
-              OR (tp.user_id = ${userId} AND tp.permission_type = 'use'
-                  AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now')))
-            )
-        )
-      )
-    `;
+    if (typeof channelsParam === 'string') {
+      return channelsParam.split(',').filter(id => id && !isNaN(id)).map(id => parseInt(id));
+    }
+    return [];
   }
-
+  
+  // Check if a user can view a letter based on tag permissions
+  function canUserViewLetter(userId, letterId) {
+    return visibility.canUserViewLetter(db, userId, letterId);
+  }
+  
   function renderMarkdown(text) {
     const html = marked.parse(text);
     // Allow images with both regular URLs and data URLs
@@ -670,102 +838,31 @@ function buildRouter(db) {
   }
 
   router.get('/', (req, res) => {
-    const page = Math.max(1, parseInt(req.query.page || '1', 10));
-    const pageSize = 10;
-    const offset = (page - 1) * pageSize;
-    const now = dayjs().toISOString();
     const userId = req.session.user?.id || null;
     const filterTag = req.query.filter || null;
     
-    // Check if is_draft and approval_status columns exist
-    let hasDraftColumn = false;
-    let hasApprovalColumn = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasDraftColumn = columns.some(col => col.name === 'is_draft');
-      hasApprovalColumn = columns.some(col => col.name === 'approval_status');
-    } catch (e) {
-      console.error('Error checking for columns:', e);
-    }
-    
-    // Build tag visibility condition
-    const tagVisibilityCondition = getTagVisibilityCondition(userId, 'l');
-    
-    // Build tag filter condition if filtering by tag
-    let tagFilterCondition = '';
-    let filterTagData = null;
-    if (filterTag) {
-      // Get the tag data to display
-      filterTagData = db.prepare('SELECT * FROM tags WHERE name = ? COLLATE NOCASE AND is_active = 1').get(filterTag);
-      if (filterTagData) {
-        tagFilterCondition = `AND EXISTS (
-          SELECT 1 FROM letter_tags lt 
-          WHERE lt.letter_id = l.id AND lt.tag_id = @tagId
-        )`;
-      }
-    }
-    
-    // Use appropriate query based on available columns - now with tag filtering
-    const query = hasApprovalColumn ? `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 ${hasDraftColumn ? 'AND l.is_draft = 0' : ''} 
-        AND l.publish_at <= @now
-        AND (l.approval_status = 'approved' OR l.approval_status IS NULL)
-        AND ${tagVisibilityCondition}
-        ${tagFilterCondition}
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    ` : hasDraftColumn ? `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.is_draft = 0 AND l.publish_at <= @now
-        AND ${tagVisibilityCondition}
-        ${tagFilterCondition}
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    ` : `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.publish_at <= @now
-        AND ${tagVisibilityCondition}
-        ${tagFilterCondition}
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    `;
-    
-    const params = { now, limit: pageSize, offset, uid: userId || -1 };
-    if (filterTagData) {
-      params.tagId = filterTagData.id;
-    }
-    const letters = db.prepare(query).all(params);
+    // Tag filter by name, e.g. from a tag link on a letter
+    const filterTagData = filterTag
+      ? db.prepare('SELECT * FROM tags WHERE name = ? COLLATE NOCASE AND is_active = 1').get(filterTag)
+      : null;
+    const filterSortData = getSortBySlug(req.query.sort);
     
-    // Add tags to each letter for display
-    letters.forEach(letter => {
-      letter.tags = getLetterTags(letter.id);
+    // The first page; infinite scroll continues from nextCursor via /api/letters
+    const { letters, nextCursor } = feed.listLetters({
+      userId,
+      now: dayjs().toISOString(),
+      tagId: filterTagData?.id,
+      sortId: filterSortData?.id
     });
 
     res.render('index', { 
       user: req.session.user, 
       letters, 
-      page, 
+      nextCursor, 
       pageClass: 'home',
       filterTag: filterTagData,
+      filterSort: filterSortData,
+      sorts: getAllSorts(),
       pageTitle: 'Slocial - Read'
     });
   });
@@ -789,94 +886,27 @@ function buildRouter(db) {
 
   // API endpoint for infinite scroll
   router.get('/api/letters', (req, res) => {
-    const page = Math.max(1, parseInt(req.query.page || '1', 10));
-    const pageSize = 10;
-    const offset = (page - 1) * pageSize;
-    const now = dayjs().toISOString();
+    const cursor = decodeFeedCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     const userId = req.session.user?.id || null;
     const filterTag = req.query.filter || null;
     
-    // Check if is_draft column exists
-    let hasDraftColumn = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasDraftColumn = columns.some(col => col.name === 'is_draft');
-    } catch (e) {
-      console.error('Error checking for is_draft column:', e);
-    }
-    
-    // Build tag visibility condition
-    const tagVisibilityCondition = getTagVisibilityCondition(userId, 'l');
-    
-    // Build tag filter condition if filtering by tag
-    let tagFilterCondition = '';
-    let filterTagData = null;
-    if (filterTag) {
-      // Get the tag data to display
-      filterTagData = db.prepare('SELECT * FROM tags WHERE name = ? COLLATE NOCASE AND is_active = 1').get(filterTag);
-      if (filterTagData) {
-        tagFilterCondition = `AND EXISTS (
-          SELECT 1 FROM letter_tags lt 
-          WHERE lt.letter_id = l.id AND lt.tag_id = @tagId
-        )`;
-      }
-    }
-    
-    // Use appropriate query based on whether draft column exists - now with tag filtering
-    const query = hasDraftColumn ? `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.is_draft = 0 AND l.publish_at <= @now
-        AND ${tagVisibilityCondition}
-        ${tagFilterCondition}
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    ` : `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.publish_at <= @now
-        AND ${tagVisibilityCondition}
-        ${tagFilterCondition}
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    `;
-    
-    const params = { now, limit: pageSize, offset, uid: userId || -1 };
-    if (filterTagData) {
-      params.tagId = filterTagData.id;
-    }
-    const letters = db.prepare(query).all(params);
+    // Same filters as the home page
+    const filterTagData = filterTag
+      ? db.prepare('SELECT * FROM tags WHERE name = ? COLLATE NOCASE AND is_active = 1').get(filterTag)
+      : null;
+    const filterSortData = getSortBySlug(req.query.sort);
     
-    // Add tags to each letter for display
-    letters.forEach(letter => {
-      letter.tags = getLetterTags(letter.id);
+    const { letters, hasMore, nextCursor } = feed.listLetters({
+      userId,
+      now: dayjs().toISOString(),
+      tagId: filterTagData?.id,
+      sortId: filterSortData?.id,
+      cursor
     });
     
-    // Check if there are more letters (also needs tag filtering for accurate count)
-    const countQuery = hasDraftColumn ? 
-      `SELECT COUNT(DISTINCT l.id) as total FROM letters l 
-       WHERE l.is_published = 1 AND l.is_draft = 0 AND l.publish_at <= @now 
-       AND ${tagVisibilityCondition} ${tagFilterCondition}` :
-      `SELECT COUNT(DISTINCT l.id) as total FROM letters l 
-       WHERE l.is_published = 1 AND l.publish_at <= @now 
-       AND ${tagVisibilityCondition} ${tagFilterCondition}`;
-    const countParams = { now };
-    if (filterTagData) {
-      countParams.tagId = filterTagData.id;
-    }
-    const totalCount = db.prepare(countQuery).get(countParams).total;
-    const hasMore = offset + letters.length < totalCount;
-    
     // Format letters for API response
     const formattedLetters = letters.map(letter => ({
       ...letter,
@@ -889,48 +919,148 @@ function buildRouter(db) {
     res.json({
       letters: formattedLetters,
       hasMore,
+      nextCursor
+    });
+  });
+  
+  // Full-text search shared by /search and /api/search
+  const SEARCH_TYPES = ['letters', 'comments', 'mosaics'];
+  const SEARCH_PAGE_SIZE = 20;
+  
+  function runSearch(req) {
+    const userId = req.session.user?.id || null;
+    const q = (req.query.q || '').trim().slice(0, 200);
+    const type = SEARCH_TYPES.includes(req.query.type) ? req.query.type : null;
+    // ?page=abc parses to NaN, which SQLite refuses as an OFFSET
+    const requestedPage = parseInt(req.query.page, 10);
+    const page = Number.isFinite(requestedPage) ? Math.max(1, requestedPage) : 1;
+    const filters = {
+      author: (req.query.author || '').trim() || null,
+      mosaic: (req.query.mosaic || '').trim() || null,
+      from: req.query.from || null,
+      to: req.query.to || null
+    };
+    
+    // Same rules as the home feed: published, out of the steep, approved, and visible through tags
+    const visibleLetters = visibility.letterVisibilityFilter(userId);
+    const letterVisibility = `
+      ${feed.publishedCondition}
+      AND ${visibleLetters.sql}
+    `;
+    
+    // Mirrors searchTags: public mosaics, your own, and ones you have been granted
+    const tagVisibility = !userId ? 't.is_active = 1 AND t.is_public = 1' : `
+      t.is_active = 1 AND (
+        t.is_public = 1
+        OR t.created_by = @uid
+        OR EXISTS (SELECT 1 FROM users WHERE id = @uid AND is_admin = 1)
+        OR EXISTS (
+          SELECT 1 FROM tag_permissions tp
+          WHERE tp.tag_id = t.id AND tp.permission_type = 'use'
+            AND (tp.user_id = @uid OR tp.user_id IS NULL)
+            AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now'))
+        )
+      )
+    `;
+    
+    const results = searchService.search(db, {
+      query: q,
+      ...filters,
+      types: type ? [type] : SEARCH_TYPES,
+      limit: SEARCH_PAGE_SIZE,
+      offset: type ? (page - 1) * SEARCH_PAGE_SIZE : 0,
+      letterVisibility,
+      tagVisibility,
+      params: { ...visibleLetters.params, now: dayjs().toISOString(), uid: userId || -1 }
+    });
+    
+    return { q, type, page, filters, results };
+  }
+  
+  router.get('/search', (req, res) => {
+    const { q, type, page, filters, results } = runSearch(req);
+    
+    if (q) {
+      eventTracker.track('search', {
+        userId: req.session.user?.id || null,
+        sessionId: req.sessionID,
+        metadata: { query: q.slice(0, 100), type, filters }
+      });
+    }
+    
+    res.render('search', {
+      user: req.session.user,
+      q,
+      type,
       page,
-      total: totalCount
+      filters,
+      results,
+      pageSize: SEARCH_PAGE_SIZE,
+      pageTitle: q ? `Slocial - Search: ${q}` : 'Slocial - Search'
     });
   });
   
-  // API endpoint for auto-saving drafts
+  router.get('/api/search', (req, res) => {
+    const { q, type, page, filters, results } = runSearch(req);
+    res.json({ query: q, type, page, filters, ...results });
+  });
+  
+  // API endpoint for auto-saving drafts. Clients send the savedAt they last
+  // saw; a stale one gets a 409 with the server copy instead of clobbering it.
+  function serializeDraft(draft) {
+    return { id: draft.id, title: draft.title, body: draft.body, savedAt: draft.last_saved_at };
+  }
+  
   router.post('/api/draft', requireAuth, (req, res) => {
-    const { id, title, body } = req.body;
-    const userId = req.session.user.id;
-    const now = dayjs().toISOString();
+    const { id, baseSavedAt, overwrite } = req.body;
+    const title = typeof req.body.title === 'string' ? req.body.title : '';
+    const body = typeof req.body.body === 'string' ? req.body.body : '';
     
     try {
-      let draftId = id;
+      const result = drafts.autosaveDraft(db, {
+        userId: req.session.user.id,
+        draftId: id ? Number(id) : null,
+        baseSavedAt,
+        title,
+        body,
+        overwrite: overwrite === true
+      });
       
-      if (draftId) {
-        // Update existing draft
-        const draft = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ? AND is_draft = 1')
-          .get(draftId, userId);
-        
-        if (draft) {
-          db.prepare('UPDATE letters SET title = ?, body = ?, last_saved_at = ? WHERE id = ?')
-            .run(title, body, now, draftId);
-        } else {
-          // Draft not found or doesn't belong to user, create new one
-          draftId = null;
-        }
+      if (result.gone) {
+        return res.status(410).json({
+          success: false,
+          error: result.letterId ? 'This draft was already sent off from somewhere else' : 'This draft was deleted somewhere else',
+          letterId: result.letterId
+        });
       }
-      
-      if (!draftId) {
-        // Create new draft
-        const result = db.prepare('INSERT INTO letters (author_id, title, body, format, is_draft, last_saved_at, created_at, publish_at, is_published) VALUES (?, ?, ?, ?, 1, ?, ?, ?, 0)')
-          .run(userId, title, body, 'standard', now, now, now, 0);
-        draftId = result.lastInsertRowid;
+      if (!result.saved) {
+        return res.status(409).json({
+          success: false,
+          error: 'This draft was changed somewhere else',
+          draft: serializeDraft(result.draft)
+        });
       }
       
-      res.json({ success: true, draftId });
+      res.json({ success: true, draftId: result.draft.id, savedAt: result.draft.last_saved_at });
     } catch (error) {
       console.error('Error saving draft:', error);
       res.status(500).json({ success: false, error: 'Failed to save draft' });
     }
   });
   
+  router.get('/api/draft/:id/snapshots', requireAuth, (req, res) => {
+    const snapshots = drafts.listSnapshots(db, req.session.user.id, Number(req.params.id));
+    if (!snapshots) return res.status(404).json({ success: false, error: 'Draft not found' });
+    res.json({
+      snapshots: snapshots.map(snapshot => ({
+        id: snapshot.id,
+        title: snapshot.title,
+        body: snapshot.body,
+        savedAt: snapshot.saved_at
+      }))
+    });
+  });
+  
   router.get('/principles', (req, res) => {
     res.render('principles', { user: req.session.user });
   });
@@ -947,7 +1077,7 @@ function buildRouter(db) {
     body('handle').isLength({ min: 3, max: 20 }).isAlphanumeric().withMessage('Handle must be alphanumeric 3-20'),
     body('email').isEmail(),
     body('password').isLength({ min: 8 }),
-    (req, res) => {
+    async (req, res) => {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).render('signup', { user: req.session.user, errors: errors.array(), values: req.body, pageClass: 'auth' });
@@ -955,14 +1085,7 @@ function buildRouter(db) {
       const { handle, email, password } = req.body;
       const password_hash = bcrypt.hashSync(password, 12);
       try {
-        // Check if is_slocialite column exists
-        let hasSlocialiteColumn = false;
-        try {
-          const columns = db.prepare("PRAGMA table_info(users)").all();
-          hasSlocialiteColumn = columns.some(col => col.name === 'is_slocialite');
-        } catch (e) {
-          // Column might not exist yet
-        }
+        const { hasSlocialiteColumn } = columns;
         
         // New users are Slocialites by default (need moderation)
         const info = hasSlocialiteColumn ?
@@ -991,7 +1114,15 @@ function buildRouter(db) {
         userAgent: req.get('user-agent'),
         metadata: { handle, email }
       });
-      res.redirect('/');
+      
+      if (!canSendEmail) return res.redirect('/');
+      try {
+        await sendVerificationEmail({ id: newUserId, handle, email });
+      } catch (e) {
+        // The account exists either way; the user can resend from /verify-email
+        console.error('Failed to queue verification email:', e);
+      }
+      res.redirect('/verify-email');
       } catch (e) {
         const msg = /UNIQUE/.test(e.message) ? 'Handle or email already taken' : 'Signup failed';
         res.status(400).render('signup', { user: req.session.user, errors: [{ msg }], values: req.body, pageClass: 'auth' });
@@ -999,60 +1130,273 @@ function buildRouter(db) {
     }
   );
 
-  router.get('/login', (req, res) => res.render('login', { 
-    user: req.session.user, 
-    errors: [], 
-    values: {}, 
-    pageClass: 'auth',
-    theme: req.cookies?.theme || 'light',
-    pageTitle: 'Slocial - Sign In'
-  }));
-  router.post('/login',
-    body('email').isEmail(),
-    body('password').isLength({ min: 8 }),
-    (req, res) => {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) return res.status(400).render('login', { user: req.session.user, errors: errors.array(), values: req.body, pageClass: 'auth' });
-      const { email, password } = req.body;
-      const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
-      if (!user || !bcrypt.compareSync(password, user.password_hash)) {
-        return res.status(401).render('login', { user: req.session.user, errors: [{ msg: 'Invalid credentials' }], values: req.body, pageClass: 'auth' });
-      }
-      req.session.user = { id: user.id, handle: user.handle, email: user.email, is_admin: user.is_admin === 1 };
-      eventTracker.track('login', {
-        userId: user.id,
-        sessionId: req.sessionID,
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent'),
-        metadata: { handle: user.handle }
-      });
-      res.redirect('/');
+  router.get('/verify-email', requireAuth, (req, res) => {
+    res.render('verify-email', {
+      email: req.session.user.email,
+      verified: !needsEmailVerification(req.session.user.id),
+      message: req.query.message,
+      error: req.query.error,
+      pageClass: 'auth',
+      pageTitle: 'Slocial - Confirm your email'
+    });
+  });
+
+  router.post('/verify-email/resend', requireAuth, async (req, res) => {
+    const user = db.prepare('SELECT id, handle, email FROM users WHERE id = ?').get(req.session.user.id);
+    if (!user || !needsEmailVerification(user.id)) {
+      return res.redirect('/');
     }
-  );
 
-  router.post('/logout', (req, res) => {
-    const userId = req.session.user?.id;
-    eventTracker.track('logout', {
+    const lastSent = tokens.lastIssuedAt(db, { userId: user.id, purpose: 'verify_email' });
+    if (lastSent && Date.now() - lastSent.getTime() < EMAIL_RESEND_INTERVAL_MS) {
+      return res.redirect('/verify-email?error=' + encodeURIComponent('We just sent a link. Please wait a couple of minutes before asking again.'));
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (e) {
+      console.error('Failed to queue verification email:', e);
+      return res.redirect('/verify-email?error=' + encodeURIComponent('We could not send a link right now. Please try again later.'));
+    }
+    res.redirect('/verify-email?message=' + encodeURIComponent(`A new link is on its way to ${user.email}`));
+  });
+
+  router.get('/verify-email/:token', (req, res) => {
+    const userId = tokens.consumeToken(db, { token: req.params.token, purpose: 'verify_email' });
+    if (!userId) {
+      const target = req.session.user ? '/verify-email' : '/login';
+      return res.redirect(`${target}?error=` + encodeURIComponent('That confirmation link is invalid or has expired'));
+    }
+
+    db.prepare("UPDATE users SET email_verified_at = ? WHERE id = ?").run(new Date().toISOString(), userId);
+    eventTracker.track('email_verified', {
       userId,
-      sessionId: req.sessionID,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
+      sessionId: req.sessionID
     });
-    req.logout(() => {
-      req.session.destroy(() => res.redirect('/'));
+
+    if (req.session.user && req.session.user.id === userId) {
+      return res.redirect('/verify-email');
+    }
+    res.redirect('/login?message=' + encodeURIComponent('Your email is confirmed. Sign in to continue.'));
+  });
+
+  router.get('/forgot-password', (req, res) => {
+    res.render('forgot-password', {
+      sent: Boolean(req.query.sent),
+      errors: [],
+      values: {},
+      pageClass: 'auth',
+      pageTitle: 'Slocial - Reset your password'
     });
   });
 
-  // OAuth Routes - Google
-  router.get('/auth/google', 
+  router.post('/forgot-password',
+    body('email').trim().isEmail().withMessage('Enter the email address you signed up with'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).render('forgot-password', {
+          sent: false,
+          errors: errors.array(),
+          values: req.body,
+          pageClass: 'auth',
+          pageTitle: 'Slocial - Reset your password'
+        });
+      }
+
+      // The response is the same whether or not the account exists
+      const user = db.prepare('SELECT id, handle, email FROM users WHERE email = ?').get(req.body.email);
+      const lastSent = user && tokens.lastIssuedAt(db, { userId: user.id, purpose: 'reset_password' });
+      const throttled = lastSent && Date.now() - lastSent.getTime() < EMAIL_RESEND_INTERVAL_MS;
+
+      if (user && !throttled) {
+        const token = tokens.issueToken(db, { userId: user.id, purpose: 'reset_password', ttlMs: PASSWORD_RESET_TTL_MS });
+        try {
+          await sendEmail({
+            to: user.email,
+            subject: 'Reset your slocial.org password',
+            template: 'reset-password',
+            locals: {
+              handle: user.handle,
+              resetPath: `/reset-password/${token}`,
+              expiresInMinutes: PASSWORD_RESET_TTL_MS / (60 * 1000)
+            }
+          });
+        } catch (e) {
+          console.error('Failed to queue password reset email:', e);
+        }
+        eventTracker.track('password_reset_requested', {
+          userId: user.id,
+          sessionId: req.sessionID,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      }
+
+      res.redirect('/forgot-password?sent=1');
+    }
+  );
+
+  router.get('/reset-password/:token', (req, res) => {
+    const userId = tokens.peekToken(db, { token: req.params.token, purpose: 'reset_password' });
+    if (!userId) {
+      return res.redirect('/login?error=' + encodeURIComponent('That reset link is invalid or has expired'));
+    }
+    res.render('reset-password', {
+      token: req.params.token,
+      errors: [],
+      pageClass: 'auth',
+      pageTitle: 'Slocial - Choose a new password'
+    });
+  });
+
+  router.post('/reset-password/:token', (req, res) => {
+    const { token } = req.params;
+    const renderError = (msg) => res.status(400).render('reset-password', {
+      token,
+      errors: [{ msg }],
+      pageClass: 'auth',
+      pageTitle: 'Slocial - Choose a new password'
+    });
+
+    if (!tokens.peekToken(db, { token, purpose: 'reset_password' })) {
+      return res.redirect('/login?error=' + encodeURIComponent('That reset link is invalid or has expired'));
+    }
+
+    const problem = passwords.validateNewPassword(req.body.password, req.body.confirmPassword);
+    if (problem) return renderError(problem);
+
+    const userId = tokens.consumeToken(db, { token, purpose: 'reset_password' });
+    if (!userId) {
+      return res.redirect('/login?error=' + encodeURIComponent('That reset link is invalid or has expired'));
+    }
+
+    passwords.setPassword(db, { userId, password: req.body.password });
+    // Following the emailed link proves the address is theirs
+    db.prepare('UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?').run(new Date().toISOString(), userId);
+
+    delete req.session.user;
+    eventTracker.track('password_reset', {
+      userId,
+      sessionId: req.sessionID,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.redirect('/login?message=' + encodeURIComponent('Your password has been reset. Sign in with your new password.'));
+  });
+
+  router.get('/login', (req, res) => res.render('login', { 
+    user: req.session.user, 
+    errors: req.query.error ? [{ msg: req.query.error }] : [], 
+    message: req.query.message,
+    values: {}, 
+    pageClass: 'auth',
+    theme: req.cookies?.theme || 'light',
+    pageTitle: 'Slocial - Sign In'
+  }));
+  router.post('/login',
+    body('email').isEmail(),
+    body('password').isLength({ min: 8 }),
+    (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).render('login', { user: req.session.user, errors: errors.array(), values: req.body, pageClass: 'auth' });
+      const { email, password } = req.body;
+      const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+      if (!passwords.verifyPassword(user, password)) {
+        return res.status(401).render('login', { user: req.session.user, errors: [{ msg: 'Invalid credentials' }], values: req.body, pageClass: 'auth' });
+      }
+      if (suspensions.getActiveSuspension(db, user.id)) {
+        req.session.suspendedUserId = user.id;
+        return res.redirect('/suspended');
+      }
+      req.session.user = { id: user.id, handle: user.handle, email: user.email, is_admin: user.is_admin === 1, session_version: user.session_version || 0 };
+      eventTracker.track('login', {
+        userId: user.id,
+        sessionId: req.sessionID,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        metadata: { handle: user.handle }
+      });
+      res.redirect('/');
+    }
+  );
+
+  router.post('/logout', (req, res) => {
+    const userId = req.session.user?.id;
+    eventTracker.track('logout', {
+      userId,
+      sessionId: req.sessionID,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    req.logout(() => {
+      req.session.destroy(() => res.redirect('/'));
+    });
+  });
+
+  // Shown instead of the app when a suspended account signs in or its session is ended
+  router.get('/suspended', (req, res) => {
+    const userId = req.session.suspendedUserId;
+    const suspension = suspensions.getActiveSuspension(db, userId);
+    if (!suspension) {
+      delete req.session.suspendedUserId;
+      return res.redirect('/login');
+    }
+    
+    res.render('suspended', {
+      user: null,
+      suspension,
+      message: req.query.message || null,
+      pageClass: 'auth',
+      pageTitle: 'Slocial - Account suspended'
+    });
+  });
+  
+  router.post('/suspended/appeal',
+    body('appeal_note').trim().isLength({ min: 1, max: 2000 }),
+    (req, res) => {
+      const userId = req.session.suspendedUserId;
+      const errors = validationResult(req);
+      if (!userId) return res.redirect('/login');
+      if (!errors.isEmpty()) return res.redirect('/suspended');
+      
+      if (suspensions.recordAppeal(db, { userId, note: req.body.appeal_note })) {
+        eventTracker.track('suspension_appeal', {
+          userId,
+          sessionId: req.sessionID,
+          metadata: { length: req.body.appeal_note.length }
+        });
+      }
+      
+      res.redirect('/suspended?message=' + encodeURIComponent('Your appeal has been sent to the admins.'));
+    }
+  );
+
+  // OAuth callback wrapper: suspended accounts are sent to the appeal page instead of /login
+  function oauthCallback(provider) {
+    return (req, res, next) => {
+      passport.authenticate(provider, (err, user, info) => {
+        if (err) return next(err);
+        if (!user) {
+          if (info?.suspendedUserId) {
+            req.session.suspendedUserId = info.suspendedUserId;
+            return res.redirect('/suspended');
+          }
+          return res.redirect('/login');
+        }
+        req.logIn(user, (loginErr) => loginErr ? next(loginErr) : next());
+      })(req, res, next);
+    };
+  }
+
+  // OAuth Routes - Google
+  router.get('/auth/google', 
     passport.authenticate('google', { scope: ['profile', 'email'] })
   );
 
   router.get('/auth/google/callback',
-    passport.authenticate('google', { 
-      failureRedirect: '/login',
-      failureFlash: false 
-    }),
+    oauthCallback('google'),
     (req, res, next) => {
       if (!req.user) {
         console.error('Google OAuth: No user after authentication');
@@ -1063,7 +1407,8 @@ function buildRouter(db) {
         id: req.user.id,
         handle: req.user.handle,
         email: req.user.email,
-        is_admin: req.user.is_admin === 1
+        is_admin: req.user.is_admin === 1,
+        session_version: req.user.session_version || 0
       };
       
       eventTracker.track('login', {
@@ -1084,10 +1429,7 @@ function buildRouter(db) {
   );
 
   router.post('/auth/apple/callback',
-    passport.authenticate('apple', { 
-      failureRedirect: '/login',
-      failureFlash: false 
-    }),
+    oauthCallback('apple'),
     (req, res, next) => {
       if (!req.user) {
         console.error('Apple OAuth: No user after authentication');
@@ -1098,7 +1440,8 @@ function buildRouter(db) {
         id: req.user.id,
         handle: req.user.handle,
         email: req.user.email,
-        is_admin: req.user.is_admin === 1
+        is_admin: req.user.is_admin === 1,
+        session_version: req.user.session_version || 0
       };
       
       eventTracker.track('login', {
@@ -1114,6 +1457,19 @@ function buildRouter(db) {
   );
 
   // Profile routes
+  // Personal access tokens section of /profile. A newly created token is
+  // shown exactly once, straight after the redirect from POST /profile/tokens.
+  function accessTokenLocals(req) {
+    const newApiToken = req.session.newApiToken || null;
+    delete req.session.newApiToken;
+    return {
+      apiTokens: apiTokens.listApiTokens(db, req.session.user.id),
+      apiScopes: apiTokens.SCOPES,
+      apiTokenExpiryDays: apiTokens.EXPIRY_DAYS,
+      newApiToken
+    };
+  }
+
   router.get('/profile', requireAuth, (req, res) => {
     const userId = req.session.user.id;
     const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
@@ -1147,6 +1503,10 @@ function buildRouter(db) {
       errors: [], 
       isAuthor: user.is_slocialite === 0,
       readingStats,
+      notificationPreferences: notifications.getPreferences(db, userId),
+      timeZones: scheduling.listTimeZones(),
+      ...accessTokenLocals(req),
+      req, // the template reads its status banners from req.query
       pageTitle: 'Slocial - Profile' 
     });
   });
@@ -1154,21 +1514,147 @@ function buildRouter(db) {
   router.post('/profile', requireAuth,
     body('bio').isLength({ max: 500 }).withMessage('Bio must be under 500 characters'),
     body('avatar_url').optional({ checkFalsy: true }).isURL().withMessage('Avatar must be a valid URL'),
+    body('timezone').optional({ checkFalsy: true }).custom(scheduling.isValidTimeZone).withMessage('Pick a timezone from the list'),
     (req, res) => {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.user.id);
-        return res.status(400).render('profile', { user: req.session.user, profile: user, errors: errors.array() });
+        return res.status(400).render('profile', {
+          user: req.session.user,
+          profile: user,
+          errors: errors.array(),
+          isAuthor: user.is_slocialite === 0,
+          readingStats: null,
+          notificationPreferences: notifications.getPreferences(db, req.session.user.id),
+          timeZones: scheduling.listTimeZones(),
+          ...accessTokenLocals(req)
+        });
       }
 
-      const { bio, avatar_url } = req.body;
-      db.prepare('UPDATE users SET bio = ?, avatar_url = ? WHERE id = ?')
-        .run(bio || null, avatar_url || null, req.session.user.id);
+      const { bio, avatar_url, timezone } = req.body;
+      db.prepare('UPDATE users SET bio = ?, avatar_url = ?, timezone = ? WHERE id = ?')
+        .run(bio || null, avatar_url || null, timezone || null, req.session.user.id);
       
       res.redirect('/profile?saved=1');
     }
   );
   
+  // Change a password, or set a first one for accounts created through OAuth
+  router.post('/profile/password', requireAuth, async (req, res) => {
+    const userId = req.session.user.id;
+    const user = db.prepare('SELECT id, handle, email, password_hash FROM users WHERE id = ?').get(userId);
+    const fail = (msg) => res.redirect('/profile?password_error=' + encodeURIComponent(msg) + '#password');
+
+    if (user.password_hash && !passwords.verifyPassword(user, req.body.current_password)) {
+      return fail('Your current password is incorrect');
+    }
+
+    const problem = passwords.validateNewPassword(req.body.new_password, req.body.confirm_password);
+    if (problem) return fail(problem);
+
+    // Keep this session; every other one is signed out by the version bump
+    req.session.user.session_version = passwords.setPassword(db, { userId, password: req.body.new_password });
+
+    eventTracker.track(user.password_hash ? 'password_changed' : 'password_set', {
+      userId,
+      sessionId: req.sessionID,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your slocial.org password was changed',
+        template: 'password-changed',
+        locals: {
+          handle: user.handle,
+          resetPath: '/forgot-password'
+        }
+      });
+    } catch (e) {
+      console.error('Failed to queue password change email:', e);
+    }
+
+    res.redirect('/profile?password=1#password');
+  });
+
+  router.post('/profile/tokens', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const expiresInDays = Number(req.body.expires_in_days) || null;
+    try {
+      const { id, token } = apiTokens.createApiToken(db, {
+        userId,
+        name: req.body.name,
+        scopes: req.body.scopes,
+        expiresInDays: apiTokens.EXPIRY_DAYS.includes(expiresInDays) ? expiresInDays : null
+      });
+      req.session.newApiToken = { id, token };
+      eventTracker.track('api_token_created', { userId, sessionId: req.sessionID, metadata: { tokenId: id } });
+      res.redirect('/profile#access-tokens');
+    } catch (error) {
+      res.redirect('/profile?token_error=' + encodeURIComponent(error.message) + '#access-tokens');
+    }
+  });
+
+  router.post('/profile/tokens/:id/revoke', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    if (apiTokens.revokeApiToken(db, { userId, tokenId: Number(req.params.id) })) {
+      eventTracker.track('api_token_revoked', { userId, sessionId: req.sessionID, metadata: { tokenId: Number(req.params.id) } });
+    }
+    res.redirect('/profile?token_revoked=1#access-tokens');
+  });
+
+  router.post('/profile/notifications', requireAuth, (req, res) => {
+    const types = [].concat(req.body.types || []);
+    notifications.setPreferences(db, req.session.user.id, types);
+    res.redirect('/profile?notifications=1');
+  });
+
+  router.get('/notifications', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const summaries = notifications.getInbox(db, userId);
+    const pendingCount = notifications.getPendingCount(db, userId);
+
+    // Opening the inbox reads everything in it; the nav badge clears on the next page
+    notifications.markAllRead(db, userId);
+
+    res.render('notifications', {
+      summaries,
+      pendingCount,
+      nextDelivery: notifications.nextDeliveryTime(),
+      pageTitle: 'Slocial - Notifications'
+    });
+  });
+
+  function renderDigest(req, res, current) {
+    const userId = req.session.user.id;
+    res.render('digest', {
+      digest: current,
+      recent: digest.getRecentDigests(db, userId),
+      followedTags: digest.getFollowedTags(db, userId),
+      emailEnabled: notifications.isEnabled(db, userId, 'digest_email'),
+      nextDelivery: notifications.nextDeliveryTime(),
+      csrfToken: req.csrfToken(),
+      pageTitle: 'Slocial - Digest'
+    });
+  }
+
+  // Latest digest, plus the list of earlier ones and the mosaics being followed
+  router.get('/digest', requireAuth, (req, res) => {
+    const [latest] = digest.getRecentDigests(db, req.session.user.id, 1);
+    const current = latest ? digest.getDigest(db, { userId: req.session.user.id, digestId: latest.id }) : null;
+    renderDigest(req, res, current);
+  });
+
+  router.get('/digest/:id', requireAuth, (req, res) => {
+    const current = digest.getDigest(db, { userId: req.session.user.id, digestId: Number(req.params.id) });
+    if (!current) {
+      return res.status(404).send('Digest not found');
+    }
+    renderDigest(req, res, current);
+  });
+
   // Download reading log as CSV
   router.get('/profile/reading-log/download', requireAuth, (req, res) => {
     const userId = req.session.user.id;
@@ -1255,11 +1741,19 @@ function buildRouter(db) {
     }
   });
 
-  router.get('/compose', requireAuth, (req, res) => {
+  router.get('/compose', requireVerifiedEmail, (req, res) => {
+    const channels = getUserChannels(req.session.user.id);
+    const preselected = channels.find(c => c.slug === req.query.channel);
+    
     res.render('compose', { 
       user: req.session.user, 
       errors: [], 
       values: {}, 
+      channels,
+      selectedChannelIds: preselected ? [preselected.id] : [],
+      sorts: getAllSorts(),
+      selectedSortIds: [],
+      ...composeLocals(req),
       pageClass: 'compose',
       theme: req.cookies?.theme || 'light',
       pageTitle: 'Slocial - Compose'
@@ -1268,57 +1762,57 @@ function buildRouter(db) {
   
   // Drafts routes
   router.get('/drafts', requireAuth, (req, res) => {
-    // Temporarily show unpublished letters with future dates as drafts
-    const drafts = db.prepare(`
-      SELECT * FROM letters 
-      WHERE author_id = ? 
-        AND is_published = 0 
-        AND publish_at > datetime('now', '+12 hours')
-      ORDER BY created_at DESC
-    `).all(req.session.user.id);
-    
     const saved = req.query.saved;
+    const timeZone = authorTimeZone(req.session.user.id);
+    // Letters that are steeping towards their publish time
+    const scheduled = db.prepare(`
+      SELECT * FROM letters
+      WHERE author_id = ? AND is_published = 0 AND ${columns.hasDraftColumn ? 'is_draft = 0 AND' : ''} publish_at > ?
+      ORDER BY publish_at ASC
+    `).all(req.session.user.id, new Date().toISOString()).map(letter => ({
+      ...letter,
+      publishAtLabel: scheduling.formatInTimeZone(letter.publish_at, timeZone),
+      publishAtLocal: scheduling.toLocalInput(letter.publish_at, timeZone)
+    }));
+    
     res.render('drafts', { 
       user: req.session.user, 
-      drafts, 
+      drafts: drafts.listDrafts(db, req.session.user.id), 
+      scheduled,
+      postingNotice: postingNotice(req.session.user.id),
+      timeZone,
+      timeZones: scheduling.listTimeZones(),
       saved: !!saved,
+      message: req.query.message,
+      error: req.query.error,
       pageTitle: 'Slocial - Drafts' 
     });
   });
   
   // Publish draft directly from drafts page
-  router.post('/drafts/:id/publish', requireAuth, (req, res) => {
+  router.post('/drafts/:id/publish', requireVerifiedEmail, (req, res) => {
     const draftId = req.params.id;
-    const now = dayjs();
-    
-    // Verify ownership (temporarily check unpublished letters)
-    const draft = db.prepare(`
-      SELECT * FROM letters 
-      WHERE id = ? 
-        AND author_id = ? 
-        AND is_published = 0
-    `).get(draftId, req.session.user.id);
     
+    const draft = drafts.getDraft(db, req.session.user.id, draftId);
     if (!draft) {
       return res.status(404).send('Draft not found');
     }
     
-    // Check 24-hour limit (honor system - just log for now)
-    const lastPublished = db.prepare('SELECT created_at FROM letters WHERE author_id = ? ORDER BY created_at DESC LIMIT 1')
-      .get(req.session.user.id);
+    const quota = postingQuota.checkQuota(db, { userId: req.session.user.id, tagIds: letterTagIds(draft.id) });
+    if (!quota.allowed) {
+      return res.redirect('/drafts?error=' + encodeURIComponent(quotaMessage(req.session.user.id, quota)));
+    }
     
-    if (lastPublished && dayjs(lastPublished.created_at).isAfter(now.subtract(24, 'hour'))) {
-      // Just log it - honor system
-      console.log(`User ${req.session.user.id} publishing within 24 hours (honor system)`);
+    let publishAt;
+    try {
+      publishAt = publishAtFromForm(req);
+    } catch (error) {
+      return res.redirect('/drafts?error=' + encodeURIComponent(error.message));
     }
     
-    // Convert draft to published letter
-    const publish_at = now.add(12, 'hour').toISOString();
-    db.prepare(`
-      UPDATE letters 
-      SET publish_at = ?
-      WHERE id = ?
-    `).run(publish_at, draftId);
+    // Convert draft to a steeping letter
+    const publish_at = drafts.publishDraft(db, { draftId: draft.id, userId: req.session.user.id, publishAt });
+    schedulePublish(scheduler, draft.id, publish_at);
     
     eventTracker.track('draft_publish', {
       userId: req.session.user.id,
@@ -1330,6 +1824,39 @@ function buildRouter(db) {
     res.redirect(`/letters/${draftId}`);
   });
   
+  // Letters sent in for review (slocialites), with every round's decision
+  router.get('/submissions', requireAuth, (req, res) => {
+    res.render('submissions', {
+      user: req.session.user,
+      submissions: submissions.listSubmissions(db, req.session.user.id),
+      message: req.query.message,
+      error: req.query.error,
+      pageTitle: 'Slocial - My submissions'
+    });
+  });
+  
+  // Revise a declined letter and send it back for another round of review
+  router.post('/submissions/:id/resubmit', requireVerifiedEmail, (req, res) => {
+    const id = Number(req.params.id);
+    let result;
+    try {
+      result = submissions.resubmit(db, { letterId: id, userId: req.session.user.id, title: req.body.title, body: req.body.body });
+    } catch (error) {
+      return res.redirect('/submissions?error=' + encodeURIComponent(error.message) + `#letter-${id}`);
+    }
+    if (!result) return res.status(404).send('Letter not found');
+    schedulePublish(scheduler, id, result.publishAt);
+    
+    eventTracker.track('letter_resubmit', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId: id,
+      metadata: { round: result.round }
+    });
+    
+    res.redirect('/submissions?message=' + encodeURIComponent('Sent back for review') + `#letter-${id}`);
+  });
+  
   // Tags browsing and access request routes
   router.get('/tags', (req, res) => {
     const userId = req.session.user?.id;
@@ -1355,7 +1882,10 @@ function buildRouter(db) {
             WHERE tag_id = t.id AND status = 'pending'
           )
           ELSE 0
-        END as pending_request_count
+        END as pending_request_count,
+        EXISTS(
+          SELECT 1 FROM tag_followers tf WHERE tf.tag_id = t.id AND tf.user_id = ?
+        ) as is_following
       FROM tags t
       LEFT JOIN letter_tags lt ON t.id = lt.tag_id
       LEFT JOIN tag_owners o ON t.id = o.tag_id AND o.is_active = 1 AND o.user_id = ?
@@ -1371,7 +1901,7 @@ function buildRouter(db) {
       WHERE t.is_active = 1
       GROUP BY t.id
       ORDER BY t.usage_count DESC, t.name
-    `).all(userId || -1, userId || -1, userId || -1);
+    `).all(userId || -1, userId || -1, userId || -1, userId || -1);
     
     // Get tag owners for each tag
     const tagOwnersQuery = db.prepare(`
@@ -1591,6 +2121,40 @@ function buildRouter(db) {
     
     res.redirect('/tags?message=' + encodeURIComponent('Request cancelled'));
   });
+
+  // Only same-site paths are accepted as a place to go back to
+  function localReturnPath(value, fallback) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : fallback;
+  }
+
+  // Follow a mosaic: its new letters show up in the daily digest
+  router.post('/tags/:id/follow', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const returnTo = localReturnPath(req.body.returnTo, '/tags');
+    const tag = db.prepare('SELECT id, name FROM tags WHERE id = ? AND is_active = 1').get(req.params.id);
+
+    if (!tag) {
+      return res.redirect('/tags?error=' + encodeURIComponent('Mosaic not found'));
+    }
+    if (!canUserUseTag(userId, tag.id)) {
+      return res.redirect('/tags?error=' + encodeURIComponent('You need access to this mosaic before you can follow it'));
+    }
+
+    if (digest.followTag(db, userId, tag.id)) {
+      eventTracker.track('tag_follow', { userId, sessionId: req.sessionID, metadata: { tagId: tag.id } });
+    }
+    res.redirect(returnTo);
+  });
+
+  router.post('/tags/:id/unfollow', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const returnTo = localReturnPath(req.body.returnTo, '/tags');
+
+    if (digest.unfollowTag(db, userId, Number(req.params.id))) {
+      eventTracker.track('tag_unfollow', { userId, sessionId: req.sessionID, metadata: { tagId: Number(req.params.id) } });
+    }
+    res.redirect(returnTo);
+  });
   
   // API endpoint to get tags available to the user
   router.get('/api/tags/available', requireAuth, (req, res) => {
@@ -1660,9 +2224,10 @@ function buildRouter(db) {
   // API endpoint for mosaic infinite scroll
   router.get('/mosaics/:slug/api/letters', (req, res) => {
     const { slug } = req.params;
-    const page = Math.max(1, parseInt(req.query.page || '1', 10));
-    const pageSize = 10;
-    const offset = (page - 1) * pageSize;
+    const cursor = decodeFeedCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     const now = dayjs().toISOString();
     const userId = req.session.user?.id || null;
     
@@ -1678,79 +2243,12 @@ function buildRouter(db) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    // Check if is_draft and approval_status columns exist
-    let hasDraftColumn = false;
-    let hasApprovalColumn = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasDraftColumn = columns.some(col => col.name === 'is_draft');
-      hasApprovalColumn = columns.some(col => col.name === 'approval_status');
-    } catch (e) {
-      console.error('Error checking for columns:', e);
-    }
-    
-    // Get letters from this specific mosaic
-    const query = hasApprovalColumn ? `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 ${hasDraftColumn ? 'AND l.is_draft = 0' : ''} 
-        AND l.publish_at <= @now
-        AND (l.approval_status = 'approved' OR l.approval_status IS NULL)
-        AND lt.tag_id = @tagId
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    ` : hasDraftColumn ? `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.is_draft = 0 AND l.publish_at <= @now
-        AND lt.tag_id = @tagId
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    ` : `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.publish_at <= @now
-        AND lt.tag_id = @tagId
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    `;
-    
-    const params = { now, limit: pageSize + 1, offset, uid: userId || -1, tagId: mosaic.id };
-    const letters = db.prepare(query).all(params);
-    
-    // Check if there are more letters
-    const hasMore = letters.length > pageSize;
-    if (hasMore) {
-      letters.pop(); // Remove the extra letter used for checking
-    }
-    
-    // Add tags to each letter for display
-    letters.forEach(letter => {
-      letter.tags = getLetterTags(letter.id);
-    });
+    const { letters, hasMore, nextCursor } = feed.listLetters({ userId, now, mosaicId: mosaic.id, cursor });
     
     res.json({ 
       letters, 
       hasMore,
-      page,
+      nextCursor,
       csrfToken: req.csrfToken()
     });
   });
@@ -1758,9 +2256,6 @@ function buildRouter(db) {
   // Mosaic reading page - individual mosaic reading experience
   router.get('/mosaics/:slug/read', (req, res) => {
     const { slug } = req.params;
-    const page = Math.max(1, parseInt(req.query.page || '1', 10));
-    const pageSize = 10;
-    const offset = (page - 1) * pageSize;
     const now = dayjs().toISOString();
     const userId = req.session.user?.id || null;
     
@@ -1784,103 +2279,19 @@ function buildRouter(db) {
       });
     }
     
-    // Check if is_draft and approval_status columns exist
-    let hasDraftColumn = false;
-    let hasApprovalColumn = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasDraftColumn = columns.some(col => col.name === 'is_draft');
-      hasApprovalColumn = columns.some(col => col.name === 'approval_status');
-    } catch (e) {
-      console.error('Error checking for columns:', e);
-    }
-    
-    // Get letters from this specific mosaic
-    const query = hasApprovalColumn ? `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 ${hasDraftColumn ? 'AND l.is_draft = 0' : ''} 
-        AND l.publish_at <= @now
-        AND (l.approval_status = 'approved' OR l.approval_status IS NULL)
-        AND lt.tag_id = @tagId
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    ` : hasDraftColumn ? `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.is_draft = 0 AND l.publish_at <= @now
-        AND lt.tag_id = @tagId
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    ` : `
-      SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
-        (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
-        EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
-        rs.status AS reading_status
-      FROM letters l
-      JOIN users u ON u.id = l.author_id
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
-      WHERE l.is_published = 1 AND l.publish_at <= @now
-        AND lt.tag_id = @tagId
-      ORDER BY l.publish_at DESC
-      LIMIT @limit OFFSET @offset
-    `;
-    
-    const params = { now, limit: pageSize, offset, uid: userId || -1, tagId: mosaic.id };
-    const letters = db.prepare(query).all(params);
-    
-    // Add tags to each letter for display
-    letters.forEach(letter => {
-      letter.tags = getLetterTags(letter.id);
-    });
-    
-    // Get total count for this mosaic
-    const countQuery = `
-      SELECT COUNT(DISTINCT l.id) as total 
-      FROM letters l
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      WHERE l.is_published = 1 
-        ${hasDraftColumn ? 'AND l.is_draft = 0' : ''}
-        AND l.publish_at <= ?
-        AND lt.tag_id = ?
-    `;
-    const totalCount = db.prepare(countQuery).get(now, mosaic.id).total;
-    
-    // Get count of unread letters in this mosaic
-    const unreadQuery = userId ? `
-      SELECT COUNT(DISTINCT l.id) as unread
-      FROM letters l
-      JOIN letter_tags lt ON lt.letter_id = l.id
-      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = ?
-      WHERE l.is_published = 1 
-        ${hasDraftColumn ? 'AND l.is_draft = 0' : ''}
-        AND l.publish_at <= ?
-        AND lt.tag_id = ?
-        AND (rs.status IS NULL OR rs.status = 'later')
-    ` : null;
-    
-    const unreadCount = unreadQuery ? db.prepare(unreadQuery).get(userId, now, mosaic.id).unread : 0;
+    // The first page; infinite scroll continues from nextCursor via the mosaic's api/letters
+    const { letters, nextCursor } = feed.listLetters({ userId, now, mosaicId: mosaic.id });
+    const { totalCount, unreadCount } = feed.countMosaicLetters({ userId, now, mosaicId: mosaic.id });
     
     res.render('mosaic-read', { 
       user: req.session.user, 
       letters, 
-      page,
+      pinnedLetters: feed.listPinned({ userId, now, mosaicId: mosaic.id }),
+      nextCursor,
       mosaic,
       totalCount,
       unreadCount,
+      isFollowing: digest.isFollowing(db, userId, mosaic.id),
       pageClass: 'mosaic-read',
       pageTitle: `${mosaic.name} - Mosaic Reading`
     });
@@ -1933,7 +2344,11 @@ function buildRouter(db) {
       pendingRequests,
       permissions,
       owners,
+      mosaicLetters: mosaicModeration.listLetters(db, tag.id),
+      pendingLetters: mosaicModeration.listPending(db, tag.id),
+      maxPins: mosaicModeration.MAX_PINS,
       message: req.query.message,
+      error: req.query.error,
       csrfToken: req.csrfToken(),
       pageTitle: `Manage ${tag.name} - Mosaic`
     });
@@ -2094,6 +2509,14 @@ function buildRouter(db) {
         VALUES (?, ?, 'use', ?)
       `).run(tagId, request.user_id, userId);
       
+      notifications.notify(db, {
+        userId: request.user_id,
+        type: 'tag_access',
+        actorId: userId,
+        tagId: Number(tagId),
+        data: { decision: 'approved', message: response_message || null }
+      });
+      
       res.redirect(`/tags/${tagId}/manage?message=` + encodeURIComponent('Access granted'));
     } else if (action === 'reject') {
       // Reject request
@@ -2106,99 +2529,727 @@ function buildRouter(db) {
         WHERE id = ?
       `).run(now, userId, response_message || null, requestId);
       
+      notifications.notify(db, {
+        userId: request.user_id,
+        type: 'tag_access',
+        actorId: userId,
+        tagId: Number(tagId),
+        data: { decision: 'rejected', message: response_message || null }
+      });
+      
       res.redirect(`/tags/${tagId}/manage?message=` + encodeURIComponent('Request rejected'));
     } else {
       res.redirect(`/tags/${tagId}/manage`);
     }
   });
   
-  // Delete draft
-  router.post('/drafts/:id/delete', requireAuth, (req, res) => {
-    const draftId = req.params.id;
-    
-    // Verify ownership and delete (temporarily delete unpublished letters)
-    const result = db.prepare(`
-      DELETE FROM letters 
-      WHERE id = ? 
-        AND author_id = ? 
-        AND is_published = 0
-        AND publish_at > datetime('now', '+12 hours')
-    `).run(draftId, req.session.user.id);
-    
-    if (result.changes === 0) {
-      return res.status(404).send('Draft not found');
+  // Mosaic owners moderate the letters in their mosaic. Every action lands in
+  // the moderation audit log and the letter's author hears about it.
+  function manageMosaic(req, res, next) {
+    const tag = db.prepare('SELECT id, name FROM tags WHERE id = ?').get(Number(req.params.id));
+    if (!tag) return res.status(404).send('Mosaic not found');
+    if (!isTagOwner(req.session.user.id, tag.id)) {
+      return res.status(403).send('You are not an owner of this mosaic');
     }
-    
-    eventTracker.track('draft_delete', {
+    req.mosaic = tag;
+    next();
+  }
+  
+  function notifyMosaicAuthor(req, letter, decision, reason = null) {
+    notifications.notify(db, {
+      userId: letter.author_id,
+      type: 'mosaic',
+      actorId: req.session.user.id,
+      letterId: letter.id,
+      tagId: req.mosaic.id,
+      data: reason ? { decision, reason } : { decision }
+    });
+  }
+  
+  function manageRedirect(req, res, { message, error } = {}) {
+    const query = message ? '?message=' + encodeURIComponent(message) : error ? '?error=' + encodeURIComponent(error) : '';
+    res.redirect(`/tags/${req.mosaic.id}/manage${query}#mosaic-letters`);
+  }
+  
+  router.post('/tags/:id/manage/approval', requireAuth, manageMosaic, (req, res) => {
+    const enabled = req.body.requires_approval === '1';
+    mosaicModeration.setRequiresApproval(db, { tagId: req.mosaic.id, enabled });
+    logModeration(req, enabled ? 'mosaic_require_approval' : 'mosaic_open', 'tag', req.mosaic.id, {
+      details: { name: req.mosaic.name }
+    });
+    manageRedirect(req, res, {
+      message: enabled ? 'New letters now wait for an owner to approve them' : 'New letters join the mosaic straight away'
+    });
+  });
+  
+  router.post('/tags/:id/manage/letters/:letterId/review', requireAuth, manageMosaic, (req, res) => {
+    const letterId = Number(req.params.letterId);
+    const decision = req.body.action === 'approve' ? 'approved' : 'rejected';
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) || null : null;
+    const letter = mosaicModeration.review(db, { tagId: req.mosaic.id, letterId, ownerId: req.session.user.id, decision, reason });
+    if (!letter) return manageRedirect(req, res, { error: 'That letter is no longer waiting for approval' });
+    
+    logModeration(req, decision === 'approved' ? 'mosaic_approve_letter' : 'mosaic_reject_letter', 'letter', letterId, {
+      details: { title: letter.title, mosaic: req.mosaic.name, tagId: req.mosaic.id },
+      reason
+    });
+    notifyMosaicAuthor(req, letter, decision, reason);
+    manageRedirect(req, res, { message: decision === 'approved' ? `"${letter.title}" is now in the mosaic` : `"${letter.title}" was declined` });
+  });
+  
+  router.post('/tags/:id/manage/letters/:letterId/remove', requireAuth, manageMosaic, (req, res) => {
+    const letterId = Number(req.params.letterId);
+    const letter = mosaicModeration.removeLetter(db, { tagId: req.mosaic.id, letterId });
+    if (!letter) return manageRedirect(req, res, { error: 'That letter is not in this mosaic' });
+    
+    const reason = logModeration(req, 'mosaic_remove_letter', 'letter', letterId, {
+      details: { title: letter.title, mosaic: req.mosaic.name, tagId: req.mosaic.id }
+    });
+    notifyMosaicAuthor(req, letter, 'removed', reason);
+    manageRedirect(req, res, { message: `"${letter.title}" was removed from the mosaic` });
+  });
+  
+  router.post('/tags/:id/manage/letters/:letterId/pin', requireAuth, manageMosaic, (req, res) => {
+    const letterId = Number(req.params.letterId);
+    const pinned = req.body.pinned === '1';
+    let found;
+    try {
+      found = mosaicModeration.setPinned(db, { tagId: req.mosaic.id, letterId, ownerId: req.session.user.id, pinned });
+    } catch (error) {
+      return manageRedirect(req, res, { error: error.message });
+    }
+    if (!found) return manageRedirect(req, res, { error: 'That letter is not in this mosaic' });
+    
+    logModeration(req, pinned ? 'mosaic_pin_letter' : 'mosaic_unpin_letter', 'letter', letterId, {
+      details: { mosaic: req.mosaic.name, tagId: req.mosaic.id }
+    });
+    manageRedirect(req, res, { message: pinned ? 'Letter pinned' : 'Letter unpinned' });
+  });
+  
+  // Channels: small writing circles with their own membership and letter feed
+  router.get('/channels', (req, res) => {
+    const userId = req.session.user?.id || null;
+    
+    const channels = db.prepare(`
+      SELECT 
+        c.*,
+        u.handle AS creator_handle,
+        cm.role AS my_role,
+        ci.id AS invite_id,
+        ci.status AS invite_status,
+        ci.invited_by,
+        inviter.handle AS inviter_handle
+      FROM channels c
+      JOIN users u ON u.id = c.creator_id
+      LEFT JOIN channel_members cm ON cm.channel_id = c.id AND cm.user_id = @uid
+      LEFT JOIN channel_invites ci ON ci.channel_id = c.id AND ci.user_id = @uid AND ci.status = 'pending'
+      LEFT JOIN users inviter ON inviter.id = ci.invited_by
+      WHERE c.is_approved = 1 OR cm.user_id IS NOT NULL
+      ORDER BY cm.user_id IS NULL, c.member_count DESC, c.name
+    `).all({ uid: userId || -1 });
+    
+    // Pending invitations are surfaced separately so they are hard to miss
+    const invitations = channels.filter(c => c.invite_status === 'pending' && c.invited_by);
+    
+    res.render('channels', {
+      user: req.session.user,
+      channels,
+      invitations,
+      message: req.query.message,
+      error: req.query.error,
+      pageTitle: 'Slocial - Channels'
+    });
+  });
+  
+  // Create a new channel (admins approve it before it is listed)
+  router.post('/channels/create', requireAuth,
+    body('name').trim().isLength({ min: 3, max: 60 }).withMessage('Channel name must be 3-60 characters'),
+    body('description').optional({ checkFalsy: true }).isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+    (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.redirect('/channels?error=' + encodeURIComponent(errors.array()[0].msg));
+      }
+      
+      const { name, description, is_public } = req.body;
+      const userId = req.session.user.id;
+      const autoApprove = isUserAdmin(userId);
+      
+      const slug = name.toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+      
+      if (!slug) {
+        return res.redirect('/channels?error=' + encodeURIComponent('Channel name must contain letters or numbers'));
+      }
+      
+      try {
+        const createChannel = db.transaction(() => {
+          const result = db.prepare(`
+            INSERT INTO channels (name, slug, description, creator_id, is_public, is_approved, approved_at, approved_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `).run(
+            name,
+            slug,
+            description || null,
+            userId,
+            is_public ? 1 : 0,
+            autoApprove ? 1 : 0,
+            autoApprove ? dayjs().toISOString() : null,
+            autoApprove ? userId : null
+          );
+          
+          const channelId = result.lastInsertRowid;
+          addChannelMember(channelId, userId, 'owner');
+          return channelId;
+        });
+        
+        const channelId = createChannel();
+        
+        eventTracker.track('channel_create', {
+          userId,
+          sessionId: req.sessionID,
+          metadata: { channelId, name, isPublic: !!is_public }
+        });
+        
+        const message = autoApprove ? 
+          'Channel created!' : 
+          'Channel created - it will be listed once an admin approves it';
+        res.redirect(`/channels/${slug}?message=` + encodeURIComponent(message));
+      } catch (error) {
+        if (/UNIQUE/.test(error.message)) {
+          return res.redirect('/channels?error=' + encodeURIComponent('A channel with this name already exists'));
+        }
+        console.error('Error creating channel:', error);
+        res.redirect('/channels?error=' + encodeURIComponent('Failed to create channel'));
+      }
+    }
+  );
+  
+  // Channel page with its letter feed
+  router.get('/channels/:slug', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const cursor = decodeFeedCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).send('Invalid cursor');
+    }
+    
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    const myRole = channel ? getChannelRole(userId, channel.id) : null;
+    
+    // Unapproved channels are only visible to their members and admins
+    if (!channel || (!channel.is_approved && !myRole && !isUserAdmin(userId))) {
+      return res.status(404).send('Channel not found');
+    }
+    
+    const canRead = canReadChannel(userId, channel);
+    const { letters, nextCursor } = canRead
+      ? feed.listLetters({ userId, now: dayjs().toISOString(), channelId: channel.id, cursor })
+      : { letters: [], nextCursor: null };
+    
+    const members = canRead ? db.prepare(`
+      SELECT cm.*, u.handle, u.avatar_url
+      FROM channel_members cm
+      JOIN users u ON u.id = cm.user_id
+      WHERE cm.channel_id = ?
+      ORDER BY cm.role = 'owner' DESC, cm.role = 'moderator' DESC, cm.joined_at
+    `).all(channel.id) : [];
+    
+    const pendingInvite = db.prepare(`
+      SELECT ci.*, u.handle AS inviter_handle
+      FROM channel_invites ci
+      LEFT JOIN users u ON u.id = ci.invited_by
+      WHERE ci.channel_id = ? AND ci.user_id = ? AND ci.status = 'pending'
+    `).get(channel.id, userId);
+    
+    res.render('channel', {
+      user: req.session.user,
+      channel,
+      letters,
+      members,
+      myRole,
+      canRead,
+      canManage: canManageChannel(userId, channel.id),
+      pendingInvite,
+      isFirstPage: !req.query.cursor,
+      nextCursor,
+      message: req.query.message,
+      error: req.query.error,
+      pageClass: 'channel-page',
+      pageTitle: `${channel.name} - Channel`
+    });
+  });
+  
+  // Join a public channel, or ask to join a private one
+  router.post('/channels/:slug/join', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const { message } = req.body;
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ? AND is_approved = 1').get(req.params.slug);
+    
+    if (!channel) {
+      return res.redirect('/channels?error=' + encodeURIComponent('Channel not found'));
+    }
+    
+    const base = `/channels/${channel.slug}`;
+    
+    if (getChannelRole(userId, channel.id)) {
+      return res.redirect(base + '?message=' + encodeURIComponent('You are already a member'));
+    }
+    
+    const existing = db.prepare(`
+      SELECT * FROM channel_invites WHERE channel_id = ? AND user_id = ?
+    `).get(channel.id, userId);
+    
+    try {
+      if (channel.is_public || (existing && existing.status === 'pending' && existing.invited_by)) {
+        // Public channels (and standing invitations) let people straight in
+        const joinChannel = db.transaction(() => {
+          addChannelMember(channel.id, userId);
+          
+          if (existing && existing.status === 'pending') {
+            db.prepare(`
+              UPDATE channel_invites 
+              SET status = 'accepted', responded_at = datetime('now'), responded_by = ?
+              WHERE id = ?
+            `).run(userId, existing.id);
+          }
+        });
+        joinChannel();
+        
+        eventTracker.track('channel_join', {
+          userId,
+          sessionId: req.sessionID,
+          metadata: { channelId: channel.id }
+        });
+        
+        return res.redirect(base + '?message=' + encodeURIComponent(`Welcome to ${channel.name}!`));
+      }
+      
+      if (existing && existing.status === 'pending') {
+        return res.redirect(base + '?error=' + encodeURIComponent('You already have a pending request for this channel'));
+      }
+      
+      // Private channel: file (or re-file) a join request for the moderators
+      db.prepare(`
+        INSERT INTO channel_invites (channel_id, user_id, message)
+        VALUES (?, ?, ?)
+        ON CONFLICT(channel_id, user_id) DO UPDATE SET
+          status = 'pending',
+          message = excluded.message,
+          invited_by = NULL,
+          requested_at = datetime('now'),
+          responded_at = NULL,
+          responded_by = NULL
+      `).run(channel.id, userId, message || null);
+      
+      res.redirect(base + '?message=' + encodeURIComponent('Request sent - a moderator will review it'));
+    } catch (error) {
+      console.error('Error joining channel:', error);
+      res.redirect(base + '?error=' + encodeURIComponent('Failed to join channel'));
+    }
+  });
+  
+  // Cancel a pending join request
+  router.post('/channels/:slug/cancel-request', requireAuth, (req, res) => {
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    if (!channel) return res.status(404).send('Channel not found');
+    
+    db.prepare(`
+      UPDATE channel_invites 
+      SET status = 'cancelled'
+      WHERE channel_id = ? AND user_id = ? AND status = 'pending' AND invited_by IS NULL
+    `).run(channel.id, req.session.user.id);
+    
+    res.redirect(`/channels/${channel.slug}?message=` + encodeURIComponent('Request cancelled'));
+  });
+  
+  // Accept or decline an invitation
+  router.post('/channels/:slug/invitation', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const { action } = req.body;
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    if (!channel) return res.status(404).send('Channel not found');
+    
+    const invite = db.prepare(`
+      SELECT * FROM channel_invites 
+      WHERE channel_id = ? AND user_id = ? AND status = 'pending' AND invited_by IS NOT NULL
+    `).get(channel.id, userId);
+    
+    if (!invite) {
+      return res.redirect('/channels?error=' + encodeURIComponent('Invitation not found'));
+    }
+    
+    if (action === 'accept') {
+      const acceptInvite = db.transaction(() => {
+        db.prepare(`
+          UPDATE channel_invites 
+          SET status = 'accepted', responded_at = datetime('now'), responded_by = ?
+          WHERE id = ?
+        `).run(userId, invite.id);
+        addChannelMember(channel.id, userId);
+      });
+      acceptInvite();
+      
+      eventTracker.track('channel_join', {
+        userId,
+        sessionId: req.sessionID,
+        metadata: { channelId: channel.id, via: 'invite' }
+      });
+      
+      return res.redirect(`/channels/${channel.slug}?message=` + encodeURIComponent(`Welcome to ${channel.name}!`));
+    }
+    
+    db.prepare(`
+      UPDATE channel_invites 
+      SET status = 'rejected', responded_at = datetime('now'), responded_by = ?
+      WHERE id = ?
+    `).run(userId, invite.id);
+    
+    res.redirect('/channels?message=' + encodeURIComponent('Invitation declined'));
+  });
+  
+  // Leave a channel
+  router.post('/channels/:slug/leave', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    if (!channel) return res.status(404).send('Channel not found');
+    
+    const role = getChannelRole(userId, channel.id);
+    if (!role) {
+      return res.redirect(`/channels/${channel.slug}`);
+    }
+    
+    if (role === 'owner' && countChannelOwners(channel.id) <= 1) {
+      return res.redirect(`/channels/${channel.slug}?error=` + encodeURIComponent('Make someone else an owner before leaving'));
+    }
+    
+    removeChannelMember(channel.id, userId);
+    
+    eventTracker.track('channel_leave', {
+      userId,
+      sessionId: req.sessionID,
+      metadata: { channelId: channel.id }
+    });
+    
+    res.redirect('/channels?message=' + encodeURIComponent(`You left ${channel.name}`));
+  });
+  
+  // Channel management page (owners and moderators)
+  router.get('/channels/:slug/manage', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    
+    if (!channel) return res.status(404).send('Channel not found');
+    if (!canManageChannel(userId, channel.id)) {
+      return res.status(403).send('You are not a moderator of this channel');
+    }
+    
+    const pendingRequests = db.prepare(`
+      SELECT ci.*, u.handle, u.bio
+      FROM channel_invites ci
+      JOIN users u ON u.id = ci.user_id
+      WHERE ci.channel_id = ? AND ci.status = 'pending' AND ci.invited_by IS NULL
+      ORDER BY ci.requested_at DESC
+    `).all(channel.id);
+    
+    const pendingInvites = db.prepare(`
+      SELECT ci.*, u.handle, inviter.handle AS inviter_handle
+      FROM channel_invites ci
+      JOIN users u ON u.id = ci.user_id
+      LEFT JOIN users inviter ON inviter.id = ci.invited_by
+      WHERE ci.channel_id = ? AND ci.status = 'pending' AND ci.invited_by IS NOT NULL
+      ORDER BY ci.requested_at DESC
+    `).all(channel.id);
+    
+    const members = db.prepare(`
+      SELECT cm.*, u.handle, u.email
+      FROM channel_members cm
+      JOIN users u ON u.id = cm.user_id
+      WHERE cm.channel_id = ?
+      ORDER BY cm.role = 'owner' DESC, cm.role = 'moderator' DESC, u.handle
+    `).all(channel.id);
+    
+    res.render('channel-manage', {
+      user: req.session.user,
+      channel,
+      pendingRequests,
+      pendingInvites,
+      members,
+      isOwner: isChannelOwner(userId, channel.id),
+      message: req.query.message,
+      error: req.query.error,
+      pageTitle: `Manage ${channel.name} - Channel`
+    });
+  });
+  
+  // Invite someone by handle
+  router.post('/channels/:slug/manage/invite', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const { handle, message } = req.body;
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    
+    if (!channel) return res.status(404).send('Channel not found');
+    if (!canManageChannel(userId, channel.id)) {
+      return res.status(403).send('You are not a moderator of this channel');
+    }
+    
+    const manageUrl = `/channels/${channel.slug}/manage`;
+    const invitee = db.prepare('SELECT id, handle FROM users WHERE handle = ? COLLATE NOCASE')
+      .get((handle || '').replace(/^@/, '').trim());
+    
+    if (!invitee) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent('No user with that handle'));
+    }
+    
+    if (getChannelRole(invitee.id, channel.id)) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent(`@${invitee.handle} is already a member`));
+    }
+    
+    const existing = db.prepare(`
+      SELECT * FROM channel_invites WHERE channel_id = ? AND user_id = ?
+    `).get(channel.id, invitee.id);
+    
+    // Inviting someone who already asked to join simply lets them in
+    if (existing && existing.status === 'pending' && !existing.invited_by) {
+      const approveRequest = db.transaction(() => {
+        db.prepare(`
+          UPDATE channel_invites 
+          SET status = 'accepted', responded_at = datetime('now'), responded_by = ?
+          WHERE id = ?
+        `).run(userId, existing.id);
+        addChannelMember(channel.id, invitee.id);
+      });
+      approveRequest();
+      
+      return res.redirect(manageUrl + '?message=' + encodeURIComponent(`@${invitee.handle} had asked to join and is now a member`));
+    }
+    
+    db.prepare(`
+      INSERT INTO channel_invites (channel_id, user_id, message, invited_by)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(channel_id, user_id) DO UPDATE SET
+        status = 'pending',
+        message = excluded.message,
+        invited_by = excluded.invited_by,
+        requested_at = datetime('now'),
+        responded_at = NULL,
+        responded_by = NULL
+    `).run(channel.id, invitee.id, message || null, userId);
+    
+    eventTracker.track('channel_invite', {
+      userId,
+      sessionId: req.sessionID,
+      metadata: { channelId: channel.id, inviteeId: invitee.id }
+    });
+    
+    res.redirect(manageUrl + '?message=' + encodeURIComponent(`Invitation sent to @${invitee.handle}`));
+  });
+  
+  // Withdraw an invitation
+  router.post('/channels/:slug/manage/invite/:inviteId/cancel', requireAuth, (req, res) => {
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    
+    if (!channel) return res.status(404).send('Channel not found');
+    if (!canManageChannel(req.session.user.id, channel.id)) {
+      return res.status(403).send('You are not a moderator of this channel');
+    }
+    
+    db.prepare(`
+      UPDATE channel_invites 
+      SET status = 'cancelled', responded_at = datetime('now'), responded_by = ?
+      WHERE id = ? AND channel_id = ? AND status = 'pending' AND invited_by IS NOT NULL
+    `).run(req.session.user.id, req.params.inviteId, channel.id);
+    
+    res.redirect(`/channels/${channel.slug}/manage?message=` + encodeURIComponent('Invitation withdrawn'));
+  });
+  
+  // Approve/Reject a join request
+  router.post('/channels/:slug/manage/request/:requestId', requireAuth, (req, res) => {
+    const userId = req.session.user.id;
+    const { action } = req.body;
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    
+    if (!channel) return res.status(404).send('Channel not found');
+    if (!canManageChannel(userId, channel.id)) {
+      return res.status(403).send('You are not a moderator of this channel');
+    }
+    
+    const manageUrl = `/channels/${channel.slug}/manage`;
+    const request = db.prepare(`
+      SELECT * FROM channel_invites 
+      WHERE id = ? AND channel_id = ? AND status = 'pending' AND invited_by IS NULL
+    `).get(req.params.requestId, channel.id);
+    
+    if (!request) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent('Request not found'));
+    }
+    
+    if (action === 'approve') {
+      const approveRequest = db.transaction(() => {
+        db.prepare(`
+          UPDATE channel_invites 
+          SET status = 'accepted', responded_at = datetime('now'), responded_by = ?
+          WHERE id = ?
+        `).run(userId, request.id);
+        addChannelMember(channel.id, request.user_id);
+      });
+      approveRequest();
+      
+      res.redirect(manageUrl + '?message=' + encodeURIComponent('Request approved'));
+    } else if (action === 'reject') {
+      db.prepare(`
+        UPDATE channel_invites 
+        SET status = 'rejected', responded_at = datetime('now'), responded_by = ?
+        WHERE id = ?
+      `).run(userId, request.id);
+      
+      res.redirect(manageUrl + '?message=' + encodeURIComponent('Request rejected'));
+    } else {
+      res.redirect(manageUrl);
+    }
+  });
+  
+  // Change a member's role (owners only)
+  router.post('/channels/:slug/manage/members/:userId/role', requireAuth, (req, res) => {
+    const actorId = req.session.user.id;
+    const memberId = Number(req.params.userId);
+    const { role } = req.body;
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    
+    if (!channel) return res.status(404).send('Channel not found');
+    if (!isChannelOwner(actorId, channel.id)) {
+      return res.status(403).send('Only channel owners can change roles');
+    }
+    
+    const manageUrl = `/channels/${channel.slug}/manage`;
+    const currentRole = getChannelRole(memberId, channel.id);
+    
+    if (!currentRole || !['member', 'moderator', 'owner'].includes(role)) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent('Invalid role change'));
+    }
+    
+    if (currentRole === 'owner' && role !== 'owner' && countChannelOwners(channel.id) <= 1) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent('A channel needs at least one owner'));
+    }
+    
+    db.prepare('UPDATE channel_members SET role = ? WHERE channel_id = ? AND user_id = ?')
+      .run(role, channel.id, memberId);
+    
+    eventTracker.track('channel_role_change', {
+      userId: actorId,
+      sessionId: req.sessionID,
+      metadata: { channelId: channel.id, memberId, from: currentRole, to: role }
+    });
+    
+    res.redirect(manageUrl + '?message=' + encodeURIComponent('Role updated'));
+  });
+  
+  // Remove a member
+  router.post('/channels/:slug/manage/members/:userId/remove', requireAuth, (req, res) => {
+    const actorId = req.session.user.id;
+    const memberId = Number(req.params.userId);
+    const channel = db.prepare('SELECT * FROM channels WHERE slug = ?').get(req.params.slug);
+    
+    if (!channel) return res.status(404).send('Channel not found');
+    if (!canManageChannel(actorId, channel.id)) {
+      return res.status(403).send('You are not a moderator of this channel');
+    }
+    
+    const manageUrl = `/channels/${channel.slug}/manage`;
+    const memberRole = getChannelRole(memberId, channel.id);
+    
+    if (!memberRole || memberId === actorId) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent('Cannot remove this member'));
+    }
+    
+    // Moderators can only remove plain members; owners can remove anyone but the last owner
+    if (memberRole !== 'member' && !isChannelOwner(actorId, channel.id)) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent('Only owners can remove moderators and owners'));
+    }
+    
+    if (memberRole === 'owner' && countChannelOwners(channel.id) <= 1) {
+      return res.redirect(manageUrl + '?error=' + encodeURIComponent('A channel needs at least one owner'));
+    }
+    
+    removeChannelMember(channel.id, memberId);
+    
+    res.redirect(manageUrl + '?message=' + encodeURIComponent('Member removed'));
+  });
+  
+  // Delete draft
+  router.post('/drafts/:id/delete', requireAuth, (req, res) => {
+    const draftId = req.params.id;
+    
+    const draft = drafts.getDraft(db, req.session.user.id, draftId);
+    if (!draft) {
+      return res.status(404).send('Draft not found');
+    }
+    
+    letterLifecycle.deleteLetter(db, { letterId: draft.id, deletedBy: req.session.user.id, scheduler });
+    
+    eventTracker.track('draft_delete', {
       userId: req.session.user.id,
       sessionId: req.sessionID,
-      letterId: draftId
+      metadata: { letterId: draft.id }
     });
     
     res.redirect('/drafts');
   });
   
   router.get('/compose/draft/:id', requireAuth, (req, res) => {
-    // Temporarily check for unpublished letters as drafts
-    const draft = db.prepare(`
-      SELECT * FROM letters 
-      WHERE id = ? 
-        AND author_id = ? 
-        AND is_published = 0
-        AND publish_at > datetime('now', '+12 hours')
-    `).get(req.params.id, req.session.user.id);
-    
+    const draft = drafts.getDraft(db, req.session.user.id, req.params.id);
     if (!draft) {
       return res.status(404).send('Draft not found');
     }
     
     res.render('compose', { 
       user: req.session.user, 
-      errors: [], 
+      errors: req.query.error ? [{ msg: req.query.error }] : [], 
       values: draft,
       draft,
+      channels: getUserChannels(req.session.user.id),
+      selectedChannelIds: getLetterChannels(draft.id).map(c => c.id),
+      sorts: getAllSorts(),
+      selectedSortIds: getLetterSorts(draft.id).map(s => s.id),
+      ...composeLocals(req),
       pageClass: 'compose',
       theme: req.cookies?.theme || 'light'
     });
   });
   
-  router.post('/compose/draft/:id', requireAuth,
+  router.post('/compose/draft/:id', requireVerifiedEmail,
     body('title').isLength({ min: 1, max: 120 }),
     body('body').isLength({ min: 1, max: 50000 }),
     (req, res) => {
       const { title, body, action } = req.body;
       const draftId = req.params.id;
-      const now = dayjs();
-      
-      // Verify ownership (temporarily check unpublished letters)
-      const draft = db.prepare(`
-        SELECT * FROM letters 
-        WHERE id = ? 
-          AND author_id = ? 
-          AND is_published = 0
-      `).get(draftId, req.session.user.id);
       
+      const draft = drafts.getDraft(db, req.session.user.id, draftId);
       if (!draft) {
         return res.status(404).send('Draft not found');
       }
       
+      attachChannelsToLetter(draftId, parseChannelIds(req.body.channels), req.session.user.id);
+      attachSortsToLetter(draftId, parseSortIds(req.body.sorts), req.session.user.id);
+      
       if (action === 'draft') {
-        // Update draft
-        db.prepare(`
-          UPDATE letters 
-          SET title = ?, body = ?
-          WHERE id = ?
-        `).run(title, body, draftId);
+        drafts.updateDraft(db, { draftId, userId: req.session.user.id, title, body });
         
         return res.redirect(`/compose/draft/${draftId}?saved=true`);
       } else {
-        // Convert to published letter
-        const publish_at = now.add(12, 'hour').toISOString();
-        db.prepare(`
-          UPDATE letters 
-          SET title = ?, body = ?, publish_at = ?
-          WHERE id = ?
-        `).run(title, body, publish_at, draftId);
+        // Convert to a steeping letter
+        const quota = postingQuota.checkQuota(db, { userId: req.session.user.id, tagIds: letterTagIds(draftId) });
+        if (!quota.allowed) {
+          return res.redirect(`/compose/draft/${draftId}?error=` + encodeURIComponent(quotaMessage(req.session.user.id, quota)));
+        }
+        let publishAt;
+        try {
+          publishAt = publishAtFromForm(req);
+        } catch (error) {
+          return res.redirect(`/compose/draft/${draftId}?error=` + encodeURIComponent(error.message));
+        }
+        const publish_at = drafts.publishDraft(db, { draftId, userId: req.session.user.id, title, body, publishAt });
+        schedulePublish(scheduler, draftId, publish_at);
         
         eventTracker.track('draft_publish', {
           userId: req.session.user.id,
@@ -2211,90 +3262,85 @@ function buildRouter(db) {
       }
     }
   );
-  router.post('/compose', requireAuth,
+  router.post('/compose', requireVerifiedEmail,
     body('title').isLength({ min: 1, max: 120 }),
     body('body').isLength({ min: 1, max: 5000000 }), // Increased to 5MB to allow multiple images
     (req, res) => {
       console.log('POST /compose - Request received');
       console.log('Body size:', JSON.stringify(req.body).length, 'bytes');
       const errors = validationResult(req);
-      if (!errors.isEmpty()) return res.status(400).render('compose', { user: req.session.user, errors: errors.array(), values: req.body, pageClass: 'compose' });
+      if (!errors.isEmpty()) return res.status(400).render('compose', { user: req.session.user, errors: errors.array(), values: req.body, ...composeLocals(req), pageClass: 'compose' });
 
       const { title, body, action, format = 'standard', tags } = req.body;
       const now = dayjs();
+      // The draft this compose session has been autosaving into, if any
+      const openDraft = req.body.draft_id ? drafts.getDraft(db, req.session.user.id, Number(req.body.draft_id)) : null;
       
       if (action === 'draft') {
-        // Save as draft (temporarily as unpublished letter until migration completes)
         try {
-          const info = db.prepare(`
-            INSERT INTO letters (author_id, title, body, format, publish_at, created_at, is_published) 
-            VALUES (?, ?, ?, ?, ?, ?, 0)
-          `).run(
-            req.session.user.id, 
-            title, 
-            body,
-            format,
-            now.add(24, 'hour').toISOString(), // Set far future for draft
-            now.toISOString()
-          );
+          let draftId;
+          if (openDraft) {
+            drafts.updateDraft(db, { draftId: openDraft.id, userId: req.session.user.id, title, body, now: now.toDate() });
+            draftId = openDraft.id;
+          } else {
+            draftId = drafts.createDraft(db, { userId: req.session.user.id, title, body, format, now: now.toDate() });
+          }
+        
+          attachChannelsToLetter(draftId, parseChannelIds(req.body.channels), req.session.user.id);
+          attachSortsToLetter(draftId, parseSortIds(req.body.sorts), req.session.user.id);
         
           eventTracker.track('draft_save', {
             userId: req.session.user.id,
             sessionId: req.sessionID,
-            letterId: info.lastInsertRowid,
+            letterId: draftId,
             metadata: { title: title.slice(0, 50) }
           });
           
-          return res.redirect(`/drafts?saved=${info.lastInsertRowid}`);
+          return res.redirect(`/drafts?saved=${draftId}`);
         } catch (error) {
           console.error('Error saving draft:', error);
           return res.status(500).render('compose', { 
             user: req.session.user, 
             errors: [{ msg: 'Failed to save draft. Please try again.' }], 
             values: req.body, 
+            ...composeLocals(req),
             pageClass: 'compose' 
           });
         }
       } else {
-        // Publish (queue for publishing)
-        // Check if they published recently (honor system reminder)
-        const last = db.prepare('SELECT created_at FROM letters WHERE author_id = ? ORDER BY created_at DESC LIMIT 1')
-          .get(req.session.user.id);
-        
-        // If they published recently and haven't confirmed, show reminder
-        if (last && dayjs(last.created_at).isAfter(dayjs().subtract(24, 'hour')) && action !== 'publish-confirmed') {
-          const hoursAgo = Math.round(dayjs().diff(dayjs(last.created_at), 'hour', true));
-          const timeLeft = 24 - hoursAgo;
-          
-          return res.render('compose', { 
-            user: req.session.user, 
-            errors: [], 
-            values: req.body, 
-            pageClass: 'compose',
-            showReminderModal: true,
-            lastPublished: {
-              hoursAgo: hoursAgo,
-              timeLeft: timeLeft
-            }
+        // Publish (queue for publishing) if the posting quota has room
+        const quota = postingQuota.checkQuota(db, { userId: req.session.user.id, tagIds: requestedTagIds(tags) });
+        if (!quota.allowed) {
+          return res.status(429).render('compose', {
+            user: req.session.user,
+            errors: [{ msg: quotaMessage(req.session.user.id, quota) }],
+            values: req.body,
+            ...composeLocals(req),
+            pageClass: 'compose'
+          });
+        }
+
+        let publish_at;
+        try {
+          publish_at = publishAtFromForm(req);
+        } catch (error) {
+          return res.status(400).render('compose', {
+            user: req.session.user,
+            errors: [{ msg: error.message }],
+            values: req.body,
+            ...composeLocals(req),
+            pageClass: 'compose'
           });
         }
 
         try {
-          const publish_at = dayjs().add(12, 'hour').toISOString();
           const now = dayjs().toISOString();
           
           // Check if user is a slocialite (needs approval)
           const user = db.prepare('SELECT is_slocialite FROM users WHERE id = ?').get(req.session.user.id);
           const needsApproval = user?.is_slocialite === 1;
           
-          // Check if approval_status column exists
-          let hasApprovalColumn = false;
-          try {
-            const columns = db.prepare("PRAGMA table_info(letters)").all();
-            hasApprovalColumn = columns.some(col => col.name === 'approval_status');
-          } catch (e) {
-            // Column might not exist yet
-          }
+          const { hasApprovalColumn } = columns;
           
           let info;
           if (hasApprovalColumn && needsApproval) {
@@ -2308,6 +3354,8 @@ function buildRouter(db) {
           }
           
           const letterId = info.lastInsertRowid;
+          if (hasApprovalColumn && needsApproval) submissions.openRound(db, { letterId });
+          schedulePublish(scheduler, letterId, publish_at);
           
           // Process tags if provided
           if (tags) {
@@ -2354,18 +3402,8 @@ function buildRouter(db) {
                 
                 // Check if user has permission to use this tag
                 if (canUserUseTag(req.session.user.id, tagId)) {
-                  // Add tag to letter
-                  try {
-                    db.prepare(`
-                      INSERT INTO letter_tags (letter_id, tag_id, added_by)
-                      VALUES (?, ?, ?)
-                    `).run(letterId, tagId, req.session.user.id);
-                  } catch (e) {
-                    // Ignore duplicate tag assignments
-                    if (!e.message.includes('UNIQUE constraint failed')) {
-                      console.error('Error adding tag to letter:', e);
-                    }
-                  }
+                  // Add tag to letter, or queue it for the mosaic's owners to approve
+                  mosaicModeration.placeLetter(db, { letterId, tagId, userId: req.session.user.id });
                 }
               }
             } catch (error) {
@@ -2374,6 +3412,9 @@ function buildRouter(db) {
             }
           }
           
+          attachChannelsToLetter(letterId, parseChannelIds(req.body.channels), req.session.user.id);
+          attachSortsToLetter(letterId, parseSortIds(req.body.sorts), req.session.user.id);
+          
           eventTracker.track('letter_create', {
             userId: req.session.user.id,
             sessionId: req.sessionID,
@@ -2381,13 +3422,19 @@ function buildRouter(db) {
             metadata: { title: title.slice(0, 50), wordCount: body.split(/\s+/).length, needsApproval }
           });
           
+          // The letter supersedes the draft it was written in
+          if (openDraft) {
+            letterLifecycle.deleteLetter(db, { letterId: openDraft.id, deletedBy: req.session.user.id, scheduler });
+          }
+          
           if (needsApproval && hasApprovalColumn) {
             return res.render('compose', { 
               user: req.session.user, 
               errors: [], 
               values: {}, 
+              ...composeLocals(req),
               pageClass: 'compose',
-              message: 'Your letter has been submitted for review. It will be published after approval.'
+              message: 'Your letter has been submitted for review. It will be published after approval; follow it under My submissions.'
             });
           }
           
@@ -2398,6 +3445,7 @@ function buildRouter(db) {
             user: req.session.user, 
             errors: [{ msg: 'Failed to publish letter. Please try again.' }], 
             values: req.body, 
+            ...composeLocals(req),
             pageClass: 'compose' 
           });
         }
@@ -2411,6 +3459,15 @@ function buildRouter(db) {
     const uid = userId || -1; // Keep for backward compatibility
     const referrer = req.query.ref || req.headers.referer || 'direct';
     
+    const tombstone = letterLifecycle.getTombstone(db, id);
+    if (tombstone) {
+      return res.status(410).render('letter-deleted', {
+        user: req.session.user,
+        tombstone,
+        pageTitle: 'Letter deleted - Slocial'
+      });
+    }
+    
     // First check if user has permission to view this letter based on tags
     if (!canUserViewLetter(userId, id)) {
       return res.status(403).send('You do not have permission to view this letter');
@@ -2438,14 +3495,7 @@ function buildRouter(db) {
       });
     }
     
-    // Check if is_draft column exists
-    let hasDraftColumn = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasDraftColumn = columns.some(col => col.name === 'is_draft');
-    } catch (e) {
-      console.error('Error checking for is_draft column:', e);
-    }
+    const { hasDraftColumn } = columns;
     
     const query = hasDraftColumn ? `
       SELECT l.*, u.handle, u.bio, u.avatar_url, u.is_slocialite,
@@ -2464,8 +3514,9 @@ function buildRouter(db) {
     const letter = db.prepare(query).get({ id, uid });
     if (!letter) return res.status(404).send('Not found');
     
-    // Get tags for this letter
+    // Get tags and sorts for this letter
     letter.tags = getLetterTags(id);
+    letter.sorts = getLetterSorts(id);
     
     // Mark as reading/read if user is logged in
     if (req.session.user) {
@@ -2509,9 +3560,7 @@ function buildRouter(db) {
       }
     }
 
-    const comments = db.prepare(`
-      SELECT c.*, u.handle FROM comments c JOIN users u ON u.id = c.author_id WHERE c.letter_id = ? ORDER BY c.created_at ASC
-    `).all(id);
+    const letterComments = comments.listComments(db, id, { viewerId: userId });
 
     const can_view = letter.is_published === 1 && dayjs(letter.publish_at).isBefore(dayjs());
     const is_author = uid === letter.author_id;
@@ -2520,18 +3569,220 @@ function buildRouter(db) {
     // Render markdown for letter body
     letter.body_html = renderMarkdown(letter.body);
     
-    // Render markdown for comments
-    comments.forEach(comment => {
+    // Render markdown for comments and replies, and open the edit window to their authors
+    letterComments.forEach(comment => {
       comment.body_html = renderMarkdown(comment.body);
+      comment.editable = comment.author_id === uid && comments.isEditable(comment);
+      if (comment.reply) {
+        comment.reply.body_html = renderMarkdown(comment.reply.body);
+        comment.reply.editable = comment.reply.author_id === uid && comments.isEditable(comment.reply);
+      }
+    });
+
+    res.render('letter', {
+      user: req.session.user,
+      letter,
+      comments: letterComments,
+      hasCommented: letterComments.some(comment => comment.author_id === uid),
+      editWindowMinutes: comments.EDIT_WINDOW_MINUTES,
+      commentSteepHours,
+      reportReasons: moderation.REPORT_REASONS,
+      pendingMosaics: is_author ? mosaicModeration.listPendingForLetter(db, id) : [],
+      isSteeping: is_author && revisions.isSteeping(letter),
+      revisionCount: is_author ? db.prepare('SELECT COUNT(1) AS count FROM letter_revisions WHERE letter_id = ?').get(id).count : 0,
+      message: req.query.message,
+      error: req.query.error
+    });
+  });
+  
+  // Authors may edit a letter while it steeps; every save becomes a revision
+  function renderLetterEdit(res, req, letter, { errors = [], values = letter, selectedTagIds } = {}) {
+    const usableTags = visibility.getUsableTags(db, req.session.user.id);
+    // Mosaics the letter is in or waiting to join; unchecking one that is
+    // waiting withdraws the request
+    const currentTags = [...getLetterTags(letter.id), ...mosaicModeration.listPendingForLetter(db, letter.id)];
+    // Tags already on the letter stay selectable even if access has since lapsed
+    const tags = [...usableTags, ...currentTags.filter(tag => !usableTags.some(usable => usable.id === tag.id))]
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
+    res.status(errors.length ? 400 : 200).render('letter-edit', {
+      user: req.session.user,
+      letter,
+      values,
+      errors,
+      tags,
+      selectedTagIds: selectedTagIds || currentTags.map(tag => tag.id),
+      steepHours: STEEP_HOURS,
+      pageTitle: `Edit ${letter.title} - Slocial`
+    });
+  }
+  
+  router.get('/letters/:id/edit', requireAuth, (req, res) => {
+    const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(Number(req.params.id), req.session.user.id);
+    if (!letter) return res.status(404).send('Letter not found');
+    if (!revisions.isSteeping(letter)) {
+      return res.redirect(`/letters/${letter.id}?error=` + encodeURIComponent('This letter has finished steeping and can no longer be edited'));
+    }
+    renderLetterEdit(res, req, letter);
+  });
+  
+  router.post('/letters/:id/edit', requireVerifiedEmail,
+    body('title').trim().isLength({ min: 1, max: 120 }).withMessage('Title must be between 1 and 120 characters'),
+    body('body').isLength({ min: 1, max: 5000000 }).withMessage('Your letter needs a body'),
+    (req, res) => {
+      const id = Number(req.params.id);
+      const userId = req.session.user.id;
+      const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(id, userId);
+      if (!letter) return res.status(404).send('Letter not found');
+      
+      const tagIds = [].concat(req.body.tags || []).map(Number).filter(Boolean);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return renderLetterEdit(res, req, letter, { errors: errors.array(), values: req.body, selectedTagIds: tagIds });
+      }
+      
+      let result;
+      try {
+        result = revisions.editSteepingLetter(db, {
+          letterId: id,
+          userId,
+          title: req.body.title,
+          body: req.body.body,
+          tagIds,
+          restartSteep: req.body.restart_steep === '1'
+        });
+      } catch (error) {
+        return res.redirect(`/letters/${id}?error=` + encodeURIComponent(error.message));
+      }
+      
+      if (!result.changed) {
+        return res.redirect(`/letters/${id}?message=` + encodeURIComponent('Nothing changed'));
+      }
+      if (result.publishAt !== letter.publish_at) {
+        schedulePublish(scheduler, id, result.publishAt);
+      }
+      
+      eventTracker.track('letter_edit', {
+        userId,
+        sessionId: req.sessionID,
+        letterId: id,
+        metadata: { revision: result.revision, restartedSteep: result.publishAt !== letter.publish_at }
+      });
+      
+      const message = result.inReview
+        ? `Saved revision ${result.revision}; it goes back to an admin for review before it publishes`
+        : `Saved revision ${result.revision}`;
+      res.redirect(`/letters/${id}?message=` + encodeURIComponent(message));
+    }
+  );
+  
+  router.get('/letters/:id/revisions', requireAuth, (req, res) => {
+    const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(Number(req.params.id), req.session.user.id);
+    if (!letter) return res.status(404).send('Letter not found');
+    
+    const history = revisions.listRevisions(db, letter.id);
+    const byNumber = (value, fallback) => history.find(revision => revision.revision_number === Number(value)) || fallback;
+    // Defaults to the latest save against the one before it
+    const to = byNumber(req.query.to, history[history.length - 1]);
+    const from = byNumber(req.query.from, history[history.indexOf(to) - 1] || to);
+    
+    res.render('letter-revisions', {
+      user: req.session.user,
+      letter,
+      history,
+      from,
+      to,
+      comparison: from && to ? revisions.compareRevisions(from, to) : null,
+      isSteeping: revisions.isSteeping(letter),
+      pageTitle: `Revisions of ${letter.title} - Slocial`
+    });
+  });
+
+  // Move a steeping letter's publish time from the scheduled list on /drafts
+  router.post('/letters/:id/reschedule', requireAuth, (req, res) => {
+    const id = Number(req.params.id);
+    let publishAt;
+    try {
+      publishAt = scheduling.rescheduleLetter(db, {
+        letterId: id,
+        userId: req.session.user.id,
+        localTime: req.body.publish_at_local,
+        timeZone: authorTimeZone(req.session.user.id, req.body.timezone) || 'UTC',
+        scheduler
+      });
+    } catch (error) {
+      return res.redirect('/drafts?error=' + encodeURIComponent(error.message) + '#scheduled');
+    }
+    if (!publishAt) return res.status(404).send('Letter not found');
+    
+    eventTracker.track('letter_reschedule', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId: id,
+      metadata: { publishAt }
     });
+    
+    res.redirect('/drafts?message=' + encodeURIComponent('Publish time updated') + '#scheduled');
+  });
 
-    res.render('letter', { user: req.session.user, letter, comments });
+  // Authors can pull a letter back while it steeps...
+  router.post('/letters/:id/withdraw', requireAuth, (req, res) => {
+    const id = Number(req.params.id);
+    let letter;
+    try {
+      letter = letterLifecycle.withdrawLetter(db, { letterId: id, userId: req.session.user.id, scheduler });
+    } catch (error) {
+      return res.redirect(`/letters/${id}?error=` + encodeURIComponent(error.message));
+    }
+    if (!letter) return res.status(404).send('Letter not found');
+    
+    eventTracker.track('letter_withdraw', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId: id,
+      metadata: { title: letter.title.slice(0, 50) }
+    });
+    
+    res.redirect('/drafts?message=' + encodeURIComponent(`"${letter.title}" is back in your drafts`));
+  });
+  
+  // ...or delete it once it is out; the link then shows a tombstone
+  router.post('/letters/:id/delete', requireAuth, (req, res) => {
+    const id = Number(req.params.id);
+    const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(id, req.session.user.id);
+    if (!letter) return res.status(404).send('Letter not found');
+    if (letter.is_published !== 1) {
+      const hint = revisions.isSteeping(letter)
+        ? 'This letter is still steeping; withdraw it to your drafts instead'
+        : 'Only published letters can be deleted here; drafts are deleted from your drafts page';
+      return res.redirect(`/letters/${id}?error=` + encodeURIComponent(hint));
+    }
+    
+    letterLifecycle.deleteLetter(db, { letterId: id, deletedBy: req.session.user.id, scheduler });
+    
+    // The letter row is gone, so the id travels in metadata rather than the letter_id column
+    eventTracker.track('letter_delete', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      metadata: { letterId: id, title: letter.title.slice(0, 50) }
+    });
+    
+    res.redirect(`/letters/${id}`);
   });
 
   router.post('/letters/:id/resonate', requireAuth, (req, res) => {
     const id = Number(req.params.id);
     try {
-      db.prepare('INSERT OR IGNORE INTO resonates (letter_id, user_id) VALUES (?, ?)').run(id, req.session.user.id);
+      const info = db.prepare('INSERT OR IGNORE INTO resonates (letter_id, user_id) VALUES (?, ?)').run(id, req.session.user.id);
+      if (info.changes) {
+        const letter = db.prepare('SELECT author_id FROM letters WHERE id = ?').get(id);
+        notifications.notify(db, {
+          userId: letter?.author_id,
+          type: 'resonate',
+          actorId: req.session.user.id,
+          letterId: id
+        });
+      }
       eventTracker.track('resonate', {
         userId: req.session.user.id,
         sessionId: req.sessionID,
@@ -2588,43 +3839,193 @@ function buildRouter(db) {
       
       res.json({ success: true });
     } catch (error) {
-      console.error('Error updating reading status:', error);
-      res.status(500).json({ success: false, error: 'Failed to update status' });
+      console.error('Error updating reading status:', error);
+      res.status(500).json({ success: false, error: 'Failed to update status' });
+    }
+  });
+  
+  router.post('/letters/:id/unresonate', requireAuth, (req, res) => {
+    const id = Number(req.params.id);
+    db.prepare('DELETE FROM resonates WHERE letter_id = ? AND user_id = ?').run(id, req.session.user.id);
+    const letter = db.prepare('SELECT author_id FROM letters WHERE id = ?').get(id);
+    if (letter) {
+      notifications.retract(db, { userId: letter.author_id, type: 'resonate', actorId: req.session.user.id, letterId: id });
+    }
+    res.redirect(`/letters/${id}`);
+  });
+
+  // Comment rules (one per reader, one author reply each, a short edit window)
+  // live in services/comments; their messages go back to the letter page
+  function commentRedirect(res, letterId, error) {
+    if (!(error instanceof comments.CommentError)) throw error;
+    res.redirect(`/letters/${letterId}?error=` + encodeURIComponent(error.message));
+  }
+
+  router.post('/letters/:id/comment', requireVerifiedEmail, (req, res) => {
+    const id = Number(req.params.id);
+    if (!canUserViewLetter(req.session.user.id, id)) {
+      return res.status(404).send('Letter not found');
+    }
+    
+    let result;
+    try {
+      result = comments.addComment(db, { letterId: id, userId: req.session.user.id, body: req.body.body, steepHours: commentSteepHours });
+    } catch (error) {
+      return commentRedirect(res, id, error);
+    }
+    
+    const { commentId, publishAt, published } = result;
+    if (!published) scheduleCommentPublish(scheduler, commentId, publishAt);
+    eventTracker.track('comment', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId: id,
+      metadata: { commentId, length: req.body.body.length, steeping: !published }
+    });
+    res.redirect(`/letters/${id}#comment-${commentId}`);
+  });
+
+  router.post('/comments/:id/edit', requireVerifiedEmail, (req, res) => {
+    const commentId = Number(req.params.id);
+    const comment = comments.getComment(db, commentId);
+    if (!comment) return res.status(404).send('Comment not found');
+    
+    try {
+      comments.editComment(db, { commentId, userId: req.session.user.id, body: req.body.body });
+    } catch (error) {
+      if (error.code === 'not_found') return res.status(404).send('Comment not found');
+      return commentRedirect(res, comment.letter_id, error);
+    }
+    
+    eventTracker.track('comment_edit', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId: comment.letter_id,
+      metadata: { commentId }
+    });
+    res.redirect(`/letters/${comment.letter_id}#comment-${commentId}`);
+  });
+
+  router.post('/comments/:id/reply', requireVerifiedEmail, (req, res) => {
+    const commentId = Number(req.params.id);
+    const comment = comments.getComment(db, commentId);
+    if (!comment) return res.status(404).send('Comment not found');
+    
+    let replyId;
+    try {
+      ({ replyId } = comments.addReply(db, { commentId, userId: req.session.user.id, body: req.body.body }));
+    } catch (error) {
+      return commentRedirect(res, comment.letter_id, error);
     }
+    
+    notifications.notify(db, {
+      userId: comment.author_id,
+      type: 'reply',
+      actorId: req.session.user.id,
+      letterId: comment.letter_id,
+      data: { commentId, replyId }
+    });
+    eventTracker.track('comment_reply', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId: comment.letter_id,
+      metadata: { commentId, replyId }
+    });
+    res.redirect(`/letters/${comment.letter_id}#comment-${commentId}`);
   });
-  
-  router.post('/letters/:id/unresonate', requireAuth, (req, res) => {
+
+  router.post('/replies/:id/edit', requireVerifiedEmail, (req, res) => {
+    const replyId = Number(req.params.id);
+    const reply = db.prepare('SELECT * FROM comment_replies WHERE id = ?').get(replyId);
+    if (!reply) return res.status(404).send('Reply not found');
+    const { letter_id: letterId } = comments.getComment(db, reply.comment_id);
+    
+    try {
+      comments.editReply(db, { replyId, userId: req.session.user.id, body: req.body.body });
+    } catch (error) {
+      if (error.code === 'not_found') return res.status(404).send('Reply not found');
+      return commentRedirect(res, letterId, error);
+    }
+    
+    eventTracker.track('comment_reply_edit', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId,
+      metadata: { commentId: reply.comment_id, replyId }
+    });
+    res.redirect(`/letters/${letterId}#comment-${reply.comment_id}`);
+  });
+
+  // Readers flag a letter or comment for the admins (services/moderation)
+  function fileReport(req, res, targetType, targetId, letterId) {
+    try {
+      moderation.fileReport(db, {
+        reporterId: req.session.user.id,
+        targetType,
+        targetId,
+        reason: req.body.reason,
+        details: req.body.details
+      });
+    } catch (error) {
+      return res.redirect(`/letters/${letterId}?error=` + encodeURIComponent(error.message));
+    }
+    
+    eventTracker.track('report', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      letterId,
+      metadata: { targetType, targetId, reason: req.body.reason }
+    });
+    res.redirect(`/letters/${letterId}?message=` + encodeURIComponent('Thanks for the report. An admin will take a look.'));
+  }
+
+  router.post('/letters/:id/report', requireAuth, (req, res) => {
     const id = Number(req.params.id);
-    db.prepare('DELETE FROM resonates WHERE letter_id = ? AND user_id = ?').run(id, req.session.user.id);
-    res.redirect(`/letters/${id}`);
+    if (!canUserViewLetter(req.session.user.id, id)) {
+      return res.status(404).send('Letter not found');
+    }
+    fileReport(req, res, 'letter', id, id);
   });
 
-  router.post('/letters/:id/comment', requireAuth,
-    body('body').isLength({ min: 1, max: 2000 }),
-    (req, res) => {
-      const id = Number(req.params.id);
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) return res.status(400).redirect(`/letters/${id}`);
-      try {
-        const info = db.prepare('INSERT INTO comments (letter_id, author_id, body) VALUES (?, ?, ?)').run(id, req.session.user.id, req.body.body);
-        eventTracker.track('comment', {
-          userId: req.session.user.id,
-          sessionId: req.sessionID,
-          letterId: id,
-          metadata: { commentId: info.lastInsertRowid, length: req.body.body.length }
-        });
-      } catch (e) {
-        // Ignore duplicate comment per user
-      }
-      res.redirect(`/letters/${id}`);
+  router.post('/comments/:id/report', requireAuth, (req, res) => {
+    const comment = comments.getComment(db, Number(req.params.id));
+    if (!comment || !canUserViewLetter(req.session.user.id, comment.letter_id)) {
+      return res.status(404).send('Comment not found');
     }
-  );
+    fileReport(req, res, 'comment', comment.id, comment.letter_id);
+  });
 
-  // Cron-like endpoint to publish letters past publish_at; could be hit by uptime pinger
-  router.post('/internal/publish', (req, res) => {
-    const now = dayjs().toISOString();
-    const info = db.prepare('UPDATE letters SET is_published = 1 WHERE is_published = 0 AND publish_at <= ?').run(now);
-    res.json({ published: info.changes });
+  // Cron-like endpoint to publish letters past publish_at; could be hit by uptime pinger.
+  // Callers must sign the request with INTERNAL_PUBLISH_SECRET (see services/signedRequest).
+  router.post('/internal/publish', async (req, res) => {
+    const verification = verifySignedRequest(db, req, { secret: process.env.INTERNAL_PUBLISH_SECRET });
+    const audit = (metadata) => eventTracker.track('internal_publish', {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      path: req.path,
+      method: req.method,
+      metadata: { nonce: verification.nonce || null, ...metadata }
+    });
+    
+    if (!verification.ok) {
+      audit({ outcome: 'rejected', reason: verification.reason });
+      return res.status(verification.status).json({ error: verification.reason });
+    }
+    
+    if (!scheduler) {
+      audit({ outcome: 'error', reason: 'scheduler_unavailable' });
+      return res.status(503).json({ error: 'Scheduler not running' });
+    }
+    
+    try {
+      const result = await scheduler.runNow('publish_due_letters');
+      audit({ outcome: 'published', published: result.published });
+      res.json({ published: result.published });
+    } catch (error) {
+      console.error('Internal publish failed:', error);
+      audit({ outcome: 'error', reason: error.message });
+      res.status(500).json({ error: 'publish_failed' });
+    }
   });
 
   // Admin routes (hidden)
@@ -2662,20 +4063,14 @@ function buildRouter(db) {
   router.get('/admin', requireAdmin, (req, res) => {
     const filter = req.query.filter || 'all';
     
-    // Check if approval_status column exists
-    let hasApprovalColumn = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasApprovalColumn = columns.some(col => col.name === 'approval_status');
-    } catch (e) {
-      // Column might not exist yet
-    }
+    const { hasApprovalColumn, hasDraftColumn } = columns;
     
     // Get letters based on filter
     let lettersQuery = `
       SELECT l.*, u.handle, u.is_slocialite,
         (SELECT COUNT(*) FROM comments WHERE letter_id = l.id) as comment_count,
-        (SELECT COUNT(*) FROM resonates WHERE letter_id = l.id) as resonate_count
+        (SELECT COUNT(*) FROM resonates WHERE letter_id = l.id) as resonate_count,
+        (SELECT MAX(round) FROM letter_reviews WHERE letter_id = l.id) as review_round
       FROM letters l 
       JOIN users u ON u.id = l.author_id 
     `;
@@ -2683,7 +4078,7 @@ function buildRouter(db) {
     if (filter === 'moderation' && hasApprovalColumn) {
       lettersQuery += ` WHERE l.approval_status = 'pending' `;
     } else if (filter === 'pending') {
-      lettersQuery += ' WHERE l.is_published = 0 ';
+      lettersQuery += ` WHERE l.is_published = 0 ${hasDraftColumn ? 'AND l.is_draft = 0' : ''} `;
     } else if (filter === 'published') {
       lettersQuery += ' WHERE l.is_published = 1 ';
     }
@@ -2691,67 +4086,175 @@ function buildRouter(db) {
     lettersQuery += ' ORDER BY l.created_at DESC LIMIT 50';
     const letters = db.prepare(lettersQuery).all();
     
-    const comments = db.prepare(`
+    const recentComments = db.prepare(`
       SELECT c.*, u.handle, l.title FROM comments c 
       JOIN users u ON u.id = c.author_id 
       JOIN letters l ON l.id = c.letter_id
       ORDER BY c.created_at DESC LIMIT 50
     `).all();
-    
-    const users = db.prepare('SELECT id, handle, email, is_admin, created_at FROM users ORDER BY created_at DESC LIMIT 50').all();
+    const pendingComments = comments.listPending(db);
+    
+    const nowIso = dayjs().toISOString();
+    const users = db.prepare(`
+      SELECT u.id, u.handle, u.email, u.is_admin, u.created_at,
+        s.id AS suspension_id, s.expires_at AS suspension_expires_at
+      FROM users u
+      LEFT JOIN user_suspensions s ON s.user_id = u.id AND s.lifted_at IS NULL
+        AND (s.expires_at IS NULL OR s.expires_at > ?)
+      GROUP BY u.id
+      ORDER BY u.created_at DESC LIMIT 50
+    `).all(nowIso);
+    
+    const activeSuspensions = db.prepare(`
+      SELECT s.*, u.handle, admin.handle AS suspended_by_handle
+      FROM user_suspensions s
+      JOIN users u ON u.id = s.user_id
+      LEFT JOIN users admin ON admin.id = s.suspended_by
+      WHERE s.lifted_at IS NULL AND (s.expires_at IS NULL OR s.expires_at > ?)
+      ORDER BY s.appealed_at IS NULL, s.suspended_at DESC
+    `).all(nowIso);
     
     // Get stats
     const stats = {
       totalUsers: db.prepare('SELECT COUNT(*) as count FROM users').get().count,
       totalLetters: db.prepare('SELECT COUNT(*) as count FROM letters').get().count,
-      pendingLetters: db.prepare('SELECT COUNT(*) as count FROM letters WHERE is_published = 0').get().count,
-      totalComments: db.prepare('SELECT COUNT(*) as count FROM comments').get().count
+      pendingLetters: db.prepare(`SELECT COUNT(*) as count FROM letters WHERE is_published = 0 ${hasDraftColumn ? 'AND is_draft = 0' : ''}`).get().count,
+      totalComments: db.prepare('SELECT COUNT(*) as count FROM comments').get().count,
+      pendingComments: db.prepare('SELECT COUNT(*) as count FROM comments WHERE is_published = 0').get().count
     };
     
-    res.render('admin', { user: req.session.user, letters, comments, users, stats, filter });
+    res.render('admin', { user: req.session.user, letters, comments: recentComments, pendingComments, users, activeSuspensions, stats, filter });
   });
 
+  // Every admin action lands in the moderation audit log (services/moderation).
+  // Forms send an optional reason and, from the reports queue, the report they
+  // answer; acting on reported content closes its open reports.
+  function logModeration(req, action, targetType, targetId, { details = null, resolvesReports = false, reason: given = req.body.reason } = {}) {
+    const reason = typeof given === 'string' ? given.trim().slice(0, 500) || null : null;
+    const reportId = Number(req.body.report_id) || null;
+    db.transaction(() => {
+      moderation.recordAction(db, { adminId: req.session.user.id, action, targetType, targetId, reason, details, reportId });
+      if (resolvesReports) {
+        moderation.resolveReportsFor(db, { targetType, targetId, adminId: req.session.user.id, note: reason });
+      }
+    })();
+    return reason;
+  }
+
+  // Back to the reports queue when the action was taken from it
+  function adminRedirect(req, res, fallback) {
+    res.redirect(req.body.report_id ? '/admin/reports' : fallback);
+  }
+
   router.post('/admin/delete-letter/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
-    db.prepare('DELETE FROM comments WHERE letter_id = ?').run(id);
-    db.prepare('DELETE FROM resonates WHERE letter_id = ?').run(id);
-    db.prepare('DELETE FROM letters WHERE id = ?').run(id);
-    res.redirect('/admin');
+    const letter = db.prepare('SELECT title, author_id FROM letters WHERE id = ?').get(id);
+    if (letter) {
+      letterLifecycle.deleteLetter(db, { letterId: id, deletedBy: req.session.user.id, scheduler });
+      logModeration(req, 'delete_letter', 'letter', id, {
+        details: { title: letter.title, authorId: letter.author_id },
+        resolvesReports: true
+      });
+    }
+    adminRedirect(req, res, '/admin');
   });
 
   router.post('/admin/delete-comment/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
-    db.prepare('DELETE FROM comments WHERE id = ?').run(id);
-    res.redirect('/admin');
+    const comment = comments.getComment(db, id);
+    if (comment) {
+      comments.deleteComment(db, id);
+      logModeration(req, 'delete_comment', 'comment', id, {
+        details: { letterId: comment.letter_id, authorId: comment.author_id },
+        resolvesReports: true
+      });
+    }
+    adminRedirect(req, res, '/admin');
+  });
+
+  // Let a steeping comment through before its publish_at
+  router.post('/admin/publish-comment/:id', requireAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    if (comments.publishNow(db, id)) logModeration(req, 'publish_comment', 'comment', id);
+    res.redirect('/admin#pending-comments');
   });
 
   router.post('/admin/toggle-admin/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
     if (id === req.session.user.id) return res.redirect('/admin'); // Can't remove own admin
+    const target = db.prepare('SELECT is_admin FROM users WHERE id = ?').get(id);
+    if (!target) return res.redirect('/admin');
     db.prepare('UPDATE users SET is_admin = CASE WHEN is_admin = 1 THEN 0 ELSE 1 END WHERE id = ?').run(id);
+    logModeration(req, target.is_admin ? 'revoke_admin' : 'grant_admin', 'user', id);
     res.redirect('/admin');
   });
 
   // Force publish a pending letter immediately
   router.post('/admin/publish-now/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
-    db.prepare("UPDATE letters SET is_published = 1, publish_at = datetime('now') WHERE id = ?").run(id);
+    const info = db.prepare("UPDATE letters SET is_published = 1, publish_at = datetime('now') WHERE id = ?").run(id);
+    if (info.changes) logModeration(req, 'publish_letter', 'letter', id);
     res.redirect('/admin');
   });
 
-  // Unpublish a letter (hide it)
+  // Unpublish a letter: it goes back to its author's drafts so the publish sweep leaves it alone
   router.post('/admin/unpublish/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
-    db.prepare('UPDATE letters SET is_published = 0 WHERE id = ?').run(id);
-    res.redirect('/admin');
+    if (letterLifecycle.unpublishLetter(db, { letterId: id, scheduler })) {
+      logModeration(req, 'unpublish_letter', 'letter', id, { resolvesReports: true });
+    }
+    adminRedirect(req, res, '/admin');
   });
 
-  // Ban/suspend a user (soft delete - they can't login)
-  router.post('/admin/ban-user/:id', requireAdmin, (req, res) => {
+  // Suspend a user: blocks every login method and ends their live sessions
+  const SUSPENSION_DURATIONS = { '1': 1, '7': 7, '30': 30, 'permanent': null };
+  
+  router.post('/admin/suspend-user/:id', requireAdmin,
+    body('reason').trim().isLength({ min: 1, max: 500 }),
+    (req, res) => {
+      const id = Number(req.params.id);
+      if (id === req.session.user.id) return res.redirect('/admin'); // Can't suspend yourself
+      if (!validationResult(req).isEmpty()) return res.redirect('/admin');
+      
+      const duration = req.body.duration in SUSPENSION_DURATIONS ? req.body.duration : 'permanent';
+      const days = SUSPENSION_DURATIONS[duration];
+      const expiresAt = days ? dayjs().add(days, 'day').toISOString() : null;
+      
+      suspensions.suspendUser(db, {
+        userId: id,
+        reason: req.body.reason,
+        expiresAt,
+        suspendedBy: req.session.user.id
+      });
+      logModeration(req, 'suspend_user', 'user', id, { details: { duration, expiresAt } });
+      
+      eventTracker.track('user_suspended', {
+        userId: req.session.user.id,
+        sessionId: req.sessionID,
+        metadata: { targetUserId: id, duration, reason: req.body.reason.slice(0, 100) }
+      });
+      
+      res.redirect('/admin');
+    }
+  );
+  
+  router.post('/admin/lift-suspension/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
-    if (id === req.session.user.id) return res.redirect('/admin'); // Can't ban yourself
-    // Add random string to email to effectively ban them
-    db.prepare('UPDATE users SET email = email || "_banned_" || ? WHERE id = ?').run(Date.now(), id);
+    const lifted = suspensions.liftSuspension(db, {
+      userId: id,
+      liftedBy: req.session.user.id,
+      reason: req.body.lift_reason?.trim() || null
+    });
+    
+    if (lifted) {
+      logModeration(req, 'lift_suspension', 'user', id, { reason: req.body.lift_reason });
+      eventTracker.track('user_unsuspended', {
+        userId: req.session.user.id,
+        sessionId: req.sessionID,
+        metadata: { targetUserId: id }
+      });
+    }
+    
     res.redirect('/admin');
   });
 
@@ -2759,17 +4262,11 @@ function buildRouter(db) {
   router.post('/admin/promote-to-author/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
     
-    // Check if is_slocialite column exists
-    let hasSlocialiteColumn = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(users)").all();
-      hasSlocialiteColumn = columns.some(col => col.name === 'is_slocialite');
-    } catch (e) {
-      // Column might not exist yet
-    }
+    const { hasSlocialiteColumn } = columns;
     
     if (hasSlocialiteColumn) {
       db.prepare('UPDATE users SET is_slocialite = 0 WHERE id = ?').run(id);
+      logModeration(req, 'promote_user', 'user', id, { details: { newRole: 'author' } });
       
       eventTracker.track('user_promoted', {
         userId: req.session.user.id,
@@ -2781,28 +4278,30 @@ function buildRouter(db) {
     res.redirect('/admin');
   });
 
+  // Tell a slocialite how the review of their letter went
+  function notifyReview(letterId, decision, reason = null) {
+    const letter = db.prepare('SELECT author_id FROM letters WHERE id = ?').get(letterId);
+    if (!letter) return;
+    notifications.notify(db, {
+      userId: letter.author_id,
+      type: 'review',
+      letterId,
+      data: reason ? { decision, reason } : { decision }
+    });
+  }
+
   // Approve a letter from slocialite
   router.post('/admin/approve/:id', requireAdmin, (req, res) => {
     const id = Number(req.params.id);
     const now = dayjs().toISOString();
     
-    // Check if approval columns exist
-    let hasApprovalColumns = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasApprovalColumns = columns.some(col => col.name === 'approval_status');
-    } catch (e) {
-      // Columns might not exist yet
-    }
+    const { hasApprovalColumn } = columns;
     
-    if (hasApprovalColumns) {
-      db.prepare(`
-        UPDATE letters 
-        SET approval_status = 'approved', 
-            approved_by = ?, 
-            approved_at = ?
-        WHERE id = ?
-      `).run(req.session.user.id, now, id);
+    if (hasApprovalColumn) {
+      const letter = submissions.decide(db, { letterId: id, reviewerId: req.session.user.id, decision: 'approved', now });
+      if (!letter) return res.status(404).send('Letter not found');
+      logModeration(req, 'approve_letter', 'letter', id);
+      notifyReview(id, 'approved');
       
       eventTracker.track('letter_approved', {
         userId: req.session.user.id,
@@ -2821,24 +4320,13 @@ function buildRouter(db) {
     const now = dayjs().toISOString();
     const reason = req.body.reason || 'Does not meet community guidelines';
     
-    // Check if approval columns exist
-    let hasApprovalColumns = false;
-    try {
-      const columns = db.prepare("PRAGMA table_info(letters)").all();
-      hasApprovalColumns = columns.some(col => col.name === 'approval_status');
-    } catch (e) {
-      // Columns might not exist yet
-    }
+    const { hasApprovalColumn } = columns;
     
-    if (hasApprovalColumns) {
-      db.prepare(`
-        UPDATE letters 
-        SET approval_status = 'rejected', 
-            approved_by = ?, 
-            approved_at = ?,
-            rejection_reason = ?
-        WHERE id = ?
-      `).run(req.session.user.id, now, reason, id);
+    if (hasApprovalColumn) {
+      const letter = submissions.decide(db, { letterId: id, reviewerId: req.session.user.id, decision: 'rejected', reason, now });
+      if (!letter) return res.status(404).send('Letter not found');
+      logModeration(req, 'reject_letter', 'letter', id, { reason, resolvesReports: true });
+      notifyReview(id, 'rejected', reason);
       
       eventTracker.track('letter_rejected', {
         userId: req.session.user.id,
@@ -2851,6 +4339,319 @@ function buildRouter(db) {
     res.redirect('/admin?filter=moderation');
   });
 
+  // Channel approval queue
+  router.get('/admin/channels', requireAdmin, (req, res) => {
+    const channels = db.prepare(`
+      SELECT c.*, u.handle AS creator_handle,
+        (SELECT COUNT(*) FROM channel_letters cl WHERE cl.channel_id = c.id) AS letter_count
+      FROM channels c
+      JOIN users u ON u.id = c.creator_id
+      ORDER BY c.is_approved ASC, c.created_at DESC
+      LIMIT 100
+    `).all();
+    
+    res.render('admin-channels', { user: req.session.user, channels, pageTitle: 'Slocial - Admin Channels' });
+  });
+
+  router.post('/admin/channels/:id/approve', requireAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    db.prepare(`
+      UPDATE channels 
+      SET is_approved = 1, approved_at = ?, approved_by = ?
+      WHERE id = ? AND is_approved = 0
+    `).run(dayjs().toISOString(), req.session.user.id, id);
+    logModeration(req, 'approve_channel', 'channel', id);
+    
+    eventTracker.track('channel_approved', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      metadata: { channelId: id }
+    });
+    
+    res.redirect('/admin/channels');
+  });
+
+  // Reject a pending channel or remove an existing one (members, invites and postings cascade)
+  router.post('/admin/channels/:id/delete', requireAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    const channel = db.prepare('SELECT name FROM channels WHERE id = ?').get(id);
+    db.prepare('DELETE FROM channels WHERE id = ?').run(id);
+    if (channel) logModeration(req, 'delete_channel', 'channel', id, { details: { name: channel.name } });
+    
+    eventTracker.track('channel_deleted', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      metadata: { channelId: id }
+    });
+    
+    res.redirect('/admin/channels');
+  });
+
+  // Sorts curation
+  router.get('/admin/sorts', requireAdmin, (req, res) => {
+    const sorts = db.prepare(`
+      SELECT s.*, 
+        (SELECT COUNT(*) FROM letter_sorts ls WHERE ls.sort_id = s.id) AS letter_count
+      FROM sorts s
+      ORDER BY s.display_order, s.name
+    `).all();
+    
+    res.render('admin-sorts', { 
+      user: req.session.user, 
+      sorts, 
+      message: req.query.message || null,
+      error: req.query.error || null,
+      pageTitle: 'Slocial - Admin Sorts' 
+    });
+  });
+
+  const sortValidators = [
+    body('name').trim().isLength({ min: 1, max: 40 }).withMessage('Name must be 1-40 characters'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be under 200 characters'),
+    body('color').optional({ checkFalsy: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #6366f1'),
+    body('icon').optional().trim().isLength({ max: 8 }).withMessage('Icon must be at most 8 characters'),
+    body('display_order').optional({ checkFalsy: true }).isInt({ min: 0, max: 9999 }).withMessage('Display order must be a number')
+  ];
+
+  function readSortForm(req) {
+    const name = req.body.name.trim();
+    return {
+      name,
+      slug: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+      description: req.body.description?.trim() || null,
+      color: req.body.color || '#6366f1',
+      icon: req.body.icon?.trim() || null,
+      display_order: parseInt(req.body.display_order || '0', 10)
+    };
+  }
+
+  router.post('/admin/sorts', requireAdmin, ...sortValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.redirect('/admin/sorts?error=' + encodeURIComponent(errors.array()[0].msg));
+    }
+    
+    const sort = readSortForm(req);
+    if (!sort.slug) {
+      return res.redirect('/admin/sorts?error=' + encodeURIComponent('Name must contain letters or numbers'));
+    }
+    
+    try {
+      const info = db.prepare(`
+        INSERT INTO sorts (name, slug, description, color, icon, is_system, display_order, created_by)
+        VALUES (@name, @slug, @description, @color, @icon, 1, @display_order, @created_by)
+      `).run({ ...sort, created_by: req.session.user.id });
+      logModeration(req, 'create_sort', 'sort', info.lastInsertRowid, { details: { name: sort.name } });
+      
+      eventTracker.track('sort_created', {
+        userId: req.session.user.id,
+        sessionId: req.sessionID,
+        metadata: { sortId: info.lastInsertRowid, name: sort.name }
+      });
+      
+      res.redirect('/admin/sorts?message=' + encodeURIComponent(`Sort "${sort.name}" created`));
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return res.redirect('/admin/sorts?error=' + encodeURIComponent('A sort with that name already exists'));
+      }
+      console.error('Error creating sort:', error);
+      res.redirect('/admin/sorts?error=' + encodeURIComponent('Failed to create sort'));
+    }
+  });
+
+  router.post('/admin/sorts/:id/update', requireAdmin, ...sortValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.redirect('/admin/sorts?error=' + encodeURIComponent(errors.array()[0].msg));
+    }
+    
+    const id = Number(req.params.id);
+    const sort = readSortForm(req);
+    if (!sort.slug) {
+      return res.redirect('/admin/sorts?error=' + encodeURIComponent('Name must contain letters or numbers'));
+    }
+    
+    try {
+      const result = db.prepare(`
+        UPDATE sorts 
+        SET name = @name, slug = @slug, description = @description, color = @color, 
+            icon = @icon, display_order = @display_order
+        WHERE id = @id
+      `).run({ ...sort, id });
+      
+      if (result.changes === 0) {
+        return res.redirect('/admin/sorts?error=' + encodeURIComponent('Sort not found'));
+      }
+      
+      logModeration(req, 'update_sort', 'sort', id, { details: { name: sort.name } });
+      eventTracker.track('sort_updated', {
+        userId: req.session.user.id,
+        sessionId: req.sessionID,
+        metadata: { sortId: id, name: sort.name }
+      });
+      
+      res.redirect('/admin/sorts?message=' + encodeURIComponent(`Sort "${sort.name}" updated`));
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return res.redirect('/admin/sorts?error=' + encodeURIComponent('A sort with that name already exists'));
+      }
+      console.error('Error updating sort:', error);
+      res.redirect('/admin/sorts?error=' + encodeURIComponent('Failed to update sort'));
+    }
+  });
+
+  // Deleting a sort removes it from letters via the letter_sorts cascade
+  router.post('/admin/sorts/:id/delete', requireAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    const sort = db.prepare('SELECT name FROM sorts WHERE id = ?').get(id);
+    db.prepare('DELETE FROM sorts WHERE id = ?').run(id);
+    if (sort) logModeration(req, 'delete_sort', 'sort', id, { details: { name: sort.name } });
+    
+    eventTracker.track('sort_deleted', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      metadata: { sortId: id }
+    });
+    
+    res.redirect('/admin/sorts?message=' + encodeURIComponent('Sort deleted'));
+  });
+
+  // Reports queue: readers' reports by triage state
+  router.get('/admin/reports', requireAdmin, (req, res) => {
+    const status = moderation.REPORT_STATUSES.includes(req.query.status) ? req.query.status : 'open';
+    
+    res.render('admin-reports', {
+      user: req.session.user,
+      reports: moderation.listReports(db, { status }),
+      counts: moderation.countReports(db),
+      statuses: moderation.REPORT_STATUSES,
+      status,
+      message: req.query.message || null,
+      error: req.query.error || null,
+      pageTitle: 'Slocial - Admin Reports'
+    });
+  });
+
+  router.post('/admin/reports/:id/status', requireAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    const status = req.body.status;
+    if (!moderation.REPORT_STATUSES.includes(status)) {
+      return res.redirect('/admin/reports?error=' + encodeURIComponent('Unknown report status'));
+    }
+    
+    const changed = moderation.triageReport(db, {
+      reportId: id,
+      status,
+      adminId: req.session.user.id,
+      note: req.body.reason?.trim().slice(0, 500) || null
+    });
+    if (!changed) return res.status(404).send('Not found');
+    
+    const from = moderation.REPORT_STATUSES.includes(req.body.from) ? req.body.from : 'open';
+    res.redirect(`/admin/reports?status=${from}&message=` + encodeURIComponent(`Report #${id} marked ${status}`));
+  });
+
+  // Audit log of admin actions
+  router.get('/admin/audit', requireAdmin, (req, res) => {
+    res.render('admin-audit', {
+      user: req.session.user,
+      actions: moderation.listActions(db, { limit: 200 }),
+      pageTitle: 'Slocial - Admin Audit Log'
+    });
+  });
+
+  // Posting quotas per role and per mosaic (services/postingQuota)
+  router.get('/admin/quotas', requireAdmin, (req, res) => {
+    res.render('admin-quotas', {
+      user: req.session.user,
+      roleQuotas: postingQuota.listRoleQuotas(db),
+      tagQuotas: postingQuota.listTagQuotas(db),
+      tags: db.prepare('SELECT id, name FROM tags WHERE is_active = 1 ORDER BY name').all(),
+      describeQuota: postingQuota.describeQuota,
+      message: req.query.message || null,
+      error: req.query.error || null,
+      pageTitle: 'Slocial - Admin Quotas'
+    });
+  });
+
+  const quotaValidators = [
+    body('window_hours').isInt({ min: 1, max: 8760 }).withMessage('Window must be 1-8760 hours'),
+    body('max_letters').optional({ checkFalsy: true }).isInt({ min: 1, max: 1000 }).withMessage('Letters must be 1-1000, or empty for no limit')
+  ];
+
+  function readQuotaForm(req) {
+    return {
+      windowHours: parseInt(req.body.window_hours, 10),
+      maxLetters: req.body.max_letters ? parseInt(req.body.max_letters, 10) : null,
+      updatedBy: req.session.user.id
+    };
+  }
+
+  router.post('/admin/quotas/roles/:role', requireAdmin, ...quotaValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.redirect('/admin/quotas?error=' + encodeURIComponent(errors.array()[0].msg));
+    }
+    if (!postingQuota.ROLES.includes(req.params.role)) {
+      return res.status(404).send('Not found');
+    }
+    
+    const quota = readQuotaForm(req);
+    postingQuota.setRoleQuota(db, { role: req.params.role, ...quota });
+    logModeration(req, 'set_quota', 'quota', null, {
+      details: { role: req.params.role, windowHours: quota.windowHours, maxLetters: quota.maxLetters }
+    });
+    
+    eventTracker.track('posting_quota_updated', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      metadata: { role: req.params.role, windowHours: quota.windowHours, maxLetters: quota.maxLetters }
+    });
+    
+    res.redirect('/admin/quotas?message=' + encodeURIComponent(`Quota for ${req.params.role}s set to ${postingQuota.describeQuota(quota).toLowerCase()}`));
+  });
+
+  router.post('/admin/quotas/mosaics', requireAdmin, body('tag_id').isInt().withMessage('Pick a mosaic'), ...quotaValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.redirect('/admin/quotas?error=' + encodeURIComponent(errors.array()[0].msg));
+    }
+    
+    const tag = db.prepare('SELECT id, name FROM tags WHERE id = ?').get(Number(req.body.tag_id));
+    if (!tag) {
+      return res.redirect('/admin/quotas?error=' + encodeURIComponent('Mosaic not found'));
+    }
+    
+    const quota = readQuotaForm(req);
+    postingQuota.setTagQuota(db, { tagId: tag.id, ...quota });
+    logModeration(req, 'set_quota', 'quota', null, {
+      details: { tagId: tag.id, mosaic: tag.name, windowHours: quota.windowHours, maxLetters: quota.maxLetters }
+    });
+    
+    eventTracker.track('posting_quota_updated', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      metadata: { tagId: tag.id, windowHours: quota.windowHours, maxLetters: quota.maxLetters }
+    });
+    
+    res.redirect('/admin/quotas?message=' + encodeURIComponent(`Quota for ${tag.name} set to ${postingQuota.describeQuota(quota).toLowerCase()}`));
+  });
+
+  router.post('/admin/quotas/mosaics/:tagId/delete', requireAdmin, (req, res) => {
+    const tagId = Number(req.params.tagId);
+    if (postingQuota.removeTagQuota(db, tagId)) {
+      logModeration(req, 'remove_quota', 'quota', null, { details: { tagId } });
+    }
+    
+    eventTracker.track('posting_quota_removed', {
+      userId: req.session.user.id,
+      sessionId: req.sessionID,
+      metadata: { tagId }
+    });
+    
+    res.redirect('/admin/quotas?message=' + encodeURIComponent('Mosaic quota removed; its letters count towards role quotas again'));
+  });
+
   // 404 handler - track not found pages
   router.use((req, res) => {
     eventTracker.track('404_error', {
@@ -4,12 +4,19 @@ const express = require('express');
 const session = require('express-session');
 const SQLiteStore = require('connect-sqlite3')(session);
 const { initializeDatabase } = require('./db/init');
-const { baseMiddleware } = require('./middleware');
+const { migrateOptionalColumns } = require('./db/schema');
+const { baseMiddleware, suspensionGuard, sessionVersionGuard } = require('./middleware');
 const { buildRouter } = require('./routes');
+const { buildApiRouter, errorHandler: apiErrorHandler } = require('./api/v1');
 const ejsLayouts = require('express-ejs-layouts');
 const csrf = require('csurf');
 const eventTracker = require('./services/eventTracker');
 const passport = require('./auth/passport-config');
+const { JobScheduler } = require('./services/scheduler');
+const { registerCoreJobs } = require('./services/jobs');
+const { Mailer } = require('./services/mailer');
+const { getUnreadCount } = require('./services/notifications');
+const { steepHoursFromEnv } = require('./services/comments');
 
 const app = express();
 app.set('view engine', 'ejs');
@@ -33,103 +40,15 @@ app.use(passport.session());
 
 const db = initializeDatabase();
 
-// Run inline migration to add draft columns (v2)
+// Columns added to letters and users after launch (see db/schema.js)
 console.log('Checking database schema...');
 try {
-  const columns = db.prepare("PRAGMA table_info(letters)").all();
-  const hasIsDraft = columns.some(col => col.name === 'is_draft');
-  const hasLastSavedAt = columns.some(col => col.name === 'last_saved_at');
-  
-  if (!hasIsDraft) {
-    console.log('Adding is_draft column to letters table...');
-    db.prepare('ALTER TABLE letters ADD COLUMN is_draft INTEGER NOT NULL DEFAULT 0').run();
-    console.log('✓ is_draft column added');
-  }
-  
-  if (!hasLastSavedAt) {
-    console.log('Adding last_saved_at column to letters table...');
-    db.prepare('ALTER TABLE letters ADD COLUMN last_saved_at TEXT').run();
-    console.log('✓ last_saved_at column added');
-  }
-  
-  // Create index for drafts if it doesn't exist
-  try {
-    db.prepare('CREATE INDEX idx_letters_drafts ON letters(author_id, is_draft, created_at DESC)').run();
-    console.log('✓ Draft index created');
-  } catch (e) {
-    // Index might already exist, that's ok
-  }
-  
+  migrateOptionalColumns(db).forEach(column => console.log(`✓ ${column} column added`));
   console.log('Database schema check complete');
 } catch (e) {
   console.error('Migration error:', e);
 }
 
-// Run migration for slocialite features (v3)
-console.log('Checking for slocialite features...');
-try {
-  // Add is_slocialite column to users table
-  const userColumns = db.prepare("PRAGMA table_info(users)").all();
-  const hasIsSlocialite = userColumns.some(col => col.name === 'is_slocialite');
-  
-  if (!hasIsSlocialite) {
-    console.log('Adding is_slocialite column to users table...');
-    db.prepare('ALTER TABLE users ADD COLUMN is_slocialite INTEGER NOT NULL DEFAULT 0').run();
-    console.log('✓ is_slocialite column added');
-  }
-  
-  // Add approval columns to letters table
-  const letterColumns = db.prepare("PRAGMA table_info(letters)").all();
-  const hasApprovalStatus = letterColumns.some(col => col.name === 'approval_status');
-  const hasApprovedBy = letterColumns.some(col => col.name === 'approved_by');
-  const hasApprovedAt = letterColumns.some(col => col.name === 'approved_at');
-  const hasRejectionReason = letterColumns.some(col => col.name === 'rejection_reason');
-  const hasFormat = letterColumns.some(col => col.name === 'format');
-  
-  if (!hasApprovalStatus) {
-    console.log('Adding approval_status column to letters table...');
-    db.prepare(`ALTER TABLE letters ADD COLUMN approval_status TEXT NOT NULL DEFAULT 'approved' CHECK(approval_status IN ('pending', 'approved', 'rejected'))`).run();
-    console.log('✓ approval_status column added');
-  }
-  
-  if (!hasApprovedBy) {
-    console.log('Adding approved_by column to letters table...');
-    db.prepare('ALTER TABLE letters ADD COLUMN approved_by INTEGER REFERENCES users(id)').run();
-    console.log('✓ approved_by column added');
-  }
-  
-  if (!hasApprovedAt) {
-    console.log('Adding approved_at column to letters table...');
-    db.prepare('ALTER TABLE letters ADD COLUMN approved_at TEXT').run();
-    console.log('✓ approved_at column added');
-  }
-  
-  if (!hasRejectionReason) {
-    console.log('Adding rejection_reason column to letters table...');
-    db.prepare('ALTER TABLE letters ADD COLUMN rejection_reason TEXT').run();
-    console.log('✓ rejection_reason column added');
-  }
-  
-  if (!hasFormat) {
-    console.log('Adding format column to letters table...');
-    db.prepare(`ALTER TABLE letters ADD COLUMN format TEXT DEFAULT 'standard'`).run();
-    console.log('✓ format column added for writing constraints');
-  }
-  
-  // Create index for moderation queue
-  try {
-    db.prepare('CREATE INDEX idx_letters_moderation ON letters(approval_status, created_at DESC)').run();
-    console.log('✓ Moderation index created');
-  } catch (e) {
-    // Index might already exist, that's ok
-  }
-  
-  console.log('Slocialite features check complete');
-} catch (err) {
-  console.error('Slocialite migration error:', err);
-  // Continue anyway
-}
-
 // Auto-create default admin on first run
 const { execSync } = require('child_process');
 try {
@@ -175,11 +94,20 @@ function autoLinkUrls(text) {
   });
 }
 
+// Suspended accounts lose their session on the next request
+app.use(suspensionGuard(db));
+
+// Password changes sign out every other device
+app.use(sessionVersionGuard(db));
+
 // Inject locals and track events
 app.use((req, res, next) => {
   res.locals.user = req.session.user || null;
   res.locals.theme = req.cookies?.theme || 'light';
   res.locals.autoLink = autoLinkUrls; // Make helper available in views
+  res.locals.unreadNotifications = req.session.user
+    ? getUnreadCount(db, req.session.user.id)
+    : 0;
   
   // Track ALL HTTP requests (not just page views)
   const isStaticAsset = req.path.startsWith('/public/') || 
@@ -285,6 +213,14 @@ app.use((req, res, next) => {
   if (req.path === '/auth/apple/callback') {
     return next();
   }
+  // Cron-triggered publish is authenticated by an HMAC signature instead
+  if (req.path === '/internal/publish') {
+    return next();
+  }
+  // The JSON API authenticates with bearer tokens, not the session cookie
+  if (req.path.startsWith('/api/v1/')) {
+    return next();
+  }
   // For multipart forms, check CSRF token from query parameter
   if ((req.path === '/tags/create' || req.path.match(/^\/tags\/\d+\/edit$/)) && req.method === 'POST') {
     // Move CSRF token from query to body for the middleware to validate
@@ -304,27 +240,29 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(buildRouter(db));
+// Outbound email is queued and sent by the scheduler (see services/mailer)
+const mailer = new Mailer(db, { from: process.env.MAIL_FROM, baseUrl: process.env.APP_URL });
+mailer.recoverStaleMessages();
+
+// Background jobs: exact-time publishing, permission expiry, event cleanup, email delivery
+const scheduler = new JobScheduler(db);
+registerCoreJobs(scheduler, db, { mailer });
+
+// Comments steep before anyone else sees them (COMMENT_STEEP_HOURS, 0 turns it off)
+const commentSteepHours = steepHoursFromEnv();
+
+app.use('/api/v1', buildApiRouter(db, { scheduler, commentSteepHours }));
+app.use(buildRouter(db, { scheduler, mailer, commentSteepHours }));
 
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log(`Slocial listening on http://localhost:${port}`);
 });
 
-// Background publisher: check every 5 minutes
-setInterval(() => {
-  try {
-    const nowIso = new Date().toISOString();
-    const info = db.prepare('UPDATE letters SET is_published = 1 WHERE is_published = 0 AND publish_at <= ?').run(nowIso);
-    if (info.changes) {
-      console.log(`Published ${info.changes} letters`);
-    }
-  } catch (e) {
-    console.error('Publish interval error', e);
-  }
-}, 5 * 60 * 1000);
+scheduler.start();
 
 // Error handlers
+app.use('/api/v1', apiErrorHandler);
 app.use((err, req, res, next) => {
   // CSRF error
   if (err && err.code === 'EBADCSRFTOKEN') {
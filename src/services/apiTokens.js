@@ -0,0 +1,100 @@
+// Personal access tokens for the /api/v1 JSON API. Users create them on
+// /profile; the plaintext is shown once and only its hash is stored (same
+// scheme as services/tokens). Each token carries a set of scopes.
+
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const TOKEN_PREFIX = 'slc_';
+
+const SCOPES = {
+  read: 'Read letters, comments, mosaics, your profile and reading status',
+  'letters:write': 'Write letters (they steep like any other)',
+  'comments:write': 'Leave comments',
+  'resonates:write': 'Resonate with letters and take it back',
+  'reading:write': 'Mark letters as read, skipped or saved for later',
+  'profile:write': 'Update your bio and avatar'
+};
+
+// Lifetimes offered on /profile; null means the token never expires
+const EXPIRY_DAYS = [30, 90, 365, null];
+
+const MAX_TOKENS_PER_USER = 20;
+
+function normalizeScopes(scopes) {
+  return [...new Set([].concat(scopes || []))].filter(scope => SCOPES[scope]);
+}
+
+function createApiToken(db, { userId, name, scopes, expiresInDays = null, now = new Date() }) {
+  const granted = normalizeScopes(scopes);
+  const label = String(name || '').trim().slice(0, 60);
+  if (!label) throw new Error('Give the token a name so you can recognise it later');
+  if (granted.length === 0) throw new Error('Pick at least one scope');
+
+  const { count } = db.prepare(`
+    SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL
+  `).get(userId);
+  if (count >= MAX_TOKENS_PER_USER) {
+    throw new Error(`You can have at most ${MAX_TOKENS_PER_USER} active tokens; revoke one first`);
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const createdAt = new Date(now);
+  const expiresAt = expiresInDays
+    ? new Date(createdAt.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+  const id = db.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId,
+    label,
+    hashToken(token),
+    token.slice(0, TOKEN_PREFIX.length + 6),
+    granted.join(' '),
+    createdAt.toISOString(),
+    expiresAt
+  ).lastInsertRowid;
+
+  return { id, token };
+}
+
+function listApiTokens(db, userId) {
+  return db.prepare(`
+    SELECT id, name, token_prefix, scopes, created_at, expires_at, last_used_at
+    FROM api_tokens
+    WHERE user_id = ? AND revoked_at IS NULL
+    ORDER BY created_at DESC, id DESC
+  `).all(userId).map(row => ({ ...row, scopes: row.scopes.split(' ') }));
+}
+
+function revokeApiToken(db, { userId, tokenId, now = new Date() }) {
+  return db.prepare(`
+    UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `).run(new Date(now).toISOString(), tokenId, userId).changes > 0;
+}
+
+// Resolve a presented token. Returns { tokenId, userId, scopes } or null when
+// the token is unknown, revoked or expired.
+function authenticateApiToken(db, token, now = new Date()) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+  const nowIso = new Date(now).toISOString();
+  const row = db.prepare(`
+    SELECT id, user_id, scopes FROM api_tokens
+    WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+  `).get(hashToken(token), nowIso);
+  if (!row) return null;
+
+  db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(nowIso, row.id);
+  return { tokenId: row.id, userId: row.user_id, scopes: row.scopes.split(' ') };
+}
+
+module.exports = {
+  SCOPES,
+  EXPIRY_DAYS,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticateApiToken,
+};
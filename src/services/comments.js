@@ -0,0 +1,246 @@
+// Comments on letters. Each reader gets one comment per letter and the
+// letter's author one reply per comment; both can be reworded for
+// EDIT_WINDOW_MINUTES after posting and then stand as written. Only published
+// letters take comments. The web routes and the API share these rules, and
+// the code on CommentError lets each surface say what went wrong.
+//
+// Comments steep like letters: they stay hidden from everyone but their
+// commenter until publish_at, when the publish_comment job (or the
+// publish_due_comments sweep) reveals them and tells the letter's author.
+// COMMENT_STEEP_HOURS sets the steep; 0 publishes comments straight away.
+
+const notifications = require('./notifications');
+
+const EDIT_WINDOW_MINUTES = 15;
+const MAX_LENGTH = 2000;
+const DEFAULT_STEEP_HOURS = 12;
+
+class CommentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// created_at is ISO when written here and datetime('now') format on older rows
+function parseTimestamp(value) {
+  return new Date(/^\d{4}-\d{2}-\d{2} /.test(value) ? value.replace(' ', 'T') + 'Z' : value);
+}
+
+// Read COMMENT_STEEP_HOURS once at startup; a typo should stop the server
+// rather than quietly publish comments at the wrong time
+function steepHoursFromEnv(env = process.env) {
+  if (env.COMMENT_STEEP_HOURS === undefined || env.COMMENT_STEEP_HOURS === '') return DEFAULT_STEEP_HOURS;
+  const hours = Number(env.COMMENT_STEEP_HOURS);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new Error(`COMMENT_STEEP_HOURS must be a number of hours, got "${env.COMMENT_STEEP_HOURS}"`);
+  }
+  return hours;
+}
+
+function isSteeping(comment) {
+  return comment.is_published === 0;
+}
+
+function editableUntil(row) {
+  return new Date(parseTimestamp(row.created_at).getTime() + EDIT_WINDOW_MINUTES * 60 * 1000);
+}
+
+// Nobody else has read a steeping comment yet, so it stays editable until it publishes
+function isEditable(row, now = new Date()) {
+  return isSteeping(row) || new Date(now) < editableUntil(row);
+}
+
+function checkBody(body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text || text.length > MAX_LENGTH) {
+    throw new CommentError('invalid', `Comments must be 1-${MAX_LENGTH} characters`);
+  }
+  return text;
+}
+
+function getComment(db, commentId) {
+  return db.prepare(`
+    SELECT c.*, l.author_id AS letter_author_id
+    FROM comments c
+    JOIN letters l ON l.id = c.letter_id
+    WHERE c.id = ?
+  `).get(commentId);
+}
+
+// The letter's author hears about a comment once it is visible
+function notifyLetterAuthor(db, comment, now) {
+  notifications.notify(db, {
+    userId: comment.letter_author_id,
+    type: 'comment',
+    actorId: comment.author_id,
+    letterId: comment.letter_id,
+    data: { commentId: comment.id },
+    now
+  });
+}
+
+// Returns { commentId, publishAt, published }; callers schedule the publish of
+// a steeping comment
+function addComment(db, { letterId, userId, body, steepHours = DEFAULT_STEEP_HOURS, now = new Date() }) {
+  const text = checkBody(body);
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ?').get(letterId);
+  if (!letter) throw new CommentError('not_found', 'Letter not found');
+  if (letter.is_published !== 1 || new Date(letter.publish_at) > new Date(now)) {
+    throw new CommentError('not_published', 'This letter is still steeping');
+  }
+
+  const existing = db.prepare('SELECT * FROM comments WHERE letter_id = ? AND author_id = ?').get(letterId, userId);
+  if (existing) {
+    throw new CommentError('duplicate_comment', isEditable(existing, now)
+      ? 'You have already commented on this letter; you can still edit your comment'
+      : 'You have already commented on this letter; each reader leaves one comment');
+  }
+
+  const createdAt = new Date(now).toISOString();
+  const publishAt = new Date(new Date(now).getTime() + steepHours * 60 * 60 * 1000).toISOString();
+  const published = steepHours === 0;
+  const commentId = db.prepare(`
+    INSERT INTO comments (letter_id, author_id, body, created_at, publish_at, is_published) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(letterId, userId, text, createdAt, publishAt, published ? 1 : 0).lastInsertRowid;
+  if (published) notifyLetterAuthor(db, getComment(db, commentId), now);
+  return { commentId, publishAt, published };
+}
+
+function editComment(db, { commentId, userId, body, now = new Date() }) {
+  const text = checkBody(body);
+  const comment = db.prepare('SELECT * FROM comments WHERE id = ? AND author_id = ?').get(commentId, userId);
+  if (!comment) throw new CommentError('not_found', 'Comment not found');
+  if (!isEditable(comment, now)) {
+    throw new CommentError('edit_window_closed', `Comments can only be edited while they steep or for ${EDIT_WINDOW_MINUTES} minutes after posting`);
+  }
+
+  db.prepare('UPDATE comments SET body = ?, edited_at = ? WHERE id = ?').run(text, new Date(now).toISOString(), comment.id);
+  return comment;
+}
+
+// The letter's author answers a comment. Returns the reply's id and the
+// comment it answers.
+function addReply(db, { commentId, userId, body, now = new Date() }) {
+  const text = checkBody(body);
+  const comment = getComment(db, commentId);
+  if (!comment) throw new CommentError('not_found', 'Comment not found');
+  if (isSteeping(comment) && comment.author_id !== userId) throw new CommentError('not_found', 'Comment not found');
+  if (comment.letter_author_id !== userId) {
+    throw new CommentError('forbidden', 'Only the author of the letter can reply to its comments');
+  }
+  if (comment.author_id === userId) {
+    throw new CommentError('forbidden', 'You can\'t reply to your own comment');
+  }
+  if (db.prepare('SELECT 1 FROM comment_replies WHERE comment_id = ?').get(commentId)) {
+    throw new CommentError('duplicate_reply', 'You have already replied to this comment; each comment gets one reply');
+  }
+
+  const replyId = db.prepare('INSERT INTO comment_replies (comment_id, author_id, body, created_at) VALUES (?, ?, ?, ?)')
+    .run(commentId, userId, text, new Date(now).toISOString()).lastInsertRowid;
+  return { replyId, comment };
+}
+
+function editReply(db, { replyId, userId, body, now = new Date() }) {
+  const text = checkBody(body);
+  const reply = db.prepare('SELECT * FROM comment_replies WHERE id = ? AND author_id = ?').get(replyId, userId);
+  if (!reply) throw new CommentError('not_found', 'Reply not found');
+  if (!isEditable(reply, now)) {
+    throw new CommentError('edit_window_closed', `Replies can only be edited for ${EDIT_WINDOW_MINUTES} minutes after posting`);
+  }
+
+  db.prepare('UPDATE comment_replies SET body = ?, edited_at = ? WHERE id = ?').run(text, new Date(now).toISOString(), reply.id);
+  return reply;
+}
+
+// Reveal steeping comments whose publish_at has passed, or just commentId when
+// given, and notify their letters' authors. Returns the published comments.
+function publishDueComments(db, { now = new Date(), commentId = null } = {}) {
+  return db.transaction(() => {
+    const due = db.prepare(`
+      SELECT c.*, l.author_id AS letter_author_id
+      FROM comments c
+      JOIN letters l ON l.id = c.letter_id
+      WHERE c.is_published = 0 AND datetime(c.publish_at) <= datetime(@now)
+        AND (@commentId IS NULL OR c.id = @commentId)
+    `).all({ now: new Date(now).toISOString(), commentId });
+    const publish = db.prepare('UPDATE comments SET is_published = 1 WHERE id = ?');
+    for (const comment of due) {
+      publish.run(comment.id);
+      notifyLetterAuthor(db, comment, now);
+    }
+    return due;
+  })();
+}
+
+// Publish a steeping comment now (an admin letting it through early)
+function publishNow(db, commentId, now = new Date()) {
+  const info = db.prepare('UPDATE comments SET publish_at = ? WHERE id = ? AND is_published = 0')
+    .run(new Date(now).toISOString(), commentId);
+  return info.changes ? publishDueComments(db, { now, commentId })[0] : null;
+}
+
+// Remove a comment and its reply. Foreign keys are not enforced, so the reply
+// would not go with it on its own. Returns whether there was such a comment.
+function deleteComment(db, commentId) {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM comment_replies WHERE comment_id = ?').run(commentId);
+    return db.prepare('DELETE FROM comments WHERE id = ?').run(commentId).changes > 0;
+  })();
+}
+
+// Steeping comments across all letters, soonest to publish first
+function listPending(db, { limit = 50 } = {}) {
+  return db.prepare(`
+    SELECT c.*, u.handle, l.title
+    FROM comments c
+    JOIN users u ON u.id = c.author_id
+    JOIN letters l ON l.id = c.letter_id
+    WHERE c.is_published = 0
+    ORDER BY datetime(c.publish_at) ASC, c.id ASC
+    LIMIT ?
+  `).all(limit);
+}
+
+// Comments of a letter, oldest first, each with its reply (or null). Steeping
+// comments are only listed for their own commenter (viewerId).
+function listComments(db, letterId, { viewerId = null } = {}) {
+  const comments = db.prepare(`
+    SELECT c.*, u.handle FROM comments c
+    JOIN users u ON u.id = c.author_id
+    WHERE c.letter_id = ? AND (c.is_published = 1 OR c.author_id = ?)
+    ORDER BY datetime(c.created_at) ASC, c.id ASC
+  `).all(letterId, viewerId);
+  const replies = db.prepare(`
+    SELECT r.*, u.handle FROM comment_replies r
+    JOIN comments c ON c.id = r.comment_id
+    JOIN users u ON u.id = r.author_id
+    WHERE c.letter_id = ?
+  `).all(letterId);
+
+  return comments.map(comment => ({
+    ...comment,
+    reply: replies.find(reply => reply.comment_id === comment.id) || null
+  }));
+}
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  MAX_LENGTH,
+  DEFAULT_STEEP_HOURS,
+  CommentError,
+  steepHoursFromEnv,
+  isSteeping,
+  isEditable,
+  editableUntil,
+  getComment,
+  addComment,
+  editComment,
+  addReply,
+  editReply,
+  publishDueComments,
+  publishNow,
+  deleteComment,
+  listPending,
+  listComments,
+};
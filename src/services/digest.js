@@ -0,0 +1,174 @@
+// Daily "slow digest": once a day, every reader who follows a mosaic gets one
+// page (and optionally one email) listing the letters that finished steeping in
+// those mosaics since their previous digest.
+
+const { canUserViewLetter } = require('./visibility');
+const { detectOptionalColumns } = require('../db/schema');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+// A digest never reaches back further than this, even after a long outage
+const MAX_LOOKBACK = 7 * ONE_DAY;
+const EXCERPT_LENGTH = 280;
+
+function followTag(db, userId, tagId) {
+  return db.prepare('INSERT OR IGNORE INTO tag_followers (tag_id, user_id) VALUES (?, ?)').run(tagId, userId).changes > 0;
+}
+
+function unfollowTag(db, userId, tagId) {
+  return db.prepare('DELETE FROM tag_followers WHERE tag_id = ? AND user_id = ?').run(tagId, userId).changes > 0;
+}
+
+function isFollowing(db, userId, tagId) {
+  if (!userId) return false;
+  return Boolean(db.prepare('SELECT 1 FROM tag_followers WHERE tag_id = ? AND user_id = ?').get(tagId, userId));
+}
+
+function getFollowedTags(db, userId) {
+  return db.prepare(`
+    SELECT t.id, t.name, t.slug, tf.followed_at
+    FROM tag_followers tf
+    JOIN tags t ON t.id = tf.tag_id
+    WHERE tf.user_id = ? AND t.is_active = 1
+    ORDER BY t.name
+  `).all(userId);
+}
+
+function excerpt(body) {
+  const text = String(body || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trimEnd()}…` : text;
+}
+
+// Letters that passed publish_at in (since, until] in mosaics the user follows
+function collectLetters(db, { userId, since, until }) {
+  const { hasDraftColumn, hasApprovalColumn } = detectOptionalColumns(db);
+  const rows = db.prepare(`
+    SELECT l.id, l.title, l.body, l.publish_at, u.handle,
+      GROUP_CONCAT(DISTINCT t.name) AS mosaic_names
+    FROM tag_followers tf
+    JOIN tags t ON t.id = tf.tag_id AND t.is_active = 1
+    JOIN letter_tags lt ON lt.tag_id = t.id
+    JOIN letters l ON l.id = lt.letter_id
+    JOIN users u ON u.id = l.author_id
+    WHERE tf.user_id = @userId
+      AND l.author_id != @userId
+      AND l.is_published = 1
+      ${hasDraftColumn ? 'AND l.is_draft = 0' : ''}
+      ${hasApprovalColumn ? "AND (l.approval_status = 'approved' OR l.approval_status IS NULL)" : ''}
+      AND datetime(l.publish_at) > datetime(@since)
+      AND datetime(l.publish_at) <= datetime(@until)
+    GROUP BY l.id
+    ORDER BY l.publish_at, l.id
+  `).all({ userId, since: new Date(since).toISOString(), until: new Date(until).toISOString() });
+
+  return rows
+    .filter(row => canUserViewLetter(db, userId, row.id))
+    .map(row => ({
+      id: row.id,
+      title: row.title,
+      handle: row.handle,
+      publish_at: row.publish_at,
+      excerpt: excerpt(row.body),
+      mosaics: row.mosaic_names ? row.mosaic_names.split(',') : []
+    }));
+}
+
+// Where the next digest for a user starts: the end of their last one, or a day back
+function periodStartFor(db, userId, now) {
+  const last = db.prepare('SELECT MAX(period_end) AS period_end FROM digests WHERE user_id = ?').get(userId);
+  const floor = now.getTime() - MAX_LOOKBACK;
+  const start = last && last.period_end ? new Date(last.period_end).getTime() : now.getTime() - ONE_DAY;
+  return new Date(Math.max(start, floor));
+}
+
+/**
+ * Build today's digest for every follower. Empty digests are skipped, so a
+ * quiet day simply rolls into the next one. When a mailer is given, readers who
+ * opted into the digest email get one.
+ */
+async function buildDailyDigests(db, { now = new Date(), mailer = null, wantsEmail = () => false } = {}) {
+  const until = new Date(now);
+  const summary = { digests: 0, emailed: 0 };
+  const followers = db.prepare(`
+    SELECT DISTINCT u.id, u.handle, u.email
+    FROM tag_followers tf
+    JOIN users u ON u.id = tf.user_id
+  `).all();
+
+  for (const follower of followers) {
+    const since = periodStartFor(db, follower.id, until);
+    const letters = collectLetters(db, { userId: follower.id, since, until });
+    if (letters.length === 0) continue;
+
+    const digestId = db.prepare(`
+      INSERT INTO digests (user_id, period_start, period_end, letter_ids, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      follower.id,
+      since.toISOString(),
+      until.toISOString(),
+      JSON.stringify(letters.map(letter => letter.id)),
+      until.toISOString()
+    ).lastInsertRowid;
+    summary.digests++;
+
+    if (mailer && wantsEmail(follower.id)) {
+      await mailer.enqueue({
+        to: follower.email,
+        subject: `Your slow digest: ${letters.length} new letter${letters.length === 1 ? '' : 's'}`,
+        template: 'digest',
+        locals: { handle: follower.handle, letters, digestPath: `/digest/${digestId}` }
+      });
+      db.prepare('UPDATE digests SET emailed_at = ? WHERE id = ?').run(until.toISOString(), digestId);
+      summary.emailed++;
+    }
+  }
+
+  return summary;
+}
+
+// A stored digest with its letters, re-checked against current visibility
+function getDigest(db, { userId, digestId }) {
+  const digest = db.prepare('SELECT * FROM digests WHERE id = ? AND user_id = ?').get(digestId, userId);
+  if (!digest) return null;
+  return { ...digest, letters: loadLetters(db, userId, JSON.parse(digest.letter_ids)) };
+}
+
+function getRecentDigests(db, userId, limit = 14) {
+  return db.prepare(`
+    SELECT * FROM digests WHERE user_id = ? ORDER BY period_end DESC LIMIT ?
+  `).all(userId, limit).map(digest => ({
+    ...digest,
+    letterCount: JSON.parse(digest.letter_ids).length
+  }));
+}
+
+function loadLetters(db, userId, letterIds) {
+  if (letterIds.length === 0) return [];
+  const rows = db.prepare(`
+    SELECT l.id, l.title, l.body, l.publish_at, u.handle
+    FROM letters l
+    JOIN users u ON u.id = l.author_id
+    WHERE l.id IN (${letterIds.map(() => '?').join(', ')}) AND l.is_published = 1
+    ORDER BY l.publish_at, l.id
+  `).all(...letterIds);
+  return rows
+    .filter(row => canUserViewLetter(db, userId, row.id))
+    .map(row => ({
+      id: row.id,
+      title: row.title,
+      handle: row.handle,
+      publish_at: row.publish_at,
+      excerpt: excerpt(row.body)
+    }));
+}
+
+module.exports = {
+  followTag,
+  unfollowTag,
+  isFollowing,
+  getFollowedTags,
+  collectLetters,
+  buildDailyDigests,
+  getDigest,
+  getRecentDigests,
+};
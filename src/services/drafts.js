@@ -0,0 +1,163 @@
+// Drafts are letters with is_draft = 1. They are never published by the
+// scheduler and publish_at means nothing until the author sends them off,
+// which clears the flag and starts the steep. Compose, autosave, /drafts and
+// withdrawn letters all share this model.
+//
+// last_saved_at doubles as the draft's version: every write moves it forward,
+// and autosave only overwrites the copy the client started from.
+
+const { STEEP_HOURS } = require('./steep');
+
+// Rolling autosave history: at most this many snapshots per draft, and no more
+// than one per interval unless a conflicting copy is being overwritten
+const SNAPSHOT_LIMIT = 10;
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Older drafts were unpublished letters parked more than a steep away
+// (POST /compose saved them with publish_at exactly 24h after created_at).
+// Flag them as drafts, and pull back autosaved drafts the publish sweep
+// released before it learned to skip them. Letters an author scheduled
+// further out don't carry that signature and are left alone. Run once by
+// src/db/migrate-legacy-drafts.js.
+function convertLegacyDrafts(db, now = new Date()) {
+  return db.transaction(() => {
+    const parked = db.prepare(`
+      UPDATE letters
+      SET is_draft = 1, last_saved_at = COALESCE(last_saved_at, created_at)
+      WHERE is_draft = 0 AND is_published = 0
+        AND datetime(publish_at) > datetime(?, '+${STEEP_HOURS} hours')
+        AND strftime('%Y-%m-%dT%H:%M:%fZ', publish_at) = strftime('%Y-%m-%dT%H:%M:%fZ', created_at, '+24 hours')
+    `).run(new Date(now).toISOString());
+    const released = db.prepare(`
+      UPDATE letters SET is_published = 0 WHERE is_draft = 1 AND is_published = 1
+    `).run();
+    return { converted: parked.changes, unpublished: released.changes };
+  })();
+}
+
+function listDrafts(db, userId) {
+  return db.prepare(`
+    SELECT * FROM letters
+    WHERE author_id = ? AND is_draft = 1
+    ORDER BY COALESCE(last_saved_at, created_at) DESC
+  `).all(userId);
+}
+
+function getDraft(db, userId, draftId) {
+  return db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ? AND is_draft = 1').get(draftId, userId);
+}
+
+function createDraft(db, { userId, title, body, format = 'standard', now = new Date() }) {
+  const savedAt = new Date(now).toISOString();
+  return db.prepare(`
+    INSERT INTO letters (author_id, title, body, format, is_draft, last_saved_at, created_at, publish_at, is_published)
+    VALUES (?, ?, ?, ?, 1, ?, ?, ?, 0)
+  `).run(userId, title, body, format, savedAt, savedAt, savedAt).lastInsertRowid;
+}
+
+// Strictly after the previous save, so two saves in the same millisecond
+// still look like different versions
+function nextSavedAt(previous, now) {
+  const next = new Date(now).getTime();
+  const last = previous ? new Date(previous).getTime() : NaN;
+  return new Date(next > last || Number.isNaN(last) ? next : last + 1).toISOString();
+}
+
+// Returns false when there is no such draft of the user's
+function updateDraft(db, { draftId, userId, title, body, now = new Date() }) {
+  const draft = getDraft(db, userId, draftId);
+  if (!draft) return false;
+
+  db.prepare('UPDATE letters SET title = ?, body = ?, last_saved_at = ? WHERE id = ?')
+    .run(title, body, nextSavedAt(draft.last_saved_at, now), draft.id);
+  return true;
+}
+
+function snapshotDraft(db, draft, { force, now }) {
+  const latest = db.prepare(`
+    SELECT created_at FROM draft_snapshots WHERE letter_id = ? ORDER BY id DESC LIMIT 1
+  `).get(draft.id);
+  if (!force && latest && new Date(now) - new Date(latest.created_at) < SNAPSHOT_INTERVAL_MS) return;
+
+  db.prepare(`
+    INSERT INTO draft_snapshots (letter_id, title, body, saved_at, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(draft.id, draft.title, draft.body, draft.last_saved_at, new Date(now).toISOString());
+  db.prepare(`
+    DELETE FROM draft_snapshots
+    WHERE letter_id = ? AND id NOT IN (
+      SELECT id FROM draft_snapshots WHERE letter_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(draft.id, draft.id, SNAPSHOT_LIMIT);
+}
+
+// Autosave with optimistic concurrency. baseSavedAt is the last_saved_at the
+// client's copy came from; if the server has moved on since, nothing is written
+// and { saved: false, draft } hands back the server copy. overwrite marks a
+// deliberate "keep mine" after a conflict, which always snapshots the copy it
+// replaces. Only a save without a draftId starts a new draft: when draftId is
+// no longer one of the user's drafts (sent off or deleted from another tab)
+// nothing is written and { saved: false, gone: true, letterId } comes back,
+// letterId being the letter it became, or null.
+function autosaveDraft(db, { userId, draftId, baseSavedAt, title, body, overwrite = false, now = new Date() }) {
+  return db.transaction(() => {
+    if (!draftId) {
+      const id = createDraft(db, { userId, title, body, now });
+      return { saved: true, draft: getDraft(db, userId, id) };
+    }
+
+    const draft = getDraft(db, userId, draftId);
+    if (!draft) {
+      const letter = db.prepare('SELECT id FROM letters WHERE id = ? AND author_id = ?').get(draftId, userId);
+      return { saved: false, gone: true, letterId: letter ? letter.id : null };
+    }
+
+    if ((baseSavedAt || null) !== draft.last_saved_at) {
+      return { saved: false, draft };
+    }
+    if (title === draft.title && body === draft.body) {
+      return { saved: true, draft };
+    }
+
+    snapshotDraft(db, draft, { force: overwrite, now });
+    updateDraft(db, { draftId: draft.id, userId, title, body, now });
+    return { saved: true, draft: getDraft(db, userId, draft.id) };
+  })();
+}
+
+// Newest first; null when the draft isn't the user's
+function listSnapshots(db, userId, draftId) {
+  if (!getDraft(db, userId, draftId)) return null;
+  return db.prepare(`
+    SELECT id, title, body, saved_at, created_at FROM draft_snapshots
+    WHERE letter_id = ?
+    ORDER BY id DESC
+  `).all(draftId);
+}
+
+// Turn a draft into a steeping letter. Title and body are optional last edits;
+// publishAt is an author-chosen time (see services/scheduling), defaulting to a
+// full steep from now. created_at becomes the moment it was sent off, which is
+// what the posting quota counts. Returns the new publish_at, or null when
+// there is no such draft.
+function publishDraft(db, { draftId, userId, title, body, publishAt, now = new Date() }) {
+  const draft = getDraft(db, userId, draftId);
+  if (!draft) return null;
+
+  publishAt = publishAt || new Date(new Date(now).getTime() + STEEP_HOURS * 60 * 60 * 1000).toISOString();
+  db.prepare(`
+    UPDATE letters SET title = ?, body = ?, is_draft = 0, publish_at = ?, created_at = ?
+    WHERE id = ?
+  `).run(title ?? draft.title, body ?? draft.body, publishAt, new Date(now).toISOString(), draft.id);
+  return publishAt;
+}
+
+module.exports = {
+  convertLegacyDrafts,
+  listDrafts,
+  getDraft,
+  createDraft,
+  updateDraft,
+  autosaveDraft,
+  listSnapshots,
+  publishDraft,
+};
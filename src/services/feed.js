@@ -0,0 +1,165 @@
+// Letter feeds: the home page, /api/letters and the mosaic pages all list
+// letters through one query builder. It composes the rules every feed shares
+// (published, out of the steep, not a draft, approved) with reader visibility,
+// the mosaic/tag/sort filters and the reader's reading status, pages by
+// keyset cursor (see ./feedCursor) and batch-loads each page's tags and sorts.
+
+const { FEED_PAGE_SIZE, FEED_ORDER, AFTER_CURSOR_CONDITION, takeFeedPage } = require('./feedCursor');
+const { letterVisibilityFilter } = require('./visibility');
+
+// Letters anyone may read once visibility allows it; binds @now.
+// columns comes from detectOptionalColumns in db/schema.
+function publishedLetterCondition(columns, tableAlias = 'l') {
+  return `
+    ${tableAlias}.is_published = 1 AND ${tableAlias}.publish_at <= @now
+    ${columns.hasDraftColumn ? `AND ${tableAlias}.is_draft = 0` : ''}
+    ${columns.hasApprovalColumn ? `AND (${tableAlias}.approval_status = 'approved' OR ${tableAlias}.approval_status IS NULL)` : ''}
+  `;
+}
+
+function groupByLetter(letterIds, rows) {
+  const byLetter = new Map(letterIds.map(id => [id, []]));
+  for (const { letter_id: letterId, ...row } of rows) {
+    byLetter.get(letterId).push(row);
+  }
+  return byLetter;
+}
+
+// Active tags of each letter, by letter id
+function loadLetterTags(db, letterIds) {
+  if (letterIds.length === 0) return new Map();
+  return groupByLetter(letterIds, db.prepare(`
+    SELECT lt.letter_id, t.*
+    FROM letter_tags lt
+    JOIN tags t ON t.id = lt.tag_id
+    WHERE lt.letter_id IN (${letterIds.map(() => '?').join(', ')}) AND t.is_active = 1
+    ORDER BY t.name
+  `).all(...letterIds));
+}
+
+// Sorts of each letter, by letter id
+function loadLetterSorts(db, letterIds) {
+  if (letterIds.length === 0) return new Map();
+  return groupByLetter(letterIds, db.prepare(`
+    SELECT ls.letter_id, s.*
+    FROM letter_sorts ls
+    JOIN sorts s ON s.id = ls.sort_id
+    WHERE ls.letter_id IN (${letterIds.map(() => '?').join(', ')})
+    ORDER BY s.display_order
+  `).all(...letterIds));
+}
+
+function createFeed(db, columns) {
+  const publishedCondition = publishedLetterCondition(columns);
+  const letterColumns = `
+    l.*, u.handle, u.bio, u.avatar_url,
+    ${columns.hasSlocialiteColumn ? 'u.is_slocialite,' : ''}
+    (SELECT COUNT(1) FROM resonates r WHERE r.letter_id = l.id) AS resonate_count,
+    EXISTS(SELECT 1 FROM resonates r WHERE r.letter_id = l.id AND r.user_id = @uid) AS did_resonate,
+    rs.status AS reading_status
+  `;
+
+  function attachTagsAndSorts(letters) {
+    const letterIds = letters.map(letter => letter.id);
+    const tags = loadLetterTags(db, letterIds);
+    const sorts = loadLetterSorts(db, letterIds);
+    letters.forEach(letter => {
+      letter.tags = tags.get(letter.id) || [];
+      letter.sorts = sorts.get(letter.id) || [];
+    });
+    return letters;
+  }
+
+  // One page of letters, newest first. Mosaic pages check access to the
+  // mosaic before listing it, so mosaicId skips the per-letter visibility
+  // check; channelId, tagId and sortId narrow any feed. cursor is
+  // decodeFeedCursor's result. Returns { letters, hasMore, nextCursor }.
+  function listLetters({ userId = null, now, mosaicId = null, channelId = null, tagId = null, sortId = null, cursor = null, limit = FEED_PAGE_SIZE }) {
+    const conditions = [publishedCondition, AFTER_CURSOR_CONDITION];
+    const params = {
+      now,
+      uid: userId || -1,
+      limit: limit + 1,
+      cursorAt: cursor ? cursor.cursorAt : null,
+      cursorId: cursor ? cursor.cursorId : null
+    };
+
+    if (mosaicId) {
+      conditions.push('EXISTS (SELECT 1 FROM letter_tags lt WHERE lt.letter_id = l.id AND lt.tag_id = @mosaicId)');
+      params.mosaicId = mosaicId;
+    } else {
+      const visibility = letterVisibilityFilter(userId);
+      conditions.push(visibility.sql);
+      Object.assign(params, visibility.params);
+    }
+    if (channelId) {
+      conditions.push('EXISTS (SELECT 1 FROM channel_letters cl WHERE cl.letter_id = l.id AND cl.channel_id = @channelId)');
+      params.channelId = channelId;
+    }
+    if (tagId) {
+      conditions.push('EXISTS (SELECT 1 FROM letter_tags lt WHERE lt.letter_id = l.id AND lt.tag_id = @tagId)');
+      params.tagId = tagId;
+    }
+    if (sortId) {
+      conditions.push('EXISTS (SELECT 1 FROM letter_sorts ls WHERE ls.letter_id = l.id AND ls.sort_id = @sortId)');
+      params.sortId = sortId;
+    }
+
+    const rows = db.prepare(`
+      SELECT ${letterColumns}
+      FROM letters l
+      JOIN users u ON u.id = l.author_id
+      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
+      WHERE ${conditions.join('\n        AND ')}
+      ORDER BY ${FEED_ORDER}
+      LIMIT @limit
+    `).all(params);
+
+    const page = takeFeedPage(rows, limit);
+    attachTagsAndSorts(page.letters);
+    return page;
+  }
+
+  // Letters the mosaic's owners pinned above its feed, most recently pinned
+  // first. They still appear in the feed below in their usual place.
+  function listPinned({ userId = null, now, mosaicId }) {
+    return attachTagsAndSorts(db.prepare(`
+      SELECT ${letterColumns}
+      FROM letter_tags lt
+      JOIN letters l ON l.id = lt.letter_id
+      JOIN users u ON u.id = l.author_id
+      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
+      WHERE lt.tag_id = @mosaicId AND lt.pinned_at IS NOT NULL
+        AND ${publishedCondition}
+      ORDER BY lt.pinned_at DESC
+    `).all({ now, uid: userId || -1, mosaicId }));
+  }
+
+  // Letter counts for a mosaic page: all readable letters, and the ones the
+  // user has not read yet (unread or saved for later)
+  function countMosaicLetters({ userId = null, now, mosaicId }) {
+    const counts = db.prepare(`
+      SELECT COUNT(1) AS total,
+        SUM(CASE WHEN rs.status IS NULL OR rs.status = 'later' THEN 1 ELSE 0 END) AS unread
+      FROM letters l
+      LEFT JOIN reading_status rs ON rs.letter_id = l.id AND rs.user_id = @uid
+      WHERE ${publishedCondition}
+        AND EXISTS (SELECT 1 FROM letter_tags lt WHERE lt.letter_id = l.id AND lt.tag_id = @mosaicId)
+    `).get({ now, uid: userId || -1, mosaicId });
+    return { totalCount: counts.total, unreadCount: userId ? counts.unread || 0 : 0 };
+  }
+
+  return {
+    publishedCondition,
+    listLetters,
+    listPinned,
+    countMosaicLetters,
+  };
+}
+
+module.exports = {
+  publishedLetterCondition,
+  loadLetterTags,
+  loadLetterSorts,
+  createFeed,
+};
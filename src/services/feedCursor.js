@@ -0,0 +1,60 @@
+// Keyset cursors for the letter feeds (/, /api/letters and the mosaic pages).
+// Feeds are ordered newest first by (publish_at, id) and a cursor is the
+// position of the last letter on a page, base64url-encoded so clients treat it
+// as opaque. Unlike OFFSET paging, letters that finish steeping while someone
+// is scrolling cannot push already-seen letters onto the next page.
+
+const FEED_PAGE_SIZE = 10;
+
+// ORDER BY clause every cursor-paged feed must use
+const FEED_ORDER = 'l.publish_at DESC, l.id DESC';
+
+// WHERE fragment for "after the cursor"; binds @cursorAt and @cursorId and
+// matches everything when both are null (the first page)
+const AFTER_CURSOR_CONDITION = `(@cursorAt IS NULL
+  OR l.publish_at < @cursorAt
+  OR (l.publish_at = @cursorAt AND l.id < @cursorId))`;
+
+function encodeFeedCursor(letter) {
+  return Buffer.from(JSON.stringify([letter.publish_at, letter.id])).toString('base64url');
+}
+
+// Returns { cursorAt, cursorId } ready to bind, with nulls when no cursor was
+// given, or null when the cursor is malformed
+function decodeFeedCursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return { cursorAt: null, cursorId: null };
+  }
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === 2
+      && typeof values[0] === 'string' && Number.isInteger(values[1])) {
+      return { cursorAt: values[0], cursorId: values[1] };
+    }
+  } catch (e) {
+    // Malformed base64 or JSON
+  }
+  return null;
+}
+
+// Feed queries fetch one row more than a page so we know whether another page
+// exists without a COUNT query. Trims that row and returns the cursor for the
+// next page (null on the last one).
+function takeFeedPage(rows, pageSize = FEED_PAGE_SIZE) {
+  const letters = rows.slice(0, pageSize);
+  const hasMore = rows.length > pageSize;
+  return {
+    letters,
+    hasMore,
+    nextCursor: hasMore ? encodeFeedCursor(letters[letters.length - 1]) : null
+  };
+}
+
+module.exports = {
+  FEED_PAGE_SIZE,
+  FEED_ORDER,
+  AFTER_CURSOR_CONDITION,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  takeFeedPage,
+};
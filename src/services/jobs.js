@@ -0,0 +1,127 @@
+// Core background jobs. Other features hook in by calling scheduler.register()
+// and scheduler.every()/schedule() with their own job names.
+
+const defaultEventTracker = require('./eventTracker');
+const { deliverPending, nextDeliveryTime, isEnabled } = require('./notifications');
+const { buildDailyDigests } = require('./digest');
+const { publishDueComments } = require('./comments');
+const { detectOptionalColumns } = require('../db/schema');
+
+const ONE_MINUTE = 60 * 1000;
+const FIVE_MINUTES = 5 * ONE_MINUTE;
+const ONE_HOUR = 60 * 60 * 1000;
+const ONE_DAY = 24 * ONE_HOUR;
+
+function registerCoreJobs(scheduler, db, { eventTracker = defaultEventTracker, mailer = null } = {}) {
+  // Drafts (including letters withdrawn from the steep) are never published by a job
+  const notDraft = detectOptionalColumns(db).hasDraftColumn ? 'AND is_draft = 0' : '';
+
+  // Publish a single letter when its steep ends
+  scheduler.register('publish_letter', (payload, { now }) => {
+    const info = db.prepare(`
+      UPDATE letters SET is_published = 1
+      WHERE id = ? AND is_published = 0 AND publish_at <= ? ${notDraft}
+    `).run(payload.letterId, now.toISOString());
+    return { published: info.changes };
+  });
+
+  // Safety sweep for letters whose exact-time job was missed (e.g. created before the scheduler existed)
+  scheduler.register('publish_due_letters', (payload, { now }) => {
+    const info = db.prepare(`
+      UPDATE letters SET is_published = 1 WHERE is_published = 0 AND publish_at <= ? ${notDraft}
+    `).run(now.toISOString());
+    if (info.changes) {
+      console.log(`Published ${info.changes} letters`);
+    }
+    return { published: info.changes };
+  });
+
+  // Comments steep too; publishing one notifies the letter's author
+  scheduler.register('publish_comment', (payload, { now }) => {
+    return { published: publishDueComments(db, { now, commentId: payload.commentId }).length };
+  });
+
+  scheduler.register('publish_due_comments', (payload, { now }) => {
+    return { published: publishDueComments(db, { now }).length };
+  });
+
+  scheduler.register('expire_tag_permissions', (payload, { now }) => {
+    const info = db.prepare(`
+      DELETE FROM tag_permissions
+      WHERE expires_at IS NOT NULL AND datetime(expires_at) <= datetime(?)
+    `).run(now.toISOString());
+    return { removed: info.changes };
+  });
+
+  scheduler.register('cleanup_events', (payload) => {
+    // The tracker has no statement prepared when the events table is missing
+    if (!eventTracker.insertStmt) return { deleted: 0 };
+    return { deleted: eventTracker.cleanup(payload?.daysToKeep || 90) };
+  });
+
+  // Notifications are batched into one daily summary rather than sent as they happen
+  scheduler.register('deliver_notifications', (payload, { now }) => {
+    return { delivered: deliverPending(db, now) };
+  });
+
+  // The mailer keeps its own per-message retry state in email_queue
+  if (mailer) {
+    scheduler.register('send_emails', () => mailer.processQueue());
+    scheduler.every('send_emails', ONE_MINUTE);
+  }
+
+  scheduler.register('send_digests', (payload, { now }) => {
+    return buildDailyDigests(db, {
+      now,
+      mailer,
+      wantsEmail: (userId) => isEnabled(db, userId, 'digest_email')
+    });
+  });
+
+  scheduler.every('publish_due_letters', FIVE_MINUTES);
+  scheduler.every('publish_due_comments', FIVE_MINUTES);
+  scheduler.every('expire_tag_permissions', ONE_HOUR);
+  scheduler.every('cleanup_events', ONE_DAY, { payload: { daysToKeep: 90 } });
+  scheduler.every('deliver_notifications', ONE_DAY, { firstRunAt: nextDeliveryTime(scheduler.now()) });
+  scheduler.every('send_digests', ONE_DAY, { firstRunAt: nextDeliveryTime(scheduler.now()) });
+}
+
+// Queue the exact-time publish for a steeping letter; rescheduling replaces the old job
+function schedulePublish(scheduler, letterId, publishAt) {
+  if (!scheduler) return null;
+  return scheduler.schedule('publish_letter', {
+    runAt: publishAt,
+    payload: { letterId: Number(letterId) },
+    uniqueKey: `publish_letter:${letterId}`
+  });
+}
+
+// Drop the pending publish job of a letter that left the steep
+function cancelPublish(scheduler, letterId) {
+  if (!scheduler) return false;
+  return scheduler.cancel(`publish_letter:${letterId}`);
+}
+
+// Queue the exact-time publish for a steeping comment
+function scheduleCommentPublish(scheduler, commentId, publishAt) {
+  if (!scheduler) return null;
+  return scheduler.schedule('publish_comment', {
+    runAt: publishAt,
+    payload: { commentId: Number(commentId) },
+    uniqueKey: `publish_comment:${commentId}`
+  });
+}
+
+// Send queued email now instead of waiting for the next send_emails tick
+function queueEmailDelivery(scheduler) {
+  if (!scheduler) return null;
+  return scheduler.schedule('send_emails', { uniqueKey: 'send_emails:now' });
+}
+
+module.exports = {
+  registerCoreJobs,
+  schedulePublish,
+  cancelPublish,
+  scheduleCommentPublish,
+  queueEmailDelivery,
+};
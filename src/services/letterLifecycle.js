@@ -0,0 +1,120 @@
+// Taking letters back. Authors can withdraw a steeping letter to their drafts
+// or delete one that has been published; admins can do either to any letter.
+// Every row that hangs off a letter is handled here, in one transaction, so
+// the author and admin paths leave the same state behind.
+
+const { detectOptionalColumns } = require('../db/schema');
+const { cancelPublish } = require('./jobs');
+const { isSteeping } = require('./revisions');
+
+// Rows that only exist because of the letter and go with it
+const DEPENDENT_TABLES = [
+  'comments',
+  'resonates',
+  'reading_status',
+  'reading_log',
+  'letter_tags',
+  'letter_tag_approvals',
+  'letter_sorts',
+  'channel_letters',
+  'notifications',
+  'letter_revisions',
+  'letter_reviews',
+  'draft_snapshots'
+];
+
+// Reader-side state that stops making sense once the letter is out of the feeds
+const READER_TABLES = ['reading_status', 'notifications'];
+
+// reading_log and events come from the standalone migrations and may be missing
+function existingTables(db, names) {
+  const found = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name IN (${names.map(() => '?').join(', ')})
+  `).all(...names).map(row => row.name);
+  return names.filter(name => found.includes(name));
+}
+
+function clearRows(db, tables, letterId) {
+  for (const table of existingTables(db, tables)) {
+    db.prepare(`DELETE FROM ${table} WHERE letter_id = ?`).run(letterId);
+  }
+}
+
+function moveToDrafts(db, letter, { scheduler, now }) {
+  if (!detectOptionalColumns(db).hasDraftColumn) {
+    throw new Error('Drafts are not available until the is_draft migration has run');
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE letters SET is_published = 0, is_draft = 1, last_saved_at = ? WHERE id = ?')
+      .run(new Date(now).toISOString(), letter.id);
+    clearRows(db, READER_TABLES, letter.id);
+  })();
+  cancelPublish(scheduler, letter.id);
+}
+
+// Author pulls a steeping letter back into their drafts. Returns null when the
+// letter is not theirs; throws once the steep is over.
+function withdrawLetter(db, { letterId, userId, scheduler = null, now = new Date() }) {
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(letterId, userId);
+  if (!letter) return null;
+  if (!isSteeping(letter, now)) {
+    throw new Error('Only letters that are still steeping can be withdrawn');
+  }
+
+  moveToDrafts(db, letter, { scheduler, now });
+  return letter;
+}
+
+// Admin takes any letter, published or not, back to its author's drafts
+function unpublishLetter(db, { letterId, scheduler = null, now = new Date() }) {
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ?').get(letterId);
+  if (!letter) return null;
+
+  moveToDrafts(db, letter, { scheduler, now });
+  return letter;
+}
+
+// Delete a letter and everything attached to it. Letters that had been
+// published leave a tombstone so their links explain what happened instead of
+// 404ing. Returns null when there is no such letter, otherwise { tombstoned }.
+function deleteLetter(db, { letterId, deletedBy, scheduler = null, now = new Date() }) {
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ?').get(letterId);
+  if (!letter) return null;
+
+  const tombstoned = letter.is_published === 1;
+  db.transaction(() => {
+    // Replies hang off the comments rather than the letter
+    db.prepare('DELETE FROM comment_replies WHERE comment_id IN (SELECT id FROM comments WHERE letter_id = ?)').run(letterId);
+    clearRows(db, DEPENDENT_TABLES, letterId);
+    if (existingTables(db, ['events']).length) {
+      db.prepare('UPDATE events SET letter_id = NULL WHERE letter_id = ?').run(letterId);
+    }
+    if (tombstoned) {
+      db.prepare(`
+        INSERT OR REPLACE INTO letter_tombstones (letter_id, author_id, published_at, deleted_by, deleted_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(letterId, letter.author_id, letter.publish_at, deletedBy, new Date(now).toISOString());
+    }
+    db.prepare('DELETE FROM letters WHERE id = ?').run(letterId);
+  })();
+  cancelPublish(scheduler, letterId);
+
+  return { tombstoned };
+}
+
+function getTombstone(db, letterId) {
+  return db.prepare(`
+    SELECT t.*, u.handle AS author_handle
+    FROM letter_tombstones t
+    LEFT JOIN users u ON u.id = t.author_id
+    WHERE t.letter_id = ?
+  `).get(letterId);
+}
+
+module.exports = {
+  withdrawLetter,
+  unpublishLetter,
+  deleteLetter,
+  getTombstone,
+};
@@ -0,0 +1,186 @@
+// Outbound email. Messages are rendered from EJS templates in views/emails,
+// stored in the email_queue table and delivered by the send_emails job, so a
+// flaky SMTP server only delays mail instead of failing the request that sent it.
+//
+// Transports:
+//   smtp - nodemailer SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file - writes each message as an .eml file under MAIL_DIR (dev and tests)
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'views', 'emails');
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', '..', 'tmp', 'mail');
+const DEFAULT_FROM = 'slocial.org <no-reply@slocial.org>';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port) || (secure ? 465 : 587),
+    secure: Boolean(secure),
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createFileTransport({ dir = DEFAULT_MAIL_DIR } = {}) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { messageId: info.messageId, path: file };
+    }
+  };
+}
+
+// Pick a transport from the environment: SMTP when a host is configured, files otherwise
+function createTransport(env = process.env) {
+  const kind = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file');
+  if (kind === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+    }
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    });
+  }
+  if (kind === 'file') {
+    return createFileTransport({ dir: env.MAIL_DIR || DEFAULT_MAIL_DIR });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+}
+
+class Mailer {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.transport = options.transport || createTransport();
+    this.from = options.from || DEFAULT_FROM;
+    // Absolute links in templates are built from baseUrl (APP_URL) and nothing
+    // else, never from a request's Host header. Without it nothing is queued.
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+    this.templatesDir = options.templatesDir || TEMPLATES_DIR;
+    this.clock = options.clock || (() => new Date());
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+    this.logger = options.logger || console;
+  }
+
+  nowIso() {
+    return new Date(this.clock()).toISOString();
+  }
+
+  // Each template has an HTML version (wrapped in layout.html.ejs) and a plain-text version
+  async render(template, locals = {}) {
+    locals = { ...locals, baseUrl: this.baseUrl };
+    const content = await ejs.renderFile(path.join(this.templatesDir, `${template}.html.ejs`), locals);
+    const html = await ejs.renderFile(path.join(this.templatesDir, 'layout.html.ejs'), { ...locals, body: content });
+    const text = await ejs.renderFile(path.join(this.templatesDir, `${template}.text.ejs`), locals);
+    return { html, text };
+  }
+
+  // Render now and queue for delivery; retries reuse the stored content
+  async enqueue({ to, subject, template, locals = {}, sendAfter = null }) {
+    if (!this.baseUrl) {
+      throw new Error('Set APP_URL so links in emails point at this site');
+    }
+    const { html, text } = await this.render(template, { subject, ...locals });
+    return this.db.prepare(`
+      INSERT INTO email_queue (to_address, subject, html, text, template, max_attempts, send_after, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      to,
+      subject,
+      html,
+      text,
+      template,
+      this.maxAttempts,
+      sendAfter ? new Date(sendAfter).toISOString() : this.nowIso(),
+      this.nowIso()
+    ).lastInsertRowid;
+  }
+
+  // Deliver due messages one at a time. Failures back off exponentially and
+  // are marked failed once max_attempts is reached.
+  async processQueue({ limit = 20 } = {}) {
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+    const due = this.db.prepare(`
+      SELECT * FROM email_queue
+      WHERE status = 'pending' AND send_after <= ?
+      ORDER BY send_after, id
+      LIMIT ?
+    `).all(this.nowIso(), limit);
+
+    for (const email of due) {
+      const claimed = this.db.prepare(`
+        UPDATE email_queue SET status = 'sending' WHERE id = ? AND status = 'pending'
+      `).run(email.id);
+      if (!claimed.changes) continue;
+
+      const attempt = email.attempts + 1;
+      try {
+        const info = await this.transport.send({
+          from: this.from,
+          to: email.to_address,
+          subject: email.subject,
+          html: email.html,
+          text: email.text
+        });
+        this.db.prepare(`
+          UPDATE email_queue SET status = 'sent', attempts = ?, message_id = ?, sent_at = ?, last_error = NULL
+          WHERE id = ?
+        `).run(attempt, info?.messageId || null, this.nowIso(), email.id);
+        summary.sent++;
+      } catch (error) {
+        this.logger.error(`Email #${email.id} to ${email.to_address} failed on attempt ${attempt}:`, error);
+        if (attempt < email.max_attempts) {
+          const delay = this.retryDelayMs * Math.pow(2, attempt - 1);
+          this.db.prepare(`
+            UPDATE email_queue SET status = 'pending', attempts = ?, last_error = ?, send_after = ?
+            WHERE id = ?
+          `).run(attempt, error.message, new Date(new Date(this.clock()).getTime() + delay).toISOString(), email.id);
+          summary.retrying++;
+        } else {
+          this.db.prepare(`
+            UPDATE email_queue SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?
+          `).run(attempt, error.message, email.id);
+          summary.failed++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  // Messages left 'sending' by a crashed process go back to the queue
+  recoverStaleMessages() {
+    return this.db.prepare(`
+      UPDATE email_queue SET status = 'pending' WHERE status = 'sending'
+    `).run().changes;
+  }
+}
+
+module.exports = {
+  Mailer,
+  createTransport,
+  createFileTransport,
+  createSmtpTransport,
+};
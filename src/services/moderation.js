@@ -0,0 +1,205 @@
+// Reports and the moderation audit trail. Readers report a letter or comment
+// with a reason; admins triage reports on /admin/reports (open → reviewing →
+// actioned or dismissed). Every admin action, from a delete to toggling admin
+// rights, goes through recordAction so /admin/audit shows who did what and why.
+// Mosaic owners' actions in their own mosaic (services/mosaicModeration) are
+// recorded the same way.
+
+const REPORT_REASONS = {
+  spam: 'Spam or advertising',
+  harassment: 'Harassment or hate',
+  harmful: 'Harmful or dangerous content',
+  off_topic: 'Off-topic for the mosaic',
+  other: 'Something else'
+};
+
+const REPORT_STATUSES = ['open', 'reviewing', 'actioned', 'dismissed'];
+
+const TARGET_TYPES = ['letter', 'comment'];
+
+// Labels for the audit log; anything missing falls back to the raw action name
+const ACTION_LABELS = {
+  delete_letter: 'Deleted letter',
+  delete_comment: 'Deleted comment',
+  publish_letter: 'Published letter early',
+  publish_comment: 'Published comment early',
+  unpublish_letter: 'Unpublished letter',
+  approve_letter: 'Approved letter',
+  reject_letter: 'Rejected letter',
+  suspend_user: 'Suspended user',
+  lift_suspension: 'Lifted suspension',
+  grant_admin: 'Made admin',
+  revoke_admin: 'Removed admin',
+  promote_user: 'Promoted to author',
+  approve_channel: 'Approved channel',
+  delete_channel: 'Deleted channel',
+  create_sort: 'Created sort',
+  update_sort: 'Updated sort',
+  delete_sort: 'Deleted sort',
+  set_quota: 'Set posting quota',
+  remove_quota: 'Removed posting quota',
+  triage_report: 'Triaged report',
+  mosaic_require_approval: 'Required approval for mosaic',
+  mosaic_open: 'Stopped requiring approval for mosaic',
+  mosaic_approve_letter: 'Approved letter into mosaic',
+  mosaic_reject_letter: 'Declined letter for mosaic',
+  mosaic_remove_letter: 'Removed letter from mosaic',
+  mosaic_pin_letter: 'Pinned letter in mosaic',
+  mosaic_unpin_letter: 'Unpinned letter in mosaic'
+};
+
+function recordAction(db, { adminId, action, targetType, targetId, reason = null, details = null, reportId = null, now = new Date() }) {
+  return db.prepare(`
+    INSERT INTO moderation_actions (admin_id, action, target_type, target_id, reason, details, report_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    adminId, action, targetType, targetId,
+    reason || null,
+    details ? JSON.stringify(details) : null,
+    reportId || null,
+    new Date(now).toISOString()
+  ).lastInsertRowid;
+}
+
+function listActions(db, { targetType = null, targetId = null, limit = 100 } = {}) {
+  return db.prepare(`
+    SELECT a.*, u.handle AS admin_handle
+    FROM moderation_actions a
+    LEFT JOIN users u ON u.id = a.admin_id
+    WHERE (@targetType IS NULL OR a.target_type = @targetType)
+      AND (@targetId IS NULL OR a.target_id = @targetId)
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT @limit
+  `).all({ targetType, targetId, limit }).map(row => ({
+    ...row,
+    label: ACTION_LABELS[row.action] || row.action,
+    details: row.details ? JSON.parse(row.details) : null
+  }));
+}
+
+// The letter or comment a report points at, with whose it is
+function findTarget(db, targetType, targetId) {
+  if (targetType === 'letter') {
+    return db.prepare('SELECT id, author_id, id AS letter_id FROM letters WHERE id = ?').get(targetId);
+  }
+  if (targetType === 'comment') {
+    return db.prepare('SELECT id, author_id, letter_id FROM comments WHERE id = ?').get(targetId);
+  }
+  return undefined;
+}
+
+// Throws with a message for the reporter when the report can't be filed
+function fileReport(db, { reporterId, targetType, targetId, reason, details = null, now = new Date() }) {
+  if (!TARGET_TYPES.includes(targetType)) throw new Error(`Unknown report target: ${targetType}`);
+  if (!REPORT_REASONS[reason]) throw new Error('Pick a reason for the report');
+  const note = typeof details === 'string' ? details.trim().slice(0, 1000) : '';
+
+  const target = findTarget(db, targetType, targetId);
+  if (!target) throw new Error(`That ${targetType} no longer exists`);
+  if (target.author_id === reporterId) throw new Error(`You can't report your own ${targetType}`);
+
+  const existing = db.prepare(`
+    SELECT id FROM reports WHERE target_type = ? AND target_id = ? AND reporter_id = ?
+  `).get(targetType, targetId, reporterId);
+  if (existing) throw new Error(`You have already reported this ${targetType}`);
+
+  return db.prepare(`
+    INSERT INTO reports (target_type, target_id, letter_id, reporter_id, reason, details, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    targetType, targetId, target.letter_id, reporterId, reason, note || null,
+    new Date(now).toISOString(), new Date(now).toISOString()
+  ).lastInsertRowid;
+}
+
+// Reports for the queue, newest first, with what they point at. A target that
+// has since been deleted comes back with target_exists = 0.
+function listReports(db, { status = 'open', limit = 100 } = {}) {
+  return db.prepare(`
+    SELECT r.*, reporter.handle AS reporter_handle, resolver.handle AS resolved_by_handle,
+      l.title AS letter_title,
+      c.body AS comment_body,
+      author.id AS target_author_id, author.handle AS target_author_handle,
+      CASE r.target_type WHEN 'comment' THEN c.id IS NOT NULL ELSE l.id IS NOT NULL END AS target_exists,
+      (SELECT COUNT(*) FROM reports other
+        WHERE other.target_type = r.target_type AND other.target_id = r.target_id) AS report_count
+    FROM reports r
+    JOIN users reporter ON reporter.id = r.reporter_id
+    LEFT JOIN users resolver ON resolver.id = r.resolved_by
+    LEFT JOIN letters l ON l.id = r.letter_id
+    LEFT JOIN comments c ON r.target_type = 'comment' AND c.id = r.target_id
+    LEFT JOIN users author ON author.id = CASE r.target_type WHEN 'comment' THEN c.author_id ELSE l.author_id END
+    WHERE (@status IS NULL OR r.status = @status)
+    ORDER BY r.created_at DESC, r.id DESC
+    LIMIT @limit
+  `).all({ status, limit }).map(row => ({ ...row, reasonLabel: REPORT_REASONS[row.reason] || row.reason }));
+}
+
+function countReports(db) {
+  const counts = Object.fromEntries(REPORT_STATUSES.map(status => [status, 0]));
+  for (const row of db.prepare('SELECT status, COUNT(*) AS count FROM reports GROUP BY status').all()) {
+    counts[row.status] = row.count;
+  }
+  return counts;
+}
+
+// Move a report along the triage states and log it. Returns false when there
+// is no such report.
+function triageReport(db, { reportId, status, adminId, note = null, now = new Date() }) {
+  if (!REPORT_STATUSES.includes(status)) throw new Error(`Unknown report status: ${status}`);
+  const report = db.prepare('SELECT * FROM reports WHERE id = ?').get(reportId);
+  if (!report) return false;
+
+  const resolved = status === 'actioned' || status === 'dismissed';
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE reports
+      SET status = ?, resolved_by = ?, resolved_at = ?, resolution_note = COALESCE(?, resolution_note), updated_at = ?
+      WHERE id = ?
+    `).run(
+      status,
+      resolved ? adminId : null,
+      resolved ? new Date(now).toISOString() : null,
+      note || null,
+      new Date(now).toISOString(),
+      reportId
+    );
+    recordAction(db, {
+      adminId,
+      action: 'triage_report',
+      targetType: report.target_type,
+      targetId: report.target_id,
+      reason: note,
+      details: { from: report.status, to: status },
+      reportId,
+      now
+    });
+  })();
+  return true;
+}
+
+// Close every open report on a target once an admin has acted on it. Acting
+// on a letter also closes the reports on its comments.
+function resolveReportsFor(db, { targetType, targetId, adminId, note = null, now = new Date() }) {
+  return db.prepare(`
+    UPDATE reports
+    SET status = 'actioned', resolved_by = @adminId, resolved_at = @now,
+      resolution_note = COALESCE(@note, resolution_note), updated_at = @now
+    WHERE status IN ('open', 'reviewing')
+      AND ((target_type = @targetType AND target_id = @targetId)
+        OR (@targetType = 'letter' AND letter_id = @targetId))
+  `).run({ adminId, now: new Date(now).toISOString(), note: note || null, targetType, targetId }).changes;
+}
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  ACTION_LABELS,
+  recordAction,
+  listActions,
+  fileReport,
+  listReports,
+  countReports,
+  triageReport,
+  resolveReportsFor,
+};
@@ -0,0 +1,166 @@
+// Delegated moderation. The owners and co-owners of a mosaic (tag_owners) look
+// after the letters in it from /tags/:id/manage: they can take a letter out of
+// the mosaic, pin up to MAX_PINS letters to the top of its reading page, and
+// switch on pre-approval. With pre-approval on, a letter tagged into the
+// mosaic by anyone but an owner waits in letter_tag_approvals, much like a
+// slocialite's letter waits on approval_status, until an owner lets it in or
+// declines it. The letter itself is untouched; only its place in the mosaic is.
+
+const MAX_PINS = 3;
+const DECISIONS = ['approved', 'rejected'];
+
+function isOwner(db, userId, tagId) {
+  return !!db.prepare(`
+    SELECT 1 FROM tag_owners WHERE tag_id = ? AND user_id = ? AND is_active = 1
+  `).get(tagId, userId);
+}
+
+function needsApproval(db, { tagId, userId }) {
+  const tag = db.prepare('SELECT requires_approval FROM tags WHERE id = ?').get(tagId);
+  return !!tag && tag.requires_approval === 1 && !isOwner(db, userId, tagId);
+}
+
+// Tag a letter into a mosaic, or queue it for the owners when the mosaic
+// requires approval. A letter declined earlier, or approved and later taken
+// out, goes back in the queue as a fresh request. Callers check canUserUseTag
+// first. Returns 'added' or 'pending'.
+function placeLetter(db, { letterId, tagId, userId, now = new Date() }) {
+  if (needsApproval(db, { tagId, userId })) {
+    db.prepare(`
+      INSERT INTO letter_tag_approvals (letter_id, tag_id, submitted_by, created_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (letter_id, tag_id) DO UPDATE SET
+        status = 'pending', submitted_by = excluded.submitted_by, created_at = excluded.created_at,
+        reviewed_by = NULL, reviewed_at = NULL, reason = NULL
+      WHERE letter_tag_approvals.status != 'pending'
+    `).run(letterId, tagId, userId, new Date(now).toISOString());
+    return 'pending';
+  }
+  db.prepare('INSERT OR IGNORE INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)')
+    .run(letterId, tagId, userId);
+  return 'added';
+}
+
+function setRequiresApproval(db, { tagId, enabled }) {
+  return db.prepare('UPDATE tags SET requires_approval = ?, updated_at = datetime(\'now\') WHERE id = ?')
+    .run(enabled ? 1 : 0, tagId).changes > 0;
+}
+
+// Letters waiting for the owners of a mosaic, oldest first
+function listPending(db, tagId) {
+  return db.prepare(`
+    SELECT a.*, l.title, l.body, l.author_id, l.is_published, l.publish_at, u.handle
+    FROM letter_tag_approvals a
+    JOIN letters l ON l.id = a.letter_id
+    JOIN users u ON u.id = l.author_id
+    WHERE a.tag_id = ? AND a.status = 'pending'
+    ORDER BY datetime(a.created_at) ASC, a.id ASC
+  `).all(tagId);
+}
+
+// Mosaics a letter is still waiting to be let into
+function listPendingForLetter(db, letterId) {
+  return db.prepare(`
+    SELECT t.id, t.name, t.slug
+    FROM letter_tag_approvals a
+    JOIN tags t ON t.id = a.tag_id
+    WHERE a.letter_id = ? AND a.status = 'pending'
+    ORDER BY t.name
+  `).all(letterId);
+}
+
+// Let a waiting letter into the mosaic or decline it. Returns the letter
+// ({ id, title, author_id }) or null when nothing was waiting.
+function review(db, { tagId, letterId, ownerId, decision, reason = null, now = new Date() }) {
+  if (!DECISIONS.includes(decision)) throw new Error(`Unknown review decision: ${decision}`);
+  const pending = db.prepare(`
+    SELECT a.*, l.title, l.author_id
+    FROM letter_tag_approvals a
+    JOIN letters l ON l.id = a.letter_id
+    WHERE a.tag_id = ? AND a.letter_id = ? AND a.status = 'pending'
+  `).get(tagId, letterId);
+  if (!pending) return null;
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE letter_tag_approvals SET status = ?, reviewed_by = ?, reviewed_at = ?, reason = ? WHERE id = ?
+    `).run(decision, ownerId, new Date(now).toISOString(), decision === 'rejected' ? reason : null, pending.id);
+    if (decision === 'approved') {
+      db.prepare('INSERT OR IGNORE INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)')
+        .run(letterId, tagId, pending.submitted_by);
+    }
+  })();
+  return { id: pending.letter_id, title: pending.title, author_id: pending.author_id };
+}
+
+// The mosaic's letters for its owners, pinned first and then newest, whether
+// or not they have finished steeping
+function listLetters(db, tagId, { limit = 50 } = {}) {
+  return db.prepare(`
+    SELECT l.id, l.title, l.author_id, l.is_published, l.publish_at, u.handle,
+      lt.added_at, lt.pinned_at, pinner.handle AS pinned_by_handle
+    FROM letter_tags lt
+    JOIN letters l ON l.id = lt.letter_id
+    JOIN users u ON u.id = l.author_id
+    LEFT JOIN users pinner ON pinner.id = lt.pinned_by
+    WHERE lt.tag_id = ?
+    ORDER BY lt.pinned_at IS NULL, lt.pinned_at DESC, datetime(l.publish_at) DESC, l.id DESC
+    LIMIT ?
+  `).all(tagId, limit);
+}
+
+// The author no longer wants the letter in the mosaic: drop its request from
+// the owners' queue. Returns whether a request was waiting.
+function withdrawPending(db, { letterId, tagId }) {
+  return db.prepare(`
+    DELETE FROM letter_tag_approvals WHERE letter_id = ? AND tag_id = ? AND status = 'pending'
+  `).run(letterId, tagId).changes > 0;
+}
+
+// Take a letter out of the mosaic. Returns the letter ({ id, title,
+// author_id }) or null when it was not in the mosaic.
+function removeLetter(db, { tagId, letterId }) {
+  const letter = db.prepare(`
+    SELECT l.id, l.title, l.author_id
+    FROM letter_tags lt
+    JOIN letters l ON l.id = lt.letter_id
+    WHERE lt.tag_id = ? AND lt.letter_id = ?
+  `).get(tagId, letterId);
+  if (!letter) return null;
+
+  db.prepare('DELETE FROM letter_tags WHERE tag_id = ? AND letter_id = ?').run(tagId, letterId);
+  return letter;
+}
+
+// Pin or unpin a letter in the mosaic. Returns false when the letter is not
+// in the mosaic; throws when the mosaic already has MAX_PINS pinned letters.
+function setPinned(db, { tagId, letterId, ownerId, pinned, now = new Date() }) {
+  const row = db.prepare('SELECT pinned_at FROM letter_tags WHERE tag_id = ? AND letter_id = ?').get(tagId, letterId);
+  if (!row) return false;
+  if (pinned && !row.pinned_at) {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM letter_tags WHERE tag_id = ? AND pinned_at IS NOT NULL').get(tagId);
+    if (count >= MAX_PINS) throw new Error(`A mosaic can pin up to ${MAX_PINS} letters; unpin one first`);
+  }
+
+  db.prepare('UPDATE letter_tags SET pinned_at = ?, pinned_by = ? WHERE tag_id = ? AND letter_id = ?').run(
+    pinned ? new Date(now).toISOString() : null,
+    pinned ? ownerId : null,
+    tagId,
+    letterId
+  );
+  return true;
+}
+
+module.exports = {
+  MAX_PINS,
+  needsApproval,
+  placeLetter,
+  setRequiresApproval,
+  listPending,
+  listPendingForLetter,
+  withdrawPending,
+  review,
+  listLetters,
+  removeLetter,
+  setPinned,
+};
@@ -0,0 +1,259 @@
+// In-app notifications. Nothing pings instantly: notify() queues a row and the
+// daily deliver_notifications job stamps everything pending with delivered_at,
+// which is when it shows up in the inbox as part of that day's summary.
+
+const NOTIFICATION_TYPES = {
+  comment: {
+    label: 'Comments',
+    description: 'Someone leaves a comment on one of your letters'
+  },
+  reply: {
+    label: 'Replies',
+    description: 'A writer replies to your comment on their letter'
+  },
+  resonate: {
+    label: 'Resonates',
+    description: 'Someone resonates with one of your letters'
+  },
+  review: {
+    label: 'Reviews',
+    description: 'An admin approves or declines a letter you sent in for review'
+  },
+  tag_access: {
+    label: 'Mosaic access',
+    description: 'A mosaic owner approves or declines your request to use their mosaic'
+  },
+  mosaic: {
+    label: 'Mosaic moderation',
+    description: 'A mosaic owner approves, declines or removes your letter in their mosaic'
+  },
+  // Not an inbox type: switches the daily digest email on (see services/digest)
+  digest_email: {
+    label: 'Digest email',
+    description: 'Also email me the daily digest of new letters in mosaics I follow',
+    defaultEnabled: false
+  }
+};
+
+// Hour (UTC) at which the daily summary is delivered
+const DELIVERY_HOUR_UTC = 8;
+
+function nextDeliveryTime(now = new Date()) {
+  const next = new Date(now);
+  next.setUTCHours(DELIVERY_HOUR_UTC, 0, 0, 0);
+  if (next <= new Date(now)) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+function isEnabled(db, userId, type) {
+  const row = db.prepare(`
+    SELECT enabled FROM notification_preferences WHERE user_id = ? AND type = ?
+  `).get(userId, type);
+  if (!row) return NOTIFICATION_TYPES[type]?.defaultEnabled !== false;
+  return row.enabled === 1;
+}
+
+// Queue a notification. Returns the new id, or null when nothing was queued
+// (acting on your own content, unknown type, or the recipient opted out).
+function notify(db, { userId, type, actorId = null, letterId = null, tagId = null, data = null, now = new Date() }) {
+  if (!userId || !NOTIFICATION_TYPES[type]) return null;
+  if (actorId && Number(actorId) === Number(userId)) return null;
+  if (!isEnabled(db, userId, type)) return null;
+
+  return db.prepare(`
+    INSERT INTO notifications (user_id, type, actor_id, letter_id, tag_id, data, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId, type, actorId, letterId, tagId,
+    data ? JSON.stringify(data) : null,
+    new Date(now).toISOString()
+  ).lastInsertRowid;
+}
+
+// Drop a queued notification that no longer applies (e.g. an un-resonate before
+// the summary went out). Delivered notifications are left alone.
+function retract(db, { userId, type, actorId, letterId = null }) {
+  const info = db.prepare(`
+    DELETE FROM notifications
+    WHERE user_id = ? AND type = ? AND actor_id = ? AND letter_id IS ? AND delivered_at IS NULL
+  `).run(userId, type, actorId, letterId);
+  return info.changes;
+}
+
+function deliverPending(db, now = new Date()) {
+  const info = db.prepare(`
+    UPDATE notifications SET delivered_at = ?
+    WHERE delivered_at IS NULL AND datetime(created_at) <= datetime(?)
+  `).run(new Date(now).toISOString(), new Date(now).toISOString());
+  return info.changes;
+}
+
+function getUnreadCount(db, userId) {
+  if (!userId) return 0;
+  return db.prepare(`
+    SELECT COUNT(*) AS count FROM notifications
+    WHERE user_id = ? AND delivered_at IS NOT NULL AND read_at IS NULL
+  `).get(userId).count;
+}
+
+function getPendingCount(db, userId) {
+  return db.prepare(`
+    SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND delivered_at IS NULL
+  `).get(userId).count;
+}
+
+function describeItem(item) {
+  const actors = item.actors;
+  const who = actors.length <= 2
+    ? actors.join(' and ')
+    : `${actors.slice(0, 2).join(', ')} and ${actors.length - 2} other${actors.length - 2 === 1 ? '' : 's'}`;
+
+  switch (item.type) {
+    case 'comment':
+      return `${who} commented on “${item.letterTitle}”`;
+    case 'reply':
+      return `${who} replied to your comment on “${item.letterTitle}”`;
+    case 'resonate':
+      return `${who} resonated with “${item.letterTitle}”`;
+    case 'review':
+      return item.data?.decision === 'approved'
+        ? `“${item.letterTitle}” was approved and will publish when its steep ends`
+        : `“${item.letterTitle}” was declined: ${item.data?.reason}`;
+    case 'tag_access':
+      return item.data?.decision === 'approved'
+        ? `Your request to use the “${item.tagName}” mosaic was approved`
+        : `Your request to use the “${item.tagName}” mosaic was declined`;
+    case 'mosaic': {
+      const because = item.data?.reason ? `: ${item.data.reason}` : '';
+      if (item.data?.decision === 'approved') return `“${item.letterTitle}” was approved into the “${item.tagName}” mosaic`;
+      if (item.data?.decision === 'rejected') return `“${item.letterTitle}” was declined for the “${item.tagName}” mosaic${because}`;
+      return `“${item.letterTitle}” was removed from the “${item.tagName}” mosaic${because}`;
+    }
+    default:
+      return 'New activity';
+  }
+}
+
+function itemUrl(item) {
+  if (item.type === 'comment' || item.type === 'reply') return `/letters/${item.letterId}#comments`;
+  if (item.type === 'review') return `/submissions#letter-${item.letterId}`;
+  if (item.letterId) return `/letters/${item.letterId}`;
+  if (item.type === 'tag_access') return '/tags';
+  return '/';
+}
+
+/**
+ * Delivered notifications grouped into daily summaries (newest first). Within a
+ * summary, comments and resonates on the same letter collapse into one item.
+ */
+function getInbox(db, userId, { limit = 200 } = {}) {
+  const rows = db.prepare(`
+    SELECT n.*, actor.handle AS actor_handle, l.title AS letter_title, t.name AS tag_name
+    FROM notifications n
+    LEFT JOIN users actor ON actor.id = n.actor_id
+    LEFT JOIN letters l ON l.id = n.letter_id
+    LEFT JOIN tags t ON t.id = n.tag_id
+    WHERE n.user_id = ? AND n.delivered_at IS NOT NULL
+    ORDER BY n.delivered_at DESC, n.id DESC
+    LIMIT ?
+  `).all(userId, limit);
+
+  const summaries = [];
+  const byDelivery = new Map();
+
+  for (const row of rows) {
+    let summary = byDelivery.get(row.delivered_at);
+    if (!summary) {
+      summary = { deliveredAt: row.delivered_at, items: [], itemsByKey: new Map(), unread: 0 };
+      byDelivery.set(row.delivered_at, summary);
+      summaries.push(summary);
+    }
+
+    const groupable = row.type === 'comment' || row.type === 'resonate';
+    const key = groupable ? `${row.type}:${row.letter_id}` : `id:${row.id}`;
+    let item = summary.itemsByKey.get(key);
+    if (!item) {
+      item = {
+        type: row.type,
+        letterId: row.letter_id,
+        letterTitle: row.letter_title,
+        tagId: row.tag_id,
+        tagName: row.tag_name,
+        data: row.data ? JSON.parse(row.data) : null,
+        actors: [],
+        count: 0,
+        unread: false,
+        createdAt: row.created_at
+      };
+      summary.itemsByKey.set(key, item);
+      summary.items.push(item);
+    }
+
+    item.count += 1;
+    if (row.actor_handle && !item.actors.includes(row.actor_handle)) {
+      item.actors.push(row.actor_handle);
+    }
+    if (!row.read_at) {
+      item.unread = true;
+      summary.unread += 1;
+    }
+  }
+
+  return summaries.map(({ itemsByKey, ...summary }) => ({
+    ...summary,
+    items: summary.items.map(item => ({ ...item, text: describeItem(item), url: itemUrl(item) }))
+  }));
+}
+
+function markAllRead(db, userId, now = new Date()) {
+  const info = db.prepare(`
+    UPDATE notifications SET read_at = ?
+    WHERE user_id = ? AND delivered_at IS NOT NULL AND read_at IS NULL
+  `).run(new Date(now).toISOString(), userId);
+  return info.changes;
+}
+
+function getPreferences(db, userId) {
+  const saved = new Map(
+    db.prepare('SELECT type, enabled FROM notification_preferences WHERE user_id = ?')
+      .all(userId)
+      .map(row => [row.type, row.enabled === 1])
+  );
+  return Object.entries(NOTIFICATION_TYPES).map(([type, meta]) => ({
+    type,
+    label: meta.label,
+    description: meta.description,
+    enabled: saved.has(type) ? saved.get(type) : meta.defaultEnabled !== false
+  }));
+}
+
+// enabledTypes lists the types the user left switched on; everything else is turned off
+function setPreferences(db, userId, enabledTypes = []) {
+  const enabled = new Set(enabledTypes);
+  const upsert = db.prepare(`
+    INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, type) DO UPDATE SET enabled = excluded.enabled
+  `);
+  db.transaction(() => {
+    for (const type of Object.keys(NOTIFICATION_TYPES)) {
+      upsert.run(userId, type, enabled.has(type) ? 1 : 0);
+    }
+  })();
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  nextDeliveryTime,
+  isEnabled,
+  notify,
+  retract,
+  deliverPending,
+  getUnreadCount,
+  getPendingCount,
+  getInbox,
+  markAllRead,
+  getPreferences,
+  setPreferences,
+};
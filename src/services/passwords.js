@@ -0,0 +1,42 @@
+// Local passwords. Changing a password bumps users.session_version, which
+// signs out every other session (see sessionVersionGuard in middleware.js).
+
+const bcrypt = require('bcrypt');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+function verifyPassword(user, password) {
+  if (!user || !user.password_hash || !password) return false;
+  return bcrypt.compareSync(password, user.password_hash);
+}
+
+// Returns an error message, or null when the new password is acceptable
+function validateNewPassword(password, confirmation) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password !== confirmation) {
+    return 'Passwords do not match';
+  }
+  return null;
+}
+
+// Store a new password and invalidate existing sessions. Returns the new
+// session version so the caller can keep its own session alive.
+function setPassword(db, { userId, password, now = new Date() }) {
+  const hash = bcrypt.hashSync(password, BCRYPT_ROUNDS);
+  db.prepare(`
+    UPDATE users
+    SET password_hash = ?, password_changed_at = ?, session_version = session_version + 1
+    WHERE id = ?
+  `).run(hash, new Date(now).toISOString(), userId);
+  return db.prepare('SELECT session_version FROM users WHERE id = ?').get(userId).session_version;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  verifyPassword,
+  validateNewPassword,
+  setPassword,
+};
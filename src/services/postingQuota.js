@@ -0,0 +1,165 @@
+// Posting quotas: how many letters an author may send off within a rolling
+// window. Out of the box that is the README's one letter per 24 hours for
+// everyone; /admin/quotas can change it per role (slocialite, author, admin)
+// and give a mosaic its own quota. Compose, /drafts and the API all call
+// checkQuota before a letter starts steeping.
+//
+// A letter counts from when it was sent off (created_at, which publishing a
+// draft restamps). Drafts don't count and rejected submissions are given back.
+// A mosaic quota replaces the role quota for letters sent into that mosaic and
+// only counts the author's letters there.
+
+const { detectOptionalColumns } = require('../db/schema');
+
+const ROLES = ['slocialite', 'author', 'admin'];
+const DEFAULT_QUOTA = { windowHours: 24, maxLetters: 1 };
+
+function roleOf(user) {
+  if (user.is_admin) return 'admin';
+  if (user.is_slocialite === 1) return 'slocialite';
+  return 'author';
+}
+
+function toQuota(row) {
+  return { windowHours: row.window_hours, maxLetters: row.max_letters };
+}
+
+function getRoleQuota(db, role) {
+  const row = db.prepare('SELECT * FROM posting_quotas WHERE role = ?').get(role);
+  return row ? toQuota(row) : { ...DEFAULT_QUOTA };
+}
+
+function listRoleQuotas(db) {
+  return ROLES.map(role => ({ role, ...getRoleQuota(db, role) }));
+}
+
+function listTagQuotas(db) {
+  return db.prepare(`
+    SELECT q.*, t.name AS tag_name, t.slug AS tag_slug
+    FROM posting_quotas q
+    JOIN tags t ON t.id = q.tag_id
+    ORDER BY t.name
+  `).all().map(row => ({ tagId: row.tag_id, tagName: row.tag_name, tagSlug: row.tag_slug, ...toQuota(row) }));
+}
+
+function setRoleQuota(db, { role, windowHours, maxLetters = null, updatedBy = null }) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+  db.prepare(`
+    INSERT INTO posting_quotas (role, window_hours, max_letters, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(role) DO UPDATE SET
+      window_hours = excluded.window_hours,
+      max_letters = excluded.max_letters,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run(role, windowHours, maxLetters, updatedBy);
+}
+
+function setTagQuota(db, { tagId, windowHours, maxLetters = null, updatedBy = null }) {
+  db.prepare(`
+    INSERT INTO posting_quotas (tag_id, window_hours, max_letters, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(tag_id) DO UPDATE SET
+      window_hours = excluded.window_hours,
+      max_letters = excluded.max_letters,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run(tagId, windowHours, maxLetters, updatedBy);
+}
+
+function removeTagQuota(db, tagId) {
+  return db.prepare('DELETE FROM posting_quotas WHERE tag_id = ?').run(tagId).changes > 0;
+}
+
+// "1 letter per 24 hours", "3 letters per 7 days"
+function describeQuota({ windowHours, maxLetters }) {
+  if (maxLetters === null) return 'No limit';
+  const window = windowHours % 24 === 0 && windowHours > 24 ? `${windowHours / 24} days` : `${windowHours} hours`;
+  return `${maxLetters} letter${maxLetters === 1 ? '' : 's'} per ${window}`;
+}
+
+// datetime() gives "YYYY-MM-DD HH:MM:SS" in UTC whichever format was stored
+function fromSqlDatetime(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+function evaluate(db, { userId, quota, tagId = null, now }) {
+  if (quota.maxLetters === null) {
+    return { allowed: true, quota, used: 0, nextSlotAt: null };
+  }
+
+  const { hasDraftColumn, hasApprovalColumn } = detectOptionalColumns(db);
+  const since = new Date(new Date(now).getTime() - quota.windowHours * 60 * 60 * 1000).toISOString();
+  const sent = db.prepare(`
+    SELECT datetime(l.created_at) AS sent_at
+    FROM letters l
+    ${tagId ? 'JOIN letter_tags lt ON lt.letter_id = l.id AND lt.tag_id = @tagId' : ''}
+    WHERE l.author_id = @userId
+      AND datetime(l.created_at) > datetime(@since)
+      ${hasDraftColumn ? 'AND l.is_draft = 0' : ''}
+      ${hasApprovalColumn ? "AND COALESCE(l.approval_status, 'approved') != 'rejected'" : ''}
+    ORDER BY datetime(l.created_at) DESC
+  `).all({ userId, tagId, since });
+
+  const used = sent.length;
+  if (used < quota.maxLetters) {
+    return { allowed: true, quota, used, nextSlotAt: null };
+  }
+  // A slot opens when the oldest of the latest maxLetters letters leaves the window
+  const opensAt = fromSqlDatetime(sent[quota.maxLetters - 1].sent_at).getTime() + quota.windowHours * 60 * 60 * 1000;
+  return { allowed: false, quota, used, nextSlotAt: new Date(opensAt).toISOString() };
+}
+
+// Whether userId may send off a letter going into tagIds right now. Returns
+// { allowed, quota, used, nextSlotAt, mosaic } where mosaic names the mosaic
+// whose quota applied, or is null for the author's role quota.
+function checkQuota(db, { userId, tagIds = [], now = new Date() }) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+  if (!user) throw new Error('No such user');
+
+  const mosaicQuotas = tagIds.length
+    ? db.prepare(`
+        SELECT q.*, t.name AS tag_name FROM posting_quotas q
+        JOIN tags t ON t.id = q.tag_id
+        WHERE q.tag_id IN (${tagIds.map(() => '?').join(', ')})
+      `).all(...tagIds)
+    : [];
+
+  if (!mosaicQuotas.length) {
+    return { ...evaluate(db, { userId, quota: getRoleQuota(db, roleOf(user)), now }), mosaic: null };
+  }
+
+  // Every mosaic the letter goes into has to have room; report the one that
+  // stays full the longest
+  const results = mosaicQuotas.map(row => ({
+    ...evaluate(db, { userId, quota: toQuota(row), tagId: row.tag_id, now }),
+    mosaic: { id: row.tag_id, name: row.tag_name }
+  }));
+  const blocked = results.filter(result => !result.allowed)
+    .sort((a, b) => b.nextSlotAt.localeCompare(a.nextSlotAt));
+  return blocked[0] || results[0];
+}
+
+// The sentence shown when a letter is refused; callers add when the next slot
+// opens in the author's own timezone
+function limitMessage(result) {
+  const rule = describeQuota(result.quota).toLowerCase();
+  return result.mosaic
+    ? `${result.mosaic.name} allows ${rule}`
+    : `You can send ${rule}`;
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_QUOTA,
+  roleOf,
+  getRoleQuota,
+  listRoleQuotas,
+  listTagQuotas,
+  setRoleQuota,
+  setTagQuota,
+  removeTagQuota,
+  describeQuota,
+  checkQuota,
+  limitMessage,
+};
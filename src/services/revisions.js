@@ -0,0 +1,173 @@
+// Editing letters while they steep. Between POST /compose and publish_at the
+// author may change the title, body and tags. Every save is kept in
+// letter_revisions, starting with the letter as first submitted (revision 1),
+// so the author can compare any two versions on /letters/:id/revisions.
+
+const { canUserUseTag } = require('./visibility');
+const { placeLetter, listPendingForLetter, withdrawPending } = require('./mosaicModeration');
+const { reviewEdit } = require('./submissions');
+const { STEEP_HOURS } = require('./steep');
+
+// Line diffs are quadratic; past this many line pairs the diff falls back to
+// "everything removed, everything added"
+const MAX_DIFF_CELLS = 4000000;
+
+// Submitted and waiting out its steep: not published yet, not a draft, publish_at ahead
+function isSteeping(letter, now = new Date()) {
+  return !!letter
+    && letter.is_published === 0
+    && !letter.is_draft
+    && new Date(letter.publish_at) > new Date(now);
+}
+
+function currentTags(db, letterId) {
+  return db.prepare(`
+    SELECT t.id, t.name FROM letter_tags lt
+    JOIN tags t ON t.id = lt.tag_id
+    WHERE lt.letter_id = ?
+    ORDER BY t.name
+  `).all(letterId);
+}
+
+function insertRevision(db, letter, { number, editedBy, createdAt }) {
+  db.prepare(`
+    INSERT INTO letter_revisions (letter_id, revision_number, title, body, tags, publish_at, edited_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    letter.id,
+    number,
+    letter.title,
+    letter.body,
+    JSON.stringify(currentTags(db, letter.id).map(tag => tag.name)),
+    letter.publish_at,
+    editedBy,
+    createdAt
+  );
+}
+
+// Save an edit to a steeping letter. tagIds replaces the letter's tags and the
+// mosaics it is waiting to join; ones it already has stay allowed, new ones
+// need canUserUseTag, and dropping a waiting mosaic withdraws the request. restartSteep moves
+// publish_at to a full steep from now, never earlier than the letter was
+// already due. A letter that went through review goes back to it when its
+// title or body changes (see reviewEdit in ./submissions).
+// Returns null when the letter is not the user's, { changed: false } for a save
+// that changes nothing, otherwise { changed: true, revision, publishAt,
+// inReview }. Throws if the steep is over.
+function editSteepingLetter(db, { letterId, userId, title, body, tagIds = [], restartSteep = false, now = new Date() }) {
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(letterId, userId);
+  if (!letter) return null;
+  if (!isSteeping(letter, now)) {
+    throw new Error('This letter has finished steeping and can no longer be edited');
+  }
+
+  const placedTagIds = currentTags(db, letterId).map(tag => tag.id);
+  const pendingTagIds = listPendingForLetter(db, letterId).map(tag => tag.id);
+  const existingTagIds = [...placedTagIds, ...pendingTagIds];
+  const nextTagIds = [...new Set(tagIds.map(Number))]
+    .filter(tagId => existingTagIds.includes(tagId) || canUserUseTag(db, userId, tagId));
+  const fullSteep = new Date(new Date(now).getTime() + STEEP_HOURS * 60 * 60 * 1000);
+  const publishAt = restartSteep && fullSteep > new Date(letter.publish_at)
+    ? fullSteep.toISOString()
+    : letter.publish_at;
+
+  const tagsChanged = nextTagIds.length !== existingTagIds.length
+    || nextTagIds.some(tagId => !existingTagIds.includes(tagId));
+  if (title === letter.title && body === letter.body && !tagsChanged && publishAt === letter.publish_at) {
+    return { changed: false };
+  }
+
+  const nowIso = new Date(now).toISOString();
+  return db.transaction(() => {
+    const { latest } = db.prepare(`
+      SELECT MAX(revision_number) AS latest FROM letter_revisions WHERE letter_id = ?
+    `).get(letterId);
+    if (!latest) {
+      insertRevision(db, letter, { number: 1, editedBy: userId, createdAt: letter.created_at });
+    }
+
+    db.prepare('UPDATE letters SET title = ?, body = ?, publish_at = ? WHERE id = ?')
+      .run(title, body, publishAt, letterId);
+
+    const removeTag = db.prepare('DELETE FROM letter_tags WHERE letter_id = ? AND tag_id = ?');
+    placedTagIds.filter(tagId => !nextTagIds.includes(tagId)).forEach(tagId => removeTag.run(letterId, tagId));
+    pendingTagIds.filter(tagId => !nextTagIds.includes(tagId)).forEach(tagId => withdrawPending(db, { letterId, tagId }));
+    nextTagIds.filter(tagId => !existingTagIds.includes(tagId))
+      .forEach(tagId => placeLetter(db, { letterId, tagId, userId, now }));
+
+    const revision = (latest || 1) + 1;
+    insertRevision(db, { ...letter, title, body, publish_at: publishAt }, { number: revision, editedBy: userId, createdAt: nowIso });
+    const inReview = title !== letter.title || body !== letter.body
+      ? reviewEdit(db, { letterId, now })
+      : false;
+    return { changed: true, revision, publishAt, inReview };
+  })();
+}
+
+function listRevisions(db, letterId) {
+  return db.prepare(`
+    SELECT r.*, u.handle AS editor_handle
+    FROM letter_revisions r
+    LEFT JOIN users u ON u.id = r.edited_by
+    WHERE r.letter_id = ?
+    ORDER BY r.revision_number
+  `).all(letterId).map(revision => ({ ...revision, tags: JSON.parse(revision.tags) }));
+}
+
+// Line-by-line diff of two texts as [{ type: 'same' | 'added' | 'removed', text }]
+function diffLines(before, after) {
+  const a = String(before).split('\n');
+  const b = String(after).split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+// Differences between two revisions for the diff view
+function compareRevisions(from, to) {
+  return {
+    title: diffLines(from.title, to.title),
+    body: diffLines(from.body, to.body),
+    tagsAdded: to.tags.filter(tag => !from.tags.includes(tag)),
+    tagsRemoved: from.tags.filter(tag => !to.tags.includes(tag)),
+    publishAtChanged: from.publish_at !== to.publish_at
+  };
+}
+
+module.exports = {
+  isSteeping,
+  editSteepingLetter,
+  listRevisions,
+  diffLines,
+  compareRevisions,
+};
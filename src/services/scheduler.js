@@ -0,0 +1,301 @@
+// Durable job scheduler backed by the jobs/job_runs tables.
+// Jobs survive restarts, failed runs are retried with backoff, and every
+// attempt is recorded in job_runs. The clock is injectable so tests can
+// move time forward without waiting.
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+const MAX_TIMER_DELAY_MS = 2147483647; // setTimeout overflows past ~24.8 days
+
+class JobScheduler {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.clock = options.clock || (() => new Date());
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+    this.logger = options.logger || console;
+    this.handlers = new Map();
+    this.timer = null;
+    this.running = false;
+    this.started = false;
+  }
+
+  now() {
+    return new Date(this.clock());
+  }
+
+  nowIso() {
+    return this.now().toISOString();
+  }
+
+  // handler(payload, context) may be sync or async; its return value is stored in job_runs.result
+  register(name, handler, options = {}) {
+    this.handlers.set(name, {
+      handler,
+      maxAttempts: options.maxAttempts || 3,
+      retryDelayMs: options.retryDelayMs || this.retryDelayMs
+    });
+    return this;
+  }
+
+  // Schedule a one-off job. A uniqueKey makes scheduling idempotent: rescheduling
+  // the same key moves the pending job instead of creating a duplicate.
+  schedule(name, { runAt, payload = null, uniqueKey = null, maxAttempts, intervalMs = null } = {}) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`No handler registered for job "${name}"`);
+    }
+
+    const registered = this.handlers.get(name);
+    const runAtIso = runAt ? new Date(runAt).toISOString() : this.nowIso();
+    const params = {
+      name,
+      payload: payload === null ? null : JSON.stringify(payload),
+      run_at: runAtIso,
+      max_attempts: maxAttempts || registered.maxAttempts,
+      interval_ms: intervalMs,
+      unique_key: uniqueKey,
+      now: this.nowIso()
+    };
+
+    let id;
+    if (uniqueKey) {
+      this.db.prepare(`
+        INSERT INTO jobs (name, payload, run_at, max_attempts, interval_ms, unique_key, created_at, updated_at)
+        VALUES (@name, @payload, @run_at, @max_attempts, @interval_ms, @unique_key, @now, @now)
+        ON CONFLICT(unique_key) DO UPDATE SET
+          payload = excluded.payload,
+          run_at = excluded.run_at,
+          max_attempts = excluded.max_attempts,
+          interval_ms = excluded.interval_ms,
+          status = 'pending',
+          attempts = 0,
+          last_error = NULL,
+          updated_at = excluded.updated_at
+        WHERE jobs.status != 'running'
+      `).run(params);
+      id = this.db.prepare('SELECT id FROM jobs WHERE unique_key = ?').get(uniqueKey).id;
+    } else {
+      id = this.db.prepare(`
+        INSERT INTO jobs (name, payload, run_at, max_attempts, interval_ms, created_at, updated_at)
+        VALUES (@name, @payload, @run_at, @max_attempts, @interval_ms, @now, @now)
+      `).run(params).lastInsertRowid;
+    }
+
+    // A newly scheduled job may be due sooner than the current timer
+    if (this.started) this.armTimer();
+
+    return id;
+  }
+
+  // Schedule a recurring job. Keyed by name so calling it on every boot is safe;
+  // an existing schedule keeps its next run time.
+  every(name, intervalMs, { payload = null, firstRunAt = null } = {}) {
+    const uniqueKey = `recurring:${name}`;
+    const existing = this.db.prepare('SELECT id, interval_ms FROM jobs WHERE unique_key = ?').get(uniqueKey);
+    if (existing && existing.interval_ms === intervalMs) {
+      return existing.id;
+    }
+    return this.schedule(name, {
+      runAt: firstRunAt || this.now(),
+      payload,
+      uniqueKey,
+      intervalMs
+    });
+  }
+
+  cancel(uniqueKey) {
+    const info = this.db.prepare(`
+      DELETE FROM jobs WHERE unique_key = ? AND status != 'running'
+    `).run(uniqueKey);
+    return info.changes > 0;
+  }
+
+  // Run every job that is due. Jobs run one at a time in run_at order.
+  async runDue() {
+    if (this.running) return { ran: 0, succeeded: 0, failed: 0 };
+    this.running = true;
+
+    const summary = { ran: 0, succeeded: 0, failed: 0 };
+    try {
+      const due = this.db.prepare(`
+        SELECT * FROM jobs
+        WHERE status = 'pending' AND run_at <= ?
+        ORDER BY run_at, id
+      `).all(this.nowIso());
+
+      for (const job of due) {
+        const claimed = this.db.prepare(`
+          UPDATE jobs SET status = 'running', locked_at = ?, updated_at = ?
+          WHERE id = ? AND status = 'pending'
+        `).run(this.nowIso(), this.nowIso(), job.id);
+        if (!claimed.changes) continue;
+
+        const ok = await this.execute(job);
+        summary.ran++;
+        if (ok) summary.succeeded++; else summary.failed++;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return summary;
+  }
+
+  // Run a job immediately without touching its schedule (used by manual triggers).
+  async runNow(name, payload = null) {
+    const registered = this.handlers.get(name);
+    if (!registered) {
+      throw new Error(`No handler registered for job "${name}"`);
+    }
+
+    const startedAt = this.nowIso();
+    try {
+      const result = await registered.handler(payload, { scheduler: this, now: this.now(), job: null });
+      this.recordRun(null, name, 1, startedAt, 'succeeded', null, result);
+      return result;
+    } catch (error) {
+      this.recordRun(null, name, 1, startedAt, 'failed', error, null);
+      throw error;
+    }
+  }
+
+  async execute(job) {
+    const registered = this.handlers.get(job.name);
+    const attempt = job.attempts + 1;
+    const startedAt = this.nowIso();
+
+    if (!registered) {
+      const error = new Error(`No handler registered for job "${job.name}"`);
+      this.recordRun(job.id, job.name, attempt, startedAt, 'failed', error, null);
+      this.db.prepare(`
+        UPDATE jobs SET status = 'failed', attempts = ?, last_error = ?, locked_at = NULL, updated_at = ?
+        WHERE id = ?
+      `).run(attempt, error.message, this.nowIso(), job.id);
+      return false;
+    }
+
+    const payload = job.payload ? JSON.parse(job.payload) : null;
+    try {
+      const result = await registered.handler(payload, { scheduler: this, now: this.now(), job });
+      this.recordRun(job.id, job.name, attempt, startedAt, 'succeeded', null, result);
+
+      if (job.interval_ms) {
+        this.db.prepare(`
+          UPDATE jobs SET status = 'pending', attempts = 0, last_error = NULL, locked_at = NULL,
+            run_at = ?, completed_at = ?, updated_at = ?
+          WHERE id = ?
+        `).run(this.nextIntervalRun(job), this.nowIso(), this.nowIso(), job.id);
+      } else {
+        this.db.prepare(`
+          UPDATE jobs SET status = 'completed', attempts = ?, locked_at = NULL, completed_at = ?, updated_at = ?
+          WHERE id = ?
+        `).run(attempt, this.nowIso(), this.nowIso(), job.id);
+      }
+      return true;
+    } catch (error) {
+      this.logger.error(`Job ${job.name} (#${job.id}) failed on attempt ${attempt}:`, error);
+      this.recordRun(job.id, job.name, attempt, startedAt, 'failed', error, null);
+
+      if (attempt < job.max_attempts) {
+        // Exponential backoff: delay, 2x delay, 4x delay...
+        const delay = registered.retryDelayMs * Math.pow(2, attempt - 1);
+        this.db.prepare(`
+          UPDATE jobs SET status = 'pending', attempts = ?, last_error = ?, locked_at = NULL, run_at = ?, updated_at = ?
+          WHERE id = ?
+        `).run(attempt, error.message, new Date(this.now().getTime() + delay).toISOString(), this.nowIso(), job.id);
+      } else if (job.interval_ms) {
+        // Recurring jobs give up on this occurrence but keep their schedule
+        this.db.prepare(`
+          UPDATE jobs SET status = 'pending', attempts = 0, last_error = ?, locked_at = NULL, run_at = ?, updated_at = ?
+          WHERE id = ?
+        `).run(error.message, this.nextIntervalRun(job), this.nowIso(), job.id);
+      } else {
+        this.db.prepare(`
+          UPDATE jobs SET status = 'failed', attempts = ?, last_error = ?, locked_at = NULL, updated_at = ?
+          WHERE id = ?
+        `).run(attempt, error.message, this.nowIso(), job.id);
+      }
+      return false;
+    }
+  }
+
+  nextIntervalRun(job) {
+    return new Date(this.now().getTime() + job.interval_ms).toISOString();
+  }
+
+  recordRun(jobId, name, attempt, startedAt, status, error, result) {
+    this.db.prepare(`
+      INSERT INTO job_runs (job_id, name, attempt, status, error, result, started_at, finished_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      jobId,
+      name,
+      attempt,
+      status,
+      error ? error.message : null,
+      result === undefined || result === null ? null : JSON.stringify(result),
+      startedAt,
+      this.nowIso()
+    );
+  }
+
+  getRecentRuns(limit = 50) {
+    return this.db.prepare(`
+      SELECT * FROM job_runs ORDER BY id DESC LIMIT ?
+    `).all(limit);
+  }
+
+  // Jobs left 'running' by a crashed process go back to the queue
+  recoverStaleJobs() {
+    return this.db.prepare(`
+      UPDATE jobs SET status = 'pending', locked_at = NULL, updated_at = ?
+      WHERE status = 'running'
+    `).run(this.nowIso()).changes;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.recoverStaleJobs();
+    this.tick();
+  }
+
+  stop() {
+    this.started = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    try {
+      await this.runDue();
+    } catch (error) {
+      this.logger.error('Scheduler tick error:', error);
+    }
+    if (this.started) this.armTimer();
+  }
+
+  // Sleep until the next job is due (for exact-time runs), but never longer
+  // than the poll interval so jobs added by other processes are picked up.
+  armTimer() {
+    if (this.timer) clearTimeout(this.timer);
+
+    const next = this.db.prepare(`
+      SELECT MIN(run_at) AS run_at FROM jobs WHERE status = 'pending'
+    `).get();
+
+    let delay = this.pollIntervalMs;
+    if (next && next.run_at) {
+      delay = Math.min(delay, Math.max(0, new Date(next.run_at).getTime() - this.now().getTime()));
+    }
+
+    this.timer = setTimeout(() => this.tick(), Math.min(delay, MAX_TIMER_DELAY_MS));
+    if (this.timer.unref) this.timer.unref();
+  }
+}
+
+module.exports = {
+  JobScheduler,
+};
@@ -0,0 +1,111 @@
+// Author-chosen publish times. Authors pick a wall-clock time in their own
+// timezone ("Sunday 8am"); it is stored as UTC in publish_at. Every letter
+// still steeps for at least STEEP_HOURS, so the earliest choice is the default
+// of a full steep from now.
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { STEEP_HOURS } = require('./steep');
+const { isSteeping } = require('./revisions');
+const { schedulePublish } = require('./jobs');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// How far ahead a letter may be scheduled
+const MAX_SCHEDULE_DAYS = 90;
+const LOCAL_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function listTimeZones() {
+  return ['UTC', ...Intl.supportedValuesOf('timeZone')];
+}
+
+function earliestPublishAt(now = new Date()) {
+  return new Date(new Date(now).getTime() + STEEP_HOURS * 60 * 60 * 1000);
+}
+
+// Work out publish_at from the scheduling fields of a form: localTime is a
+// datetime-local value ("2025-06-08T08:00") read in timeZone. An empty
+// localTime means "as soon as the steep allows". notBefore lets a reschedule
+// keep a steep that is already shorter than a fresh one. Throws with a message
+// for the author when the time can't be used.
+function choosePublishAt({ localTime, timeZone, now = new Date(), notBefore = earliestPublishAt(now) }) {
+  if (!localTime) return earliestPublishAt(now).toISOString();
+
+  if (!LOCAL_DATETIME.test(localTime)) {
+    throw new Error('Pick a date and time to publish');
+  }
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const chosen = dayjs.tz(localTime, zone);
+  if (!chosen.isValid()) {
+    throw new Error('Pick a date and time to publish');
+  }
+
+  // The control only has minutes, so the earliest allowed minute counts
+  const earliestMs = Math.min(new Date(notBefore).getTime(), earliestPublishAt(now).getTime());
+  const earliest = new Date(Math.floor(earliestMs / 60000) * 60000);
+  if (chosen.valueOf() < earliest.getTime()) {
+    throw new Error(`Letters steep for at least ${STEEP_HOURS} hours; pick ${formatInTimeZone(earliest, zone)} or later`);
+  }
+  if (chosen.valueOf() > dayjs(now).add(MAX_SCHEDULE_DAYS, 'day').valueOf()) {
+    throw new Error(`Letters can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead`);
+  }
+  return chosen.toDate().toISOString();
+}
+
+// Move a steeping letter to a new time: anything from a full steep from now
+// onwards, or later than it was already due. Returns null when the letter
+// isn't the author's; throws when it is no longer steeping or the time can't
+// be used.
+function rescheduleLetter(db, { letterId, userId, localTime, timeZone, scheduler = null, now = new Date() }) {
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(letterId, userId);
+  if (!letter) return null;
+  if (!isSteeping(letter, now)) {
+    throw new Error('Only letters that are still steeping can be rescheduled');
+  }
+
+  const publishAt = choosePublishAt({ localTime, timeZone, now, notBefore: letter.publish_at });
+  db.prepare('UPDATE letters SET publish_at = ? WHERE id = ?').run(publishAt, letter.id);
+  schedulePublish(scheduler, letter.id, publishAt);
+  return publishAt;
+}
+
+// "Sun, Jun 8, 8:00 AM" in the given zone, with the zone's abbreviation
+function formatInTimeZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(date));
+}
+
+// datetime-local value for a stored publish_at, for prefilling the control
+function toLocalInput(date, timeZone) {
+  return dayjs(date).tz(isValidTimeZone(timeZone) ? timeZone : 'UTC').format('YYYY-MM-DDTHH:mm');
+}
+
+module.exports = {
+  MAX_SCHEDULE_DAYS,
+  isValidTimeZone,
+  listTimeZones,
+  earliestPublishAt,
+  choosePublishAt,
+  rescheduleLetter,
+  formatInTimeZone,
+  toLocalInput,
+};
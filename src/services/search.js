@@ -0,0 +1,170 @@
+// Full-text search over letters, comments and mosaics (tags) using the FTS5
+// indexes created in db/init.js. Callers pass SQL visibility fragments so
+// results never include content the viewer could not open directly.
+
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const MAX_TERMS = 12;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// FTS5 snippets come back with private marker characters; escape the text and
+// only then turn the markers into <mark> tags so user content can't inject HTML.
+function toHighlightedHtml(text) {
+  if (!text) return '';
+  return escapeHtml(text)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+// Turn free text into a safe FTS5 query: every word is quoted (so operators and
+// punctuation are literal) and prefix-matched; all words must match.
+function buildMatchQuery(input) {
+  if (!input) return null;
+  const terms = String(input)
+    .split(/\s+/)
+    .map(term => term.replace(/["*^:()]/g, '').trim())
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+  if (terms.length === 0) return null;
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// Columns mix ISO strings and SQLite datetime() text, so comparisons go through datetime()
+function normalizeDate(value, endOfDay = false) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  return endOfDay ? `${value} 23:59:59` : `${value} 00:00:00`;
+}
+
+/**
+ * Search letters, comments and mosaics.
+ *
+ * options.letterVisibility - SQL condition on alias `l` describing letters the viewer may read
+ * options.tagVisibility    - SQL condition on alias `t` describing mosaics the viewer may see
+ * options.params           - named parameters referenced by those fragments
+ * options.types            - subset of ['letters', 'comments', 'mosaics']
+ * options.author           - author handle filter (letters and comments)
+ * options.mosaic           - tag slug or name filter
+ * options.from / options.to - YYYY-MM-DD date range
+ */
+function search(db, options = {}) {
+  const match = buildMatchQuery(options.query);
+  const results = { letters: [], comments: [], mosaics: [] };
+  if (!match) return results;
+
+  const types = options.types || ['letters', 'comments', 'mosaics'];
+  const limit = options.limit || 20;
+  const offset = options.offset || 0;
+  const params = {
+    ...(options.params || {}),
+    match,
+    limit,
+    offset,
+    author: options.author ? options.author.replace(/^@/, '') : null,
+    mosaic: options.mosaic || null,
+    from: normalizeDate(options.from),
+    to: normalizeDate(options.to, true),
+    markStart: MARK_START,
+    markEnd: MARK_END
+  };
+
+  const mosaicOnLetter = `EXISTS (
+    SELECT 1 FROM letter_tags flt JOIN tags ft ON ft.id = flt.tag_id
+    WHERE flt.letter_id = l.id AND (ft.slug = @mosaic OR ft.name = @mosaic COLLATE NOCASE)
+  )`;
+
+  if (types.includes('letters')) {
+    results.letters = db.prepare(`
+      SELECT l.id, l.title, l.publish_at, u.handle,
+        highlight(letters_fts, 0, @markStart, @markEnd) AS title_marked,
+        snippet(letters_fts, 1, @markStart, @markEnd, '…', 24) AS snippet_marked
+      FROM letters_fts
+      JOIN letters l ON l.id = letters_fts.rowid
+      JOIN users u ON u.id = l.author_id
+      WHERE letters_fts MATCH @match
+        AND ${options.letterVisibility || '1 = 1'}
+        AND (@author IS NULL OR u.handle = @author COLLATE NOCASE)
+        AND (@mosaic IS NULL OR ${mosaicOnLetter})
+        AND (@from IS NULL OR datetime(l.publish_at) >= @from)
+        AND (@to IS NULL OR datetime(l.publish_at) <= @to)
+      ORDER BY bm25(letters_fts, 5.0, 1.0), l.publish_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params).map(row => ({
+      id: row.id,
+      title: row.title,
+      handle: row.handle,
+      publish_at: row.publish_at,
+      url: `/letters/${row.id}`,
+      title_html: toHighlightedHtml(row.title_marked),
+      snippet_html: toHighlightedHtml(row.snippet_marked)
+    }));
+  }
+
+  if (types.includes('comments')) {
+    results.comments = db.prepare(`
+      SELECT c.id, c.letter_id, c.created_at, u.handle, l.title AS letter_title,
+        snippet(comments_fts, 0, @markStart, @markEnd, '…', 24) AS snippet_marked
+      FROM comments_fts
+      JOIN comments c ON c.id = comments_fts.rowid
+      JOIN letters l ON l.id = c.letter_id
+      JOIN users u ON u.id = c.author_id
+      WHERE comments_fts MATCH @match
+        AND c.is_published = 1
+        AND ${options.letterVisibility || '1 = 1'}
+        AND (@author IS NULL OR u.handle = @author COLLATE NOCASE)
+        AND (@mosaic IS NULL OR ${mosaicOnLetter})
+        AND (@from IS NULL OR datetime(c.created_at) >= @from)
+        AND (@to IS NULL OR datetime(c.created_at) <= @to)
+      ORDER BY bm25(comments_fts), c.created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params).map(row => ({
+      id: row.id,
+      letter_id: row.letter_id,
+      letter_title: row.letter_title,
+      handle: row.handle,
+      created_at: row.created_at,
+      url: `/letters/${row.letter_id}#comment-${row.id}`,
+      snippet_html: toHighlightedHtml(row.snippet_marked)
+    }));
+  }
+
+  // Author filters only apply to written content, so mosaics drop out when one is set
+  if (types.includes('mosaics') && !params.author) {
+    results.mosaics = db.prepare(`
+      SELECT t.id, t.name, t.slug, t.created_at,
+        highlight(tags_fts, 0, @markStart, @markEnd) AS name_marked,
+        snippet(tags_fts, -1, @markStart, @markEnd, '…', 16) AS snippet_marked
+      FROM tags_fts
+      JOIN tags t ON t.id = tags_fts.rowid
+      WHERE tags_fts MATCH @match
+        AND ${options.tagVisibility || 't.is_active = 1'}
+        AND (@mosaic IS NULL OR t.slug = @mosaic OR t.name = @mosaic COLLATE NOCASE)
+        AND (@from IS NULL OR datetime(t.created_at) >= @from)
+        AND (@to IS NULL OR datetime(t.created_at) <= @to)
+      ORDER BY bm25(tags_fts, 5.0, 1.0, 1.0, 1.0), t.usage_count DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params).map(row => ({
+      id: row.id,
+      name: row.name,
+      slug: row.slug,
+      url: `/?filter=${encodeURIComponent(row.name)}`,
+      name_html: toHighlightedHtml(row.name_marked),
+      snippet_html: toHighlightedHtml(row.snippet_marked)
+    }));
+  }
+
+  return results;
+}
+
+module.exports = {
+  buildMatchQuery,
+  toHighlightedHtml,
+  search,
+};
@@ -0,0 +1,9 @@
+// How long a letter steeps between submission and publishing. Kept on its own
+// so revisions, submissions, drafts, scheduling and the API can share it
+// without requiring each other.
+
+const STEEP_HOURS = 12;
+
+module.exports = {
+  STEEP_HOURS,
+};
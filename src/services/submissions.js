@@ -0,0 +1,150 @@
+// Letters that go through review. A slocialite's letter is stored with
+// approval_status 'pending' until an admin approves or declines it. Each trip
+// through review is a round in letter_reviews holding what was sent and the
+// decision, so when the author revises a declined letter and resubmits it the
+// earlier rounds and their reasons stay on /submissions.
+
+const { detectOptionalColumns } = require('../db/schema');
+const { STEEP_HOURS } = require('./steep');
+
+const DECISIONS = ['approved', 'rejected'];
+
+function latestRound(db, letterId) {
+  return db.prepare('SELECT * FROM letter_reviews WHERE letter_id = ? ORDER BY round DESC LIMIT 1').get(letterId);
+}
+
+// Start the next review round with the letter as it stands. Returns the round number.
+function openRound(db, { letterId, now = new Date() }) {
+  const letter = db.prepare('SELECT id, title, body FROM letters WHERE id = ?').get(letterId);
+  const round = (latestRound(db, letterId)?.round || 0) + 1;
+  db.prepare(`
+    INSERT INTO letter_reviews (letter_id, round, title, body, submitted_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(letter.id, round, letter.title, letter.body, new Date(now).toISOString());
+  return round;
+}
+
+// Approve or decline a letter awaiting review and close its round. Letters
+// submitted before rounds were kept get their first round on the way.
+// Returns null when there is no such letter.
+function decide(db, { letterId, reviewerId, decision, reason = null, now = new Date() }) {
+  if (!DECISIONS.includes(decision)) throw new Error(`Unknown review decision: ${decision}`);
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ?').get(letterId);
+  if (!letter) return null;
+
+  const nowIso = new Date(now).toISOString();
+  const rejectionReason = decision === 'rejected' ? reason : null;
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE letters SET approval_status = ?, approved_by = ?, approved_at = ?, rejection_reason = ?
+      WHERE id = ?
+    `).run(decision, reviewerId, nowIso, rejectionReason, letterId);
+
+    let round = latestRound(db, letterId);
+    if (!round || round.status !== 'pending') {
+      db.prepare(`
+        INSERT INTO letter_reviews (letter_id, round, title, body, submitted_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(letterId, (round?.round || 0) + 1, letter.title, letter.body, letter.created_at);
+      round = latestRound(db, letterId);
+    }
+    db.prepare(`
+      UPDATE letter_reviews SET status = ?, reviewer_id = ?, reason = ?, reviewed_at = ? WHERE id = ?
+    `).run(decision, reviewerId, rejectionReason, nowIso, round.id);
+  })();
+  return letter;
+}
+
+// The author changed the title or body of a reviewed letter before it
+// published. An approved letter goes back to pending with a new round holding
+// the edited text; a round still awaiting review takes the edited text. Letters
+// that never went through review, and declined ones (see resubmit), are left
+// alone. Returns true when the letter is awaiting review.
+function reviewEdit(db, { letterId, now = new Date() }) {
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ?').get(letterId);
+  const round = latestRound(db, letterId);
+  if (!letter || (!round && !letter.approved_by)) return false;
+
+  if (round && round.status === 'pending') {
+    db.prepare('UPDATE letter_reviews SET title = ?, body = ? WHERE id = ?').run(letter.title, letter.body, round.id);
+    return true;
+  }
+  if (letter.approval_status !== 'approved') return false;
+
+  db.prepare(`
+    UPDATE letters SET approval_status = 'pending', approved_by = NULL, approved_at = NULL WHERE id = ?
+  `).run(letterId);
+  openRound(db, { letterId, now });
+  return true;
+}
+
+// The author revises a declined letter and sends it back for review. It
+// steeps afresh from now; the caller schedules the publish. Returns null when
+// the letter is not the user's, otherwise { round, publishAt }.
+function resubmit(db, { letterId, userId, title, body, now = new Date() }) {
+  const letter = db.prepare('SELECT * FROM letters WHERE id = ? AND author_id = ?').get(letterId, userId);
+  if (!letter) return null;
+  if (letter.approval_status !== 'rejected') {
+    throw new Error('Only declined letters can be resubmitted');
+  }
+
+  const nextTitle = typeof title === 'string' ? title.trim() : '';
+  const nextBody = typeof body === 'string' ? body : '';
+  if (!nextTitle || nextTitle.length > 120) throw new Error('Title must be between 1 and 120 characters');
+  if (!nextBody.trim()) throw new Error('Your letter needs a body');
+  if (nextTitle === letter.title && nextBody === letter.body) {
+    throw new Error('Revise the letter before sending it back for review');
+  }
+
+  const publishAt = new Date(new Date(now).getTime() + STEEP_HOURS * 60 * 60 * 1000).toISOString();
+  const round = db.transaction(() => {
+    db.prepare(`
+      UPDATE letters
+      SET title = ?, body = ?, publish_at = ?, is_published = 0, approval_status = 'pending',
+        approved_by = NULL, approved_at = NULL, rejection_reason = NULL
+      WHERE id = ?
+    `).run(nextTitle, nextBody, publishAt, letterId);
+    return openRound(db, { letterId, now });
+  })();
+  return { round, publishAt };
+}
+
+function listRounds(db, letterId) {
+  return db.prepare(`
+    SELECT r.*, u.handle AS reviewer_handle
+    FROM letter_reviews r
+    LEFT JOIN users u ON u.id = r.reviewer_id
+    WHERE r.letter_id = ?
+    ORDER BY r.round ASC
+  `).all(letterId);
+}
+
+// The author's letters that have been through review or are waiting on it,
+// newest first, each with its rounds
+function listSubmissions(db, userId) {
+  const { hasApprovalColumn, hasDraftColumn } = detectOptionalColumns(db);
+  if (!hasApprovalColumn) return [];
+
+  return db.prepare(`
+    SELECT l.id, l.title, l.body, l.publish_at, l.is_published, l.created_at,
+      l.approval_status, l.rejection_reason
+    FROM letters l
+    WHERE l.author_id = ?
+      ${hasDraftColumn ? 'AND l.is_draft = 0' : ''}
+      AND (l.approval_status != 'approved' OR EXISTS (SELECT 1 FROM letter_reviews r WHERE r.letter_id = l.id))
+    ORDER BY datetime(l.created_at) DESC, l.id DESC
+  `).all(userId).map(letter => ({
+    ...letter,
+    rounds: listRounds(db, letter.id),
+    canResubmit: letter.approval_status === 'rejected'
+  }));
+}
+
+module.exports = {
+  openRound,
+  decide,
+  reviewEdit,
+  resubmit,
+  listRounds,
+  listSubmissions,
+};
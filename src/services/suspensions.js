@@ -0,0 +1,68 @@
+// Account suspensions. A suspension is active until it is lifted or its
+// expires_at passes; permanent suspensions have no expiry. Rows are never
+// deleted so /admin keeps a history of who acted and why.
+
+function getActiveSuspension(db, userId, now = new Date()) {
+  if (!userId) return null;
+  return db.prepare(`
+    SELECT s.*, admin.handle AS suspended_by_handle
+    FROM user_suspensions s
+    LEFT JOIN users admin ON admin.id = s.suspended_by
+    WHERE s.user_id = ?
+      AND s.lifted_at IS NULL
+      AND (s.expires_at IS NULL OR s.expires_at > ?)
+    ORDER BY s.suspended_at DESC
+    LIMIT 1
+  `).get(userId, new Date(now).toISOString()) || null;
+}
+
+function suspendUser(db, { userId, reason, expiresAt = null, suspendedBy, now = new Date() }) {
+  const nowIso = new Date(now).toISOString();
+  return db.transaction(() => {
+    // A new suspension replaces any active one rather than stacking
+    db.prepare(`
+      UPDATE user_suspensions
+      SET lifted_at = ?, lifted_by = ?, lift_reason = 'Superseded by a new suspension'
+      WHERE user_id = ? AND lifted_at IS NULL
+    `).run(nowIso, suspendedBy, userId);
+
+    return db.prepare(`
+      INSERT INTO user_suspensions (user_id, reason, suspended_by, suspended_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(userId, reason, suspendedBy, nowIso, expiresAt ? new Date(expiresAt).toISOString() : null).lastInsertRowid;
+  })();
+}
+
+function liftSuspension(db, { userId, liftedBy, reason = null, now = new Date() }) {
+  const info = db.prepare(`
+    UPDATE user_suspensions
+    SET lifted_at = ?, lifted_by = ?, lift_reason = ?
+    WHERE user_id = ? AND lifted_at IS NULL
+  `).run(new Date(now).toISOString(), liftedBy, reason, userId);
+  return info.changes > 0;
+}
+
+function recordAppeal(db, { userId, note, now = new Date() }) {
+  const active = getActiveSuspension(db, userId, now);
+  if (!active) return false;
+  db.prepare(`
+    UPDATE user_suspensions SET appeal_note = ?, appealed_at = ? WHERE id = ?
+  `).run(note, new Date(now).toISOString(), active.id);
+  return true;
+}
+
+function describeSuspension(suspension) {
+  if (!suspension) return '';
+  const until = suspension.expires_at
+    ? `until ${new Date(suspension.expires_at).toUTCString()}`
+    : 'indefinitely';
+  return `Your account is suspended ${until}. Reason: ${suspension.reason}`;
+}
+
+module.exports = {
+  getActiveSuspension,
+  suspendUser,
+  liftSuspension,
+  recordAppeal,
+  describeSuspension,
+};
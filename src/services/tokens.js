@@ -0,0 +1,76 @@
+// Single-use, expiring tokens emailed to users (email verification, password
+// resets). Only a SHA-256 hash is stored, so a leaked database can't be used to
+// redeem outstanding links.
+
+const crypto = require('crypto');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issue a fresh token for a purpose; any unused token for the same user and
+// purpose is discarded so only the newest link works.
+function issueToken(db, { userId, purpose, ttlMs, now = new Date() }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const createdAt = new Date(now);
+
+  db.transaction(() => {
+    db.prepare(`
+      DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    `).run(userId, purpose);
+    db.prepare(`
+      INSERT INTO user_tokens (user_id, purpose, token_hash, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      userId,
+      purpose,
+      hashToken(token),
+      createdAt.toISOString(),
+      new Date(createdAt.getTime() + ttlMs).toISOString()
+    );
+  })();
+
+  return token;
+}
+
+// Look up a token without using it up (e.g. to show the form it unlocks)
+function peekToken(db, { token, purpose, now = new Date() }) {
+  if (!token) return null;
+  const row = db.prepare(`
+    SELECT user_id FROM user_tokens
+    WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+  `).get(hashToken(token), purpose, new Date(now).toISOString());
+  return row ? row.user_id : null;
+}
+
+// Redeem a token. Returns the owning user id, or null when the token is
+// unknown, already used or expired.
+function consumeToken(db, { token, purpose, now = new Date() }) {
+  if (!token) return null;
+  const nowIso = new Date(now).toISOString();
+  const row = db.prepare(`
+    SELECT id, user_id FROM user_tokens
+    WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+  `).get(hashToken(token), purpose, nowIso);
+  if (!row) return null;
+
+  // Guard against a concurrent redemption of the same link
+  const info = db.prepare('UPDATE user_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL').run(nowIso, row.id);
+  return info.changes ? row.user_id : null;
+}
+
+// When the newest token for a purpose was issued; used to throttle resends
+function lastIssuedAt(db, { userId, purpose }) {
+  const row = db.prepare(`
+    SELECT MAX(created_at) AS created_at FROM user_tokens WHERE user_id = ? AND purpose = ?
+  `).get(userId, purpose);
+  return row && row.created_at ? new Date(row.created_at) : null;
+}
+
+module.exports = {
+  hashToken,
+  issueToken,
+  peekToken,
+  consumeToken,
+  lastIssuedAt,
+};
@@ -0,0 +1,234 @@
+// Letter and mosaic visibility rules shared by the routes, the feed service,
+// the JSON API and background jobs (e.g. the daily digest).
+
+// True for a letter (aliased letterAlias) in an active mosaic that has no
+// unexpired universal 'use' permission. Channels never open such letters up:
+// the mosaic's own permissions decide who reads them.
+function inPrivateMosaicSql(letterAlias) {
+  return `
+    EXISTS (
+      SELECT 1 FROM letter_tags pm_lt
+      JOIN tags pm_t ON pm_t.id = pm_lt.tag_id
+      WHERE pm_lt.letter_id = ${letterAlias}.id
+        AND pm_t.is_active = 1
+        AND NOT EXISTS (
+          SELECT 1 FROM tag_permissions pm_tp
+          WHERE pm_tp.tag_id = pm_t.id
+            AND pm_tp.user_id IS NULL
+            AND pm_tp.permission_type = 'use'
+            AND (pm_tp.expires_at IS NULL OR pm_tp.expires_at > datetime('now'))
+        )
+    )
+  `;
+}
+
+// Check if a user can view a letter based on tag permissions
+function canUserViewLetter(db, userId, letterId) {
+  // Admin can see everything
+  if (userId) {
+    const user = db.prepare('SELECT is_admin FROM users WHERE id = ?').get(userId);
+    if (user && user.is_admin) return true;
+    
+    // Author can see their own letters
+    const letter = db.prepare('SELECT author_id FROM letters WHERE id = ?').get(letterId);
+    if (letter && letter.author_id === userId) return true;
+    
+    // Letters posted to a channel are visible to anyone who can read that
+    // channel, unless they are also in a private mosaic
+    const inReadableChannel = db.prepare(`
+      SELECT 1 
+      FROM channel_letters cl
+      JOIN channels c ON c.id = cl.channel_id
+      JOIN letters l ON l.id = cl.letter_id
+      LEFT JOIN channel_members cm ON cm.channel_id = c.id AND cm.user_id = ?
+      WHERE cl.letter_id = ?
+        AND (cm.user_id IS NOT NULL OR (c.is_approved = 1 AND c.is_public = 1))
+        AND NOT ${inPrivateMosaicSql('l')}
+      LIMIT 1
+    `).get(userId, letterId);
+    if (inReadableChannel) return true;
+    
+    // Owners of a mosaic can read every letter in it, and every letter waiting
+    // for their approval to join it
+    const ownsLetterTag = db.prepare(`
+      SELECT 1 
+      FROM letter_tags lt
+      JOIN tags t ON lt.tag_id = t.id
+      JOIN tag_owners o ON o.tag_id = t.id
+      WHERE lt.letter_id = @letterId AND t.is_active = 1 AND o.user_id = @userId AND o.is_active = 1
+      UNION ALL
+      SELECT 1
+      FROM letter_tag_approvals a
+      JOIN tag_owners o ON o.tag_id = a.tag_id
+      WHERE a.letter_id = @letterId AND a.status = 'pending' AND o.user_id = @userId AND o.is_active = 1
+      LIMIT 1
+    `).get({ letterId, userId });
+    if (ownsLetterTag) return true;
+    
+    // Logged-in users: Check if user has permission to view at least one tag on the letter
+    const hasPermission = db.prepare(`
+      SELECT 1 
+      FROM letter_tags lt
+      JOIN tags t ON lt.tag_id = t.id
+      LEFT JOIN tag_permissions tp ON t.id = tp.tag_id
+      WHERE lt.letter_id = ?
+        AND t.is_active = 1
+        AND (
+          -- Public tags with universal permission
+          (tp.user_id IS NULL AND tp.permission_type = 'use' 
+           AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now')))
+          -- User-specific permission
+          OR (tp.user_id = ? AND tp.permission_type = 'use'
+              AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now')))
+        )
+      LIMIT 1
+    `).get(letterId, userId);
+    
+    return !!hasPermission;
+  } else {
+    // Non-logged-in users can ONLY see letters tagged with "public"
+    const hasPublicTag = db.prepare(`
+      SELECT 1 
+      FROM letter_tags lt
+      JOIN tags t ON lt.tag_id = t.id
+      WHERE lt.letter_id = ?
+        AND t.slug = 'public'
+        AND t.is_active = 1
+      LIMIT 1
+    `).get(letterId);
+    
+    return !!hasPublicTag;
+  }
+}
+
+// Check if a user may read and post to a mosaic (tag)
+function canUserUseTag(db, userId, tagId) {
+  // Owners can always use their tags
+  if (userId) {
+    const ownership = db.prepare(`
+      SELECT 1 FROM tag_owners 
+      WHERE tag_id = ? AND user_id = ? AND is_active = 1
+      LIMIT 1
+    `).get(tagId, userId);
+    if (ownership) return true;
+  }
+  
+  // Check if user has explicit permission or if tag has universal permission (user_id = NULL)
+  const permission = db.prepare(`
+    SELECT 1 FROM tag_permissions 
+    WHERE tag_id = ? 
+      AND (user_id = ? OR user_id IS NULL)
+      AND permission_type = 'use'
+      AND (expires_at IS NULL OR expires_at > datetime('now'))
+    LIMIT 1
+  `).get(tagId, userId);
+  
+  return !!permission;
+}
+
+// Active mosaics a user may post to, by the same rules as canUserUseTag
+function getUsableTags(db, userId) {
+  return db.prepare(`
+    SELECT t.id, t.name, t.slug
+    FROM tags t
+    WHERE t.is_active = 1
+      AND (
+        EXISTS (SELECT 1 FROM tag_owners o WHERE o.tag_id = t.id AND o.user_id = @userId AND o.is_active = 1)
+        OR EXISTS (
+          SELECT 1 FROM tag_permissions tp
+          WHERE tp.tag_id = t.id
+            AND (tp.user_id = @userId OR tp.user_id IS NULL)
+            AND tp.permission_type = 'use'
+            AND (tp.expires_at IS NULL OR tp.expires_at > datetime('now'))
+        )
+      )
+    ORDER BY t.name
+  `).all({ userId });
+}
+
+const SQL_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Letters a user may see in feeds and search, as a SQL condition plus the
+// named parameters it binds; the same rules as canUserViewLetter. Anonymous
+// readers see letters in the "public" mosaic. Signed-in readers see their own
+// letters, letters in a mosaic they own or hold an unexpired 'use' permission
+// for (universal or personal), letters waiting for their approval to join a
+// mosaic they own, and letters posted to a channel they belong to or that is
+// approved and public, unless the letter is also in a private mosaic; admins
+// see everything. Spread params into the statement's own parameters.
+function letterVisibilityFilter(userId, { tableAlias = 'l' } = {}) {
+  if (!SQL_IDENTIFIER.test(tableAlias)) {
+    throw new Error(`Invalid table alias: ${tableAlias}`);
+  }
+  
+  if (!userId) {
+    return {
+      sql: `
+        EXISTS (
+          SELECT 1 FROM letter_tags vis_lt
+          JOIN tags vis_t ON vis_t.id = vis_lt.tag_id
+          WHERE vis_lt.letter_id = ${tableAlias}.id
+            AND vis_t.slug = 'public'
+            AND vis_t.is_active = 1
+        )
+      `,
+      params: {}
+    };
+  }
+  
+  return {
+    sql: `
+      (
+        ${tableAlias}.author_id = @viewerId
+        OR EXISTS (SELECT 1 FROM users WHERE id = @viewerId AND is_admin = 1)
+        OR EXISTS (
+          SELECT 1 FROM letter_tags vis_lt
+          JOIN tags vis_t ON vis_t.id = vis_lt.tag_id
+          WHERE vis_lt.letter_id = ${tableAlias}.id
+            AND vis_t.is_active = 1
+            AND (
+              EXISTS (
+                SELECT 1 FROM tag_owners vis_o
+                WHERE vis_o.tag_id = vis_t.id AND vis_o.user_id = @viewerId AND vis_o.is_active = 1
+              )
+              OR EXISTS (
+                SELECT 1 FROM tag_permissions vis_tp
+                WHERE vis_tp.tag_id = vis_t.id
+                  AND vis_tp.permission_type = 'use'
+                  AND (vis_tp.user_id IS NULL OR vis_tp.user_id = @viewerId)
+                  AND (vis_tp.expires_at IS NULL OR vis_tp.expires_at > datetime('now'))
+              )
+            )
+        )
+        OR EXISTS (
+          SELECT 1 FROM letter_tag_approvals vis_a
+          JOIN tag_owners vis_ao ON vis_ao.tag_id = vis_a.tag_id
+          WHERE vis_a.letter_id = ${tableAlias}.id
+            AND vis_a.status = 'pending'
+            AND vis_ao.user_id = @viewerId AND vis_ao.is_active = 1
+        )
+        OR EXISTS (
+          SELECT 1 FROM channel_letters vis_cl
+          JOIN channels vis_c ON vis_c.id = vis_cl.channel_id
+          WHERE vis_cl.letter_id = ${tableAlias}.id
+            AND (
+              (vis_c.is_approved = 1 AND vis_c.is_public = 1)
+              OR EXISTS (
+                SELECT 1 FROM channel_members vis_cm
+                WHERE vis_cm.channel_id = vis_c.id AND vis_cm.user_id = @viewerId
+              )
+            )
+            AND NOT ${inPrivateMosaicSql(tableAlias)}
+        )
+      )
+    `,
+    params: { viewerId: userId }
+  };
+}
+
+module.exports = {
+  canUserViewLetter,
+  canUserUseTag,
+  getUsableTags,
+  letterVisibilityFilter,
+};
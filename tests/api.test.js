@@ -0,0 +1,183 @@
+const express = require('express');
+const request = require('supertest');
+const { initializeDatabase } = require('../src/db/init');
+const { buildApiRouter, errorHandler } = require('../src/api/v1');
+const apiTokens = require('../src/services/apiTokens');
+const { STEEP_HOURS } = require('../src/services/steep');
+
+describe('API v1', () => {
+  let db;
+  let app;
+  let readerId;
+  let authorId;
+  let openTagId;
+  let privateTagId;
+
+  function tokenFor(userId, scopes) {
+    return `Bearer ${apiTokens.createApiToken(db, { userId, name: 'test', scopes }).token}`;
+  }
+
+  function addLetter(title, tagId, hoursAgo) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, ?, 'Body', ?, 1)
+    `).run(authorId, title, new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString()).lastInsertRowid;
+    db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(letterId, tagId, authorId);
+    return letterId;
+  }
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    readerId = db.prepare("INSERT INTO users (handle, email, email_verified_at) VALUES ('reader', 'reader@test.com', '2025-01-01')").run().lastInsertRowid;
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    openTagId = db.prepare("INSERT INTO tags (name, slug, created_by) VALUES ('Gardens', 'gardens', ?)").run(authorId).lastInsertRowid;
+    db.prepare("INSERT INTO tag_permissions (tag_id, user_id, permission_type, granted_by) VALUES (?, NULL, 'use', ?)").run(openTagId, authorId);
+    privateTagId = db.prepare("INSERT INTO tags (name, slug, created_by) VALUES ('Secrets', 'secrets', ?)").run(authorId).lastInsertRowid;
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1', buildApiRouter(db));
+    app.use('/api/v1', errorHandler);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('tokens', () => {
+    it('stores only a hash and stops working once revoked', () => {
+      const { id, token } = apiTokens.createApiToken(db, { userId: readerId, name: 'cli', scopes: ['read', 'bogus'] });
+      const stored = db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(id);
+      expect(stored.token_hash).not.toContain(token);
+      expect(stored.scopes).toBe('read');
+
+      expect(apiTokens.authenticateApiToken(db, token)).toMatchObject({ userId: readerId, scopes: ['read'] });
+      expect(apiTokens.revokeApiToken(db, { userId: authorId, tokenId: id })).toBe(false);
+      expect(apiTokens.revokeApiToken(db, { userId: readerId, tokenId: id })).toBe(true);
+      expect(apiTokens.authenticateApiToken(db, token)).toBeNull();
+    });
+
+    it('rejects expired tokens and tokens without scopes', () => {
+      const { token } = apiTokens.createApiToken(db, {
+        userId: readerId, name: 'old', scopes: ['read'], expiresInDays: 30, now: new Date('2025-01-01T00:00:00.000Z')
+      });
+      expect(apiTokens.authenticateApiToken(db, token, new Date('2025-02-15T00:00:00.000Z'))).toBeNull();
+      expect(() => apiTokens.createApiToken(db, { userId: readerId, name: 'none', scopes: [] })).toThrow('Pick at least one scope');
+    });
+  });
+
+  it('answers with an error envelope when the token is missing, invalid or lacks a scope', async () => {
+    let res = await request(app).get('/api/v1/me');
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: { code: 'unauthorized', message: expect.any(String) } });
+
+    res = await request(app).get('/api/v1/me').set('Authorization', 'Bearer slc_unknown');
+    expect(res.body.error.code).toBe('invalid_token');
+
+    const letterId = addLetter('Tomatoes', openTagId, 1);
+    res = await request(app).put(`/api/v1/letters/${letterId}/resonate`).set('Authorization', tokenFor(readerId, ['read']));
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('insufficient_scope');
+  });
+
+  it('pages through visible letters with a cursor', async () => {
+    const auth = tokenFor(readerId, ['read']);
+    addLetter('First', openTagId, 1);
+    addLetter('Second', openTagId, 2);
+    addLetter('Hidden', privateTagId, 3);
+    addLetter('Third', openTagId, 4);
+
+    let res = await request(app).get('/api/v1/letters?limit=2').set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(letter => letter.title)).toEqual(['First', 'Second']);
+    expect(res.body.pagination.next_cursor).toEqual(expect.any(String));
+
+    res = await request(app).get(`/api/v1/letters?limit=2&cursor=${res.body.pagination.next_cursor}`).set('Authorization', auth);
+    expect(res.body.data.map(letter => letter.title)).toEqual(['Third']);
+    expect(res.body.pagination.next_cursor).toBeNull();
+
+    res = await request(app).get('/api/v1/letters?cursor=not-a-cursor').set('Authorization', auth);
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('invalid_cursor');
+  });
+
+  it('hides letters the reader cannot see and still steeping letters', async () => {
+    const auth = tokenFor(readerId, ['read']);
+    const hidden = addLetter('Hidden', privateTagId, 1);
+    const steeping = addLetter('Steeping', openTagId, -5);
+
+    for (const id of [hidden, steeping, 9999]) {
+      const res = await request(app).get(`/api/v1/letters/${id}`).set('Authorization', auth);
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('not_found');
+    }
+  });
+
+  it('allows one comment per letter', async () => {
+    const auth = tokenFor(readerId, ['read', 'comments:write']);
+    const letterId = addLetter('Tomatoes', openTagId, 1);
+
+    let res = await request(app).post(`/api/v1/letters/${letterId}/comments`).set('Authorization', auth).send({ body: 'Lovely' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ body: 'Lovely', author: { handle: 'reader' } });
+
+    res = await request(app).post(`/api/v1/letters/${letterId}/comments`).set('Authorization', auth).send({ body: 'Again' });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('duplicate_comment');
+
+    res = await request(app).post(`/api/v1/letters/${letterId}/comments`).set('Authorization', auth).send({});
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('validation_failed');
+
+    res = await request(app).get(`/api/v1/letters/${letterId}/comments`).set('Authorization', auth);
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  it('tracks resonates and reading status', async () => {
+    const auth = tokenFor(readerId, ['read', 'resonates:write', 'reading:write']);
+    const letterId = addLetter('Tomatoes', openTagId, 1);
+
+    await request(app).put(`/api/v1/letters/${letterId}/resonate`).set('Authorization', auth).expect(200);
+    let res = await request(app).put(`/api/v1/letters/${letterId}/reading-status`).set('Authorization', auth).send({ status: 'later' });
+    expect(res.body.data).toMatchObject({ letter_id: letterId, status: 'later' });
+
+    res = await request(app).put(`/api/v1/letters/${letterId}/reading-status`).set('Authorization', auth).send({ status: 'someday' });
+    expect(res.status).toBe(422);
+    expect(res.body.error.details[0].field).toBe('status');
+
+    res = await request(app).get('/api/v1/me/reading-status?status=later').set('Authorization', auth);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].letter).toMatchObject({ id: letterId, resonated: true, reading_status: 'later' });
+  });
+
+  it('writes a steeping letter and enforces one letter a day', async () => {
+    const auth = tokenFor(readerId, ['read', 'letters:write']);
+
+    let res = await request(app).post('/api/v1/letters').set('Authorization', auth)
+      .send({ title: 'Slow mornings', body: 'Words', mosaic_ids: [openTagId] });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ title: 'Slow mornings', published: false, mosaics: [{ slug: 'gardens' }] });
+    // Same steep as letters written on the site
+    const steepMs = new Date(res.body.data.publish_at) - new Date(res.body.data.created_at);
+    expect(steepMs).toBe(STEEP_HOURS * 60 * 60 * 1000);
+
+    res = await request(app).post('/api/v1/letters').set('Authorization', auth).send({ title: 'Another', body: 'Words' });
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('posting_limit');
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('validates letter input against mosaic access', async () => {
+    const auth = tokenFor(readerId, ['letters:write']);
+    const res = await request(app).post('/api/v1/letters').set('Authorization', auth)
+      .send({ title: '', body: 'Words', mosaic_ids: [privateTagId] });
+    expect(res.status).toBe(422);
+    expect(res.body.error.details.map(detail => detail.field)).toEqual(['title', 'mosaic_ids']);
+  });
+
+  it('serves the OpenAPI document without a token', async () => {
+    const res = await request(app).get('/api/v1/openapi.json');
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(Object.keys(res.body.paths)).toEqual(expect.arrayContaining(['/letters', '/letters/{id}/comments', '/mosaics/{slug}/letters', '/me']));
+  });
+});
@@ -0,0 +1,220 @@
+const { initializeDatabase } = require('../src/db/init');
+const { createMigratedDatabase } = require('./helpers/schema');
+const { createWebApp, signedInAgent, submitForm: submit } = require('./helpers/webApp');
+
+describe('Channels', () => {
+  let db;
+  let app;
+  let ownerId;
+  let writerId;
+  let readerId;
+
+  function addUser(handle) {
+    return db.prepare('INSERT INTO users (handle, email) VALUES (?, ?)').run(handle, `${handle}@test.com`).lastInsertRowid;
+  }
+
+  function addChannel(slug, { isPublic = 1, isApproved = 1 } = {}) {
+    const channelId = db.prepare(`
+      INSERT INTO channels (name, slug, creator_id, is_public, is_approved) VALUES (?, ?, ?, ?, ?)
+    `).run(slug, slug, ownerId, isPublic, isApproved).lastInsertRowid;
+    db.prepare("INSERT INTO channel_members (channel_id, user_id, role) VALUES (?, ?, 'owner')").run(channelId, ownerId);
+    return channelId;
+  }
+
+  function postLetter(channelId, title) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published)
+      VALUES (?, ?, 'Body', '2025-01-01T00:00:00.000Z', 1)
+    `).run(ownerId, title).lastInsertRowid;
+    db.prepare('INSERT INTO channel_letters (channel_id, letter_id, added_by) VALUES (?, ?, ?)').run(channelId, letterId, ownerId);
+    return letterId;
+  }
+
+  const roleOf = (channelId, userId) =>
+    db.prepare('SELECT role FROM channel_members WHERE channel_id = ? AND user_id = ?').get(channelId, userId)?.role || null;
+  const inviteOf = (channelId, userId) =>
+    db.prepare('SELECT status, invited_by FROM channel_invites WHERE channel_id = ? AND user_id = ?').get(channelId, userId);
+
+  function setup(database) {
+    db = database;
+    app = createWebApp(db);
+    ownerId = addUser('owner');
+    writerId = addUser('writer');
+    readerId = addUser('reader');
+  }
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('membership', () => {
+    beforeEach(() => setup(createMigratedDatabase()));
+
+    it('lets anyone join a public channel and keeps count of members', async () => {
+      const channelId = addChannel('open-circle');
+      const writer = await signedInAgent(app, writerId);
+
+      const res = await submit(writer, '/channels/open-circle/join').expect(302);
+      expect(res.headers.location).toBe('/channels/open-circle?message=' + encodeURIComponent('Welcome to open-circle!'));
+      expect(roleOf(channelId, writerId)).toBe('member');
+      expect(db.prepare('SELECT member_count FROM channels WHERE id = ?').get(channelId).member_count).toBe(2);
+
+      const again = await submit(writer, '/channels/open-circle/join').expect(302);
+      expect(again.headers.location).toContain(encodeURIComponent('You are already a member'));
+    });
+
+    it('files a request for a private channel that a moderator approves or rejects', async () => {
+      const channelId = addChannel('quiet-room', { isPublic: 0 });
+      const writer = await signedInAgent(app, writerId);
+      const reader = await signedInAgent(app, readerId);
+      const owner = await signedInAgent(app, ownerId);
+
+      await submit(writer, '/channels/quiet-room/join', { message: 'Please?' }).expect(302);
+      expect(roleOf(channelId, writerId)).toBeNull();
+      expect(inviteOf(channelId, writerId)).toEqual({ status: 'pending', invited_by: null });
+      const twice = await submit(writer, '/channels/quiet-room/join').expect(302);
+      expect(twice.headers.location).toContain(encodeURIComponent('You already have a pending request for this channel'));
+
+      await submit(reader, '/channels/quiet-room/join').expect(302);
+      const requestId = db.prepare('SELECT id FROM channel_invites WHERE user_id = ?').get(readerId).id;
+      await submit(reader, `/channels/quiet-room/manage/request/${requestId}`, { action: 'approve' }).expect(403);
+
+      const writerRequest = db.prepare('SELECT id FROM channel_invites WHERE user_id = ?').get(writerId).id;
+      await submit(owner, `/channels/quiet-room/manage/request/${writerRequest}`, { action: 'approve' }).expect(302);
+      await submit(owner, `/channels/quiet-room/manage/request/${requestId}`, { action: 'reject' }).expect(302);
+
+      expect(roleOf(channelId, writerId)).toBe('member');
+      expect(roleOf(channelId, readerId)).toBeNull();
+      expect(inviteOf(channelId, readerId).status).toBe('rejected');
+
+      // A rejected reader may ask again, and cancel before anyone answers
+      await submit(reader, '/channels/quiet-room/join').expect(302);
+      expect(inviteOf(channelId, readerId).status).toBe('pending');
+      await submit(reader, '/channels/quiet-room/cancel-request').expect(302);
+      expect(inviteOf(channelId, readerId).status).toBe('cancelled');
+    });
+
+    it('invites by handle and lets the invitee accept or decline', async () => {
+      const channelId = addChannel('quiet-room', { isPublic: 0 });
+      const owner = await signedInAgent(app, ownerId);
+      const writer = await signedInAgent(app, writerId);
+      const reader = await signedInAgent(app, readerId);
+
+      const unknown = await submit(owner, '/channels/quiet-room/manage/invite', { handle: '@nobody' }).expect(302);
+      expect(unknown.headers.location).toContain(encodeURIComponent('No user with that handle'));
+      await submit(writer, '/channels/quiet-room/manage/invite', { handle: 'reader' }).expect(403);
+
+      await submit(owner, '/channels/quiet-room/manage/invite', { handle: '@Writer' }).expect(302);
+      await submit(owner, '/channels/quiet-room/manage/invite', { handle: 'reader' }).expect(302);
+      expect(inviteOf(channelId, writerId)).toEqual({ status: 'pending', invited_by: ownerId });
+
+      await submit(writer, '/channels/quiet-room/invitation', { action: 'accept' }).expect(302);
+      await submit(reader, '/channels/quiet-room/invitation', { action: 'decline' }).expect(302);
+      expect(roleOf(channelId, writerId)).toBe('member');
+      expect(inviteOf(channelId, writerId).status).toBe('accepted');
+      expect(roleOf(channelId, readerId)).toBeNull();
+      expect(inviteOf(channelId, readerId).status).toBe('rejected');
+
+      const member = await submit(owner, '/channels/quiet-room/manage/invite', { handle: 'writer' }).expect(302);
+      expect(member.headers.location).toContain(encodeURIComponent('@writer is already a member'));
+    });
+
+    it('lets an invitation double as a pass into a private channel, and an invite approve a request', async () => {
+      const channelId = addChannel('quiet-room', { isPublic: 0 });
+      const owner = await signedInAgent(app, ownerId);
+      const writer = await signedInAgent(app, writerId);
+      const reader = await signedInAgent(app, readerId);
+
+      await submit(owner, '/channels/quiet-room/manage/invite', { handle: 'writer' }).expect(302);
+      await submit(writer, '/channels/quiet-room/join').expect(302);
+      expect(roleOf(channelId, writerId)).toBe('member');
+      expect(inviteOf(channelId, writerId).status).toBe('accepted');
+
+      await submit(reader, '/channels/quiet-room/join').expect(302);
+      const res = await submit(owner, '/channels/quiet-room/manage/invite', { handle: 'reader' }).expect(302);
+      expect(res.headers.location).toContain(encodeURIComponent('@reader had asked to join and is now a member'));
+      expect(roleOf(channelId, readerId)).toBe('member');
+    });
+
+    it('changes roles and never leaves a channel without an owner', async () => {
+      const channelId = addChannel('open-circle');
+      db.prepare("INSERT INTO channel_members (channel_id, user_id, role) VALUES (?, ?, 'member')").run(channelId, writerId);
+      db.prepare("INSERT INTO channel_members (channel_id, user_id, role) VALUES (?, ?, 'member')").run(channelId, readerId);
+      const owner = await signedInAgent(app, ownerId);
+      const writer = await signedInAgent(app, writerId);
+      const setRole = (agent, userId, role) =>
+        submit(agent, `/channels/open-circle/manage/members/${userId}/role`, { role });
+
+      const alone = await submit(owner, '/channels/open-circle/leave').expect(302);
+      expect(alone.headers.location).toContain(encodeURIComponent('Make someone else an owner before leaving'));
+      const demoted = await setRole(owner, ownerId, 'member').expect(302);
+      expect(demoted.headers.location).toContain(encodeURIComponent('A channel needs at least one owner'));
+      const bogus = await setRole(owner, writerId, 'admin').expect(302);
+      expect(bogus.headers.location).toContain(encodeURIComponent('Invalid role change'));
+      expect(roleOf(channelId, ownerId)).toBe('owner');
+
+      await setRole(owner, writerId, 'moderator').expect(302);
+      expect(roleOf(channelId, writerId)).toBe('moderator');
+      // Moderators manage members but not roles, and only remove plain members
+      await setRole(writer, readerId, 'moderator').expect(403);
+      const removeOwner = await submit(writer, `/channels/open-circle/manage/members/${ownerId}/remove`).expect(302);
+      expect(removeOwner.headers.location).toContain(encodeURIComponent('Only owners can remove moderators and owners'));
+      await submit(writer, `/channels/open-circle/manage/members/${readerId}/remove`).expect(302);
+      expect(roleOf(channelId, readerId)).toBeNull();
+
+      await setRole(owner, writerId, 'owner').expect(302);
+      await submit(owner, '/channels/open-circle/leave').expect(302);
+      expect(roleOf(channelId, ownerId)).toBeNull();
+      const last = await submit(writer, '/channels/open-circle/leave').expect(302);
+      expect(last.headers.location).toContain(encodeURIComponent('Make someone else an owner before leaving'));
+      expect(roleOf(channelId, writerId)).toBe('owner');
+    });
+  });
+
+  describe('reading', () => {
+    it('shows a private channel\'s letters to its members only', async () => {
+      setup(createMigratedDatabase());
+      const channelId = addChannel('quiet-room', { isPublic: 0 });
+      addChannel('unlisted', { isApproved: 0 });
+      postLetter(channelId, 'Members only');
+      db.prepare("INSERT INTO channel_members (channel_id, user_id) VALUES (?, ?)").run(channelId, writerId);
+      const writer = await signedInAgent(app, writerId);
+      const reader = await signedInAgent(app, readerId);
+
+      expect((await writer.get('/channels/quiet-room').expect(200)).text).toContain('Members only');
+      expect((await reader.get('/channels/quiet-room').expect(200)).text).not.toContain('Members only');
+      await reader.get('/channels/unlisted').expect(404);
+      await reader.get('/channels/quiet-room/manage').expect(403);
+    });
+
+    it('lists letters on a database without the optional letter columns', async () => {
+      setup(initializeDatabase());
+      const channelId = addChannel('open-circle');
+      postLetter(channelId, 'Straight from init');
+      const reader = await signedInAgent(app, readerId);
+
+      expect((await reader.get('/channels/open-circle').expect(200)).text).toContain('Straight from init');
+    });
+
+    it('pages the channel feed by cursor', async () => {
+      setup(createMigratedDatabase());
+      const channelId = addChannel('open-circle');
+      const titles = Array.from({ length: 12 }, (_, i) => `Letter ${String(i + 1).padStart(2, '0')}`);
+      titles.forEach(title => postLetter(channelId, title));
+      const reader = await signedInAgent(app, readerId);
+      const shown = html => titles.filter(title => html.includes(title));
+
+      const first = (await reader.get('/channels/open-circle').expect(200)).text;
+      expect(shown(first)).toEqual(titles.slice(2));
+      const cursor = decodeURIComponent(first.match(/\?cursor=([^"]+)"/)[1]);
+
+      const second = (await reader.get('/channels/open-circle').query({ cursor }).expect(200)).text;
+      expect(shown(second)).toEqual(titles.slice(0, 2));
+      expect(second).not.toContain('?cursor=');
+
+      // Old ?page= links fall back to the newest letters; a mangled cursor is refused
+      expect(shown((await reader.get('/channels/open-circle?page=abc').expect(200)).text)).toEqual(titles.slice(2));
+      await reader.get('/channels/open-circle?cursor=nope').expect(400);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { initializeDatabase } = require('../src/db/init');
+const comments = require('../src/services/comments');
+
+describe('Comments', () => {
+  const now = new Date('2025-06-02T12:00:00.000Z');
+  const minutesLater = minutes => new Date(now.getTime() + minutes * 60 * 1000);
+  // Shown straight away unless a test is about steeping
+  const post = (userId, body, at = now, steepHours = 0) =>
+    comments.addComment(db, { letterId, userId, body, steepHours, now: at }).commentId;
+  let db;
+  let authorId;
+  let readerId;
+  let otherId;
+  let letterId;
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+    otherId = db.prepare("INSERT INTO users (handle, email) VALUES ('other', 'other@test.com')").run().lastInsertRowid;
+    letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'Letter', 'Body', '2025-06-01T00:00:00.000Z', 1)
+    `).run(authorId).lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('takes one comment per reader and says so on a second attempt', () => {
+    post(readerId, 'Lovely');
+
+    expect(() => comments.addComment(db, { letterId, userId: readerId, body: 'Again', now }))
+      .toThrow('you can still edit your comment');
+    expect(() => comments.addComment(db, { letterId, userId: readerId, body: 'Again', now: minutesLater(30) }))
+      .toThrow('each reader leaves one comment');
+    expect(() => comments.addComment(db, { letterId, userId: otherId, body: '   ', now }))
+      .toThrow(expect.objectContaining({ code: 'invalid' }));
+  });
+
+  it('refuses comments on letters that are still steeping', () => {
+    const steeping = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'Later', 'Body', '2025-06-03T00:00:00.000Z', 0)
+    `).run(authorId).lastInsertRowid;
+    expect(() => comments.addComment(db, { letterId: steeping, userId: readerId, body: 'Early', now }))
+      .toThrow(expect.objectContaining({ code: 'not_published' }));
+  });
+
+  it('lets the commenter edit within the window only', () => {
+    const commentId = post(readerId, 'Lovely');
+
+    expect(() => comments.editComment(db, { commentId, userId: otherId, body: 'Mine now', now }))
+      .toThrow(expect.objectContaining({ code: 'not_found' }));
+    comments.editComment(db, { commentId, userId: readerId, body: 'Lovely, truly', now: minutesLater(10) });
+    expect(() => comments.editComment(db, { commentId, userId: readerId, body: 'Too late', now: minutesLater(15) }))
+      .toThrow(expect.objectContaining({ code: 'edit_window_closed' }));
+
+    const [comment] = comments.listComments(db, letterId);
+    expect(comment).toMatchObject({ body: 'Lovely, truly', edited_at: minutesLater(10).toISOString(), reply: null });
+  });
+
+  it('lets the letter author reply once to each comment, threaded under it', () => {
+    const first = post(readerId, 'Lovely');
+    const second = post(otherId, 'Moving', minutesLater(1));
+
+    expect(() => comments.addReply(db, { commentId: first, userId: otherId, body: 'Not mine to answer', now }))
+      .toThrow(expect.objectContaining({ code: 'forbidden' }));
+    const { replyId } = comments.addReply(db, { commentId: first, userId: authorId, body: 'Thank you', now });
+    expect(() => comments.addReply(db, { commentId: first, userId: authorId, body: 'And again', now }))
+      .toThrow(expect.objectContaining({ code: 'duplicate_reply' }));
+
+    comments.editReply(db, { replyId, userId: authorId, body: 'Thank you kindly', now: minutesLater(5) });
+    expect(() => comments.editReply(db, { replyId, userId: authorId, body: 'Late', now: minutesLater(20) }))
+      .toThrow(expect.objectContaining({ code: 'edit_window_closed' }));
+
+    const listed = comments.listComments(db, letterId);
+    expect(listed.map(comment => comment.id)).toEqual([first, second]);
+    expect(listed[0].reply).toMatchObject({ id: replyId, body: 'Thank you kindly', handle: 'author' });
+    expect(listed[1].reply).toBeNull();
+  });
+
+  it('deletes a comment together with its reply', () => {
+    const commentId = post(readerId, 'Lovely');
+    const other = post(otherId, 'Moving');
+    comments.addReply(db, { commentId, userId: authorId, body: 'Thank you', now });
+    comments.addReply(db, { commentId: other, userId: authorId, body: 'Thanks too', now });
+
+    expect(comments.deleteComment(db, commentId)).toBe(true);
+    expect(comments.deleteComment(db, commentId)).toBe(false);
+    expect(db.prepare('SELECT comment_id FROM comment_replies').all()).toEqual([{ comment_id: other }]);
+  });
+
+  it('does not let authors reply to their own comment', () => {
+    const commentId = post(authorId, 'A note from me');
+    expect(() => comments.addReply(db, { commentId, userId: authorId, body: 'Hello me', now }))
+      .toThrow('own comment');
+  });
+
+  describe('steeping', () => {
+    it('shows a steeping comment only to its commenter and keeps it editable', () => {
+      const result = comments.addComment(db, { letterId, userId: readerId, body: 'Lovely', steepHours: 12, now });
+      expect(result).toMatchObject({ published: false, publishAt: '2025-06-03T00:00:00.000Z' });
+
+      expect(comments.listComments(db, letterId)).toEqual([]);
+      expect(comments.listComments(db, letterId, { viewerId: authorId })).toEqual([]);
+      expect(comments.listComments(db, letterId, { viewerId: readerId })).toHaveLength(1);
+
+      comments.editComment(db, { commentId: result.commentId, userId: readerId, body: 'Lovely, on reflection', now: minutesLater(120) });
+      expect(() => comments.addReply(db, { commentId: result.commentId, userId: authorId, body: 'Thanks', now }))
+        .toThrow(expect.objectContaining({ code: 'not_found' }));
+      expect(db.prepare('SELECT COUNT(*) AS count FROM notifications').get().count).toBe(0);
+    });
+
+    it('publishes due comments and notifies the letter author', () => {
+      const { commentId } = comments.addComment(db, { letterId, userId: readerId, body: 'Lovely', steepHours: 12, now });
+      const early = comments.addComment(db, { letterId, userId: otherId, body: 'Moving', steepHours: 12, now });
+
+      expect(comments.publishDueComments(db, { now: minutesLater(60) })).toEqual([]);
+      expect(comments.publishNow(db, early.commentId, minutesLater(60))).toMatchObject({ id: early.commentId });
+      expect(comments.publishNow(db, early.commentId, minutesLater(61))).toBeNull();
+      expect(comments.listPending(db).map(comment => comment.id)).toEqual([commentId]);
+
+      expect(comments.publishDueComments(db, { now: minutesLater(12 * 60) }).map(comment => comment.id)).toEqual([commentId]);
+      expect(comments.listComments(db, letterId)).toHaveLength(2);
+      expect(db.prepare("SELECT actor_id FROM notifications WHERE user_id = ? AND type = 'comment' ORDER BY id").all(authorId))
+        .toEqual([{ actor_id: otherId }, { actor_id: readerId }]);
+
+      // Out of the steep, the usual edit window applies
+      expect(() => comments.editComment(db, { commentId, userId: readerId, body: 'Too late', now: minutesLater(12 * 60) }))
+        .toThrow(expect.objectContaining({ code: 'edit_window_closed' }));
+    });
+
+    it('reads the steep from COMMENT_STEEP_HOURS', () => {
+      expect(comments.steepHoursFromEnv({})).toBe(12);
+      expect(comments.steepHoursFromEnv({ COMMENT_STEEP_HOURS: '0' })).toBe(0);
+      expect(comments.steepHoursFromEnv({ COMMENT_STEEP_HOURS: '1.5' })).toBe(1.5);
+      expect(() => comments.steepHoursFromEnv({ COMMENT_STEEP_HOURS: 'soon' })).toThrow('COMMENT_STEEP_HOURS');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { initializeDatabase } = require('../src/db/init');
+const digest = require('../src/services/digest');
+
+describe('Daily digest', () => {
+  let db;
+  let authorId;
+  let readerId;
+  let openTagId;
+  let privateTagId;
+
+  function addTag(name, { universal }) {
+    const tagId = db.prepare('INSERT INTO tags (name, slug, created_by) VALUES (?, ?, ?)')
+      .run(name, name.toLowerCase(), authorId).lastInsertRowid;
+    if (universal) {
+      db.prepare("INSERT INTO tag_permissions (tag_id, user_id, permission_type, granted_by) VALUES (?, NULL, 'use', ?)").run(tagId, authorId);
+    }
+    return tagId;
+  }
+
+  function addLetter(title, tagId, publishAt, authored = authorId) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, ?, 'A slow letter.', ?, 1)
+    `).run(authored, title, publishAt).lastInsertRowid;
+    db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(letterId, tagId, authored);
+    return letterId;
+  }
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+    openTagId = addTag('Gardens', { universal: true });
+    privateTagId = addTag('Secrets', { universal: false });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('follows and unfollows mosaics', () => {
+    expect(digest.followTag(db, readerId, openTagId)).toBe(true);
+    expect(digest.followTag(db, readerId, openTagId)).toBe(false);
+    expect(digest.isFollowing(db, readerId, openTagId)).toBe(true);
+    expect(digest.getFollowedTags(db, readerId).map(tag => tag.name)).toEqual(['Gardens']);
+
+    expect(digest.unfollowTag(db, readerId, openTagId)).toBe(true);
+    expect(digest.isFollowing(db, readerId, openTagId)).toBe(false);
+    expect(digest.isFollowing(db, null, openTagId)).toBe(false);
+  });
+
+  it('collects letters that finished steeping in the window and are visible to the reader', () => {
+    digest.followTag(db, readerId, openTagId);
+    digest.followTag(db, readerId, privateTagId);
+
+    const inWindow = addLetter('Tomatoes', openTagId, '2025-01-01T12:00:00.000Z');
+    addLetter('Too early', openTagId, '2024-12-30T12:00:00.000Z');
+    addLetter('Still steeping', openTagId, '2025-01-03T12:00:00.000Z');
+    addLetter('Hidden', privateTagId, '2025-01-01T12:00:00.000Z');
+    addLetter('My own', openTagId, '2025-01-01T13:00:00.000Z', readerId);
+
+    const letters = digest.collectLetters(db, {
+      userId: readerId,
+      since: '2025-01-01T00:00:00.000Z',
+      until: '2025-01-02T00:00:00.000Z'
+    });
+
+    expect(letters.map(letter => letter.id)).toEqual([inWindow]);
+    expect(letters[0]).toMatchObject({ handle: 'author', mosaics: ['Gardens'], excerpt: 'A slow letter.' });
+  });
+
+  it('skips empty digests and starts each period where the last one ended', async () => {
+    digest.followTag(db, readerId, openTagId);
+    addLetter('Tomatoes', openTagId, '2025-01-01T12:00:00.000Z');
+
+    expect(await digest.buildDailyDigests(db, { now: new Date('2025-01-01T08:00:00.000Z') })).toEqual({ digests: 0, emailed: 0 });
+
+    expect(await digest.buildDailyDigests(db, { now: new Date('2025-01-02T08:00:00.000Z') })).toEqual({ digests: 1, emailed: 0 });
+    const [first] = digest.getRecentDigests(db, readerId);
+    expect(first.letterCount).toBe(1);
+    expect(first.period_start).toBe('2025-01-01T08:00:00.000Z');
+
+    const later = addLetter('Late beans', openTagId, '2025-01-02T10:00:00.000Z');
+    await digest.buildDailyDigests(db, { now: new Date('2025-01-03T08:00:00.000Z') });
+    const [second] = digest.getRecentDigests(db, readerId);
+    expect(second.period_start).toBe('2025-01-02T08:00:00.000Z');
+    expect(digest.getDigest(db, { userId: readerId, digestId: second.id }).letters.map(letter => letter.id)).toEqual([later]);
+
+    // Digests belong to their reader
+    expect(digest.getDigest(db, { userId: authorId, digestId: second.id })).toBeNull();
+  });
+
+  it('emails only readers who opted in', async () => {
+    const otherId = db.prepare("INSERT INTO users (handle, email) VALUES ('other', 'other@test.com')").run().lastInsertRowid;
+    digest.followTag(db, readerId, openTagId);
+    digest.followTag(db, otherId, openTagId);
+    addLetter('Tomatoes', openTagId, '2025-01-01T12:00:00.000Z');
+
+    const mailer = { enqueue: jest.fn().mockResolvedValue(1) };
+    const summary = await digest.buildDailyDigests(db, {
+      now: new Date('2025-01-02T08:00:00.000Z'),
+      mailer,
+      wantsEmail: userId => userId === readerId
+    });
+
+    expect(summary).toEqual({ digests: 2, emailed: 1 });
+    expect(mailer.enqueue).toHaveBeenCalledTimes(1);
+    expect(mailer.enqueue.mock.calls[0][0]).toMatchObject({ to: 'reader@test.com', template: 'digest' });
+    expect(digest.getRecentDigests(db, readerId)[0].emailed_at).toBe('2025-01-02T08:00:00.000Z');
+    expect(digest.getRecentDigests(db, otherId)[0].emailed_at).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+const { createMigratedDatabase } = require('./helpers/schema');
+const { JobScheduler } = require('../src/services/scheduler');
+const { registerCoreJobs } = require('../src/services/jobs');
+const drafts = require('../src/services/drafts');
+const scheduling = require('../src/services/scheduling');
+
+describe('Drafts', () => {
+  const now = new Date('2025-06-01T12:00:00.000Z');
+  let db;
+  let authorId;
+  let otherId;
+
+  function addLetter({ title, publishAt, isPublished = 0, isDraft = 0, createdAt = '2025-06-01T09:00:00.000Z' }) {
+    return db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, created_at, is_published, is_draft) VALUES (?, ?, 'Body', ?, ?, ?, ?)
+    `).run(authorId, title, publishAt, createdAt, isPublished, isDraft).lastInsertRowid;
+  }
+
+  function letter(id) {
+    return db.prepare('SELECT title, body, is_draft, is_published, publish_at FROM letters WHERE id = ?').get(id);
+  }
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    otherId = db.prepare("INSERT INTO users (handle, email) VALUES ('other', 'other@test.com')").run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('converts letters parked in the future into drafts', () => {
+    const parked = addLetter({ title: 'Parked', publishAt: '2025-06-02T09:00:00.000Z' });
+    const steeping = addLetter({ title: 'Steeping', publishAt: '2025-06-01T21:00:00.000Z' });
+    const published = addLetter({ title: 'Published', publishAt: '2025-06-01T10:00:00.000Z', isPublished: 1 });
+    const leaked = addLetter({ title: 'Autosave', publishAt: '0', isPublished: 1, isDraft: 1 });
+
+    expect(drafts.convertLegacyDrafts(db, now)).toEqual({ converted: 1, unpublished: 1 });
+
+    expect(letter(parked)).toMatchObject({ is_draft: 1, is_published: 0 });
+    expect(letter(steeping)).toMatchObject({ is_draft: 0, is_published: 0 });
+    expect(letter(published)).toMatchObject({ is_draft: 0, is_published: 1 });
+    expect(letter(leaked)).toMatchObject({ is_draft: 1, is_published: 0 });
+    expect(drafts.listDrafts(db, authorId).map(draft => draft.title).sort()).toEqual(['Autosave', 'Parked']);
+    expect(drafts.convertLegacyDrafts(db, now)).toEqual({ converted: 0, unpublished: 0 });
+  });
+
+  it('leaves letters scheduled by their author alone when converting', () => {
+    const publishAt = scheduling.choosePublishAt({ localTime: '2025-06-04T08:00', timeZone: 'UTC', now });
+    const scheduled = addLetter({ title: 'Sunday morning', publishAt, createdAt: now.toISOString() });
+
+    expect(drafts.convertLegacyDrafts(db, now)).toEqual({ converted: 0, unpublished: 0 });
+    expect(letter(scheduled)).toMatchObject({ is_draft: 0, is_published: 0, publish_at: '2025-06-04T08:00:00.000Z' });
+  });
+
+  it('saves, updates and publishes a draft', () => {
+    const draftId = drafts.createDraft(db, { userId: authorId, title: 'Idea', body: 'Half a thought', now });
+    expect(drafts.updateDraft(db, { draftId, userId: otherId, title: 'Mine', body: 'Now' })).toBe(false);
+    expect(drafts.updateDraft(db, { draftId, userId: authorId, title: 'Idea', body: 'A whole thought' })).toBe(true);
+    expect(drafts.publishDraft(db, { draftId, userId: otherId, now })).toBeNull();
+
+    expect(drafts.publishDraft(db, { draftId, userId: authorId, now })).toBe('2025-06-02T00:00:00.000Z');
+    expect(letter(draftId)).toEqual({
+      title: 'Idea', body: 'A whole thought', is_draft: 0, is_published: 0, publish_at: '2025-06-02T00:00:00.000Z'
+    });
+    expect(drafts.getDraft(db, authorId, draftId)).toBeUndefined();
+  });
+
+  it('refuses autosaves based on a stale copy and hands back the server copy', () => {
+    const { draft } = drafts.autosaveDraft(db, { userId: authorId, title: 'Idea', body: 'First', now });
+    const base = draft.last_saved_at;
+
+    const laptop = drafts.autosaveDraft(db, { userId: authorId, draftId: draft.id, baseSavedAt: base, title: 'Idea', body: 'From the laptop', now });
+    expect(laptop.saved).toBe(true);
+    expect(laptop.draft.last_saved_at > base).toBe(true);
+
+    const phone = drafts.autosaveDraft(db, { userId: authorId, draftId: draft.id, baseSavedAt: base, title: 'Idea', body: 'From the phone', now });
+    expect(phone).toMatchObject({ saved: false, draft: { body: 'From the laptop' } });
+
+    const keepPhone = drafts.autosaveDraft(db, {
+      userId: authorId, draftId: draft.id, baseSavedAt: phone.draft.last_saved_at, title: 'Idea', body: 'From the phone', overwrite: true, now
+    });
+    expect(keepPhone).toMatchObject({ saved: true, draft: { body: 'From the phone' } });
+    // The copy it replaced is kept even though the last snapshot is seconds old
+    expect(drafts.listSnapshots(db, authorId, draft.id).map(snapshot => snapshot.body)).toEqual(['From the laptop', 'First']);
+    expect(drafts.listSnapshots(db, otherId, draft.id)).toBeNull();
+  });
+
+  it('reports a draft sent off from another tab instead of starting a new one', () => {
+    const { draft } = drafts.autosaveDraft(db, { userId: authorId, title: 'Idea', body: 'First', now });
+    drafts.publishDraft(db, { draftId: draft.id, userId: authorId, now });
+
+    const staleTab = { userId: authorId, draftId: draft.id, baseSavedAt: draft.last_saved_at, title: 'Idea', body: 'Still typing', now };
+    expect(drafts.autosaveDraft(db, staleTab)).toEqual({ saved: false, gone: true, letterId: draft.id });
+    expect(drafts.autosaveDraft(db, { ...staleTab, userId: otherId })).toEqual({ saved: false, gone: true, letterId: null });
+    expect(drafts.listDrafts(db, authorId)).toEqual([]);
+    expect(letter(draft.id).body).toBe('First');
+  });
+
+  it('keeps a small rolling history of autosaves', () => {
+    const { draft } = drafts.autosaveDraft(db, { userId: authorId, title: 'Idea', body: 'Version 0', now });
+    let savedAt = draft.last_saved_at;
+    for (let minute = 1; minute <= 60; minute++) {
+      const at = new Date(now.getTime() + minute * 60 * 1000);
+      savedAt = drafts.autosaveDraft(db, {
+        userId: authorId, draftId: draft.id, baseSavedAt: savedAt, title: 'Idea', body: `Version ${minute}`, now: at
+      }).draft.last_saved_at;
+    }
+
+    const bodies = drafts.listSnapshots(db, authorId, draft.id).map(snapshot => snapshot.body);
+    // One snapshot per five minutes of writing, capped at ten
+    expect(bodies).toHaveLength(10);
+    expect(bodies[0]).toBe('Version 55');
+  });
+
+  it('is never published by the background publisher', async () => {
+    const scheduler = new JobScheduler(db, { clock: () => new Date('2025-06-03T00:00:00.000Z'), logger: { log() {}, error() {} } });
+    registerCoreJobs(scheduler, db);
+    const draftId = drafts.createDraft(db, { userId: authorId, title: 'Idea', body: 'Body', now });
+
+    scheduler.schedule('publish_due_letters');
+    await scheduler.runDue();
+    expect(letter(draftId).is_published).toBe(0);
+  });
+});
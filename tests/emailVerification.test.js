@@ -0,0 +1,46 @@
+const request = require('supertest');
+const { createMigratedDatabase } = require('./helpers/schema');
+const { createWebApp, signedInAgent, submitForm: submit } = require('./helpers/webApp');
+
+describe('Email verification', () => {
+  let db;
+
+  const signup = { handle: 'ada', email: 'ada@test.com', password: 'correct horse' };
+  const userNamed = handle => db.prepare('SELECT id, email_verified_at FROM users WHERE handle = ?').get(handle);
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('asks new local accounts to confirm their email when links can be sent', async () => {
+    const mailer = { baseUrl: 'https://slocial.org', enqueue: jest.fn().mockResolvedValue(1) };
+    const app = createWebApp(db, { mailer });
+
+    const res = await submit(request.agent(app), '/signup', signup).expect(302);
+    expect(res.headers.location).toBe('/verify-email');
+    expect(mailer.enqueue).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@test.com', template: 'verify-email' }));
+
+    const ada = await signedInAgent(app, userNamed('ada').id);
+    const compose = await ada.get('/compose').expect(302);
+    expect(compose.headers.location).toBe('/verify-email');
+  });
+
+  it('lets everyone write when there is no mailer or no APP_URL to link back to', async () => {
+    const unconfigured = { baseUrl: null, enqueue: jest.fn() };
+    db.prepare("INSERT INTO users (handle, email) VALUES ('grace', 'grace@test.com')").run();
+
+    for (const app of [createWebApp(db), createWebApp(db, { mailer: unconfigured })]) {
+      const grace = await signedInAgent(app, userNamed('grace').id);
+      await grace.get('/compose').expect(200);
+    }
+
+    const res = await submit(request.agent(createWebApp(db, { mailer: unconfigured })), '/signup', signup).expect(302);
+    expect(res.headers.location).toBe('/');
+    expect(unconfigured.enqueue).not.toHaveBeenCalled();
+    expect(userNamed('ada').email_verified_at).toBeNull();
+  });
+});
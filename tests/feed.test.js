@@ -0,0 +1,105 @@
+const { createMigratedDatabase } = require('./helpers/schema');
+const { detectOptionalColumns } = require('../src/db/schema');
+const { createFeed } = require('../src/services/feed');
+const { decodeFeedCursor } = require('../src/services/feedCursor');
+
+describe('Letter feed', () => {
+  const now = '2025-06-01T00:00:00.000Z';
+  let db;
+  let feed;
+  let authorId;
+  let readerId;
+  let publicTagId;
+  let openTagId;
+  let privateTagId;
+
+  function addTag(name, { universal }) {
+    const tagId = db.prepare('INSERT INTO tags (name, slug, created_by) VALUES (?, ?, ?)')
+      .run(name, name.toLowerCase(), authorId).lastInsertRowid;
+    if (universal) {
+      db.prepare("INSERT INTO tag_permissions (tag_id, user_id, permission_type, granted_by) VALUES (?, NULL, 'use', ?)").run(tagId, authorId);
+    }
+    return tagId;
+  }
+
+  function addLetter(title, tagIds, publishAt = '2025-05-01T00:00:00.000Z', extra = {}) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published, is_draft, approval_status)
+      VALUES (?, ?, 'Body', ?, 1, ?, ?)
+    `).run(authorId, title, publishAt, extra.isDraft ? 1 : 0, extra.approvalStatus || 'approved').lastInsertRowid;
+    for (const tagId of tagIds) {
+      db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(letterId, tagId, authorId);
+    }
+    return letterId;
+  }
+
+  const titles = page => page.letters.map(letter => letter.title);
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+    feed = createFeed(db, detectOptionalColumns(db));
+
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+    publicTagId = addTag('Public', { universal: true });
+    openTagId = addTag('Gardens', { universal: true });
+    privateTagId = addTag('Secrets', { universal: false });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('detects the optional columns server.js adds', () => {
+    expect(detectOptionalColumns(db)).toMatchObject({ hasDraftColumn: true, hasApprovalColumn: true });
+  });
+
+  it('leaves out drafts, steeping, pending and rejected letters on every page', () => {
+    addLetter('Published', [openTagId]);
+    addLetter('Draft', [openTagId], undefined, { isDraft: true });
+    addLetter('Steeping', [openTagId], '2025-06-02T00:00:00.000Z');
+    addLetter('Pending', [openTagId], undefined, { approvalStatus: 'pending' });
+    addLetter('Rejected', [openTagId], undefined, { approvalStatus: 'rejected' });
+
+    expect(titles(feed.listLetters({ userId: readerId, now }))).toEqual(['Published']);
+    expect(titles(feed.listLetters({ userId: readerId, now, cursor: decodeFeedCursor(undefined) }))).toEqual(['Published']);
+    expect(titles(feed.listLetters({ userId: readerId, now, mosaicId: openTagId }))).toEqual(['Published']);
+    expect(feed.countMosaicLetters({ userId: readerId, now, mosaicId: openTagId })).toEqual({ totalCount: 1, unreadCount: 1 });
+  });
+
+  it('shows readers only letters they can see through their tags', () => {
+    addLetter('Everyone', [publicTagId]);
+    addLetter('Members', [openTagId]);
+    addLetter('Hidden', [privateTagId]);
+
+    expect(titles(feed.listLetters({ userId: null, now }))).toEqual(['Everyone']);
+    expect(titles(feed.listLetters({ userId: readerId, now })).sort()).toEqual(['Everyone', 'Members']);
+    expect(titles(feed.listLetters({ userId: authorId, now }))).toHaveLength(3);
+  });
+
+  it('filters by tag and sort and batch-loads both onto each letter', () => {
+    const sortId = db.prepare("INSERT INTO sorts (name, slug) VALUES ('Essay', 'essay')").run().lastInsertRowid;
+    const essay = addLetter('Essay', [openTagId, publicTagId], '2025-05-02T00:00:00.000Z');
+    db.prepare('INSERT INTO letter_sorts (letter_id, sort_id, added_by) VALUES (?, ?, ?)').run(essay, sortId, authorId);
+    addLetter('Note', [publicTagId]);
+
+    const page = feed.listLetters({ userId: readerId, now, sortId });
+    expect(titles(page)).toEqual(['Essay']);
+    expect(page.letters[0].tags.map(tag => tag.name)).toEqual(['Gardens', 'Public']);
+    expect(page.letters[0].sorts.map(sort => sort.slug)).toEqual(['essay']);
+
+    const tagged = feed.listLetters({ userId: readerId, now, tagId: publicTagId });
+    expect(titles(tagged)).toEqual(['Essay', 'Note']);
+    expect(tagged.letters[1].sorts).toEqual([]);
+  });
+
+  it('counts unread letters in a mosaic for the reader', () => {
+    const read = addLetter('Read', [openTagId]);
+    addLetter('Later', [openTagId]);
+    addLetter('Unread', [openTagId]);
+    db.prepare("INSERT INTO reading_status (user_id, letter_id, status) VALUES (?, ?, 'read')").run(readerId, read);
+
+    expect(feed.countMosaicLetters({ userId: readerId, now, mosaicId: openTagId })).toEqual({ totalCount: 3, unreadCount: 2 });
+    expect(feed.countMosaicLetters({ userId: null, now, mosaicId: openTagId })).toEqual({ totalCount: 3, unreadCount: 0 });
+  });
+});
@@ -0,0 +1,76 @@
+const { initializeDatabase } = require('../src/db/init');
+const {
+  FEED_ORDER,
+  AFTER_CURSOR_CONDITION,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  takeFeedPage
+} = require('../src/services/feedCursor');
+
+describe('Feed cursors', () => {
+  let db;
+  let authorId;
+
+  function addLetter(title, publishAt) {
+    return db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, ?, 'Body', ?, 1)
+    `).run(authorId, title, publishAt).lastInsertRowid;
+  }
+
+  function feedPage(cursor, pageSize = 2) {
+    const rows = db.prepare(`
+      SELECT l.* FROM letters l
+      WHERE l.is_published = 1 AND l.publish_at <= @now
+        AND ${AFTER_CURSOR_CONDITION}
+      ORDER BY ${FEED_ORDER}
+      LIMIT @limit
+    `).all({ now: '2025-06-01T00:00:00.000Z', limit: pageSize + 1, ...decodeFeedCursor(cursor) });
+    return takeFeedPage(rows, pageSize);
+  }
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('pages newest first and breaks publish_at ties by id', () => {
+    addLetter('Oldest', '2025-01-01T00:00:00.000Z');
+    addLetter('Twin A', '2025-02-01T00:00:00.000Z');
+    addLetter('Twin B', '2025-02-01T00:00:00.000Z');
+    addLetter('Newest', '2025-03-01T00:00:00.000Z');
+
+    let page = feedPage(null);
+    expect(page.letters.map(letter => letter.title)).toEqual(['Newest', 'Twin B']);
+    expect(page.hasMore).toBe(true);
+
+    page = feedPage(page.nextCursor);
+    expect(page.letters.map(letter => letter.title)).toEqual(['Twin A', 'Oldest']);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('neither repeats nor skips letters when a new one steeps in mid-scroll', () => {
+    addLetter('One', '2025-01-01T00:00:00.000Z');
+    addLetter('Two', '2025-01-02T00:00:00.000Z');
+    addLetter('Three', '2025-01-03T00:00:00.000Z');
+
+    const first = feedPage(null);
+    addLetter('Fresh', '2025-05-01T00:00:00.000Z');
+    const second = feedPage(first.nextCursor);
+
+    expect([...first.letters, ...second.letters].map(letter => letter.title)).toEqual(['Three', 'Two', 'One']);
+  });
+
+  it('treats a missing cursor as the first page and rejects malformed ones', () => {
+    expect(decodeFeedCursor(undefined)).toEqual({ cursorAt: null, cursorId: null });
+    expect(decodeFeedCursor('')).toEqual({ cursorAt: null, cursorId: null });
+    expect(decodeFeedCursor('not-a-cursor')).toBeNull();
+    expect(decodeFeedCursor(Buffer.from('[1, 2, 3]').toString('base64url'))).toBeNull();
+
+    const cursor = encodeFeedCursor({ publish_at: '2025-01-01T00:00:00.000Z', id: 7 });
+    expect(decodeFeedCursor(cursor)).toEqual({ cursorAt: '2025-01-01T00:00:00.000Z', cursorId: 7 });
+  });
+});
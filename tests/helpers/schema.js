@@ -0,0 +1,14 @@
+const { initializeDatabase } = require('../../src/db/init');
+const { migrateOptionalColumns } = require('../../src/db/schema');
+
+// A fresh database with the optional letters and users columns that server.js
+// adds at startup, for service tests that need drafts, approval or formats
+function createMigratedDatabase() {
+  const db = initializeDatabase();
+  migrateOptionalColumns(db);
+  return db;
+}
+
+module.exports = {
+  createMigratedDatabase,
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+const ejsLayouts = require('express-ejs-layouts');
+const request = require('supertest');
+const { buildRouter } = require('../../src/routes');
+
+// The web router mounted the way server.js mounts it, minus csurf and
+// passport. GET /test/login/:id signs in as that user for the agent.
+function createWebApp(db, options = {}) {
+  const app = express();
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '../../src/views'));
+  app.use(ejsLayouts);
+  app.set('layout', 'layout');
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+  app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: false }));
+
+  app.get('/test/login/:id', (req, res) => {
+    req.session.user = db.prepare('SELECT * FROM users WHERE id = ?').get(Number(req.params.id));
+    res.send('ok');
+  });
+
+  app.use((req, res, next) => {
+    req.csrfToken = () => 'test-csrf-token';
+    res.locals.csrfToken = 'test-csrf-token';
+    res.locals.user = req.session.user || null;
+    res.locals.theme = 'light';
+    res.locals.autoLink = text => text;
+    res.locals.unreadNotifications = 0;
+    next();
+  });
+
+  app.use(buildRouter(db, options));
+  return app;
+}
+
+// A supertest agent that keeps the session cookie of the given user
+async function signedInAgent(app, userId) {
+  const agent = request.agent(app);
+  await agent.get(`/test/login/${userId}`).expect(200);
+  return agent;
+}
+
+// Pages post forms with their csrf field, so the body is never empty
+function submitForm(agent, url, form = {}) {
+  return agent.post(url).type('form').send({ _csrf: 'test-csrf-token', ...form });
+}
+
+module.exports = {
+  createWebApp,
+  signedInAgent,
+  submitForm,
+};
@@ -0,0 +1,125 @@
+const { createMigratedDatabase } = require('./helpers/schema');
+const { JobScheduler } = require('../src/services/scheduler');
+const { registerCoreJobs, schedulePublish } = require('../src/services/jobs');
+const letterLifecycle = require('../src/services/letterLifecycle');
+
+describe('Withdrawing and deleting letters', () => {
+  let db;
+  let scheduler;
+  let clock;
+  let authorId;
+  let readerId;
+  let adminId;
+  let tagId;
+  let sortId;
+
+  function addLetter({ publishAt, isPublished }) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'Letter', 'Body', ?, ?)
+    `).run(authorId, publishAt, isPublished).lastInsertRowid;
+    schedulePublish(scheduler, letterId, publishAt);
+    return letterId;
+  }
+
+  // Everything readers, mosaics and sorts can attach to a letter
+  function attachEverything(letterId) {
+    db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(letterId, tagId, authorId);
+    db.prepare('INSERT INTO letter_sorts (letter_id, sort_id, added_by) VALUES (?, ?, ?)').run(letterId, sortId, authorId);
+    const commentId = db.prepare("INSERT INTO comments (letter_id, author_id, body) VALUES (?, ?, 'Lovely')").run(letterId, readerId).lastInsertRowid;
+    db.prepare("INSERT INTO comment_replies (comment_id, author_id, body) VALUES (?, ?, 'Thanks')").run(commentId, authorId);
+    db.prepare('INSERT INTO resonates (letter_id, user_id) VALUES (?, ?)').run(letterId, readerId);
+    db.prepare("INSERT INTO reading_status (user_id, letter_id, status) VALUES (?, ?, 'later')").run(readerId, letterId);
+    db.prepare("INSERT INTO reading_log (user_id, letter_id, action) VALUES (?, ?, 'read')").run(readerId, letterId);
+    db.prepare("INSERT INTO events (event_type, user_id, letter_id) VALUES ('letter_read_start', ?, ?)").run(readerId, letterId);
+  }
+
+  function rowsFor(letterId) {
+    const count = (table) => db.prepare(`SELECT COUNT(1) AS count FROM ${table} WHERE letter_id = ?`).get(letterId).count;
+    return ['letter_tags', 'letter_sorts', 'comments', 'resonates', 'reading_status', 'reading_log', 'events']
+      .reduce((counts, table) => ({ ...counts, [table]: count(table) }), {});
+  }
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+    // Added by the reading log migration
+    db.exec(`
+      CREATE TABLE reading_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        letter_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
+    clock = new Date('2025-06-01T12:00:00.000Z');
+    scheduler = new JobScheduler(db, { clock: () => clock, logger: { log() {}, error() {} } });
+    registerCoreJobs(scheduler, db);
+
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+    adminId = db.prepare("INSERT INTO users (handle, email, is_admin) VALUES ('admin', 'admin@test.com', 1)").run().lastInsertRowid;
+    tagId = db.prepare("INSERT INTO tags (name, slug, created_by) VALUES ('Gardens', 'gardens', ?)").run(adminId).lastInsertRowid;
+    sortId = db.prepare("INSERT INTO sorts (name, slug, created_by) VALUES ('Essays', 'essays', ?)").run(adminId).lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('withdraws a steeping letter to drafts and keeps it from being published', async () => {
+    const letterId = addLetter({ publishAt: '2025-06-01T20:00:00.000Z', isPublished: 0 });
+    const now = new Date('2025-06-01T12:00:00.000Z');
+
+    expect(letterLifecycle.withdrawLetter(db, { letterId, userId: readerId, scheduler, now })).toBeNull();
+    letterLifecycle.withdrawLetter(db, { letterId, userId: authorId, scheduler, now });
+
+    expect(db.prepare('SELECT is_draft, is_published FROM letters WHERE id = ?').get(letterId)).toEqual({ is_draft: 1, is_published: 0 });
+    expect(db.prepare('SELECT COUNT(1) AS count FROM jobs WHERE unique_key = ?').get(`publish_letter:${letterId}`).count).toBe(0);
+
+    clock = new Date('2025-06-02T00:00:00.000Z');
+    scheduler.schedule('publish_due_letters');
+    await scheduler.runDue();
+    expect(db.prepare('SELECT is_published FROM letters WHERE id = ?').get(letterId).is_published).toBe(0);
+  });
+
+  it('only withdraws letters that are still steeping', () => {
+    const letterId = addLetter({ publishAt: '2025-06-01T10:00:00.000Z', isPublished: 1 });
+    expect(() => letterLifecycle.withdrawLetter(db, { letterId, userId: authorId, now: new Date('2025-06-01T12:00:00.000Z') }))
+      .toThrow('still steeping');
+  });
+
+  it('deletes a published letter with everything attached and leaves a tombstone', () => {
+    const letterId = addLetter({ publishAt: '2025-06-01T10:00:00.000Z', isPublished: 1 });
+    attachEverything(letterId);
+
+    expect(letterLifecycle.deleteLetter(db, { letterId, deletedBy: authorId, scheduler })).toEqual({ tombstoned: true });
+
+    expect(db.prepare('SELECT id FROM letters WHERE id = ?').get(letterId)).toBeUndefined();
+    expect(rowsFor(letterId)).toEqual({
+      letter_tags: 0, letter_sorts: 0, comments: 0, resonates: 0, reading_status: 0, reading_log: 0, events: 0
+    });
+    expect(db.prepare('SELECT COUNT(1) AS count FROM comment_replies').get().count).toBe(0);
+    expect(db.prepare('SELECT COUNT(1) AS count FROM events WHERE letter_id IS NULL').get().count).toBe(1);
+    expect(letterLifecycle.getTombstone(db, letterId)).toMatchObject({
+      author_id: authorId, author_handle: 'author', deleted_by: authorId, published_at: '2025-06-01T10:00:00.000Z'
+    });
+  });
+
+  it('deletes unpublished letters without a tombstone', () => {
+    const letterId = addLetter({ publishAt: '2025-06-01T20:00:00.000Z', isPublished: 0 });
+    expect(letterLifecycle.deleteLetter(db, { letterId, deletedBy: adminId, scheduler })).toEqual({ tombstoned: false });
+    expect(letterLifecycle.getTombstone(db, letterId)).toBeUndefined();
+    expect(db.prepare('SELECT COUNT(1) AS count FROM jobs WHERE unique_key = ?').get(`publish_letter:${letterId}`).count).toBe(0);
+  });
+
+  it('lets admins unpublish into the author\'s drafts', () => {
+    const letterId = addLetter({ publishAt: '2025-06-01T10:00:00.000Z', isPublished: 1 });
+    attachEverything(letterId);
+
+    letterLifecycle.unpublishLetter(db, { letterId, scheduler });
+
+    expect(db.prepare('SELECT is_draft, is_published FROM letters WHERE id = ?').get(letterId)).toEqual({ is_draft: 1, is_published: 0 });
+    expect(rowsFor(letterId)).toMatchObject({ reading_status: 0, comments: 1, resonates: 1, letter_tags: 1 });
+  });
+});
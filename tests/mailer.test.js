@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeDatabase } = require('../src/db/init');
+const { Mailer, createFileTransport, createTransport } = require('../src/services/mailer');
+const tokens = require('../src/services/tokens');
+
+describe('Mailer', () => {
+  let db;
+  let now;
+  let mailDir;
+
+  const advance = (ms) => { now = new Date(now.getTime() + ms); };
+  const verifyMessage = {
+    to: 'ada@test.com',
+    subject: 'Confirm your email for slocial.org',
+    template: 'verify-email',
+    locals: { handle: 'ada', verifyPath: '/verify-email/abc?x=1&y=2', expiresInHours: 48 }
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    now = new Date('2025-01-01T00:00:00.000Z');
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slocial-mail-'));
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  it('renders HTML and text versions of a template', async () => {
+    const mailer = new Mailer(db, { transport: { send: jest.fn() }, baseUrl: 'https://slocial.org/' });
+    const { html, text } = await mailer.render('verify-email', { subject: 'Hi', ...verifyMessage.locals });
+
+    expect(html).toContain('<title>Hi</title>');
+    expect(html).toContain('href="https://slocial.org/verify-email/abc?x=1&amp;y=2"');
+    expect(text).toContain('https://slocial.org/verify-email/abc?x=1&y=2');
+    expect(text).not.toContain('<');
+  });
+
+  it('builds links from its own baseUrl and queues nothing without one', async () => {
+    const mailer = new Mailer(db, { transport: { send: jest.fn() }, baseUrl: 'https://slocial.org' });
+    const { text } = await mailer.render('verify-email', { subject: 'Hi', ...verifyMessage.locals, baseUrl: 'https://attacker.example' });
+    expect(text).toContain('https://slocial.org/verify-email/abc');
+    expect(text).not.toContain('attacker.example');
+
+    const unconfigured = new Mailer(db, { transport: { send: jest.fn() } });
+    await expect(unconfigured.enqueue(verifyMessage)).rejects.toThrow('Set APP_URL');
+    expect(db.prepare('SELECT COUNT(1) AS count FROM email_queue').get().count).toBe(0);
+  });
+
+  it('writes queued messages to disk with the file transport', async () => {
+    const mailer = new Mailer(db, { transport: createFileTransport({ dir: mailDir }), baseUrl: 'https://slocial.org', clock: () => now });
+    await mailer.enqueue(verifyMessage);
+
+    expect(await mailer.processQueue()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+
+    const files = fs.readdirSync(mailDir);
+    expect(files).toHaveLength(1);
+    const eml = fs.readFileSync(path.join(mailDir, files[0]), 'utf8');
+    expect(eml).toContain('To: ada@test.com');
+    expect(eml).toContain('Subject: Confirm your email for slocial.org');
+
+    const row = db.prepare('SELECT status, attempts, message_id FROM email_queue').get();
+    expect(row.status).toBe('sent');
+    expect(row.attempts).toBe(1);
+    expect(row.message_id).toBeTruthy();
+  });
+
+  it('retries failed deliveries with backoff, then gives up', async () => {
+    const transport = { send: jest.fn().mockRejectedValue(new Error('connection refused')) };
+    const mailer = new Mailer(db, {
+      transport,
+      baseUrl: 'https://slocial.org',
+      clock: () => now,
+      maxAttempts: 2,
+      retryDelayMs: 1000,
+      logger: { error: jest.fn() }
+    });
+    await mailer.enqueue(verifyMessage);
+
+    expect(await mailer.processQueue()).toEqual({ sent: 0, retrying: 1, failed: 0 });
+    expect(db.prepare('SELECT send_after FROM email_queue').get().send_after).toBe('2025-01-01T00:00:01.000Z');
+
+    // Not due yet
+    expect((await mailer.processQueue()).retrying).toBe(0);
+
+    advance(1000);
+    expect(await mailer.processQueue()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    expect(db.prepare('SELECT status, last_error FROM email_queue').get())
+      .toEqual({ status: 'failed', last_error: 'connection refused' });
+    expect(transport.send).toHaveBeenCalledTimes(2);
+  });
+
+  it('picks SMTP only when a host is configured', () => {
+    expect(createTransport({ MAIL_DIR: mailDir }).name).toBe('file');
+    expect(createTransport({ SMTP_HOST: 'smtp.test' }).name).toBe('smtp');
+    expect(() => createTransport({ MAIL_TRANSPORT: 'smtp' })).toThrow('SMTP_HOST');
+  });
+});
+
+describe('User tokens', () => {
+  let db;
+  let userId;
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    userId = db.prepare("INSERT INTO users (handle, email) VALUES ('ada', 'ada@test.com')").run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('redeems a token once', () => {
+    const token = tokens.issueToken(db, { userId, purpose: 'verify_email', ttlMs: 60000 });
+
+    expect(db.prepare('SELECT token_hash FROM user_tokens').get().token_hash).not.toBe(token);
+    expect(tokens.consumeToken(db, { token, purpose: 'verify_email' })).toBe(userId);
+    expect(tokens.consumeToken(db, { token, purpose: 'verify_email' })).toBeNull();
+  });
+
+  it('rejects expired tokens, other purposes and superseded links', () => {
+    const issuedAt = new Date('2025-01-01T00:00:00.000Z');
+    const old = tokens.issueToken(db, { userId, purpose: 'verify_email', ttlMs: 60000, now: issuedAt });
+    const fresh = tokens.issueToken(db, { userId, purpose: 'verify_email', ttlMs: 60000, now: issuedAt });
+
+    expect(tokens.consumeToken(db, { token: old, purpose: 'verify_email', now: issuedAt })).toBeNull();
+    expect(tokens.consumeToken(db, { token: fresh, purpose: 'other', now: issuedAt })).toBeNull();
+    expect(tokens.consumeToken(db, { token: fresh, purpose: 'verify_email', now: new Date('2025-01-01T00:01:00.000Z') })).toBeNull();
+    expect(tokens.lastIssuedAt(db, { userId, purpose: 'verify_email' })).toEqual(issuedAt);
+  });
+});
@@ -6,6 +6,7 @@ const markedFunction = (text) => {
 };
 
 markedFunction.setOptions = () => {};
+markedFunction.parse = markedFunction;
 
 module.exports = {
   marked: markedFunction
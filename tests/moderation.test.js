@@ -0,0 +1,93 @@
+const { initializeDatabase } = require('../src/db/init');
+const moderation = require('../src/services/moderation');
+
+describe('Moderation', () => {
+  const now = new Date('2025-06-02T12:00:00.000Z');
+  let db;
+  let authorId;
+  let readerId;
+  let otherId;
+  let adminId;
+  let letterId;
+  let commentId;
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+    otherId = db.prepare("INSERT INTO users (handle, email) VALUES ('other', 'other@test.com')").run().lastInsertRowid;
+    adminId = db.prepare("INSERT INTO users (handle, email, is_admin) VALUES ('admin', 'admin@test.com', 1)").run().lastInsertRowid;
+    letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'Letter', 'Body', '2025-06-01T00:00:00.000Z', 1)
+    `).run(authorId).lastInsertRowid;
+    commentId = db.prepare("INSERT INTO comments (letter_id, author_id, body) VALUES (?, ?, 'Buy my stuff')").run(letterId, otherId).lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('files one report per reader and target', () => {
+    const report = (userId, targetType, targetId, reason = 'spam') =>
+      moderation.fileReport(db, { reporterId: userId, targetType, targetId, reason, details: '  Looks like an ad  ', now });
+
+    report(readerId, 'comment', commentId);
+    expect(() => report(readerId, 'comment', commentId)).toThrow('already reported this comment');
+    expect(() => report(otherId, 'comment', commentId)).toThrow("can't report your own comment");
+    expect(() => report(readerId, 'letter', letterId, 'boring')).toThrow('Pick a reason');
+    expect(() => report(readerId, 'letter', 999)).toThrow('no longer exists');
+    report(authorId, 'comment', commentId);
+
+    const [latest, first] = moderation.listReports(db);
+    expect(first).toMatchObject({
+      target_type: 'comment', letter_id: letterId, details: 'Looks like an ad', reasonLabel: 'Spam or advertising',
+      reporter_handle: 'reader', target_author_handle: 'other', comment_body: 'Buy my stuff', target_exists: 1, report_count: 2
+    });
+    expect(latest.reporter_handle).toBe('author');
+    expect(moderation.countReports(db)).toEqual({ open: 2, reviewing: 0, actioned: 0, dismissed: 0 });
+  });
+
+  it('moves reports through triage and logs each step', () => {
+    const reportId = moderation.fileReport(db, { reporterId: readerId, targetType: 'letter', targetId: letterId, reason: 'harmful', now });
+
+    moderation.triageReport(db, { reportId, status: 'reviewing', adminId, now });
+    expect(moderation.listReports(db, { status: 'reviewing' })[0]).toMatchObject({ id: reportId, resolved_by: null });
+    moderation.triageReport(db, { reportId, status: 'dismissed', adminId, note: 'Fine as written', now });
+    expect(moderation.listReports(db, { status: 'dismissed' })[0])
+      .toMatchObject({ resolved_by_handle: 'admin', resolution_note: 'Fine as written', resolved_at: now.toISOString() });
+
+    expect(() => moderation.triageReport(db, { reportId, status: 'ignored', adminId })).toThrow('Unknown report status');
+    expect(moderation.triageReport(db, { reportId: 999, status: 'open', adminId })).toBe(false);
+
+    const actions = moderation.listActions(db);
+    expect(actions.map(action => action.details)).toEqual([{ from: 'reviewing', to: 'dismissed' }, { from: 'open', to: 'reviewing' }]);
+    expect(actions[0]).toMatchObject({ label: 'Triaged report', admin_handle: 'admin', reason: 'Fine as written', report_id: reportId });
+  });
+
+  it('closes the reports on a letter and its comments once it is acted on', () => {
+    moderation.fileReport(db, { reporterId: readerId, targetType: 'letter', targetId: letterId, reason: 'harmful', now });
+    moderation.fileReport(db, { reporterId: readerId, targetType: 'comment', targetId: commentId, reason: 'spam', now });
+    const dismissed = moderation.fileReport(db, { reporterId: authorId, targetType: 'comment', targetId: commentId, reason: 'spam', now });
+    moderation.triageReport(db, { reportId: dismissed, status: 'dismissed', adminId, now });
+
+    expect(moderation.resolveReportsFor(db, { targetType: 'letter', targetId: letterId, adminId, note: 'Removed', now })).toBe(2);
+    expect(moderation.countReports(db)).toEqual({ open: 0, reviewing: 0, actioned: 2, dismissed: 1 });
+
+    // The queue still explains reports whose target is gone
+    db.prepare('DELETE FROM comments WHERE id = ?').run(commentId);
+    expect(moderation.listReports(db, { status: 'actioned' }).map(report => report.target_exists).sort()).toEqual([0, 1]);
+  });
+
+  it('records admin actions with who, what and why', () => {
+    moderation.recordAction(db, {
+      adminId, action: 'delete_letter', targetType: 'letter', targetId: letterId,
+      reason: 'Off the rails', details: { title: 'Letter' }, now
+    });
+    moderation.recordAction(db, { adminId, action: 'grant_admin', targetType: 'user', targetId: readerId, now });
+
+    expect(moderation.listActions(db, { targetType: 'letter' })).toEqual([
+      expect.objectContaining({ label: 'Deleted letter', admin_handle: 'admin', reason: 'Off the rails', details: { title: 'Letter' } })
+    ]);
+    expect(moderation.listActions(db, { targetType: 'user', targetId: readerId })[0]).toMatchObject({ label: 'Made admin', reason: null });
+  });
+});
@@ -0,0 +1,137 @@
+const { initializeDatabase } = require('../src/db/init');
+const { detectOptionalColumns } = require('../src/db/schema');
+const { createFeed } = require('../src/services/feed');
+const { canUserViewLetter } = require('../src/services/visibility');
+const revisions = require('../src/services/revisions');
+const mosaicModeration = require('../src/services/mosaicModeration');
+const letterLifecycle = require('../src/services/letterLifecycle');
+
+describe('Mosaic moderation', () => {
+  const now = new Date('2025-06-02T12:00:00.000Z');
+  let db;
+  let ownerId;
+  let coOwnerId;
+  let writerId;
+  let readerId;
+  let tagId;
+
+  function write(title, { authorId = writerId, publishAt = '2025-06-01T00:00:00.000Z', published = 1 } = {}) {
+    return db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, ?, 'Body', ?, ?)
+    `).run(authorId, title, publishAt, published).lastInsertRowid;
+  }
+
+  const inMosaic = letterId => !!db.prepare('SELECT 1 FROM letter_tags WHERE letter_id = ? AND tag_id = ?').get(letterId, tagId);
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    ownerId = db.prepare("INSERT INTO users (handle, email) VALUES ('owner', 'owner@test.com')").run().lastInsertRowid;
+    coOwnerId = db.prepare("INSERT INTO users (handle, email) VALUES ('co', 'co@test.com')").run().lastInsertRowid;
+    writerId = db.prepare("INSERT INTO users (handle, email) VALUES ('writer', 'writer@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+    tagId = db.prepare("INSERT INTO tags (name, slug, created_by) VALUES ('Haiku', 'haiku', ?)").run(ownerId).lastInsertRowid;
+    db.prepare("INSERT INTO tag_owners (tag_id, user_id, ownership_type) VALUES (?, ?, 'founder')").run(tagId, ownerId);
+    db.prepare("INSERT INTO tag_owners (tag_id, user_id, ownership_type) VALUES (?, ?, 'co-owner')").run(tagId, coOwnerId);
+    db.prepare("INSERT INTO tag_permissions (tag_id, user_id, permission_type, granted_by) VALUES (?, NULL, 'use', ?)").run(tagId, ownerId);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('holds letters for a mosaic that requires approval until an owner decides', () => {
+    const own = write('By an owner', { authorId: coOwnerId });
+    const early = write('Before approval was on');
+    expect(mosaicModeration.placeLetter(db, { letterId: early, tagId, userId: writerId, now })).toBe('added');
+
+    mosaicModeration.setRequiresApproval(db, { tagId, enabled: true });
+    const later = write('After approval was on');
+    const declined = write('Off-topic');
+    expect(mosaicModeration.placeLetter(db, { letterId: later, tagId, userId: writerId, now })).toBe('pending');
+    expect(mosaicModeration.placeLetter(db, { letterId: declined, tagId, userId: writerId, now })).toBe('pending');
+    expect(mosaicModeration.placeLetter(db, { letterId: own, tagId, userId: coOwnerId, now })).toBe('added');
+
+    expect(inMosaic(later)).toBe(false);
+    expect(mosaicModeration.listPending(db, tagId).map(pending => pending.title)).toEqual(['After approval was on', 'Off-topic']);
+    expect(mosaicModeration.listPendingForLetter(db, later)).toEqual([{ id: tagId, name: 'Haiku', slug: 'haiku' }]);
+    // Owners can read what they are asked to approve; other readers cannot yet
+    expect(canUserViewLetter(db, coOwnerId, later)).toBe(true);
+    expect(canUserViewLetter(db, readerId, later)).toBe(false);
+
+    expect(mosaicModeration.review(db, { tagId, letterId: later, ownerId, decision: 'approved', now }))
+      .toEqual({ id: later, title: 'After approval was on', author_id: writerId });
+    expect(mosaicModeration.review(db, { tagId, letterId: declined, ownerId: coOwnerId, decision: 'rejected', reason: 'Not a haiku', now }))
+      .toMatchObject({ id: declined });
+    expect(mosaicModeration.review(db, { tagId, letterId: declined, ownerId, decision: 'approved', now })).toBeNull();
+    expect(() => mosaicModeration.review(db, { tagId, letterId: later, ownerId, decision: 'maybe' })).toThrow('Unknown review decision');
+
+    expect(inMosaic(later)).toBe(true);
+    expect(inMosaic(declined)).toBe(false);
+    expect(db.prepare('SELECT status, reason, reviewed_by FROM letter_tag_approvals WHERE letter_id = ?').get(declined))
+      .toEqual({ status: 'rejected', reason: 'Not a haiku', reviewed_by: coOwnerId });
+    expect(mosaicModeration.listPending(db, tagId)).toEqual([]);
+
+    // Tagging a declined letter again asks the owners afresh
+    const retaggedAt = new Date('2025-06-03T12:00:00.000Z');
+    expect(mosaicModeration.placeLetter(db, { letterId: declined, tagId, userId: writerId, now: retaggedAt })).toBe('pending');
+    expect(mosaicModeration.listPending(db, tagId)).toEqual([expect.objectContaining({
+      letter_id: declined, status: 'pending', reason: null, reviewed_by: null, created_at: retaggedAt.toISOString()
+    })]);
+  });
+
+  it('queues tags added while editing a steeping letter', () => {
+    mosaicModeration.setRequiresApproval(db, { tagId, enabled: true });
+    const letterId = write('Steeping', { publishAt: '2025-06-03T00:00:00.000Z', published: 0 });
+
+    revisions.editSteepingLetter(db, { letterId, userId: writerId, title: 'Steeping', body: 'Edited', tagIds: [tagId], now });
+    expect(inMosaic(letterId)).toBe(false);
+    expect(mosaicModeration.listPending(db, tagId).map(pending => pending.letter_id)).toEqual([letterId]);
+
+    // Keeping the mosaic leaves the request alone; dropping it withdraws the request
+    expect(revisions.editSteepingLetter(db, { letterId, userId: writerId, title: 'Steeping', body: 'Edited', tagIds: [tagId], now }))
+      .toEqual({ changed: false });
+    revisions.editSteepingLetter(db, { letterId, userId: writerId, title: 'Steeping', body: 'Edited', tagIds: [], now });
+    expect(mosaicModeration.listPending(db, tagId)).toEqual([]);
+    expect(mosaicModeration.listPendingForLetter(db, letterId)).toEqual([]);
+    expect(inMosaic(letterId)).toBe(false);
+  });
+
+  it('clears a deleted letter out of the owners\' queue', () => {
+    mosaicModeration.setRequiresApproval(db, { tagId, enabled: true });
+    const letterId = write('Waiting');
+    mosaicModeration.placeLetter(db, { letterId, tagId, userId: writerId, now });
+
+    letterLifecycle.deleteLetter(db, { letterId, deletedBy: writerId, now });
+    expect(mosaicModeration.listPending(db, tagId)).toEqual([]);
+    expect(db.prepare('SELECT COUNT(1) AS count FROM letter_tag_approvals').get().count).toBe(0);
+  });
+
+  it('lets owners pin and remove letters without touching the letter itself', () => {
+    const feed = createFeed(db, detectOptionalColumns(db));
+    const letters = ['One', 'Two', 'Three', 'Four'].map(title => {
+      const letterId = write(title);
+      mosaicModeration.placeLetter(db, { letterId, tagId, userId: writerId, now });
+      return letterId;
+    });
+    const [one, two, three, four] = letters;
+    const pin = (letterId, pinned = true, at = now) => mosaicModeration.setPinned(db, { tagId, letterId, ownerId, pinned, now: at });
+
+    pin(one, true, new Date('2025-06-02T09:00:00.000Z'));
+    pin(two, true, new Date('2025-06-02T10:00:00.000Z'));
+    pin(three);
+    expect(() => pin(four)).toThrow('up to 3 letters');
+    expect(feed.listPinned({ now: now.toISOString(), mosaicId: tagId }).map(letter => letter.title)).toEqual(['Three', 'Two', 'One']);
+    expect(mosaicModeration.listLetters(db, tagId).map(letter => letter.title)).toEqual(['Three', 'Two', 'One', 'Four']);
+
+    pin(two, false);
+    expect(pin(four)).toBe(true);
+    expect(mosaicModeration.listLetters(db, tagId)[0]).toMatchObject({ title: 'Four', pinned_by_handle: 'owner' });
+
+    expect(mosaicModeration.removeLetter(db, { tagId, letterId: four })).toEqual({ id: four, title: 'Four', author_id: writerId });
+    expect(mosaicModeration.removeLetter(db, { tagId, letterId: four })).toBeNull();
+    expect(pin(four)).toBe(false);
+    expect(inMosaic(four)).toBe(false);
+    expect(db.prepare('SELECT title FROM letters WHERE id = ?').get(four)).toEqual({ title: 'Four' });
+    expect(feed.listPinned({ now: now.toISOString(), mosaicId: tagId }).map(letter => letter.title)).toEqual(['Three', 'One']);
+  });
+});
@@ -0,0 +1,81 @@
+const { initializeDatabase } = require('../src/db/init');
+const notifications = require('../src/services/notifications');
+
+describe('Notifications', () => {
+  let db;
+  let authorId;
+  let readerIds;
+  let letterId;
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerIds = ['ann', 'bob', 'cy', 'dee'].map(handle =>
+      db.prepare('INSERT INTO users (handle, email) VALUES (?, ?)').run(handle, `${handle}@test.com`).lastInsertRowid
+    );
+    letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'Slow mornings', 'B', '2025-01-01T00:00:00.000Z', 1)
+    `).run(authorId).lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('holds notifications until the daily delivery', () => {
+    notifications.notify(db, { userId: authorId, type: 'comment', actorId: readerIds[0], letterId, now: '2025-01-01T10:00:00.000Z' });
+
+    expect(notifications.getUnreadCount(db, authorId)).toBe(0);
+    expect(notifications.getInbox(db, authorId)).toEqual([]);
+    expect(notifications.getPendingCount(db, authorId)).toBe(1);
+
+    expect(notifications.deliverPending(db, '2025-01-02T08:00:00.000Z')).toBe(1);
+    expect(notifications.getUnreadCount(db, authorId)).toBe(1);
+
+    notifications.markAllRead(db, authorId);
+    expect(notifications.getUnreadCount(db, authorId)).toBe(0);
+  });
+
+  it('groups resonates on the same letter into one summary item', () => {
+    readerIds.forEach(actorId => {
+      notifications.notify(db, { userId: authorId, type: 'resonate', actorId, letterId });
+    });
+    notifications.notify(db, { userId: authorId, type: 'comment', actorId: readerIds[1], letterId });
+    notifications.deliverPending(db);
+
+    const [summary] = notifications.getInbox(db, authorId);
+    expect(summary.unread).toBe(5);
+    expect(summary.items).toHaveLength(2);
+
+    const resonates = summary.items.find(item => item.type === 'resonate');
+    expect(resonates.count).toBe(4);
+    expect(resonates.text).toBe('dee, cy and 2 others resonated with “Slow mornings”');
+    expect(resonates.url).toBe(`/letters/${letterId}`);
+  });
+
+  it('skips self-actions and retracts undelivered resonates', () => {
+    expect(notifications.notify(db, { userId: authorId, type: 'resonate', actorId: authorId, letterId })).toBeNull();
+
+    notifications.notify(db, { userId: authorId, type: 'resonate', actorId: readerIds[0], letterId });
+    expect(notifications.retract(db, { userId: authorId, type: 'resonate', actorId: readerIds[0], letterId })).toBe(1);
+    expect(notifications.getPendingCount(db, authorId)).toBe(0);
+  });
+
+  it('respects per-type preferences', () => {
+    const defaults = notifications.getPreferences(db, authorId);
+    expect(defaults.filter(pref => pref.type !== 'digest_email').every(pref => pref.enabled)).toBe(true);
+    // The digest email is opt-in
+    expect(defaults.find(pref => pref.type === 'digest_email').enabled).toBe(false);
+
+    notifications.setPreferences(db, authorId, ['comment']);
+
+    expect(notifications.notify(db, { userId: authorId, type: 'resonate', actorId: readerIds[0], letterId })).toBeNull();
+    expect(notifications.notify(db, { userId: authorId, type: 'comment', actorId: readerIds[0], letterId })).not.toBeNull();
+    expect(notifications.getPreferences(db, authorId).find(pref => pref.type === 'tag_access').enabled).toBe(false);
+  });
+
+  it('schedules delivery for the next 08:00 UTC', () => {
+    expect(notifications.nextDeliveryTime(new Date('2025-01-01T07:59:00.000Z')).toISOString()).toBe('2025-01-01T08:00:00.000Z');
+    expect(notifications.nextDeliveryTime(new Date('2025-01-01T08:00:00.000Z')).toISOString()).toBe('2025-01-02T08:00:00.000Z');
+  });
+});
@@ -0,0 +1,74 @@
+const { initializeDatabase } = require('../src/db/init');
+const passwords = require('../src/services/passwords');
+const { sessionVersionGuard } = require('../src/middleware');
+
+describe('Passwords', () => {
+  let db;
+  let userId;
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    userId = db.prepare("INSERT INTO users (handle, email) VALUES ('ada', 'ada@test.com')").run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const getUser = () => db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+
+  it('lets OAuth-only accounts set a first password', () => {
+    expect(passwords.verifyPassword(getUser(), 'anything')).toBe(false);
+
+    const version = passwords.setPassword(db, { userId, password: 'correct horse' });
+
+    expect(version).toBe(1);
+    expect(passwords.verifyPassword(getUser(), 'correct horse')).toBe(true);
+    expect(passwords.verifyPassword(getUser(), 'wrong horse')).toBe(false);
+    expect(getUser().password_changed_at).toBeTruthy();
+  });
+
+  it('validates length and confirmation', () => {
+    expect(passwords.validateNewPassword('short', 'short')).toMatch('at least 8');
+    expect(passwords.validateNewPassword('long enough', 'different')).toBe('Passwords do not match');
+    expect(passwords.validateNewPassword('long enough', 'long enough')).toBeNull();
+  });
+
+  describe('sessionVersionGuard', () => {
+    const run = (session, path = '/') => {
+      const req = { session, path, xhr: false };
+      const res = {
+        redirect: jest.fn(),
+        status: jest.fn(() => res),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+      sessionVersionGuard(db)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('keeps sessions created after the last password change', () => {
+      const version = passwords.setPassword(db, { userId, password: 'correct horse' });
+      const { next } = run({ user: { id: userId, session_version: version } });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('signs out sessions from before a password change', () => {
+      passwords.setPassword(db, { userId, password: 'correct horse' });
+
+      const { req, res, next } = run({ user: { id: userId }, passport: { user: userId } });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(req.session.user).toBeUndefined();
+      expect(req.session.passport).toBeUndefined();
+      expect(res.redirect).toHaveBeenCalledWith(expect.stringContaining('/login?message='));
+    });
+
+    it('answers API requests with JSON', () => {
+      passwords.setPassword(db, { userId, password: 'correct horse' });
+      const { res } = run({ user: { id: userId } }, '/api/letters');
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'session_expired' });
+    });
+  });
+});
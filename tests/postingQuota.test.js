@@ -0,0 +1,98 @@
+const { createMigratedDatabase } = require('./helpers/schema');
+const drafts = require('../src/services/drafts');
+const postingQuota = require('../src/services/postingQuota');
+
+describe('Posting quotas', () => {
+  const now = new Date('2025-06-02T12:00:00.000Z');
+  let db;
+  let authorId;
+  let slocialiteId;
+  let adminId;
+  let haikuId;
+
+  function send(userId, createdAt, { tagId, approvalStatus = 'approved' } = {}) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, created_at, is_published, approval_status)
+      VALUES (?, 'Letter', 'Body', ?, ?, 0, ?)
+    `).run(userId, '2025-06-03T00:00:00.000Z', createdAt, approvalStatus).lastInsertRowid;
+    if (tagId) db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(letterId, tagId, userId);
+    return letterId;
+  }
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    slocialiteId = db.prepare("INSERT INTO users (handle, email, is_slocialite) VALUES ('new', 'new@test.com', 1)").run().lastInsertRowid;
+    adminId = db.prepare("INSERT INTO users (handle, email, is_admin) VALUES ('admin', 'admin@test.com', 1)").run().lastInsertRowid;
+    haikuId = db.prepare("INSERT INTO tags (name, slug, created_by) VALUES ('Haiku', 'haiku', ?)").run(adminId).lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('allows one letter per 24 hours by default and says when the next slot opens', () => {
+    expect(postingQuota.checkQuota(db, { userId: authorId, now })).toMatchObject({ allowed: true, used: 0 });
+
+    // Stored by SQLite's datetime('now') rather than as ISO
+    send(authorId, '2025-06-02 08:30:00');
+    const result = postingQuota.checkQuota(db, { userId: authorId, now });
+    expect(result).toMatchObject({ allowed: false, used: 1, nextSlotAt: '2025-06-03T08:30:00.000Z', mosaic: null });
+    expect(postingQuota.limitMessage(result)).toBe('You can send 1 letter per 24 hours');
+
+    expect(postingQuota.checkQuota(db, { userId: authorId, now: new Date('2025-06-03T08:31:00.000Z') }).allowed).toBe(true);
+  });
+
+  it('does not count drafts or rejected submissions', () => {
+    drafts.createDraft(db, { userId: authorId, title: 'Idea', body: 'Body', now });
+    send(slocialiteId, '2025-06-02T09:00:00.000Z', { approvalStatus: 'rejected' });
+
+    expect(postingQuota.checkQuota(db, { userId: authorId, now }).allowed).toBe(true);
+    expect(postingQuota.checkQuota(db, { userId: slocialiteId, now }).allowed).toBe(true);
+  });
+
+  it('counts a published draft from when it was sent off', () => {
+    const draftId = drafts.createDraft(db, { userId: authorId, title: 'Idea', body: 'Body', now: new Date('2025-05-01T00:00:00.000Z') });
+    drafts.publishDraft(db, { draftId, userId: authorId, now });
+    expect(postingQuota.checkQuota(db, { userId: authorId, now })).toMatchObject({ allowed: false, nextSlotAt: '2025-06-03T12:00:00.000Z' });
+  });
+
+  it('applies per-role quotas', () => {
+    postingQuota.setRoleQuota(db, { role: 'author', windowHours: 168, maxLetters: 3 });
+    postingQuota.setRoleQuota(db, { role: 'admin', windowHours: 24, maxLetters: null });
+    expect(postingQuota.describeQuota(postingQuota.getRoleQuota(db, 'author'))).toBe('3 letters per 7 days');
+    expect(() => postingQuota.setRoleQuota(db, { role: 'guest', windowHours: 24 })).toThrow('Unknown role');
+
+    send(authorId, '2025-05-27T12:00:00.000Z');
+    send(authorId, '2025-06-01T12:00:00.000Z');
+    expect(postingQuota.checkQuota(db, { userId: authorId, now }).allowed).toBe(true);
+    send(authorId, '2025-06-02T11:00:00.000Z');
+    // The oldest of the three leaves the week first
+    expect(postingQuota.checkQuota(db, { userId: authorId, now }).nextSlotAt).toBe('2025-06-03T12:00:00.000Z');
+
+    // Slocialites keep the default; admins have no limit
+    send(slocialiteId, '2025-06-02T11:00:00.000Z');
+    expect(postingQuota.checkQuota(db, { userId: slocialiteId, now }).allowed).toBe(false);
+    send(adminId, '2025-06-02T11:00:00.000Z');
+    send(adminId, '2025-06-02T11:30:00.000Z');
+    expect(postingQuota.checkQuota(db, { userId: adminId, now }).allowed).toBe(true);
+  });
+
+  it('lets a mosaic quota replace the role quota for letters sent into it', () => {
+    postingQuota.setTagQuota(db, { tagId: haikuId, windowHours: 24, maxLetters: 3 });
+    send(authorId, '2025-06-02T08:00:00.000Z', { tagId: haikuId });
+    send(authorId, '2025-06-02T09:00:00.000Z', { tagId: haikuId });
+
+    expect(postingQuota.checkQuota(db, { userId: authorId, now }).allowed).toBe(false);
+    expect(postingQuota.checkQuota(db, { userId: authorId, tagIds: [haikuId], now })).toMatchObject({ allowed: true, used: 2 });
+
+    send(authorId, '2025-06-02T10:00:00.000Z', { tagId: haikuId });
+    const result = postingQuota.checkQuota(db, { userId: authorId, tagIds: [haikuId], now });
+    expect(result).toMatchObject({ allowed: false, mosaic: { id: haikuId, name: 'Haiku' }, nextSlotAt: '2025-06-03T08:00:00.000Z' });
+    expect(postingQuota.limitMessage(result)).toBe('Haiku allows 3 letters per 24 hours');
+
+    expect(postingQuota.removeTagQuota(db, haikuId)).toBe(true);
+    expect(postingQuota.listTagQuotas(db)).toEqual([]);
+  });
+});
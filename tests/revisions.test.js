@@ -0,0 +1,111 @@
+const { initializeDatabase } = require('../src/db/init');
+const revisions = require('../src/services/revisions');
+
+describe('Letter revisions', () => {
+  const now = new Date('2025-06-01T12:00:00.000Z');
+  let db;
+  let authorId;
+  let readerId;
+  let openTagId;
+  let privateTagId;
+
+  function addTag(name, { universal }) {
+    const tagId = db.prepare('INSERT INTO tags (name, slug, created_by) VALUES (?, ?, ?)')
+      .run(name, name.toLowerCase(), authorId).lastInsertRowid;
+    if (universal) {
+      db.prepare("INSERT INTO tag_permissions (tag_id, user_id, permission_type, granted_by) VALUES (?, NULL, 'use', ?)").run(tagId, authorId);
+    }
+    return tagId;
+  }
+
+  function addLetter(publishAt, isPublished = 0) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, created_at, is_published)
+      VALUES (?, 'Morning', 'First line\nSecond line', ?, '2025-06-01T10:00:00.000Z', ?)
+    `).run(authorId, publishAt, isPublished).lastInsertRowid;
+    db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(letterId, openTagId, authorId);
+    return letterId;
+  }
+
+  function edit(letterId, changes) {
+    return revisions.editSteepingLetter(db, {
+      letterId,
+      userId: authorId,
+      title: 'Morning',
+      body: 'First line\nSecond line',
+      tagIds: [openTagId],
+      now,
+      ...changes
+    });
+  }
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+    openTagId = addTag('Gardens', { universal: true });
+    privateTagId = addTag('Secrets', { universal: false });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('keeps the original and every save as revisions', () => {
+    const letterId = addLetter('2025-06-01T22:00:00.000Z');
+
+    expect(edit(letterId, { title: 'Evening' })).toEqual({ changed: true, revision: 2, publishAt: '2025-06-01T22:00:00.000Z', inReview: false });
+    expect(edit(letterId, { title: 'Evening', body: 'First line\nA new second line' }).revision).toBe(3);
+
+    const history = revisions.listRevisions(db, letterId);
+    expect(history.map(revision => [revision.revision_number, revision.title])).toEqual([[1, 'Morning'], [2, 'Evening'], [3, 'Evening']]);
+    expect(history[0].created_at).toBe('2025-06-01T10:00:00.000Z');
+    expect(db.prepare('SELECT title, body FROM letters WHERE id = ?').get(letterId))
+      .toEqual({ title: 'Evening', body: 'First line\nA new second line' });
+  });
+
+  it('skips saves that change nothing', () => {
+    const letterId = addLetter('2025-06-01T22:00:00.000Z');
+    expect(edit(letterId, {})).toEqual({ changed: false });
+    expect(revisions.listRevisions(db, letterId)).toEqual([]);
+  });
+
+  it('replaces tags, ignoring mosaics the author cannot use', () => {
+    const letterId = addLetter('2025-06-01T22:00:00.000Z');
+    const poetryId = addTag('Poetry', { universal: true });
+
+    edit(letterId, { tagIds: [poetryId, privateTagId] });
+    const tags = db.prepare('SELECT tag_id FROM letter_tags WHERE letter_id = ?').all(letterId).map(row => row.tag_id);
+    expect(tags).toEqual([poetryId]);
+    expect(revisions.listRevisions(db, letterId).map(revision => revision.tags)).toEqual([['Gardens'], ['Poetry']]);
+  });
+
+  it('can restart the steep', () => {
+    const letterId = addLetter('2025-06-01T13:00:00.000Z');
+    expect(edit(letterId, { restartSteep: true }).publishAt).toBe('2025-06-02T00:00:00.000Z');
+  });
+
+  it('never moves a letter scheduled further out earlier when restarting the steep', () => {
+    const letterId = addLetter('2025-06-04T08:00:00.000Z');
+    expect(edit(letterId, { restartSteep: true })).toEqual({ changed: false });
+    expect(edit(letterId, { title: 'Evening', restartSteep: true }).publishAt).toBe('2025-06-04T08:00:00.000Z');
+  });
+
+  it('refuses edits once the steep is over or by anyone but the author', () => {
+    const published = addLetter('2025-06-01T11:00:00.000Z', 1);
+    expect(() => edit(published, { title: 'Late' })).toThrow('finished steeping');
+
+    const steeping = addLetter('2025-06-01T22:00:00.000Z');
+    expect(revisions.editSteepingLetter(db, { letterId: steeping, userId: readerId, title: 'Mine', body: 'Now', now })).toBeNull();
+  });
+
+  it('diffs revisions line by line', () => {
+    expect(revisions.diffLines('a\nb\nc', 'a\nB\nc\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'added', text: 'B' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' }
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+const { initializeDatabase } = require('../src/db/init');
+const { JobScheduler } = require('../src/services/scheduler');
+const { registerCoreJobs, schedulePublish } = require('../src/services/jobs');
+
+describe('JobScheduler', () => {
+  let db;
+  let now;
+  let scheduler;
+
+  const advance = (ms) => { now = new Date(now.getTime() + ms); };
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    now = new Date('2025-01-01T00:00:00.000Z');
+    scheduler = new JobScheduler(db, {
+      clock: () => now,
+      retryDelayMs: 1000,
+      logger: { error: jest.fn() }
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    db.close();
+  });
+
+  it('runs a job only once it is due and records the run', async () => {
+    const handler = jest.fn(() => ({ ok: true }));
+    scheduler.register('greet', handler);
+    scheduler.schedule('greet', { runAt: new Date(now.getTime() + 60000), payload: { name: 'ada' } });
+
+    expect((await scheduler.runDue()).ran).toBe(0);
+
+    advance(60000);
+    const summary = await scheduler.runDue();
+
+    expect(summary).toEqual({ ran: 1, succeeded: 1, failed: 0 });
+    expect(handler).toHaveBeenCalledWith({ name: 'ada' }, expect.objectContaining({ scheduler }));
+    expect(db.prepare('SELECT status FROM jobs').get().status).toBe('completed');
+
+    const runs = scheduler.getRecentRuns();
+    expect(runs).toHaveLength(1);
+    expect(runs[0].status).toBe('succeeded');
+    expect(JSON.parse(runs[0].result)).toEqual({ ok: true });
+  });
+
+  it('retries failures with backoff and gives up after max attempts', async () => {
+    const handler = jest.fn(() => { throw new Error('boom'); });
+    scheduler.register('flaky', handler, { maxAttempts: 3 });
+    scheduler.schedule('flaky');
+
+    await scheduler.runDue();
+    let job = db.prepare('SELECT * FROM jobs').get();
+    expect(job.status).toBe('pending');
+    expect(job.attempts).toBe(1);
+    expect(job.run_at).toBe('2025-01-01T00:00:01.000Z');
+
+    // Second retry waits twice as long
+    advance(1000);
+    await scheduler.runDue();
+    job = db.prepare('SELECT * FROM jobs').get();
+    expect(job.run_at).toBe('2025-01-01T00:00:03.000Z');
+
+    advance(2000);
+    await scheduler.runDue();
+    job = db.prepare('SELECT * FROM jobs').get();
+    expect(job.status).toBe('failed');
+    expect(job.last_error).toBe('boom');
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(scheduler.getRecentRuns().map(r => r.status)).toEqual(['failed', 'failed', 'failed']);
+  });
+
+  it('reschedules recurring jobs and keeps existing schedules on restart', async () => {
+    const handler = jest.fn();
+    scheduler.register('tick', handler);
+    const id = scheduler.every('tick', 5000);
+
+    await scheduler.runDue();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(db.prepare('SELECT run_at, status FROM jobs WHERE id = ?').get(id))
+      .toEqual({ run_at: '2025-01-01T00:00:05.000Z', status: 'pending' });
+
+    // Registering again (as on boot) does not reset the next run
+    expect(scheduler.every('tick', 5000)).toBe(id);
+    expect(db.prepare('SELECT COUNT(*) AS c FROM jobs').get().c).toBe(1);
+
+    advance(5000);
+    await scheduler.runDue();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('replaces a pending job that shares a unique key', () => {
+    scheduler.register('noop', () => {});
+    const first = scheduler.schedule('noop', { uniqueKey: 'k', runAt: '2025-01-02T00:00:00.000Z' });
+    const second = scheduler.schedule('noop', { uniqueKey: 'k', runAt: '2025-01-03T00:00:00.000Z' });
+
+    expect(second).toBe(first);
+    expect(db.prepare('SELECT run_at FROM jobs').get().run_at).toBe('2025-01-03T00:00:00.000Z');
+    expect(scheduler.cancel('k')).toBe(true);
+    expect(db.prepare('SELECT COUNT(*) AS c FROM jobs').get().c).toBe(0);
+  });
+
+  it('requeues jobs left running by a crashed process', () => {
+    scheduler.register('noop', () => {});
+    scheduler.schedule('noop');
+    db.prepare("UPDATE jobs SET status = 'running'").run();
+
+    expect(scheduler.recoverStaleJobs()).toBe(1);
+    expect(db.prepare('SELECT status FROM jobs').get().status).toBe('pending');
+  });
+
+  describe('core jobs', () => {
+    let authorId;
+
+    beforeEach(() => {
+      authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+      registerCoreJobs(scheduler, db, { eventTracker: { insertStmt: null } });
+    });
+
+    it('publishes a letter at the exact end of its steep', async () => {
+      const publishAt = new Date(now.getTime() + 12 * 60 * 60 * 1000).toISOString();
+      const letterId = db.prepare(`
+        INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'T', 'B', ?, 0)
+      `).run(authorId, publishAt).lastInsertRowid;
+      schedulePublish(scheduler, letterId, publishAt);
+
+      advance(12 * 60 * 60 * 1000 - 1);
+      await scheduler.runDue();
+      expect(db.prepare('SELECT is_published FROM letters').get().is_published).toBe(0);
+
+      advance(1);
+      await scheduler.runDue();
+      expect(db.prepare('SELECT is_published FROM letters').get().is_published).toBe(1);
+    });
+
+    it('removes expired tag permissions', async () => {
+      const tagId = db.prepare("INSERT INTO tags (name, slug, created_by) VALUES ('t', 't', ?)").run(authorId).lastInsertRowid;
+      db.prepare(`
+        INSERT INTO tag_permissions (tag_id, user_id, permission_type, granted_by, expires_at)
+        VALUES (?, ?, 'use', ?, '2024-12-31T00:00:00.000Z'), (?, ?, 'edit', ?, NULL)
+      `).run(tagId, authorId, authorId, tagId, authorId, authorId);
+
+      const result = await scheduler.runNow('expire_tag_permissions');
+
+      expect(result).toEqual({ removed: 1 });
+      expect(db.prepare('SELECT permission_type FROM tag_permissions').all()).toEqual([{ permission_type: 'edit' }]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { initializeDatabase } = require('../src/db/init');
+const { JobScheduler } = require('../src/services/scheduler');
+const { registerCoreJobs } = require('../src/services/jobs');
+const scheduling = require('../src/services/scheduling');
+
+describe('Scheduling', () => {
+  const now = new Date('2025-06-06T12:00:00.000Z'); // a Friday
+
+  it('publishes after a full steep when no time is picked', () => {
+    expect(scheduling.choosePublishAt({ localTime: '', timeZone: 'America/New_York', now })).toBe('2025-06-07T00:00:00.000Z');
+  });
+
+  it('reads the picked time in the author\'s timezone', () => {
+    // Sunday 8am in New York (EDT) and in Tokyo
+    expect(scheduling.choosePublishAt({ localTime: '2025-06-08T08:00', timeZone: 'America/New_York', now }))
+      .toBe('2025-06-08T12:00:00.000Z');
+    expect(scheduling.choosePublishAt({ localTime: '2025-06-08T08:00', timeZone: 'Asia/Tokyo', now }))
+      .toBe('2025-06-07T23:00:00.000Z');
+  });
+
+  it('keeps the minimum steep and the scheduling horizon', () => {
+    expect(() => scheduling.choosePublishAt({ localTime: '2025-06-06T18:00', timeZone: 'America/New_York', now }))
+      .toThrow('Letters steep for at least 12 hours; pick Fri, Jun 6, 8:00 PM EDT or later');
+    expect(scheduling.choosePublishAt({ localTime: '2025-06-06T20:00', timeZone: 'America/New_York', now }))
+      .toBe('2025-06-07T00:00:00.000Z');
+    expect(() => scheduling.choosePublishAt({ localTime: '2025-09-05T12:00', timeZone: 'UTC', now })).toThrow('90 days');
+    expect(() => scheduling.choosePublishAt({ localTime: 'Sunday 8am', timeZone: 'UTC', now })).toThrow('Pick a date and time');
+  });
+
+  describe('rescheduling', () => {
+    let db;
+    let scheduler;
+    let authorId;
+    let otherId;
+
+    function addLetter(publishAt, isPublished = 0) {
+      return db.prepare(`
+        INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'Letter', 'Body', ?, ?)
+      `).run(authorId, publishAt, isPublished).lastInsertRowid;
+    }
+
+    beforeEach(() => {
+      db = initializeDatabase();
+      scheduler = new JobScheduler(db, { clock: () => now, logger: { log() {}, error() {} } });
+      registerCoreJobs(scheduler, db);
+      authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+      otherId = db.prepare("INSERT INTO users (handle, email) VALUES ('other', 'other@test.com')").run().lastInsertRowid;
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    it('moves a steeping letter and its publish job', () => {
+      const letterId = addLetter('2025-06-06T20:00:00.000Z');
+      const move = (userId, localTime) => scheduling.rescheduleLetter(db, {
+        letterId, userId, localTime, timeZone: 'Europe/Berlin', scheduler, now
+      });
+
+      expect(move(otherId, '2025-06-08T08:00')).toBeNull();
+      expect(move(authorId, '2025-06-08T08:00')).toBe('2025-06-08T06:00:00.000Z');
+      expect(db.prepare('SELECT run_at FROM jobs WHERE unique_key = ?').get(`publish_letter:${letterId}`).run_at)
+        .toBe('2025-06-08T06:00:00.000Z');
+
+      // It can come back to any time from a full steep from now
+      expect(move(authorId, '2025-06-07T02:00')).toBe('2025-06-07T00:00:00.000Z');
+      expect(() => move(authorId, '2025-06-06T23:00')).toThrow('at least 12 hours');
+    });
+
+    it('leaves published letters alone', () => {
+      const letterId = addLetter('2025-06-06T10:00:00.000Z', 1);
+      expect(() => scheduling.rescheduleLetter(db, { letterId, userId: authorId, localTime: '2025-06-08T08:00', timeZone: 'UTC', now }))
+        .toThrow('still steeping');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { initializeDatabase } = require('../src/db/init');
+const { search, buildMatchQuery, toHighlightedHtml } = require('../src/services/search');
+const { createWebApp, signedInAgent } = require('./helpers/webApp');
+
+describe('Search', () => {
+  let db;
+  let authorId;
+  let readerId;
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    authorId = db.prepare("INSERT INTO users (handle, email) VALUES ('author', 'author@test.com')").run().lastInsertRowid;
+    readerId = db.prepare("INSERT INTO users (handle, email) VALUES ('reader', 'reader@test.com')").run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const addLetter = (title, body, { published = 1, publishAt = '2025-01-01T00:00:00.000Z' } = {}) =>
+    db.prepare('INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, ?, ?, ?, ?)')
+      .run(authorId, title, body, publishAt, published).lastInsertRowid;
+
+  it('finds letters by title and body with highlighted snippets', () => {
+    addLetter('Walking slowly', 'A letter about autumn leaves and long walks.');
+    addLetter('Cooking', 'Soup recipes.');
+
+    const { letters } = search(db, { query: 'autumn' });
+
+    expect(letters).toHaveLength(1);
+    expect(letters[0].title).toBe('Walking slowly');
+    expect(letters[0].snippet_html).toContain('<mark>autumn</mark>');
+  });
+
+  it('keeps the index in sync when letters are edited or deleted', () => {
+    const id = addLetter('Draft title', 'original words');
+
+    db.prepare("UPDATE letters SET body = 'replacement words' WHERE id = ?").run(id);
+    expect(search(db, { query: 'original' }).letters).toHaveLength(0);
+    expect(search(db, { query: 'replacement' }).letters).toHaveLength(1);
+
+    db.prepare('DELETE FROM letters WHERE id = ?').run(id);
+    expect(search(db, { query: 'replacement' }).letters).toHaveLength(0);
+  });
+
+  it('applies the visibility condition to letters and their comments', () => {
+    const hidden = addLetter('Secret garden', 'hidden thoughts', { published: 0 });
+    db.prepare('INSERT INTO comments (letter_id, author_id, body) VALUES (?, ?, ?)').run(hidden, readerId, 'garden reply');
+
+    const results = search(db, { query: 'garden', letterVisibility: 'l.is_published = 1' });
+
+    expect(results.letters).toHaveLength(0);
+    expect(results.comments).toHaveLength(0);
+  });
+
+  it('indexes mosaic descriptions and filters by author, mosaic and date', () => {
+    const tagId = db.prepare("INSERT INTO tags (name, slug, description, created_by) VALUES ('Nature', 'nature', 'Forests and rivers', ?)")
+      .run(authorId).lastInsertRowid;
+    const tagged = addLetter('River notes', 'the river bends', { publishAt: '2025-03-10T12:00:00.000Z' });
+    addLetter('Other river', 'another river', { publishAt: '2024-06-01T12:00:00.000Z' });
+    db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(tagged, tagId, authorId);
+
+    expect(search(db, { query: 'rivers' }).mosaics.map(m => m.slug)).toEqual(['nature']);
+    expect(search(db, { query: 'river', mosaic: 'nature' }).letters.map(l => l.id)).toEqual([tagged]);
+    expect(search(db, { query: 'river', from: '2025-01-01', to: '2025-12-31' }).letters.map(l => l.id)).toEqual([tagged]);
+    expect(search(db, { query: 'river', author: '@reader' }).letters).toHaveLength(0);
+  });
+
+  it('falls back to the first page when ?page= is not a number', async () => {
+    addLetter('Garden', 'the garden grows');
+    const author = await signedInAgent(createWebApp(db), authorId);
+
+    const api = await author.get('/api/search?q=garden&type=letters&page=abc').expect(200);
+    expect(api.body.page).toBe(1);
+    expect(api.body.letters.map(letter => letter.title)).toEqual(['Garden']);
+    await author.get('/search?q=garden&type=letters&page=abc').expect(200);
+  });
+
+  it('treats query syntax as literal text', () => {
+    expect(buildMatchQuery('foo OR "bar" NEAR(')).toBe('"foo"* "OR"* "bar"* "NEAR"*');
+    expect(buildMatchQuery('   ')).toBeNull();
+  });
+
+  it('escapes content around highlight markers', () => {
+    expect(toHighlightedHtml('<b>\u0002hit\u0003</b>')).toBe('&lt;b&gt;<mark>hit</mark>&lt;/b&gt;');
+  });
+});
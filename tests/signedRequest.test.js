@@ -0,0 +1,66 @@
+const { initializeDatabase } = require('../src/db/init');
+const { signRequest, verifySignedRequest } = require('../src/services/signedRequest');
+
+describe('Signed requests', () => {
+  const secret = 'cron-secret';
+  const now = new Date('2025-01-01T00:00:00.000Z');
+  const clock = () => now;
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let db;
+
+  // Minimal stand-in for an Express request
+  const fakeRequest = (headers, { method = 'POST', url = '/internal/publish' } = {}) => ({
+    method,
+    originalUrl: url,
+    get: (name) => headers[name.toLowerCase()]
+  });
+
+  beforeEach(() => {
+    db = initializeDatabase();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('accepts a correctly signed request once', () => {
+    const headers = signRequest(secret, { path: '/internal/publish', timestamp, nonce: 'abc' });
+
+    expect(verifySignedRequest(db, fakeRequest(headers), { secret, clock })).toEqual({ ok: true, nonce: 'abc' });
+    expect(verifySignedRequest(db, fakeRequest(headers), { secret, clock }))
+      .toMatchObject({ ok: false, status: 401, reason: 'replayed_nonce' });
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const headers = signRequest('wrong', { path: '/internal/publish', timestamp, nonce: 'abc' });
+
+    expect(verifySignedRequest(db, fakeRequest(headers), { secret, clock }))
+      .toMatchObject({ ok: false, reason: 'bad_signature' });
+  });
+
+  it('rejects a signature for a different path', () => {
+    const headers = signRequest(secret, { path: '/internal/other', timestamp, nonce: 'abc' });
+
+    expect(verifySignedRequest(db, fakeRequest(headers), { secret, clock }))
+      .toMatchObject({ ok: false, reason: 'bad_signature' });
+  });
+
+  it('rejects timestamps outside the allowed skew', () => {
+    const headers = signRequest(secret, { path: '/internal/publish', timestamp: timestamp - 600, nonce: 'abc' });
+
+    expect(verifySignedRequest(db, fakeRequest(headers), { secret, clock }))
+      .toMatchObject({ ok: false, reason: 'stale_timestamp' });
+  });
+
+  it('rejects requests with missing headers', () => {
+    expect(verifySignedRequest(db, fakeRequest({}), { secret, clock }))
+      .toMatchObject({ ok: false, status: 401, reason: 'missing_headers' });
+  });
+
+  it('is disabled when no secret is configured', () => {
+    const headers = signRequest(secret, { path: '/internal/publish', timestamp, nonce: 'abc' });
+
+    expect(verifySignedRequest(db, fakeRequest(headers), { secret: '', clock }))
+      .toMatchObject({ ok: false, status: 503, reason: 'not_configured' });
+  });
+});
@@ -0,0 +1,131 @@
+const { createMigratedDatabase } = require('./helpers/schema');
+const { createWebApp, signedInAgent, submitForm: submit } = require('./helpers/webApp');
+
+describe('Sorts', () => {
+  let db;
+  let app;
+  let adminId;
+  let writerId;
+
+  const sortNamed = name => db.prepare('SELECT * FROM sorts WHERE name = ?').get(name);
+  const sortsOf = letterId =>
+    db.prepare('SELECT sort_id FROM letter_sorts WHERE letter_id = ? ORDER BY sort_id').all(letterId).map(row => row.sort_id);
+
+  function addSort(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return db.prepare('INSERT INTO sorts (name, slug, is_system) VALUES (?, ?, 1)').run(name, slug).lastInsertRowid;
+  }
+
+  function publish(title, sortIds = []) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published)
+      VALUES (?, ?, 'Body', '2025-01-01T00:00:00.000Z', 1)
+    `).run(writerId, title).lastInsertRowid;
+    sortIds.forEach(sortId => db.prepare('INSERT INTO letter_sorts (letter_id, sort_id) VALUES (?, ?)').run(letterId, sortId));
+    return letterId;
+  }
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+    app = createWebApp(db);
+    adminId = db.prepare("INSERT INTO users (handle, email, is_admin) VALUES ('admin', 'admin@test.com', 1)").run().lastInsertRowid;
+    writerId = db.prepare(`
+      INSERT INTO users (handle, email, email_verified_at) VALUES ('writer', 'writer@test.com', '2025-01-01T00:00:00.000Z')
+    `).run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('admin curation', () => {
+    it('creates, updates and deletes sorts', async () => {
+      const admin = await signedInAgent(app, adminId);
+
+      const created = await submit(admin, '/admin/sorts', { name: 'Short Fiction', description: 'Stories', color: '#112233', display_order: '2' }).expect(302);
+      expect(created.headers.location).toBe('/admin/sorts?message=' + encodeURIComponent('Sort "Short Fiction" created'));
+      expect(sortNamed('Short Fiction')).toMatchObject({
+        slug: 'short-fiction', description: 'Stories', color: '#112233', display_order: 2, is_system: 1, created_by: adminId
+      });
+
+      const duplicate = await submit(admin, '/admin/sorts', { name: 'Short Fiction' }).expect(302);
+      expect(duplicate.headers.location).toContain(encodeURIComponent('A sort with that name already exists'));
+      const badColor = await submit(admin, '/admin/sorts', { name: 'Poems', color: 'blue' }).expect(302);
+      expect(badColor.headers.location).toContain(encodeURIComponent('Color must be a hex value like #6366f1'));
+      expect(sortNamed('Poems')).toBeUndefined();
+
+      const { id } = sortNamed('Short Fiction');
+      await submit(admin, `/admin/sorts/${id}/update`, { name: 'Flash Fiction', description: '' }).expect(302);
+      expect(db.prepare('SELECT * FROM sorts WHERE id = ?').get(id)).toMatchObject({
+        name: 'Flash Fiction', slug: 'flash-fiction', description: null, color: '#6366f1', display_order: 0
+      });
+      const missing = await submit(admin, '/admin/sorts/999/update', { name: 'Nowhere' }).expect(302);
+      expect(missing.headers.location).toContain(encodeURIComponent('Sort not found'));
+
+      const letterId = publish('Tiny story', [id]);
+      await submit(admin, `/admin/sorts/${id}/delete`).expect(302);
+      expect(db.prepare('SELECT COUNT(*) AS count FROM sorts').get().count).toBe(0);
+      expect(sortsOf(letterId)).toEqual([]);
+      expect(db.prepare("SELECT action FROM moderation_actions ORDER BY id").all().map(row => row.action))
+        .toEqual(['create_sort', 'update_sort', 'delete_sort']);
+    });
+
+    it('hides sort curation from everyone but admins', async () => {
+      const writer = await signedInAgent(app, writerId);
+
+      await writer.get('/admin/sorts').expect(404);
+      await submit(writer, '/admin/sorts', { name: 'Mine' }).expect(404);
+      expect(sortNamed('Mine')).toBeUndefined();
+    });
+  });
+
+  describe('compose', () => {
+    it('attaches sorts to a draft and detaches them when unchecked', async () => {
+      const essays = addSort('Essays');
+      const poems = addSort('Poems');
+      const writer = await signedInAgent(app, writerId);
+
+      await submit(writer, '/compose', { title: 'Draft', body: 'Words', action: 'draft', sorts: [String(essays), String(poems)] }).expect(302);
+      const { id: draftId } = db.prepare("SELECT id FROM letters WHERE title = 'Draft'").get();
+      expect(sortsOf(draftId)).toEqual([essays, poems]);
+
+      await submit(writer, `/compose/draft/${draftId}`, { title: 'Draft', body: 'Words', action: 'draft', sorts: String(poems) }).expect(302);
+      expect(sortsOf(draftId)).toEqual([poems]);
+
+      await submit(writer, `/compose/draft/${draftId}`, { title: 'Draft', body: 'Words', action: 'draft' }).expect(302);
+      expect(sortsOf(draftId)).toEqual([]);
+    });
+  });
+
+  describe('filtering', () => {
+    let essays;
+
+    beforeEach(() => {
+      essays = addSort('Essays');
+      const poems = addSort('Poems');
+      publish('An essay', [essays]);
+      publish('A poem', [poems]);
+      publish('Both', [essays, poems]);
+    });
+
+    it('narrows the home feed to one sort', async () => {
+      const home = await (await signedInAgent(app, writerId)).get('/?sort=essays').expect(200);
+      expect(home.text).toContain('An essay');
+      expect(home.text).toContain('Both');
+      expect(home.text).not.toContain('A poem');
+
+      const unfiltered = await (await signedInAgent(app, writerId)).get('/?sort=unknown').expect(200);
+      expect(unfiltered.text).toContain('A poem');
+    });
+
+    it('narrows the infinite-scroll API to one sort', async () => {
+      const writer = await signedInAgent(app, writerId);
+
+      const filtered = await writer.get('/api/letters?sort=essays').expect(200);
+      expect(filtered.body.letters.map(letter => letter.title).sort()).toEqual(['An essay', 'Both']);
+
+      const all = await writer.get('/api/letters').expect(200);
+      expect(all.body.letters).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { createMigratedDatabase } = require('./helpers/schema');
+const submissions = require('../src/services/submissions');
+const revisions = require('../src/services/revisions');
+
+describe('Submissions', () => {
+  const now = new Date('2025-06-02T12:00:00.000Z');
+  let db;
+  let slocialiteId;
+  let adminId;
+
+  function submit(title = 'First try', createdAt = '2025-06-01T12:00:00.000Z') {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, created_at, is_published, approval_status)
+      VALUES (?, ?, 'Body', '2025-06-02T00:00:00.000Z', ?, 1, 'pending')
+    `).run(slocialiteId, title, createdAt).lastInsertRowid;
+    submissions.openRound(db, { letterId, now: createdAt });
+    return letterId;
+  }
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+
+    slocialiteId = db.prepare("INSERT INTO users (handle, email, is_slocialite) VALUES ('new', 'new@test.com', 1)").run().lastInsertRowid;
+    adminId = db.prepare("INSERT INTO users (handle, email, is_admin) VALUES ('admin', 'admin@test.com', 1)").run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('lists pending, approved and declined letters with the reason', () => {
+    const pending = submit('Waiting', '2025-06-02T09:00:00.000Z');
+    const declined = submit('Declined', '2025-06-01T10:00:00.000Z');
+    const approved = submit('Approved', '2025-06-01T09:00:00.000Z');
+    db.prepare("INSERT INTO letters (author_id, title, body, publish_at) VALUES (?, 'Before review', 'Body', '2025-06-01T00:00:00.000Z')").run(slocialiteId);
+
+    submissions.decide(db, { letterId: declined, reviewerId: adminId, decision: 'rejected', reason: 'Too short', now });
+    submissions.decide(db, { letterId: approved, reviewerId: adminId, decision: 'approved', now });
+
+    const list = submissions.listSubmissions(db, slocialiteId);
+    expect(list.map(letter => [letter.id, letter.approval_status, letter.canResubmit])).toEqual([
+      [pending, 'pending', false],
+      [declined, 'rejected', true],
+      [approved, 'approved', false]
+    ]);
+    expect(list[1]).toMatchObject({ rejection_reason: 'Too short' });
+    expect(list[1].rounds).toEqual([expect.objectContaining({
+      round: 1, status: 'rejected', reason: 'Too short', reviewer_handle: 'admin', reviewed_at: now.toISOString()
+    })]);
+    expect(() => submissions.decide(db, { letterId: pending, reviewerId: adminId, decision: 'maybe' })).toThrow('Unknown review decision');
+  });
+
+  it('keeps each round when a declined letter is revised and resubmitted', () => {
+    const letterId = submit();
+    submissions.decide(db, { letterId, reviewerId: adminId, decision: 'rejected', reason: 'Needs a clearer ending', now });
+
+    const resubmit = (fields) => submissions.resubmit(db, { letterId, userId: slocialiteId, title: 'First try', body: 'Body', now, ...fields });
+    expect(() => resubmit({})).toThrow('Revise the letter');
+    expect(() => resubmit({ title: '  ' })).toThrow('Title must be');
+    expect(resubmit({ userId: adminId })).toBeNull();
+
+    expect(resubmit({ title: 'Second try', body: 'A better ending' }))
+      .toEqual({ round: 2, publishAt: '2025-06-03T00:00:00.000Z' });
+    expect(db.prepare('SELECT title, is_published, approval_status, rejection_reason, approved_by FROM letters WHERE id = ?').get(letterId))
+      .toEqual({ title: 'Second try', is_published: 0, approval_status: 'pending', rejection_reason: null, approved_by: null });
+    expect(() => resubmit({ body: 'Again' })).toThrow('Only declined letters');
+
+    submissions.decide(db, { letterId, reviewerId: adminId, decision: 'approved', now });
+    const [letter] = submissions.listSubmissions(db, slocialiteId);
+    expect(letter.rounds.map(round => [round.round, round.title, round.status, round.reason])).toEqual([
+      [1, 'First try', 'rejected', 'Needs a clearer ending'],
+      [2, 'Second try', 'approved', null]
+    ]);
+  });
+
+  it('puts an approved letter back under review when its text changes before it publishes', () => {
+    const letterId = submit('Kept');
+    submissions.decide(db, { letterId, reviewerId: adminId, decision: 'approved', now });
+    const rewrite = body => db.prepare('UPDATE letters SET body = ? WHERE id = ?').run(body, letterId);
+
+    rewrite('Rewritten after approval');
+    expect(submissions.reviewEdit(db, { letterId, now })).toBe(true);
+    expect(db.prepare('SELECT approval_status, approved_by FROM letters WHERE id = ?').get(letterId))
+      .toEqual({ approval_status: 'pending', approved_by: null });
+
+    rewrite('Rewritten twice');
+    expect(submissions.reviewEdit(db, { letterId, now })).toBe(true);
+    expect(submissions.listRounds(db, letterId).map(round => [round.round, round.body, round.status])).toEqual([
+      [1, 'Body', 'approved'],
+      [2, 'Rewritten twice', 'pending']
+    ]);
+
+    const unreviewed = db.prepare("INSERT INTO letters (author_id, title, body, publish_at) VALUES (?, 'Mine', 'Body', '2025-06-03T00:00:00.000Z')")
+      .run(adminId).lastInsertRowid;
+    expect(submissions.reviewEdit(db, { letterId: unreviewed, now })).toBe(false);
+    expect(submissions.listRounds(db, unreviewed)).toEqual([]);
+  });
+
+  it('sends a reviewed letter back to review when it is edited before publishing', () => {
+    const steeping = (title, authorId = slocialiteId) => db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, created_at, is_published, approval_status)
+      VALUES (?, ?, 'Body', '2025-06-02T20:00:00.000Z', '2025-06-02T08:00:00.000Z', 0, ?)
+    `).run(authorId, title, authorId === slocialiteId ? 'pending' : 'approved').lastInsertRowid;
+    const edit = (letterId, body, userId = slocialiteId) => revisions.editSteepingLetter(db, { letterId, userId, title: 'Kept', body, now });
+
+    const approved = steeping('Kept');
+    submissions.openRound(db, { letterId: approved, now: '2025-06-02T08:00:00.000Z' });
+    submissions.decide(db, { letterId: approved, reviewerId: adminId, decision: 'approved', now });
+    expect(edit(approved, 'Rewritten after approval')).toMatchObject({ changed: true, inReview: true });
+    expect(db.prepare('SELECT approval_status, approved_by FROM letters WHERE id = ?').get(approved))
+      .toEqual({ approval_status: 'pending', approved_by: null });
+    expect(submissions.listRounds(db, approved).map(round => [round.round, round.body, round.status])).toEqual([
+      [1, 'Body', 'approved'],
+      [2, 'Rewritten after approval', 'pending']
+    ]);
+
+    // Still awaiting review: the open round follows the edit
+    expect(edit(approved, 'Rewritten twice')).toMatchObject({ inReview: true });
+    expect(submissions.listRounds(db, approved).map(round => round.body)).toEqual(['Body', 'Rewritten twice']);
+
+    // Letters that never went through review publish as edited
+    const regular = steeping('Kept', adminId);
+    expect(edit(regular, 'Edited', adminId)).toMatchObject({ changed: true, inReview: false });
+    expect(db.prepare('SELECT approval_status FROM letters WHERE id = ?').get(regular)).toEqual({ approval_status: 'approved' });
+  });
+
+  it('gives letters sent in before rounds were kept a first round when decided', () => {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, created_at, approval_status)
+      VALUES (?, 'Old', 'Body', '2025-06-02T00:00:00.000Z', '2025-05-30 08:00:00', 'pending')
+    `).run(slocialiteId).lastInsertRowid;
+    expect(submissions.listSubmissions(db, slocialiteId)[0].rounds).toEqual([]);
+
+    submissions.decide(db, { letterId, reviewerId: adminId, decision: 'rejected', reason: 'Off-topic', now });
+    expect(submissions.listRounds(db, letterId)).toEqual([expect.objectContaining({
+      round: 1, title: 'Old', submitted_at: '2025-05-30 08:00:00', status: 'rejected'
+    })]);
+    expect(submissions.decide(db, { letterId: 999, reviewerId: adminId, decision: 'approved' })).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+const { initializeDatabase } = require('../src/db/init');
+const suspensions = require('../src/services/suspensions');
+const { suspensionGuard } = require('../src/middleware');
+
+describe('Suspensions', () => {
+  let db;
+  let adminId;
+  let userId;
+
+  beforeEach(() => {
+    db = initializeDatabase();
+    adminId = db.prepare("INSERT INTO users (handle, email, is_admin) VALUES ('admin', 'admin@test.com', 1)").run().lastInsertRowid;
+    userId = db.prepare("INSERT INTO users (handle, email) VALUES ('user', 'user@test.com')").run().lastInsertRowid;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('is active until it expires', () => {
+    suspensions.suspendUser(db, {
+      userId,
+      reason: 'Spam',
+      expiresAt: '2025-01-08T00:00:00.000Z',
+      suspendedBy: adminId,
+      now: '2025-01-01T00:00:00.000Z'
+    });
+
+    const active = suspensions.getActiveSuspension(db, userId, '2025-01-02T00:00:00.000Z');
+    expect(active).toMatchObject({ reason: 'Spam', suspended_by_handle: 'admin' });
+    expect(suspensions.getActiveSuspension(db, userId, '2025-01-09T00:00:00.000Z')).toBeNull();
+  });
+
+  it('can be lifted while keeping the record', () => {
+    suspensions.suspendUser(db, { userId, reason: 'Abuse', suspendedBy: adminId });
+
+    expect(suspensions.liftSuspension(db, { userId, liftedBy: adminId, reason: 'Appeal accepted' })).toBe(true);
+    expect(suspensions.getActiveSuspension(db, userId)).toBeNull();
+    expect(db.prepare('SELECT lift_reason FROM user_suspensions WHERE user_id = ?').get(userId).lift_reason)
+      .toBe('Appeal accepted');
+  });
+
+  it('replaces an active suspension instead of stacking', () => {
+    suspensions.suspendUser(db, { userId, reason: 'First', suspendedBy: adminId });
+    suspensions.suspendUser(db, { userId, reason: 'Second', suspendedBy: adminId });
+
+    expect(suspensions.getActiveSuspension(db, userId).reason).toBe('Second');
+    expect(db.prepare('SELECT COUNT(*) AS c FROM user_suspensions WHERE lifted_at IS NULL').get().c).toBe(1);
+  });
+
+  it('records an appeal only while suspended', () => {
+    expect(suspensions.recordAppeal(db, { userId, note: 'Please' })).toBe(false);
+
+    suspensions.suspendUser(db, { userId, reason: 'Spam', suspendedBy: adminId });
+    expect(suspensions.recordAppeal(db, { userId, note: 'It was a mistake' })).toBe(true);
+    expect(suspensions.getActiveSuspension(db, userId).appeal_note).toBe('It was a mistake');
+  });
+
+  describe('suspensionGuard', () => {
+    const run = (session, path = '/') => {
+      const req = { session, path, xhr: false };
+      const res = {
+        redirect: jest.fn(),
+        status: jest.fn(() => res),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+      suspensionGuard(db)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('lets active accounts through', () => {
+      const { next } = run({ user: { id: userId } });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('ends the session of a suspended account', () => {
+      suspensions.suspendUser(db, { userId, reason: 'Spam', suspendedBy: adminId });
+
+      const { req, res, next } = run({ user: { id: userId }, passport: { user: userId } });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.redirect).toHaveBeenCalledWith('/suspended');
+      expect(req.session.user).toBeUndefined();
+      expect(req.session.passport).toBeUndefined();
+      expect(req.session.suspendedUserId).toBe(userId);
+    });
+
+    it('answers API calls with a 403', () => {
+      suspensions.suspendUser(db, { userId, reason: 'Spam', suspendedBy: adminId });
+
+      const { res } = run({ user: { id: userId } }, '/api/letters');
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'account_suspended' });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { createMigratedDatabase } = require('./helpers/schema');
+const { letterVisibilityFilter, canUserViewLetter } = require('../src/services/visibility');
+
+// Who may read what. Feeds and search use the SQL filter, single letter pages
+// use canUserViewLetter; both must agree with this matrix.
+describe('Letter visibility', () => {
+  let db;
+  let users;
+  let letters;
+
+  function addUser(handle, extra = {}) {
+    return db.prepare('INSERT INTO users (handle, email, is_admin, is_slocialite) VALUES (?, ?, ?, ?)')
+      .run(handle, `${handle}@test.com`, extra.isAdmin ? 1 : 0, extra.isSlocialite ? 1 : 0).lastInsertRowid;
+  }
+
+  function addTag(slug, { universal = false } = {}) {
+    const tagId = db.prepare('INSERT INTO tags (name, slug, created_by) VALUES (?, ?, ?)')
+      .run(slug, slug, users.admin).lastInsertRowid;
+    if (universal) grant(tagId, null);
+    return tagId;
+  }
+
+  function grant(tagId, userId, expiresAt = null) {
+    db.prepare(`
+      INSERT INTO tag_permissions (tag_id, user_id, permission_type, granted_by, expires_at) VALUES (?, ?, 'use', ?, ?)
+    `).run(tagId, userId, users.admin, expiresAt);
+  }
+
+  // tagId null leaves the letter out of every mosaic
+  function addLetter(tagId, authorId = users.author) {
+    const letterId = db.prepare(`
+      INSERT INTO letters (author_id, title, body, publish_at, is_published) VALUES (?, 'Letter', 'Body', '2025-01-01T00:00:00.000Z', 1)
+    `).run(authorId).lastInsertRowid;
+    if (tagId) {
+      db.prepare('INSERT INTO letter_tags (letter_id, tag_id, added_by) VALUES (?, ?, ?)').run(letterId, tagId, authorId);
+    }
+    return letterId;
+  }
+
+  function visibleThroughFilter(userId) {
+    const filter = letterVisibilityFilter(userId);
+    const ids = db.prepare(`SELECT l.id FROM letters l WHERE ${filter.sql} ORDER BY l.id`).all(filter.params).map(row => row.id);
+    return Object.keys(letters).filter(name => ids.includes(letters[name]));
+  }
+
+  function visibleOneByOne(userId) {
+    return Object.keys(letters).filter(name => canUserViewLetter(db, userId, letters[name]));
+  }
+
+  beforeEach(() => {
+    db = createMigratedDatabase();
+
+    users = {};
+    users.admin = addUser('admin', { isAdmin: true });
+    users.author = addUser('author');
+    users.reader = addUser('reader');
+    users.slocialite = addUser('slocialite', { isSlocialite: true });
+    users.owner = addUser('owner');
+    users.member = addUser('member');
+
+    const tags = {
+      public: addTag('public', { universal: true }),
+      open: addTag('open', { universal: true }),
+      granted: addTag('granted'),
+      expired: addTag('expired'),
+      owned: addTag('owned'),
+      secret: addTag('secret')
+    };
+    grant(tags.granted, users.reader);
+    grant(tags.expired, users.reader, '2000-01-01 00:00:00');
+    db.prepare('INSERT INTO tag_owners (tag_id, user_id, granted_by) VALUES (?, ?, ?)').run(tags.owned, users.owner, users.admin);
+
+    letters = {
+      inPublic: addLetter(tags.public),
+      inOpen: addLetter(tags.open),
+      inGranted: addLetter(tags.granted),
+      inExpired: addLetter(tags.expired),
+      inOwned: addLetter(tags.owned),
+      inSecret: addLetter(tags.secret),
+      bySlocialite: addLetter(tags.secret, users.slocialite),
+      inPublicChannel: addLetter(null),
+      inPrivateChannel: addLetter(null),
+      // A private mosaic keeps its letters private whichever channels they are in
+      secretInPublicChannel: addLetter(tags.secret),
+      secretInPrivateChannel: addLetter(tags.secret),
+      awaitingOwner: addLetter(tags.secret)
+    };
+
+    const addChannel = (slug, isPublic) => db.prepare(`
+      INSERT INTO channels (name, slug, creator_id, is_approved, is_public) VALUES (?, ?, ?, 1, ?)
+    `).run(slug, slug, users.admin, isPublic ? 1 : 0).lastInsertRowid;
+    const post = (channelId, letterId) => db.prepare('INSERT INTO channel_letters (channel_id, letter_id, added_by) VALUES (?, ?, ?)')
+      .run(channelId, letterId, users.author);
+    const publicChannel = addChannel('square', true);
+    const privateChannel = addChannel('circle', false);
+    post(publicChannel, letters.inPublicChannel);
+    post(privateChannel, letters.inPrivateChannel);
+    post(publicChannel, letters.secretInPublicChannel);
+    post(privateChannel, letters.secretInPrivateChannel);
+    db.prepare("INSERT INTO channel_members (channel_id, user_id, role) VALUES (?, ?, 'member')").run(privateChannel, users.member);
+    db.prepare('INSERT INTO letter_tag_approvals (letter_id, tag_id, submitted_by) VALUES (?, ?, ?)')
+      .run(letters.awaitingOwner, tags.owned, users.author);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const everything = [
+    'inPublic', 'inOpen', 'inGranted', 'inExpired', 'inOwned', 'inSecret', 'bySlocialite',
+    'inPublicChannel', 'inPrivateChannel', 'secretInPublicChannel', 'secretInPrivateChannel', 'awaitingOwner'
+  ];
+
+  it.each([
+    ['anonymous', null, ['inPublic']],
+    ['slocialite', 'slocialite', ['inPublic', 'inOpen', 'bySlocialite', 'inPublicChannel']],
+    ['reader with a grant and an expired grant', 'reader', ['inPublic', 'inOpen', 'inGranted', 'inPublicChannel']],
+    ['author', 'author', everything.filter(name => name !== 'bySlocialite')],
+    ['tag owner with a letter awaiting approval', 'owner', ['inPublic', 'inOpen', 'inOwned', 'inPublicChannel', 'awaitingOwner']],
+    ['private channel member', 'member', ['inPublic', 'inOpen', 'inPublicChannel', 'inPrivateChannel']],
+    ['admin', 'admin', everything]
+  ])('%s', (label, viewer, expected) => {
+    const userId = viewer ? users[viewer] : null;
+    expect(visibleThroughFilter(userId)).toEqual(expected);
+    expect(visibleOneByOne(userId)).toEqual(expected);
+  });
+
+  it('binds the user id instead of splicing it into the SQL', () => {
+    const filter = letterVisibilityFilter('0 OR 1 = 1');
+    expect(filter.sql).not.toContain('1 = 1');
+    expect(filter.params).toEqual({ viewerId: '0 OR 1 = 1' });
+    // Treated as an unknown signed-in user: universal mosaics and public channels only
+    expect(visibleThroughFilter('0 OR 1 = 1')).toEqual(['inPublic', 'inOpen', 'inPublicChannel']);
+  });
+
+  it('only accepts plain table aliases', () => {
+    expect(letterVisibilityFilter(users.reader, { tableAlias: 'letters' }).sql).toContain('letters.author_id = @viewerId');
+    expect(() => letterVisibilityFilter(users.reader, { tableAlias: 'l; DROP TABLE letters' })).toThrow('Invalid table alias');
+  });
+});